@@ -0,0 +1,36 @@
+// Turtle Graphics Example: Turtle Race
+// Several turtles share the canvas, each with its own position and pen
+
+program TurtleRace;
+
+const
+  RACERS = 4;
+
+var
+  racers: array[1..RACERS] of Integer;
+  i, lap: Integer;
+
+begin
+  SetSpeed(8);
+  HideTurtle;
+
+  // Line the racers up on the left, facing east
+  for i := 1 to RACERS do
+  begin
+    racers[i] := NewTurtle;
+    TurtlePenUp(racers[i]);
+    TurtleSetPosition(racers[i], -250, 150 - i * 60);
+    TurtleSetHeading(racers[i], 90);
+    TurtlePenDown(racers[i]);
+    TurtleSetPenWidth(racers[i], 3);
+  end;
+
+  // Every lap, each racer moves a random distance
+  for lap := 1 to 20 do
+    for i := 1 to RACERS do
+      TurtleForward(racers[i], RandomInt(30));
+
+  for i := 1 to RACERS do
+    WriteLn('Turtle ' + IntToStr(i) + ' reached x = ' +
+      FloatToStr(TurtleGetX(racers[i])));
+end.
@@ -29,12 +29,38 @@ const globals = {
   cancelAnimationFrame: "readonly",
   requestAnimationFrame: "readonly",
   Blob: "readonly",
+  File: "readonly",
+  Response: "readonly",
+  Request: "readonly",
+  DecompressionStream: "readonly",
+  indexedDB: "readonly",
+  structuredClone: "readonly",
   TextEncoder: "readonly",
   TextDecoder: "readonly",
+  crypto: "readonly",
   btoa: "readonly",
   atob: "readonly",
   Worker: "readonly",
 
+  // Browser types used in annotations
+  Element: "readonly",
+  HTMLElement: "readonly",
+  HTMLInputElement: "readonly",
+  HTMLButtonElement: "readonly",
+  HTMLSelectElement: "readonly",
+  HTMLTextAreaElement: "readonly",
+  HTMLFormElement: "readonly",
+  HTMLCanvasElement: "readonly",
+  HTMLProgressElement: "readonly",
+  CanvasRenderingContext2D: "readonly",
+  KeyboardEvent: "readonly",
+  Performance: "readonly",
+  MediaRecorder: "readonly",
+  IDBDatabase: "readonly",
+  IDBRequest: "readonly",
+  ServiceWorker: "readonly",
+  ServiceWorkerRegistration: "readonly",
+
   // Node globals
   process: "readonly",
   __dirname: "readonly",
@@ -46,6 +72,9 @@ const globals = {
   self: "readonly",
   importScripts: "readonly",
   postMessage: "readonly",
+  caches: "readonly",
+  FormData: "readonly",
+  ServiceWorkerGlobalScope: "readonly",
 
   // Custom globals
   monaco: "readonly",
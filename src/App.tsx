@@ -3,17 +3,33 @@ import { switchTab } from "./output/output-manager.ts";
 import {
   clearCanvas,
   clearOutputs,
+  continueDebug,
+  debugCode,
+  exportCanvasAnimation,
   exportCanvasImage,
+  exportCanvasVector,
   formatEditor,
   initApp,
+  openGradebook,
+  openInPrimer,
+  openLessonAuthoring,
+  openProfiles,
+  openProgressDashboard,
   openSettings,
+  pauseDebug,
   runCode,
   shareCurrentCode,
+  stepDebug,
   stopCode,
   toggleThemeMode,
+  traceCode,
   updateTurtleSpeed,
   updateStatus,
 } from "./bootstrap.ts";
+import { getEmbedOptions } from "./utils/url-sharing.ts";
+
+// Embedded in another page (?embed=1): only the editor and the output
+const embed = getEmbedOptions() !== null;
 
 function App() {
   const [navSelection, setNavSelection] = useState("lessons");
@@ -43,7 +59,7 @@ function App() {
 
   return (
     <>
-      <div id="app">
+      <div id="app" className={embed ? "embed-mode" : undefined}>
         <header className="app-header">
           <div className="header-left">
             <h1 className="logo">DWScript Primer</h1>
@@ -79,6 +95,15 @@ function App() {
             </nav>
           </div>
           <div className="header-right">
+            <button
+              id="btn-profile"
+              className="icon-btn profile-btn"
+              title="Learner Profiles"
+              onClick={openProfiles}
+            >
+              <span className="icon">👤</span>
+              <span id="profile-name" className="profile-name"></span>
+            </button>
             <button
               id="btn-share"
               className="icon-btn"
@@ -87,6 +112,30 @@ function App() {
             >
               <span className="icon">{shareIcon}</span>
             </button>
+            <button
+              id="btn-progress"
+              className="icon-btn"
+              title="Your Progress"
+              onClick={openProgressDashboard}
+            >
+              <span className="icon">📊</span>
+            </button>
+            <button
+              id="btn-gradebook"
+              className="icon-btn"
+              title="Gradebook"
+              onClick={openGradebook}
+            >
+              <span className="icon">🎓</span>
+            </button>
+            <button
+              id="btn-author"
+              className="icon-btn"
+              title="Lesson Authoring"
+              onClick={openLessonAuthoring}
+            >
+              <span className="icon">✏️</span>
+            </button>
             <button
               id="btn-settings"
               className="icon-btn"
@@ -110,6 +159,14 @@ function App() {
           <aside id="sidebar" className="sidebar">
             <div className="sidebar-header">
               <h2>Lessons</h2>
+              <div className="lesson-view-toggle" role="group" aria-label="Show lessons by">
+                <button className="lesson-view-btn active" data-view="categories" aria-pressed="true">
+                  Topics
+                </button>
+                <button className="lesson-view-btn" data-view="path" aria-pressed="false">
+                  Path
+                </button>
+              </div>
               <input
                 type="search"
                 id="lesson-search"
@@ -152,6 +209,22 @@ function App() {
                     >
                       <span className="icon">▶️</span> Run
                     </button>
+                    <button
+                      id="btn-debug"
+                      className="btn btn-secondary"
+                      title="Debug Code (stops at breakpoints; F9 toggles a breakpoint)"
+                      onClick={() => debugCode()}
+                    >
+                      <span className="icon">🐞</span> Debug
+                    </button>
+                    <button
+                      id="btn-trace"
+                      className="btn btn-secondary"
+                      title="Trace Code (record the run and scrub through it)"
+                      onClick={traceCode}
+                    >
+                      <span className="icon">⏱️</span> Trace
+                    </button>
                     <button
                       id="btn-stop"
                       className="btn btn-secondary"
@@ -177,9 +250,185 @@ function App() {
                     >
                       <span className="icon">✨</span> Format
                     </button>
+                    <button
+                      id="btn-project"
+                      className="btn btn-secondary"
+                      title="Project mode: a program with several files and units"
+                      aria-pressed="false"
+                    >
+                      <span className="icon">📁</span> Project
+                    </button>
+                    {embed && (
+                      <button
+                        id="btn-open-primer"
+                        className="btn btn-secondary"
+                        title="Open this code in DWScript Primer"
+                        onClick={openInPrimer}
+                      >
+                        <span className="icon">↗</span> Open in DWScript Primer
+                      </button>
+                    )}
+                    <button
+                      id="btn-history"
+                      className="btn btn-secondary"
+                      title="Code history: earlier versions of this code"
+                    >
+                      <span className="icon">🕘</span> History
+                    </button>
                   </div>
                 </div>
-                <div id="editor-container" className="editor-container" />
+                <div
+                  id="debug-toolbar"
+                  className="debug-toolbar"
+                  role="toolbar"
+                  aria-label="Debugger"
+                  hidden
+                >
+                  <span id="debug-status" className="debug-status" />
+                  <button
+                    id="btn-debug-continue"
+                    className="btn btn-sm"
+                    title="Continue (F5)"
+                    disabled
+                    onClick={continueDebug}
+                  >
+                    Continue
+                  </button>
+                  <button
+                    id="btn-debug-pause"
+                    className="btn btn-sm"
+                    title="Pause"
+                    disabled
+                    onClick={pauseDebug}
+                  >
+                    Pause
+                  </button>
+                  <button
+                    id="btn-debug-step-over"
+                    className="btn btn-sm"
+                    title="Step Over (F10)"
+                    onClick={() => stepDebug("over")}
+                  >
+                    Step Over
+                  </button>
+                  <button
+                    id="btn-debug-step-into"
+                    className="btn btn-sm"
+                    title="Step Into (F11)"
+                    onClick={() => stepDebug("into")}
+                  >
+                    Step Into
+                  </button>
+                  <button
+                    id="btn-debug-step-out"
+                    className="btn btn-sm"
+                    title="Step Out (Shift+F11)"
+                    disabled
+                    onClick={() => stepDebug("out")}
+                  >
+                    Step Out
+                  </button>
+                  <button
+                    id="btn-debug-stop"
+                    className="btn btn-sm"
+                    title="Stop Debugging (Shift+F5)"
+                    onClick={stopCode}
+                  >
+                    Stop
+                  </button>
+                </div>
+                <div id="project-bar" className="project-bar" hidden>
+                  <div
+                    id="project-tabs"
+                    className="project-tabs"
+                    role="tablist"
+                    aria-label="Open files"
+                  />
+                </div>
+                <div className="editor-body">
+                  <nav
+                    id="project-tree"
+                    className="project-tree"
+                    aria-label="Project files"
+                    hidden
+                  >
+                    <div className="project-tree-header">
+                      <span id="project-name" className="project-name" />
+                      <button
+                        id="btn-project-add"
+                        className="btn btn-sm"
+                        title="Add a unit to the project"
+                      >
+                        + Unit
+                      </button>
+                    </div>
+                    <ul id="project-file-list" className="project-file-list" />
+                    <div className="project-tree-footer">
+                      <button
+                        id="btn-project-import"
+                        className="btn btn-sm"
+                        title="Import a project (.zip) or add a source file"
+                      >
+                        Import
+                      </button>
+                      <button
+                        id="btn-project-export"
+                        className="btn btn-sm"
+                        title="Download the project as a .zip file"
+                      >
+                        Export
+                      </button>
+                      <input
+                        type="file"
+                        id="project-import-input"
+                        accept=".zip,.dws,.pas,.dpr,.inc"
+                        hidden
+                      />
+                    </div>
+                  </nav>
+                  <div id="editor-container" className="editor-container" />
+                </div>
+                <div
+                  id="trace-timeline"
+                  className="trace-timeline"
+                  role="group"
+                  aria-label="Execution trace"
+                  hidden
+                >
+                  <button
+                    id="btn-trace-back"
+                    className="btn btn-sm"
+                    title="Previous step"
+                    aria-label="Previous step"
+                  >
+                    ◀
+                  </button>
+                  <input
+                    type="range"
+                    id="trace-slider"
+                    className="trace-slider"
+                    min="0"
+                    max="0"
+                    defaultValue={0}
+                    aria-label="Trace step"
+                  />
+                  <button
+                    id="btn-trace-forward"
+                    className="btn btn-sm"
+                    title="Next step"
+                    aria-label="Next step"
+                  >
+                    ▶
+                  </button>
+                  <span id="trace-status" className="trace-status" />
+                  <button
+                    id="btn-trace-close"
+                    className="btn btn-sm"
+                    title="Close the timeline"
+                  >
+                    Close
+                  </button>
+                </div>
               </section>
 
               <div className="resizer vertical" id="editor-resizer" />
@@ -200,6 +449,12 @@ function App() {
                       onClick={() => handleTabClick("compiler")}
                     >
                       Compiler
+                      <span
+                        id="problems-count"
+                        className="tab-badge"
+                        aria-label="Problems"
+                        hidden
+                      />
                     </button>
                     <button
                       className={`tab ${activeTab === "graphics" ? "active" : ""}`}
@@ -208,6 +463,20 @@ function App() {
                     >
                       Graphics
                     </button>
+                    <button
+                      className={`tab ${activeTab === "input" ? "active" : ""}`}
+                      data-tab="input"
+                      onClick={() => handleTabClick("input")}
+                    >
+                      Input
+                    </button>
+                    <button
+                      className={`tab ${activeTab === "variables" ? "active" : ""}`}
+                      data-tab="variables"
+                      onClick={() => handleTabClick("variables")}
+                    >
+                      Variables
+                    </button>
                   </div>
                 </div>
                 <div className="output-container">
@@ -221,6 +490,10 @@ function App() {
                     id="output-compiler"
                     className={`output-panel ${activeTab === "compiler" ? "active" : ""}`}
                   >
+                    <div id="problems" className="problems" hidden>
+                      <h4 className="problems-heading">Problems</h4>
+                      <ul id="problems-list" className="problems-list" />
+                    </div>
                     <div className="output-content" />
                   </div>
                   <div
@@ -243,6 +516,22 @@ function App() {
                       >
                         Export PNG
                       </button>
+                      <button
+                        id="btn-export-svg"
+                        className="btn btn-sm"
+                        title="Export the drawing as vector graphics (for plotters and cutters)"
+                        onClick={exportCanvasVector}
+                      >
+                        Export SVG
+                      </button>
+                      <button
+                        id="btn-export-animation"
+                        className="btn btn-sm"
+                        title="Export the drawing as it is drawn, as an animated GIF or WebM video"
+                        onClick={exportCanvasAnimation}
+                      >
+                        Export Animation
+                      </button>
                       <label>
                         Speed:
                         <input
@@ -256,6 +545,44 @@ function App() {
                       </label>
                     </div>
                   </div>
+                  <div
+                    id="output-input"
+                    className={`output-panel ${activeTab === "input" ? "active" : ""}`}
+                  >
+                    <label htmlFor="program-input" className="program-input-label">
+                      Program input (one line per ReadLn)
+                    </label>
+                    <textarea
+                      id="program-input"
+                      className="program-input"
+                      spellCheck={false}
+                      placeholder="Leave empty to be asked when the program reads input"
+                    />
+                  </div>
+                  <div
+                    id="output-variables"
+                    className={`output-panel ${activeTab === "variables" ? "active" : ""}`}
+                  >
+                    <form id="watch-form" className="watch-form">
+                      <input
+                        type="text"
+                        id="watch-input"
+                        className="watch-input"
+                        spellCheck={false}
+                        placeholder="Add watch expression, e.g. a[i] + 1"
+                        aria-label="Watch expression"
+                      />
+                      <button type="submit" className="btn btn-sm">
+                        Watch
+                      </button>
+                    </form>
+                    <div id="watch-list" className="watch-list" />
+                    <div id="variables-tree" className="variables-tree">
+                      <p className="variables-empty">
+                        Debug a program to inspect its variables
+                      </p>
+                    </div>
+                  </div>
                 </div>
               </section>
             </div>
@@ -267,6 +594,16 @@ function App() {
             <span id="status-message">Ready</span>
           </div>
           <div className="status-right">
+            <button id="btn-update" className="status-update" hidden>
+              Update available: reload
+            </button>
+            <span
+              id="offline-status"
+              title="The app, the runtime and the lessons are stored on this device"
+              hidden
+            >
+              ✓ Offline ready
+            </span>
             <span id="memory-usage" title="Memory usage" />
             <span id="execution-time" />
             <span
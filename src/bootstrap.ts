@@ -5,22 +5,39 @@
 import {
   initMonacoEditor,
   getCode,
+  setCode,
   setupKeyboardShortcuts,
   formatCode,
 } from "./editor/monaco-setup.ts";
 import { initWASM, getWASMError } from "./core/wasm-loader.ts";
 import { initState, toggleTheme, getValue } from "./core/state-manager.ts";
-import { executeCode, stopExecution } from "./core/executor.ts";
+import {
+  executeCode,
+  stopExecution,
+  isCodeExecuting,
+  configureTimeout,
+  getExecutionConfig,
+} from "./core/executor.ts";
+import {
+  continueExecution,
+  pauseExecution,
+  stepExecute,
+  isExecutionPaused,
+} from "./core/debugger.ts";
 import {
   appendConsoleOutput,
   appendCompilerOutput,
+  getProgramInput,
+  setProgramInput,
   switchTab,
+  getCurrentTab,
 } from "./output/output-manager.ts";
 import { setupUI } from "./ui/layout.ts";
 import {
   initTurtle,
   installTurtleAPI,
   exportCanvasPNG,
+  exportCanvasSVG,
   clearTurtle,
   setTurtleSpeed,
 } from "./turtle/turtle-api.ts";
@@ -28,13 +45,46 @@ import {
   initLessonNavigation,
   loadLessonFromURL,
 } from "./lessons/navigation.ts";
-import { shareCode, loadFromURL } from "./utils/url-sharing.ts";
+import {
+  shareCode,
+  loadFromURL,
+  createShareURL,
+  getEmbedOptions,
+  type SharePayload,
+  type ShareOptions,
+} from "./utils/url-sharing.ts";
+import { showShareDialog } from "./ui/share-dialog.ts";
+import { showAuthoringPanel } from "./ui/authoring-panel.ts";
+import { showProgressDashboard } from "./ui/progress-dashboard.ts";
+import { showGradebook } from "./ui/gradebook-view.ts";
+import { initProfileSwitcher, showProfileDialog } from "./ui/profile-dialog.ts";
+import { initAchievements } from "./lessons/achievements.ts";
+import { getCurrentLesson } from "./lessons/lesson-ui.ts";
 import { showSettingsModal, initSettings } from "./ui/settings-modal.ts";
 import { initAccessibility, enhanceARIA } from "./utils/accessibility.ts";
+import { initOffline } from "./utils/offline.ts";
 import { initSnippetsPanel } from "./ui/snippets-panel.ts";
+import { initDebugToolbar } from "./ui/debug-toolbar.ts";
+import { initVariablesPanel } from "./ui/variables-panel.ts";
+import { initTraceTimeline } from "./ui/trace-timeline.ts";
+import { showAnimationExportDialog } from "./ui/animation-export-dialog.ts";
+import { initProblemsPanel } from "./ui/problems-panel.ts";
+import { initProjectPanel } from "./ui/project-panel.ts";
+import { initHistoryPanel, recordRun } from "./ui/history-panel.ts";
+import {
+  initProjectFiles,
+  closeProject,
+  getProject,
+  linkOpenProject,
+  openSharedProject,
+} from "./editor/project-files.ts";
+import { scheduleDiagnostics, DIAGNOSTICS_DELAY } from "./core/diagnostics.ts";
 
 let initialized = false;
 
+// Set when the page is embedded in another one (see getEmbedOptions)
+const embed = getEmbedOptions();
+
 /**
  * Initialize the application. Safe to call multiple times; subsequent calls are ignored.
  */
@@ -54,6 +104,9 @@ export async function initApp() {
     // Initialize accessibility features
     initAccessibility();
 
+    // Cache the app for offline use (not awaited: it does not block start-up)
+    initOffline();
+
     // Initialize Turtle Graphics
     const canvas = document.getElementById("turtle-canvas");
     if (canvas instanceof HTMLCanvasElement) {
@@ -62,14 +115,20 @@ export async function initApp() {
       console.log("Turtle Graphics initialized");
     }
 
-    // Initialize Lesson System
-    await initLessonNavigation();
-    console.log("Lesson system initialized");
+    // Initialize Lesson System (an embedded page shows no lessons)
+    if (!embed) {
+      await initLessonNavigation();
+      initAchievements();
+      console.log("Lesson system initialized");
+    }
 
     // Initialize Monaco Editor
     const editorContainer = document.getElementById("editor-container");
     if (editorContainer) {
-      const editor = await initMonacoEditor(editorContainer);
+      const editor = await initMonacoEditor(
+        editorContainer,
+        embed ? { readOnly: embed.readOnly, minimap: { enabled: false } } : {},
+      );
       setupKeyboardShortcuts();
       console.log("Monaco Editor initialized");
 
@@ -77,6 +136,17 @@ export async function initApp() {
       editor.onDidChangeCursorPosition((e) => {
         updateCursorPosition(e.position.lineNumber, e.position.column);
       });
+
+      // Check the code in the background as the user types
+      editor.onDidChangeModelContent(() => {
+        checkProgram();
+      });
+
+      // Reopen the project if the page was left in project mode
+      if (!embed) {
+        initProjectFiles();
+        window.addEventListener("projectchange", () => checkProgram());
+      }
     }
 
     // Initialize UI components
@@ -86,8 +156,21 @@ export async function initApp() {
     initSettings();
 
     // Initialize snippets panel
-    await initSnippetsPanel();
-    console.log("Snippets panel initialized");
+    if (!embed) {
+      await initSnippetsPanel();
+      console.log("Snippets panel initialized");
+    }
+
+    // Initialize debugger toolbar and variables panel
+    initDebugToolbar();
+    initVariablesPanel();
+    initTraceTimeline();
+    initProblemsPanel();
+    if (!embed) {
+      initProjectPanel();
+      initHistoryPanel();
+      initProfileSwitcher();
+    }
 
     // Enhance ARIA labels
     enhanceARIA();
@@ -143,19 +226,23 @@ export async function initApp() {
     }
 
     // Check for shared code in URL
-    const sharedCode = loadFromURL();
-    if (sharedCode && sharedCode.code) {
-      // Load shared code into editor
-      const monaco = await import("monaco-editor");
-      const editor = monaco.editor.getModels()[0];
-      if (editor) {
-        editor.setValue(sharedCode.code);
-      }
+    const shared = loadFromURL();
+    if (shared && (shared.code || shared.files?.length)) {
+      restoreShared(shared);
       console.log("Loaded shared code from URL");
     }
 
     // Load lesson from URL or default
-    await loadLessonFromURL();
+    if (!embed) {
+      await loadLessonFromURL();
+    }
+
+    // Show problems in the initial code without waiting for an edit
+    checkProgram();
+
+    if (embed?.autorun && wasmSuccess) {
+      runCode();
+    }
 
     console.log("DWScript Primer initialized successfully");
   } catch (error) {
@@ -175,14 +262,114 @@ export async function initApp() {
 }
 
 export async function runCode() {
-  const code = getCode();
-  if (!code.trim()) {
+  const { code, project } = currentProgram();
+  if (!code.trim() && !project?.errors.length) {
     updateStatus("No code to execute");
     return;
   }
 
   updateStatus("Executing...");
-  await executeCode(code);
+  const input = getProgramInput();
+  const result = await executeCode(code, {
+    ...(input !== null ? { input } : {}),
+    ...(project ? { project } : {}),
+  });
+  recordRun(result);
+}
+
+/**
+ * The program to run or check: the editor's code, or in project mode the
+ * project's files joined into one program
+ * @returns {Object} { code, project }; project is null outside project mode
+ */
+function currentProgram() {
+  const project = linkOpenProject();
+  return { code: project ? project.source : getCode(), project };
+}
+
+/**
+ * Check the program in the background
+ */
+function checkProgram() {
+  const { code, project } = currentProgram();
+  scheduleDiagnostics(code, DIAGNOSTICS_DELAY, project);
+}
+
+/**
+ * Whether the editor holds a project with several files
+ * The debugger and the trace work on the program in the editor, so they
+ * are not available for those.
+ * @returns {boolean}
+ */
+function hasSeveralFiles() {
+  const project = getProject();
+  return Boolean(project && project.files.length > 1);
+}
+
+/**
+ * Run the code under the debugger
+ * @param {string} stepMode - 'into' to pause at the first statement,
+ *   'none' to run until a breakpoint is hit
+ */
+export async function debugCode(stepMode = "none") {
+  if (hasSeveralFiles()) {
+    updateStatus("Debugging works on single-file programs only");
+    return;
+  }
+  const code = getCode();
+  if (!code.trim()) {
+    updateStatus("No code to debug");
+    return;
+  }
+
+  updateStatus("Debugging...");
+  const input = getProgramInput();
+  await executeCode(code, {
+    debug: { stepMode },
+    ...(input !== null ? { input } : {}),
+  });
+}
+
+/**
+ * Run the code while recording an execution trace for the timeline
+ */
+export async function traceCode() {
+  if (hasSeveralFiles()) {
+    updateStatus("Tracing works on single-file programs only");
+    return;
+  }
+  const code = getCode();
+  if (!code.trim()) {
+    updateStatus("No code to trace");
+    return;
+  }
+
+  updateStatus("Tracing...");
+  const input = getProgramInput();
+  await executeCode(code, {
+    trace: true,
+    ...(input !== null ? { input } : {}),
+  });
+}
+
+export function continueDebug() {
+  continueExecution();
+}
+
+export function pauseDebug() {
+  pauseExecution();
+}
+
+/**
+ * Step through the code, starting a debug session if none is running
+ * @param {string} stepType - 'into', 'over' or 'out'
+ */
+export function stepDebug(stepType) {
+  if (isExecutionPaused()) {
+    stepExecute(stepType);
+  } else if (!isCodeExecuting() && stepType !== "out") {
+    debugCode("into");
+  }
 }
 
 export function stopCode() {
@@ -216,16 +403,103 @@ export function openSettings() {
   showSettingsModal();
 }
 
+export function openLessonAuthoring() {
+  showAuthoringPanel(getCurrentLesson());
+}
+
+export function openProgressDashboard() {
+  showProgressDashboard();
+}
+
+export function openGradebook() {
+  showGradebook();
+}
+
+export function openProfiles() {
+  showProfileDialog();
+}
+
 export async function shareCurrentCode() {
-  const code = getCode();
-  const currentLesson = getValue("currentLesson");
+  const project = getProject();
+  const code = project
+    ? project.files.find((file) => file.name === project.main).content
+    : getCode();
 
-  return shareCode(code, {
-    lessonId: currentLesson,
+  const result = await shareCode(code, {
+    lessonId: getValue("currentLesson") || undefined,
     title:
       document.querySelector(".lesson-content h2")?.textContent ||
       "DWScript Code",
+    ...runSettings(),
+    ...(project
+      ? {
+          main: project.main,
+          files: project.files.filter((file) => file.name !== project.main),
+        }
+      : {}),
   });
+  showShareDialog(code, result.url);
+  return result;
+}
+
+/**
+ * The settings of the next run, for a share link
+ * @returns {ShareOptions}
+ */
+function runSettings(): ShareOptions {
+  const input = getProgramInput();
+  const speed = document.getElementById("turtle-speed") as HTMLInputElement;
+  const config = getExecutionConfig();
+  return {
+    ...(input !== null ? { input } : {}),
+    ...(speed ? { turtleSpeed: Number(speed.value) } : {}),
+    timeout: config.enableTimeout ? config.defaultTimeout : 0,
+    tab: getCurrentTab(),
+  };
+}
+
+/**
+ * Put the code and the run settings of a share link in place
+ * @param {SharePayload} shared
+ */
+function restoreShared(shared: SharePayload) {
+  if (shared.main && shared.files?.length) {
+    openSharedProject(
+      [{ name: shared.main, content: shared.code }, ...shared.files],
+      shared.main,
+    );
+  } else {
+    closeProject(false);
+    setCode(shared.code);
+  }
+
+  if (shared.input !== undefined) {
+    setProgramInput(shared.input);
+  }
+  if (shared.turtleSpeed !== undefined) {
+    const speed = document.getElementById("turtle-speed") as HTMLInputElement;
+    if (speed) {
+      speed.value = String(shared.turtleSpeed);
+    }
+    setTurtleSpeed(shared.turtleSpeed);
+  }
+  if (shared.timeout !== undefined) {
+    configureTimeout(
+      shared.timeout > 0
+        ? { enableTimeout: true, defaultTimeout: shared.timeout }
+        : { enableTimeout: false },
+    );
+  }
+  if (shared.tab) {
+    switchTab(shared.tab);
+  }
+}
+
+/**
+ * Open the code of an embedded page in the full app, in a new tab
+ */
+export function openInPrimer() {
+  window.open(createShareURL(getCode()), "_blank", "noopener");
 }
 
 export function clearCanvas() {
@@ -238,6 +512,15 @@ export function exportCanvasImage() {
   updateStatus("Canvas exported");
 }
 
+export function exportCanvasVector() {
+  exportCanvasSVG();
+  updateStatus("Drawing exported as SVG");
+}
+
+export function exportCanvasAnimation() {
+  showAnimationExportDialog();
+}
+
 export function updateTurtleSpeed(speed: number) {
   setTurtleSpeed(speed);
 }
@@ -0,0 +1,72 @@
+/**
+ * Tests for the code history
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  describeResult,
+  historyContext,
+  isRedundant,
+  snapshotsToPrune,
+  type Snapshot,
+} from "./code-history.ts";
+
+function snapshot(fields: Partial<Snapshot>): Snapshot {
+  return {
+    context: "playground",
+    code: "PrintLn('Hi');",
+    time: 0,
+    trigger: "edit",
+    ...fields,
+  };
+}
+
+describe("Code history", () => {
+  it("names the history of lessons, project files and the playground", () => {
+    expect(historyContext("hello-world")).toBe("lesson:hello-world");
+    expect(historyContext("hello-world", "Shapes.pas")).toBe(
+      "project:Shapes.pas",
+    );
+    expect(historyContext()).toBe("playground");
+  });
+
+  it("skips snapshots that repeat the newest one", () => {
+    const edit = snapshot({});
+    expect(isRedundant(null, edit)).toBe(false);
+    expect(isRedundant(edit, snapshot({ time: 1 }))).toBe(true);
+    expect(isRedundant(edit, snapshot({ code: "PrintLn('Ho');" }))).toBe(false);
+
+    // A run of unchanged code is kept unless it ended the same way
+    const run = snapshot({ trigger: "run", result: { success: true } });
+    expect(isRedundant(edit, run)).toBe(false);
+    expect(isRedundant(run, { ...run, time: 1 })).toBe(true);
+    expect(
+      isRedundant(run, {
+        ...run,
+        result: { success: false, error: "Unknown name" },
+      }),
+    ).toBe(false);
+  });
+
+  it("prunes the oldest snapshots but keeps bookmarks", () => {
+    const snapshots = [
+      snapshot({ id: 1, time: 100, bookmark: "First try" }),
+      snapshot({ id: 2, time: 200 }),
+      snapshot({ id: 3, time: 300 }),
+      snapshot({ id: 4, time: 400 }),
+    ];
+    expect(snapshotsToPrune(snapshots, 2)).toEqual([2]);
+    expect(snapshotsToPrune(snapshots, 3)).toEqual([]);
+  });
+
+  it("describes run results", () => {
+    expect(describeResult(undefined)).toBe("");
+    expect(describeResult({ success: true })).toBe("Ran without errors");
+    expect(describeResult({ success: true, outputMatched: false })).toBe(
+      "Output did not match",
+    );
+    expect(describeResult({ success: false, error: "Missing ;" })).toBe(
+      "Error: Missing ;",
+    );
+  });
+});
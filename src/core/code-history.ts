@@ -0,0 +1,228 @@
+/**
+ * Code History
+ * Versioned snapshots of the code of each lesson and of the playground
+ *
+ * Snapshots are taken on every run and after a few minutes of editing, and
+ * are kept in IndexedDB, which holds far more than the localStorage state.
+ * Every lesson, the playground and each file of a project have their own
+ * history (their "context"). Only the newest snapshots of a context are
+ * kept; bookmarked ones stay until they are deleted.
+ */
+
+import { profileKey } from "./profiles.ts";
+
+/** Outcome of the run a snapshot was taken for */
+export interface SnapshotResult {
+  success: boolean;
+  /** First error message of a failed run */
+  error?: string;
+  /** Whether the output matched the exercise, if the run was a check */
+  outputMatched?: boolean;
+}
+
+/** Why a snapshot was taken */
+export type SnapshotTrigger = "run" | "check" | "edit" | "restore";
+
+export interface Snapshot {
+  /** Assigned by the database */
+  id?: number;
+  context: string;
+  code: string;
+  /** Milliseconds since the epoch */
+  time: number;
+  trigger: SnapshotTrigger;
+  result?: SnapshotResult;
+  /** Name given by the student; bookmarked snapshots are never pruned */
+  bookmark?: string;
+}
+
+// Snapshots kept per context, not counting bookmarked ones
+export const MAX_SNAPSHOTS = 100;
+
+// Time after the first unsaved edit until a snapshot is taken
+export const EDIT_SNAPSHOT_DELAY = 3 * 60 * 1000;
+
+// Each learner profile has its own database, see profiles.ts
+const DB_NAME = "dwscript-primer-history";
+const DB_VERSION = 1;
+const STORE = "snapshots";
+
+let databasePromise: Promise<IDBDatabase> | null = null;
+
+/**
+ * Name of the history a piece of code belongs to
+ * @param {string|null} lessonId - Lesson shown next to the editor
+ * @param {string|null} projectFile - File open in project mode
+ * @returns {string}
+ */
+export function historyContext(
+  lessonId: string | null = null,
+  projectFile: string | null = null,
+) {
+  if (projectFile) {
+    return `project:${projectFile}`;
+  }
+  return lessonId ? `lesson:${lessonId}` : "playground";
+}
+
+/**
+ * Whether a new snapshot would only repeat the newest one
+ * Edits repeat it when the code is the same; runs when the result is
+ * the same, too.
+ * @param {Snapshot|null} latest - Newest snapshot of the context
+ * @param {Snapshot} snapshot - Snapshot about to be saved
+ * @returns {boolean}
+ */
+export function isRedundant(latest: Snapshot | null, snapshot: Snapshot) {
+  if (!latest || latest.code !== snapshot.code) {
+    return false;
+  }
+  if (snapshot.trigger === "edit" || snapshot.trigger === "restore") {
+    return true;
+  }
+  const a = latest.result;
+  const b = snapshot.result;
+  return (
+    latest.trigger === snapshot.trigger &&
+    Boolean(a) &&
+    Boolean(b) &&
+    a.success === b.success &&
+    a.error === b.error &&
+    a.outputMatched === b.outputMatched
+  );
+}
+
+/**
+ * Snapshots to delete so that a context keeps at most `max` of them
+ * @param {Array<Snapshot>} snapshots - Snapshots of one context
+ * @param {number} max - Unbookmarked snapshots to keep
+ * @returns {Array<number>} Ids of the oldest unbookmarked snapshots
+ */
+export function snapshotsToPrune(snapshots: Snapshot[], max = MAX_SNAPSHOTS) {
+  return snapshots
+    .filter((snapshot) => !snapshot.bookmark)
+    .sort((a, b) => b.time - a.time)
+    .slice(max)
+    .map((snapshot) => snapshot.id);
+}
+
+/**
+ * One-line description of a snapshot's run result
+ * @param {SnapshotResult} result
+ * @returns {string}
+ */
+export function describeResult(result: SnapshotResult | undefined) {
+  if (!result) {
+    return "";
+  }
+  if (!result.success) {
+    return result.error ? `Error: ${result.error}` : "Failed";
+  }
+  if (result.outputMatched === undefined) {
+    return "Ran without errors";
+  }
+  return result.outputMatched ? "Output matched" : "Output did not match";
+}
+
+/**
+ * Whether snapshots can be stored in this browser
+ * @returns {boolean}
+ */
+export function isHistoryAvailable() {
+  return typeof indexedDB !== "undefined";
+}
+
+/**
+ * Open the database, creating the store on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const open = indexedDB.open(profileKey(DB_NAME), DB_VERSION);
+      open.onupgradeneeded = () => {
+        const store = open.result.createObjectStore(STORE, {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+        store.createIndex("context", "context");
+      };
+      open.onsuccess = () => resolve(open.result);
+      open.onerror = () => {
+        databasePromise = null;
+        reject(open.error);
+      };
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Wait for a request of a transaction
+ * @param {IDBRequest} request
+ * @returns {Promise<any>} The request's result
+ */
+function settle<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get the snapshots of a context
+ * @param {string} context
+ * @returns {Promise<Array<Snapshot>>} Newest first
+ */
+export async function listSnapshots(context: string): Promise<Snapshot[]> {
+  const database = await openDatabase();
+  const index = database
+    .transaction(STORE, "readonly")
+    .objectStore(STORE)
+    .index("context");
+  const snapshots: Snapshot[] = await settle(index.getAll(context));
+  return snapshots.sort((a, b) => b.time - a.time);
+}
+
+/**
+ * Save a snapshot and prune the oldest ones of its context
+ * @param {Snapshot} snapshot - Snapshot without id
+ * @returns {Promise<Snapshot|null>} The saved snapshot, or null if it would
+ *   only repeat the newest one
+ */
+export async function saveSnapshot(snapshot: Snapshot) {
+  const snapshots = await listSnapshots(snapshot.context);
+  if (isRedundant(snapshots[0] || null, snapshot)) {
+    return null;
+  }
+
+  const database = await openDatabase();
+  const store = database.transaction(STORE, "readwrite").objectStore(STORE);
+  const id = (await settle(store.add(snapshot))) as number;
+  const saved = { ...snapshot, id };
+  for (const oldId of snapshotsToPrune([saved, ...snapshots])) {
+    store.delete(oldId);
+  }
+  return saved;
+}
+
+/**
+ * Bookmark a snapshot under a name, or remove its bookmark
+ * @param {number} id - Snapshot id
+ * @param {string|null} name - Bookmark name; empty or null removes it
+ * @returns {Promise<void>}
+ */
+export async function bookmarkSnapshot(id: number, name: string | null) {
+  const database = await openDatabase();
+  const store = database.transaction(STORE, "readwrite").objectStore(STORE);
+  const snapshot: Snapshot | undefined = await settle(store.get(id));
+  if (!snapshot) {
+    return;
+  }
+  if (name?.trim()) {
+    snapshot.bookmark = name.trim();
+  } else {
+    delete snapshot.bookmark;
+  }
+  await settle(store.put(snapshot));
+}
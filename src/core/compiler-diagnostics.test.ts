@@ -0,0 +1,85 @@
+/**
+ * Tests for Compiler Diagnostics
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  collectDiagnostics,
+  parseDiagnosticText,
+} from "./compiler-diagnostics.ts";
+
+describe("Compiler Diagnostics", () => {
+  it("reads severity and position from DWScript message text", () => {
+    expect(
+      parseDiagnosticText(
+        "Syntax Error: Semicolon expected [line: 3, column: 12]",
+      ),
+    ).toEqual({
+      severity: "error",
+      message: "Semicolon expected",
+      line: 3,
+      column: 12,
+    });
+    expect(parseDiagnosticText("Unknown name")).toEqual({
+      severity: null,
+      message: "Unknown name",
+      line: 0,
+      column: 0,
+    });
+  });
+
+  it("collects errors and warnings sorted by position", () => {
+    const diagnostics = collectDiagnostics({
+      errors: [
+        {
+          type: "CompileError",
+          message: 'Unknown name "x"',
+          line: 7,
+          column: 3,
+        },
+        {
+          type: "Error",
+          message: "Unexpected end of file",
+          line: 0,
+          column: 0,
+        },
+      ],
+      warnings: [
+        'Hint: Variable "i" declared but never used [line: 2, column: 5]',
+        "Warning: Implicit cast [line: 7, column: 1]",
+      ],
+    });
+
+    expect(
+      diagnostics.map(({ severity, line, column }) => [severity, line, column]),
+    ).toEqual([
+      ["hint", 2, 5],
+      ["warning", 7, 1],
+      ["error", 7, 3],
+      ["error", 0, 0],
+    ]);
+    expect(diagnostics[0].message).toBe('Variable "i" declared but never used');
+    expect(diagnostics[2].endColumn).toBeNull();
+  });
+
+  it("keeps structured end columns and severities", () => {
+    const [diagnostic] = collectDiagnostics({
+      errors: [
+        {
+          severity: "warning",
+          message: "Unused result",
+          line: 4,
+          column: 2,
+          endColumn: 9,
+        },
+      ],
+    });
+    expect(diagnostic).toEqual({
+      severity: "warning",
+      message: "Unused result",
+      line: 4,
+      column: 2,
+      endColumn: 9,
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Compiler Diagnostics
+ * Turns the compiler's error and warning messages into diagnostics with a
+ * severity and a source position
+ *
+ * go-dws reports positions either as fields of an error object or inside
+ * the message text, DWScript style: "Hint: ... [line: 2, column: 5]".
+ */
+
+export type DiagnosticSeverity = "error" | "warning" | "hint";
+
+export interface Diagnostic {
+  severity: DiagnosticSeverity;
+  message: string;
+  /** 1-based; 0 when the compiler gave no position */
+  line: number;
+  column: number;
+  /** Exclusive end of the range on the same line, when the compiler knows it */
+  endColumn: number | null;
+  /** Project file the position is in; absent for single-file programs */
+  file?: string;
+}
+
+/**
+ * Turn a compile result into diagnostics, sorted by position
+ * @param {Object} result - Result from compileInWorker ({ errors, warnings })
+ * @returns {Array<Diagnostic>}
+ */
+export function collectDiagnostics(result): Diagnostic[] {
+  const collected: Diagnostic[] = [];
+  (result?.errors || []).forEach((error) => {
+    collected.push(toDiagnostic(error, "error"));
+  });
+  (result?.warnings || []).forEach((warning) => {
+    collected.push(toDiagnostic(warning, "warning"));
+  });
+
+  return collected.sort(
+    (a, b) =>
+      (a.line || Infinity) - (b.line || Infinity) || a.column - b.column,
+  );
+}
+
+/**
+ * Convert one compiler message
+ * Structured positions win; otherwise the position and severity are read
+ * from DWScript's message text, e.g.
+ * "Syntax Error: Semicolon expected [line: 3, column: 12]".
+ * @param {Object|string} message - Error object or message text
+ * @param {DiagnosticSeverity} fallback - Severity when the message has none
+ * @returns {Diagnostic}
+ */
+export function toDiagnostic(
+  message,
+  fallback: DiagnosticSeverity,
+): Diagnostic {
+  const text =
+    typeof message === "string" ? message : String(message?.message ?? "");
+  const parsed = parseDiagnosticText(text);
+
+  const line = Number(message?.line) || parsed.line;
+  const column = Number(message?.column) || parsed.column;
+  return {
+    severity:
+      toSeverity(message?.severity) ||
+      parsed.severity ||
+      toSeverity(message?.type) ||
+      fallback,
+    message: parsed.message,
+    line,
+    column: line > 0 ? Math.max(1, column) : 0,
+    endColumn: Number(message?.endColumn) || null,
+  };
+}
+
+/**
+ * Read the severity prefix and position suffix of a DWScript message
+ * @param {string} text - Message text
+ * @returns {Object} { severity, message, line, column }
+ */
+export function parseDiagnosticText(text: string) {
+  let message = text.trim();
+  let line = 0;
+  let column = 0;
+
+  const position = message.match(
+    /\s*\[line:\s*(\d+)(?:,\s*column:\s*(\d+))?\]\s*$/i,
+  );
+  if (position) {
+    line = parseInt(position[1]);
+    column = position[2] ? parseInt(position[2]) : 0;
+    message = message.slice(0, position.index).trim();
+  }
+
+  let severity: DiagnosticSeverity | null = null;
+  const prefix = message.match(
+    /^(syntax error|compile error|error|warning|hint)\s*:\s*/i,
+  );
+  if (prefix) {
+    severity = toSeverity(prefix[1]);
+    message = message.slice(prefix[0].length);
+  }
+
+  return { severity, message, line, column };
+}
+
+/**
+ * Map a severity or error type name to a severity
+ * @param {string} name - e.g. "Warning", "SyntaxError", "hint"
+ * @returns {DiagnosticSeverity|null}
+ */
+function toSeverity(name): DiagnosticSeverity | null {
+  if (typeof name !== "string") {
+    return null;
+  }
+  if (/hint/i.test(name)) {
+    return "hint";
+  }
+  if (/warn/i.test(name)) {
+    return "warning";
+  }
+  if (/error/i.test(name)) {
+    return "error";
+  }
+  return null;
+}
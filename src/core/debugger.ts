@@ -1,16 +1,24 @@
 /**
  * DWScript Debugger
- * Provides step execution and debugging capabilities
+ * Provides breakpoints and step execution
  *
- * NOTE: This is a placeholder implementation. Full debugging support
- * depends on go-dws implementing breakpoint and step execution APIs.
- *
- * Possible implementation approaches:
- * 1. Native debugging API in go-dws (ideal, requires go-dws changes)
- * 2. Code injection approach (inject PrintLn at each line for manual stepping)
- * 3. AST-based transformation (parse code and add breakpoints)
+ * go-dws has no debugging API, so the debugger works on instrumented source
+ * (see instrumentation.ts): the program calls a host function before every
+ * statement, and the worker blocks in that call while execution is paused.
+ * This module holds the main-thread side of a session: breakpoints, the
+ * paused location, call stack and variables, the watch list, and the
+ * commands that resume the worker. State changes are published as
+ * "debugger" window events.
  */
 
+import {
+  instrumentProgram,
+  type DebugVariableValue,
+} from "./instrumentation.ts";
+import { evaluateWatch } from "./watch-evaluator.ts";
+import { interruptWorkerExecution } from "../workers/worker-manager.ts";
+import { getValue, setValue } from "./state-manager.ts";
+
 /**
  * Debugger state
  */
@@ -18,29 +26,35 @@ const debuggerState = {
   enabled: false,
   isPaused: false,
   currentLine: 0,
-  breakpoints: new Set(),
+  pauseReason: null,
+  breakpoints: new Set<number>(),
   stepMode: "none", // 'none', 'into', 'over', 'out'
   callStack: [],
-  variables: new Map(),
+  // Variables at the last pause or at program end, innermost scope first
+  variables: [] as DebugVariableValue[],
+  steppableLines: [],
 };
 
+// Resolves the worker's pending pause with the next command
+let pendingResume = null;
+
 /**
  * Initialize the debugger
  * @param {Object} _options - Debugger options
  */
 export function initDebugger(_options = {}) {
-  debuggerState.enabled = true;
+  debuggerState.enabled = false;
   debuggerState.isPaused = false;
   debuggerState.breakpoints.clear();
   debuggerState.callStack = [];
-  debuggerState.variables.clear();
+  debuggerState.variables = [];
 
-  console.log("Debugger initialized (placeholder implementation)");
   return { success: true, message: "Debugger ready" };
 }
 
 /**
  * Set a breakpoint at a specific line
+ * Breakpoints added while the program runs take effect at the next pause.
  * @param {number} line - Line number
  */
 export function setBreakpoint(line) {
@@ -72,12 +86,22 @@ export function toggleBreakpoint(line) {
   }
 }
 
+/**
+ * Replace all breakpoints (e.g. after editing moved them to other lines)
+ * @param {Array<number>} lines - Line numbers
+ */
+export function setBreakpoints(lines) {
+  debuggerState.breakpoints = new Set(lines);
+  dispatchDebuggerEvent("breakpoints-changed", { lines: getBreakpoints() });
+  return { success: true };
+}
+
 /**
  * Get all active breakpoints
  * @returns {Array<number>} Array of line numbers
  */
 export function getBreakpoints() {
-  return Array.from(debuggerState.breakpoints);
+  return Array.from(debuggerState.breakpoints).sort((a, b) => a - b);
 }
 
 /**
@@ -90,81 +114,160 @@ export function clearBreakpoints() {
 }
 
 /**
- * Start step execution
- * @param {string} code - Code to execute
- * @param {string} stepType - 'into', 'over', or 'out'
- * @returns {Promise<Object>} Step result
+ * Start a debug session
+ * Called by the executor before running code in debug mode.
+ * @param {string} code - Original source code
+ * @param {string} stepMode - 'into' to pause at the first statement,
+ *   'none' to run until the first breakpoint
+ * @returns {Object} Instrumented code and the worker's debug options
  */
-export async function stepExecute(code, stepType = "into") {
-  if (!debuggerState.enabled) {
-    return {
-      success: false,
-      message: "Debugger not enabled",
-    };
-  }
+export function startDebugSession(code, stepMode = "none") {
+  const instrumented = instrumentProgram(code);
 
-  debuggerState.stepMode = stepType;
-
-  // TODO: Implement actual step execution
-  // This would require either:
-  // 1. Native debugging support from go-dws
-  // 2. Code transformation to inject breakpoints
-  // 3. AST-based execution control
+  debuggerState.enabled = true;
+  debuggerState.isPaused = false;
+  debuggerState.currentLine = 0;
+  debuggerState.pauseReason = null;
+  debuggerState.stepMode = stepMode;
+  debuggerState.callStack = [];
+  debuggerState.variables = [];
+  debuggerState.steppableLines = instrumented.lines;
 
-  console.warn(
-    "Step execution not yet implemented - requires go-dws debugging API",
-  );
+  dispatchDebuggerEvent("session-started", { lines: instrumented.lines });
+  dispatchDebuggerEvent("variables-updated", { variables: [] });
 
   return {
-    success: false,
-    message: "Step execution requires go-dws debugging support",
-    currentLine: 0,
-    variables: {},
+    code: instrumented.code,
+    debug: {
+      breakpoints: getBreakpoints(),
+      stepMode: stepMode === "none" ? "continue" : stepMode,
+    },
   };
 }
 
 /**
- * Continue execution from current breakpoint
- * @returns {Promise<Object>} Execution result
+ * Handle a pause reported by the worker
+ * @param {Object} pause - Pause details
+ * @param {number} pause.line - Line execution is paused at
+ * @param {string} pause.reason - 'breakpoint', 'step' or 'pause'
+ * @param {Array<Object>} pause.callStack - Frames, innermost first
+ * @param {Array<Object>} pause.variables - Variables in scope
+ * @returns {Promise<Object>} Resolves with the command for the worker
+ */
+export function handleDebugPause(pause) {
+  debuggerState.isPaused = true;
+  debuggerState.currentLine = pause.line;
+  debuggerState.pauseReason = pause.reason;
+  debuggerState.callStack = pause.callStack || [];
+  setVariables(pause.variables || []);
+
+  dispatchDebuggerEvent("execution-paused", {
+    line: pause.line,
+    reason: pause.reason,
+    callStack: getCallStack(),
+  });
+
+  return new Promise<{ action: string; breakpoints?: number[] }>((resolve) => {
+    pendingResume = resolve;
+  });
+}
+
+/**
+ * Handle the variable snapshot taken when a debugged program finishes
+ * @param {Array<Object>} variables - Variables in scope at the end
+ */
+export function handleDebugSnapshot(variables) {
+  setVariables(variables || []);
+}
+
+/**
+ * Replace the inspected variables and notify the inspector
+ * @param {Array<Object>} variables - Variables, innermost scope first
+ */
+function setVariables(variables: DebugVariableValue[]) {
+  debuggerState.variables = variables;
+  dispatchDebuggerEvent("variables-updated", { variables });
+}
+
+/**
+ * End the current debug session (program finished or was stopped)
+ * The last variables stay available for inspection until the next session.
+ */
+export function endDebugSession() {
+  if (!debuggerState.enabled) {
+    return;
+  }
+
+  if (pendingResume) {
+    pendingResume({ action: "continue" });
+    pendingResume = null;
+  }
+
+  debuggerState.enabled = false;
+  debuggerState.isPaused = false;
+  debuggerState.currentLine = 0;
+  debuggerState.pauseReason = null;
+  debuggerState.stepMode = "none";
+  debuggerState.callStack = [];
+
+  dispatchDebuggerEvent("session-ended");
+}
+
+/**
+ * Resume the paused program
+ * @param {string} action - 'continue', 'into', 'over' or 'out'
+ * @returns {Object} Result
  */
-export async function continueExecution() {
-  if (!debuggerState.isPaused) {
+function resume(action) {
+  if (!debuggerState.isPaused || !pendingResume) {
     return {
       success: false,
-      message: "Not paused at breakpoint",
+      message: "Not paused",
     };
   }
 
+  const resolve = pendingResume;
+  pendingResume = null;
+
   debuggerState.isPaused = false;
-  debuggerState.stepMode = "none";
+  debuggerState.stepMode = action === "continue" ? "none" : action;
 
-  // TODO: Resume execution
-  console.warn("Continue execution not yet implemented");
+  dispatchDebuggerEvent("execution-resumed", { action });
+  resolve({ action, breakpoints: getBreakpoints() });
 
-  return {
-    success: false,
-    message: "Continue execution requires go-dws debugging support",
-  };
+  return { success: true };
+}
+
+/**
+ * Execute the next step of a paused program
+ * @param {string} stepType - 'into', 'over', or 'out'
+ * @returns {Object} Step result
+ */
+export function stepExecute(stepType = "into") {
+  return resume(stepType);
 }
 
 /**
- * Pause execution
+ * Continue execution from current breakpoint
+ * @returns {Object} Execution result
+ */
+export function continueExecution() {
+  return resume("continue");
+}
+
+/**
+ * Pause a running debug session at its next statement
  * @returns {Object} Result
  */
 export function pauseExecution() {
-  if (!debuggerState.enabled) {
+  if (!debuggerState.enabled || debuggerState.isPaused) {
     return {
       success: false,
-      message: "Debugger not enabled",
+      message: "Debugger not running",
     };
   }
 
-  debuggerState.isPaused = true;
-  dispatchDebuggerEvent("execution-paused", {
-    line: debuggerState.currentLine,
-  });
-
-  return { success: true };
+  return { success: interruptWorkerExecution() };
 }
 
 /**
@@ -174,38 +277,67 @@ export function pauseExecution() {
 export function getDebuggerState() {
   return {
     ...debuggerState,
-    breakpoints: Array.from(debuggerState.breakpoints),
+    breakpoints: getBreakpoints(),
   };
 }
 
 /**
- * Get variable values at current execution point
- * @returns {Object} Variables map
+ * Get variable values at the current pause, or at the end of the last run
+ * @returns {Array<Object>} Variables ({ name, type, scope, value }),
+ *   innermost scope first
  */
 export function getVariables() {
-  // TODO: Retrieve actual variable values from runtime
-  return Object.fromEntries(debuggerState.variables);
+  return [...debuggerState.variables];
 }
 
 /**
- * Evaluate an expression in the current context
- * @param {string} _expression - Expression to evaluate
- * @returns {Promise<Object>} Evaluation result
+ * Evaluate an expression against the current variables
+ * @param {string} expression - Expression to evaluate
+ * @returns {Object} Evaluation result ({ success, value, type, message })
  */
-export async function evaluateExpression(_expression) {
-  // TODO: Implement expression evaluation
-  console.warn("Expression evaluation not yet implemented");
+export function evaluateExpression(expression) {
+  return evaluateWatch(expression, debuggerState.variables);
+}
 
-  return {
-    success: false,
-    message: "Expression evaluation requires go-dws debugging support",
-    value: null,
-  };
+/**
+ * Get the watch expressions
+ * @returns {Array<string>}
+ */
+export function getWatches(): string[] {
+  return [...(getValue("watchExpressions") || [])];
+}
+
+/**
+ * Add a watch expression
+ * Watches are kept across sessions and re-evaluated at every pause.
+ * @param {string} expression - Expression to watch
+ */
+export function addWatch(expression) {
+  const trimmed = expression.trim();
+  if (!trimmed) {
+    return { success: false, message: "Empty expression" };
+  }
+
+  setValue("watchExpressions", [...getWatches(), trimmed]);
+  dispatchDebuggerEvent("watches-changed", { watches: getWatches() });
+  return { success: true };
+}
+
+/**
+ * Remove a watch expression
+ * @param {number} index - Position in the watch list
+ */
+export function removeWatch(index) {
+  const watches = getWatches();
+  watches.splice(index, 1);
+  setValue("watchExpressions", watches);
+  dispatchDebuggerEvent("watches-changed", { watches });
+  return { success: true };
 }
 
 /**
  * Get current call stack
- * @returns {Array<Object>} Call stack frames
+ * @returns {Array<Object>} Call stack frames, innermost first
  */
 export function getCallStack() {
   return [...debuggerState.callStack];
@@ -215,19 +347,16 @@ export function getCallStack() {
  * Disable the debugger
  */
 export function disableDebugger() {
-  debuggerState.enabled = false;
-  debuggerState.isPaused = false;
-  debuggerState.stepMode = "none";
+  endDebugSession();
   debuggerState.breakpoints.clear();
-  debuggerState.callStack = [];
-  debuggerState.variables.clear();
+  debuggerState.variables = [];
 
   dispatchDebuggerEvent("debugger-disabled");
   return { success: true };
 }
 
 /**
- * Check if debugger is enabled
+ * Check if a debug session is running
  * @returns {boolean}
  */
 export function isDebuggerEnabled() {
@@ -260,61 +389,12 @@ function dispatchDebuggerEvent(eventType, detail = {}) {
 }
 
 /**
- * Alternative approach: Code injection for manual stepping
- * This injects PrintLn statements at each line to enable manual stepping
+ * Instrument code for stepping
+ * Adds a step callback before every statement; see instrumentation.ts.
  *
  * @param {string} code - Original code
  * @returns {string} Instrumented code
  */
 export function instrumentCodeForStepping(code) {
-  // This is a simple approach that could work without go-dws changes
-  const lines = code.split("\n");
-  const instrumented = [];
-
-  let lineNumber = 1;
-  for (const line of lines) {
-    // Skip empty lines and comments
-    if (line.trim() === "" || line.trim().startsWith("//")) {
-      instrumented.push(line);
-      lineNumber++;
-      continue;
-    }
-
-    // Add debug line marker before each statement
-    if (debuggerState.breakpoints.has(lineNumber)) {
-      instrumented.push(`  // BREAKPOINT at line ${lineNumber}`);
-    }
-
-    instrumented.push(line);
-    lineNumber++;
-  }
-
-  return instrumented.join("\n");
+  return instrumentProgram(code).code;
 }
-
-/**
- * Research notes for future implementation:
- *
- * To implement full debugging support, we need to:
- *
- * 1. Check if go-dws supports breakpoints and step execution
- *    - Look for APIs like: setBreakpoint(), step(), continue()
- *    - Check if WASM exports debugging hooks
- *
- * 2. If not available, implement via code transformation:
- *    - Parse DWScript code into AST
- *    - Inject callback hooks at each statement
- *    - Control execution flow via callbacks
- *
- * 3. Variable inspection:
- *    - Requires runtime introspection API from go-dws
- *    - Or maintain shadow variable state during execution
- *
- * 4. Call stack tracking:
- *    - Hook into function enter/exit
- *    - Maintain stack frame history
- *
- * 5. Expression evaluation:
- *    - Compile expression in current scope context
- *    - Execute with current variable bindings
- */
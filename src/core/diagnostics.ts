@@ -0,0 +1,130 @@
+/**
+ * Diagnostics Service
+ * Compiles the editor contents in the background and reports the compiler's
+ * errors, warnings and hints while the user types
+ *
+ * Checks run in the worker (compileInWorker), so typing never waits for the
+ * compiler. Edits are debounced; a check requested while a program runs is
+ * postponed until the run has finished, so it cannot delay or interfere with
+ * that run. Results are published as "diagnostics" window events and read by
+ * the editor markers and the Problems list.
+ *
+ * For multi-file projects the joined program is checked and each diagnostic
+ * is moved to the file it belongs to.
+ */
+
+import {
+  compileInWorker,
+  isWorkerInitialized,
+} from "../workers/worker-manager.ts";
+import { isCodeExecuting } from "./executor.ts";
+import { collectDiagnostics, type Diagnostic } from "./compiler-diagnostics.ts";
+import { mapDiagnostics, type LinkedProject } from "./project-linker.ts";
+
+// Wait this long after the last edit before compiling
+export const DIAGNOSTICS_DELAY = 500;
+
+let diagnostics: Diagnostic[] = [];
+let pendingCode: string | null = null;
+let pendingProject: LinkedProject | null = null;
+let timer: ReturnType<typeof setTimeout> | null = null;
+// Incremented for every check, so results of outdated checks are dropped
+let checkId = 0;
+let unavailable = false;
+
+/**
+ * Check code after the user has stopped typing
+ * @param {string} code - Editor contents, or the joined program of a project
+ * @param {number} delay - Debounce delay in milliseconds
+ * @param {LinkedProject} project - The project the code was joined from
+ */
+export function scheduleDiagnostics(
+  code: string,
+  delay = DIAGNOSTICS_DELAY,
+  project: LinkedProject | null = null,
+) {
+  pendingCode = code;
+  pendingProject = project;
+  if (timer) {
+    clearTimeout(timer);
+  }
+  timer = setTimeout(() => {
+    timer = null;
+    runPendingCheck(delay);
+  }, delay);
+}
+
+function runPendingCheck(delay: number) {
+  if (pendingCode === null) {
+    return;
+  }
+  // The worker may be busy with the program; try again once it is done
+  if (isCodeExecuting()) {
+    scheduleDiagnostics(pendingCode, delay, pendingProject);
+    return;
+  }
+
+  const code = pendingCode;
+  pendingCode = null;
+  checkDiagnostics(code, pendingProject);
+}
+
+/**
+ * Compile code now and publish its diagnostics
+ * @param {string} code - Code to check
+ * @param {LinkedProject} project - The project the code was joined from
+ * @returns {Promise<Array<Diagnostic>|null>} The diagnostics, or null when
+ *   the check was superseded or the compiler is unavailable
+ */
+export async function checkDiagnostics(
+  code: string,
+  project: LinkedProject | null = null,
+) {
+  // A project that cannot be joined is not compiled
+  if (project?.errors.length) {
+    ++checkId;
+    publish(project.errors);
+    return diagnostics;
+  }
+  if (unavailable) {
+    return null;
+  }
+
+  const id = ++checkId;
+  let result;
+  try {
+    result = await compileInWorker(code);
+  } catch (error) {
+    // Stopping a run restarts the worker and rejects pending requests;
+    // a worker that never started will not start on the next edit either
+    if (!/stopped/i.test(error.message) && !isWorkerInitialized()) {
+      console.warn("Diagnostics unavailable:", error.message);
+      unavailable = true;
+    }
+    return null;
+  }
+
+  // Edits made while compiling have scheduled a newer check
+  if (id !== checkId || pendingCode !== null) {
+    return null;
+  }
+
+  const collected = collectDiagnostics(result);
+  publish(project ? mapDiagnostics(project, collected) : collected);
+  return diagnostics;
+}
+
+function publish(found: Diagnostic[]) {
+  diagnostics = found;
+  window.dispatchEvent(
+    new CustomEvent("diagnostics", { detail: { diagnostics } }),
+  );
+}
+
+/**
+ * Get the diagnostics of the last check
+ * @returns {Array<Diagnostic>}
+ */
+export function getDiagnostics() {
+  return diagnostics;
+}
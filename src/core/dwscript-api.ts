@@ -9,6 +9,8 @@
  * - Simplified API surface
  */
 
+import { InputQueue, type ProgramInput } from "./input-queue.ts";
+
 /**
  * DWScript API wrapper class
  */
@@ -17,6 +19,10 @@ export class DWScriptAPI {
   initialized: boolean;
   programs: Map<string, any>;
   executionTimeout: number;
+  inputHandler: (() => string) | null;
+  inputQueue: InputQueue | null;
+  outputListeners: Set<(text: string) => void>;
+  quiet: boolean;
   performanceMetrics: {
     totalExecutions: number;
     totalCompilations: number;
@@ -30,6 +36,10 @@ export class DWScriptAPI {
     this.initialized = false;
     this.programs = new Map(); // Cache compiled programs
     this.executionTimeout = 30000; // Default 30 seconds
+    this.inputHandler = null;
+    this.inputQueue = null;
+    this.outputListeners = new Set();
+    this.quiet = false;
     this.performanceMetrics = {
       totalExecutions: 0,
       totalCompilations: 0,
@@ -54,11 +64,23 @@ export class DWScriptAPI {
     }
 
     this.instance = new DWScriptCtor();
+    this.inputHandler = handlers.onInput || (() => prompt("Input:"));
 
+    const onOutput = handlers.onOutput || console.log;
+    const onError = handlers.onError || console.error;
     await this.instance.init({
-      onOutput: handlers.onOutput || console.log,
-      onError: handlers.onError || console.error,
-      onInput: handlers.onInput || (() => prompt("Input:")),
+      onOutput: (text) => {
+        if (!this.quiet) {
+          this.outputListeners.forEach((listener) => listener(text));
+          onOutput(text);
+        }
+      },
+      onError: (error) => {
+        if (!this.quiet) {
+          onError(error);
+        }
+      },
+      onInput: () => this.readInput(),
     });
 
     this.initialized = true;
@@ -68,6 +90,23 @@ export class DWScriptAPI {
     return version;
   }
 
+  /**
+   * Observe program output in addition to the onOutput handler
+   * Used by the execution trace to place output on its timeline.
+   * @param {Function} listener - Called with each chunk of output
+   */
+  addOutputListener(listener: (text: string) => void) {
+    this.outputListeners.add(listener);
+  }
+
+  /**
+   * Stop observing program output
+   * @param {Function} listener - Listener passed to addOutputListener
+   */
+  removeOutputListener(listener: (text: string) => void) {
+    this.outputListeners.delete(listener);
+  }
+
   /**
    * Compile source code
    * @param {string} source - DWScript source code
@@ -101,6 +140,10 @@ export class DWScriptAPI {
    * @param {string} source - DWScript source code
    * @param {Object} options - Execution options
    * @param {number} options.timeout - Timeout in milliseconds (optional)
+   * @param {string|Array<string>} options.input - Scripted stdin for ReadLn (optional)
+   * @param {boolean} options.quiet - Keep output and errors from the
+   *   handlers and listeners and never ask for input; the result still
+   *   has the output
    * @returns {Promise<Object>} Normalized result
    */
   async eval(source: string, options: any = {}) {
@@ -108,6 +151,8 @@ export class DWScriptAPI {
 
     const timeout = options.timeout || this.executionTimeout;
     const startTime = performance.now();
+    this.inputQueue = new InputQueue(options.input);
+    this.quiet = Boolean(options.quiet);
 
     try {
       let result;
@@ -133,16 +178,45 @@ export class DWScriptAPI {
       const executionTime = performance.now() - startTime;
       this.updateMetrics(executionTime, false);
       return this.normalizeError(error);
+    } finally {
+      this.inputQueue = null;
+      this.quiet = false;
     }
   }
 
+  /**
+   * Answer a ReadLn request from the runtime
+   * Scripted input is consumed first; once it is exhausted ReadLn sees an
+   * empty line. Without scripted input the interactive handler is asked.
+   * @returns {string} The line to hand to the program
+   */
+  readInput() {
+    const queue = this.inputQueue;
+
+    if (queue) {
+      const line = queue.next();
+      if (line !== null) {
+        return line;
+      }
+      if (queue.isScripted()) {
+        return "";
+      }
+    }
+
+    const line = this.inputHandler && !this.quiet ? this.inputHandler() : "";
+    return line === null || line === undefined ? "" : String(line);
+  }
+
   /**
    * Run a previously compiled program
    * @param {number|string} programRef - Program ID or cache key
+   * @param {Object} options - Run options
+   * @param {string|Array<string>} options.input - Scripted stdin for ReadLn (optional)
    * @returns {Object} Normalized result
    */
-  run(programRef: number | string) {
+  run(programRef: number | string, options: { input?: ProgramInput } = {}) {
     this.assertInitialized();
+    this.inputQueue = new InputQueue(options.input);
 
     try {
       const program =
@@ -158,6 +232,8 @@ export class DWScriptAPI {
       return this.normalizeResult(result);
     } catch (error) {
       return this.normalizeError(error);
+    } finally {
+      this.inputQueue = null;
     }
   }
 
@@ -8,25 +8,39 @@ import {
   clearOutput,
   appendConsoleOutput,
   appendCompilerOutput,
+  requestConsoleInput,
+  cancelConsoleInput,
 } from "../output/output-manager.ts";
-import { clearTurtle } from "../turtle/turtle-api.ts";
+import { clearTurtle, usesTurtleAPI } from "../turtle/turtle-api.ts";
 import {
   executeInWorker,
   stopWorkerExecution,
   isWorkerInitialized,
   initWorker,
 } from "../workers/worker-manager.ts";
+import { isSyncChannelSupported } from "../workers/sync-channel.ts";
+import {
+  startDebugSession,
+  handleDebugPause,
+  handleDebugSnapshot,
+  endDebugSession,
+} from "./debugger.ts";
+import { startTrace, stopTrace } from "./trace-recorder.ts";
 import {
   announceOutput,
   announceError,
   announceStatus,
 } from "../utils/accessibility.ts";
-import { addErrorMarkers, clearErrorMarkers } from "../editor/monaco-setup.ts";
+import { addErrorMarkers } from "../editor/monaco-setup.ts";
+import { getDiagnostics } from "./diagnostics.ts";
+import { mapDiagnostics, type LinkedProject } from "./project-linker.ts";
+import type { ProgramInput } from "./input-queue.ts";
 
 let isExecuting = false;
 let executionStartTime = 0;
 let executionTimer = null;
 let currentExecutionAbortController = null;
+let currentExecutionInWorker = false;
 
 // Worker execution mode (can be toggled)
 let useWorkerExecution = false; // Disabled by default, can be enabled in settings
@@ -59,20 +73,63 @@ let executionMetrics = {
  * Execute the current code
  * @param {string} code - The DWScript code to execute
  * @param {Object} options - Execution options
+ * @param {boolean} options.useWorker - Override the worker execution mode.
+ *   By default, programs that read input without scripted input run in the
+ *   worker so ReadLn can use the interactive console.
+ * @param {number} options.timeout - Timeout in milliseconds
+ * @param {string|Array<string>} options.input - Scripted stdin, one line per ReadLn
+ * @param {Object} options.debug - Run under the debugger (always in the
+ *   worker); debug.stepMode 'into' pauses at the first statement
+ * @param {boolean} options.trace - Record an execution trace (always on the
+ *   main thread, where the turtle canvas is); returned as result.trace and
+ *   dispatched as an "executiontrace" event
+ * @param {LinkedProject} options.project - The project the code was joined
+ *   from; errors are reported in its files, and a project that could not
+ *   be joined is not run
  * @returns {Promise<Object>} Execution result
  */
 export async function executeCode(
   code: string,
-  options: { useWorker?: boolean; timeout?: number } = {},
+  options: {
+    useWorker?: boolean;
+    timeout?: number;
+    input?: ProgramInput;
+    debug?: { stepMode?: string };
+    trace?: boolean;
+    project?: LinkedProject;
+  } = {},
 ) {
   if (isExecuting) {
     console.warn("Code is already executing");
     return { success: false, message: "Already executing" };
   }
 
+  // The debugger pauses the worker thread, which needs SharedArrayBuffer
+  if (options.debug && !isSyncChannelSupported()) {
+    appendCompilerOutput(
+      "Error: Debugging requires a cross-origin isolated page (SharedArrayBuffer)",
+      "error",
+    );
+    return { success: false, message: "Debugging not supported" };
+  }
+
+  // The debugger runs the program in the worker, which has no turtle canvas
+  if (options.debug && usesTurtleAPI(code)) {
+    appendCompilerOutput(
+      "Error: Turtle graphics programs cannot be debugged, since the debugger runs programs without the turtle canvas. Use Trace to step through a turtle program instead.",
+      "error",
+    );
+    return { success: false, message: "Debugging not supported" };
+  }
+
   // Check if we should use worker execution
+  const trace = Boolean(options.trace) && !options.debug;
   const useWorker =
-    options.useWorker !== undefined ? options.useWorker : useWorkerExecution;
+    !trace &&
+    (Boolean(options.debug) ||
+      (options.useWorker !== undefined
+        ? options.useWorker
+        : useWorkerExecution || needsInteractiveConsole(code, options.input)));
 
   if (!useWorker && !isWASMReady()) {
     appendCompilerOutput("Error: DWScript runtime not ready", "error");
@@ -81,13 +138,15 @@ export async function executeCode(
 
   try {
     isExecuting = true;
+    currentExecutionInWorker = useWorker;
     executionStartTime = performance.now();
     currentExecutionAbortController = new AbortController();
 
     // Update UI
     updateExecutionUI(true);
     clearOutput();
-    clearErrorMarkers();
+    // Errors of the previous run go; the background check's markers stay
+    addErrorMarkers(getDiagnostics());
 
     // Clear turtle canvas if graphics tab is visible
     const graphicsTab = document.getElementById("output-graphics");
@@ -109,13 +168,43 @@ export async function executeCode(
     let result;
     let timedOut = false;
 
-    if (useWorker) {
+    // Worker output is streamed to the console as it arrives; this holds
+    // what screen readers have not heard yet
+    let unannouncedOutput = "";
+
+    const linkErrors = options.project?.errors || [];
+    if (linkErrors.length > 0) {
+      result = {
+        success: false,
+        output: "",
+        errors: linkErrors,
+        warnings: [],
+        executionTime: 0,
+      };
+    } else if (useWorker) {
+      const session = options.debug
+        ? startDebugSession(code, options.debug.stepMode)
+        : null;
+
       try {
-        result = await executeInWorker(code, {
+        result = await executeInWorker(session ? session.code : code, {
           onOutput: (text) => {
             appendConsoleOutput(text);
+            unannouncedOutput += text;
+          },
+          onInputRequest: () => {
+            // Read out the prompt before asking for input
+            announceOutput(unannouncedOutput);
+            unannouncedOutput = "";
+            announceStatus("Program is waiting for input");
+            updateStatus("Waiting for input...");
+            return requestConsoleInput();
           },
+          onDebugPause: session ? handleDebugPause : undefined,
+          onDebugSnapshot: session ? handleDebugSnapshot : undefined,
+          debug: session ? session.debug : undefined,
           timeout: timeout,
+          input: options.input,
         });
       } catch (error) {
         if (error.message === "Execution timeout") {
@@ -139,6 +228,8 @@ export async function executeCode(
         }
       }
     } else {
+      const source = trace ? startTrace(code) : code;
+
       // For non-worker execution, implement timeout using Promise.race
       if (timeout > 0) {
         const timeoutPromise = new Promise((_, reject) => {
@@ -146,7 +237,10 @@ export async function executeCode(
         });
 
         try {
-          result = await Promise.race([executeDWScript(code), timeoutPromise]);
+          result = await Promise.race([
+            executeDWScript(source, { input: options.input }),
+            timeoutPromise,
+          ]);
         } catch (error) {
           if (error.message === "Execution timeout") {
             timedOut = true;
@@ -169,10 +263,18 @@ export async function executeCode(
           }
         }
       } else {
-        result = await executeDWScript(code);
+        result = await executeDWScript(source, { input: options.input });
+      }
+
+      if (trace) {
+        result.trace = stopTrace();
       }
     }
 
+    if (options.project && linkErrors.length === 0 && result.errors) {
+      result.errors = mapDiagnostics(options.project, result.errors);
+    }
+
     const executionTime = performance.now() - executionStartTime;
 
     // Track timeout in metrics
@@ -195,8 +297,10 @@ export async function executeCode(
         appendCompilerOutput("Compilation successful", "success");
       }
 
-      // Show output
-      if (result.output) {
+      // Show output (worker output has already been streamed)
+      if (useWorker) {
+        announceOutput(unannouncedOutput);
+      } else if (result.output) {
         appendConsoleOutput(result.output);
         announceOutput(result.output);
       }
@@ -219,10 +323,11 @@ export async function executeCode(
 
         // Display errors in compiler output
         result.errors.forEach((error) => {
+          const where = error.file
+            ? `${error.file}(${error.line},${error.column || 1})`
+            : `Line ${error.line}:`;
           const errorMsg =
-            error.line > 0
-              ? `Line ${error.line}: ${error.message}`
-              : error.message;
+            error.line > 0 ? `${where} ${error.message}` : error.message;
           appendCompilerOutput(errorMsg, "error");
           announceError(error.message, error.line);
         });
@@ -232,6 +337,15 @@ export async function executeCode(
       announceStatus("Compilation failed");
     }
 
+    // Shown after the output so the timeline can take over the console
+    if (result.trace) {
+      window.dispatchEvent(
+        new CustomEvent("executiontrace", {
+          detail: { trace: result.trace, code },
+        }),
+      );
+    }
+
     return result;
   } catch (error) {
     console.error("Execution error:", error);
@@ -241,21 +355,70 @@ export async function executeCode(
     return { success: false, error: error.message };
   } finally {
     isExecuting = false;
+    currentExecutionInWorker = false;
     currentExecutionAbortController = null;
+    cancelConsoleInput();
+    endDebugSession();
+    stopTrace();
     stopExecutionTimer();
     updateExecutionUI(false);
   }
 }
 
+/**
+ * Run code without touching the editor, the console or the canvas
+ * Checking quiz answers uses it, so the learner's own program, its output
+ * and its error markers stay as they are. The output is only returned;
+ * turtle commands go to the turtle functions of the page, so drawings
+ * should run through runHeadless(). While another program runs, the code
+ * is not run.
+ * @param {string} code - The DWScript code to execute
+ * @param {Object} options - Execution options
+ * @param {string|Array<string>} options.input - Scripted stdin, one line per ReadLn
+ * @returns {Promise<Object>} Execution result
+ */
+export async function executeQuietly(
+  code: string,
+  options: { input?: ProgramInput } = {},
+) {
+  if (isExecuting) {
+    return {
+      success: false,
+      output: "",
+      errors: [
+        {
+          message: "Another program is running; try again when it has finished",
+        },
+      ],
+    };
+  }
+  if (!isWASMReady()) {
+    return {
+      success: false,
+      output: "",
+      errors: [{ message: "DWScript runtime not ready" }],
+    };
+  }
+
+  try {
+    isExecuting = true;
+    return await executeDWScript(code, { input: options.input, quiet: true });
+  } finally {
+    isExecuting = false;
+  }
+}
+
 /**
  * Stop the current execution (if possible)
  */
 export async function stopExecution() {
   if (isExecuting) {
     console.log("Stop requested");
+    cancelConsoleInput();
+    endDebugSession();
 
     // If using worker execution, terminate the worker
-    if (useWorkerExecution && isWorkerInitialized()) {
+    if (currentExecutionInWorker && isWorkerInitialized()) {
       try {
         await stopWorkerExecution();
         appendCompilerOutput(
@@ -281,6 +444,22 @@ export async function stopExecution() {
   }
 }
 
+/**
+ * Check if a program needs the interactive console for ReadLn
+ * Such programs run in the worker, which can block on user input without
+ * freezing the page. Without SharedArrayBuffer they stay in direct mode and
+ * fall back to the runtime's prompt() dialog.
+ * @param {string} code - DWScript source
+ * @param {string|Array<string>} input - Scripted input, if any
+ * @returns {boolean}
+ */
+function needsInteractiveConsole(code, input) {
+  if (input !== undefined && input !== null) {
+    return false;
+  }
+  return /\bRead(Ln)?\b/i.test(code) && isSyncChannelSupported();
+}
+
 /**
  * Check if code is currently executing
  * @returns {boolean}
@@ -295,6 +474,12 @@ export function isCodeExecuting() {
  */
 function updateExecutionUI(executing) {
   const runBtn = document.getElementById("btn-run") as HTMLButtonElement | null;
+  const debugBtn = document.getElementById(
+    "btn-debug",
+  ) as HTMLButtonElement | null;
+  const traceBtn = document.getElementById(
+    "btn-trace",
+  ) as HTMLButtonElement | null;
   const stopBtn = document.getElementById(
     "btn-stop",
   ) as HTMLButtonElement | null;
@@ -303,6 +488,14 @@ function updateExecutionUI(executing) {
     runBtn.disabled = executing;
   }
 
+  if (debugBtn) {
+    debugBtn.disabled = executing;
+  }
+
+  if (traceBtn) {
+    traceBtn.disabled = executing;
+  }
+
   if (stopBtn) {
     stopBtn.disabled = !executing;
   }
@@ -618,7 +811,8 @@ export function getExecutionConfig() {
 /**
  * Parse compiler error/warning messages and extract line numbers
  * @param {string} message - Error message
- * @returns {Object} - Parsed error with line, column, and message
+ * @returns {Object} - Parsed error with line, column, and message, and the
+ *   file for messages about a file of a project
  */
 export function parseCompilerMessage(message) {
   // Common patterns:
@@ -626,6 +820,16 @@ export function parseCompilerMessage(message) {
   // "[5:10] Error message"
   // "file.pas(5,10) Error message"
 
+  const inFile = message.match(/^([\w.-]+\.\w+)\((\d+)(?:,(\d+))?\)\s*(.+)/);
+  if (inFile) {
+    return {
+      file: inFile[1],
+      line: parseInt(inFile[2]),
+      column: inFile[3] ? parseInt(inFile[3]) : null,
+      message: inFile[4],
+    };
+  }
+
   const patterns = [
     /Line\s+(\d+)(?::|\s+Col(?:umn)?\s+(\d+))?:\s*(.+)/i,
     /\[(\d+)(?::(\d+))?\]\s*(.+)/,
@@ -654,11 +858,12 @@ export function parseCompilerMessage(message) {
  * Highlight error in editor
  * @param {number} line - Line number
  * @param {number} column - Column number (optional)
+ * @param {string} file - Project file to show first (optional)
  */
-export function highlightErrorInEditor(line, column = null) {
+export function highlightErrorInEditor(line, column = null, file = null) {
   // This will be called from output-manager when error messages are clicked
   const event = new CustomEvent("highlightError", {
-    detail: { line, column },
+    detail: { line, column, file },
   });
   window.dispatchEvent(event);
 }
@@ -0,0 +1,72 @@
+/**
+ * Tests for Program Input Queue
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import { InputQueue, splitInputLines } from "./input-queue.ts";
+import { DWScriptAPI } from "./dwscript-api.ts";
+
+describe("Program Input Queue", () => {
+  describe("splitInputLines", () => {
+    it("should split on LF and CRLF line breaks", () => {
+      expect(splitInputLines("a\r\nb\nc")).toEqual(["a", "b", "c"]);
+    });
+
+    it("should not start a line after a trailing newline", () => {
+      expect(splitInputLines("a\nb\n")).toEqual(["a", "b"]);
+      expect(splitInputLines("a\r\n")).toEqual(["a"]);
+      expect(splitInputLines("a\n\n")).toEqual(["a", ""]);
+    });
+
+    it("should keep array input as given lines", () => {
+      expect(splitInputLines(["1", "two\nlines", ""])).toEqual([
+        "1",
+        "two\nlines",
+        "",
+      ]);
+    });
+
+    it("should have no lines for empty or missing input", () => {
+      expect(splitInputLines("")).toEqual([]);
+      expect(splitInputLines(null)).toEqual([]);
+      expect(splitInputLines(undefined)).toEqual([]);
+    });
+  });
+
+  describe("InputQueue", () => {
+    it("should hand out the lines in order, then null", () => {
+      const queue = new InputQueue("x\ny");
+      expect([queue.next(), queue.next()]).toEqual(["x", "y"]);
+      expect(queue.hasNext()).toBe(false);
+      expect(queue.next()).toBeNull();
+      expect(queue.getConsumedCount()).toBe(2);
+    });
+
+    it("should count an empty string as scripted input", () => {
+      expect(new InputQueue("").isScripted()).toBe(true);
+      expect(new InputQueue().isScripted()).toBe(false);
+    });
+  });
+
+  describe("reads past the scripted lines", () => {
+    function readAll(input: string | undefined, reads: number) {
+      const api = new DWScriptAPI();
+      api.inputHandler = vi.fn(() => "typed");
+      api.inputQueue = new InputQueue(input);
+      const lines = Array.from({ length: reads }, () => api.readInput());
+      return { lines, handler: api.inputHandler };
+    }
+
+    it("should give ReadLn empty lines once scripted input runs out", () => {
+      const { lines, handler } = readAll("a\r\n", 3);
+      expect(lines).toEqual(["a", "", ""]);
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it("should ask the interactive handler without scripted input", () => {
+      const { lines, handler } = readAll(undefined, 2);
+      expect(lines).toEqual(["typed", "typed"]);
+      expect(handler).toHaveBeenCalledTimes(2);
+    });
+  });
+});
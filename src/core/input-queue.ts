@@ -0,0 +1,89 @@
+/**
+ * Program Input Queue
+ * Feeds scripted stdin to ReadLn, one line per call
+ */
+
+/**
+ * Program input as accepted by the execution APIs: either a single string
+ * (split on line breaks) or an explicit list of lines
+ */
+export type ProgramInput = string | string[];
+
+/**
+ * Split program input into the lines ReadLn will receive
+ * @param {string|Array<string>} input - Raw program input
+ * @returns {Array<string>} Input lines
+ */
+export function splitInputLines(input: ProgramInput | null | undefined) {
+  if (input === null || input === undefined) {
+    return [];
+  }
+
+  if (Array.isArray(input)) {
+    return input.map((line) => String(line));
+  }
+
+  const lines = String(input).replace(/\r\n/g, "\n").split("\n");
+
+  // A trailing newline terminates the last line, it does not start a new one
+  if (lines.length > 0 && lines[lines.length - 1] === "") {
+    lines.pop();
+  }
+
+  return lines;
+}
+
+/**
+ * Line-based input queue consumed by the runtime's onInput callback
+ */
+export class InputQueue {
+  lines: string[];
+  position: number;
+  scripted: boolean;
+
+  /**
+   * @param {string|Array<string>} input - Scripted input, or undefined for none
+   */
+  constructor(input?: ProgramInput | null) {
+    this.lines = splitInputLines(input);
+    this.position = 0;
+    this.scripted = input !== null && input !== undefined;
+  }
+
+  /**
+   * Check if there are unread lines left
+   * @returns {boolean}
+   */
+  hasNext() {
+    return this.position < this.lines.length;
+  }
+
+  /**
+   * Read the next line
+   * @returns {string|null} Next line, or null when the queue is exhausted
+   */
+  next() {
+    if (!this.hasNext()) {
+      return null;
+    }
+    return this.lines[this.position++];
+  }
+
+  /**
+   * Get the number of lines that have been read so far
+   * @returns {number}
+   */
+  getConsumedCount() {
+    return this.position;
+  }
+
+  /**
+   * Check if the queue was created from scripted input
+   * When scripted input runs out, ReadLn should see end of input ("")
+   * instead of falling back to an interactive prompt.
+   * @returns {boolean}
+   */
+  isScripted() {
+    return this.scripted;
+  }
+}
@@ -0,0 +1,271 @@
+/**
+ * Tests for Source Instrumentation
+ */
+
+import { describe, it, expect } from "vitest";
+import { instrumentProgram } from "./instrumentation.ts";
+import { tokenize } from "../editor/dwscript-tokenizer.ts";
+
+describe("Source Instrumentation", () => {
+  describe("tokenize", () => {
+    it("should skip comments and keep positions", () => {
+      const tokens = tokenize("x := 1; // set x\n{ block }\ny := 'it''s';");
+
+      expect(tokens.map((t) => t.value)).toEqual([
+        "x",
+        ":=",
+        "1",
+        ";",
+        "y",
+        ":=",
+        "'it''s'",
+        ";",
+      ]);
+      expect(tokens[4].line).toBe(3);
+      expect(tokens[4].column).toBe(1);
+    });
+
+    it("should keep comments when asked", () => {
+      const tokens = tokenize("(* a *) {$R+} b", { includeComments: true });
+
+      expect(tokens.map((t) => t.type)).toEqual([
+        "comment",
+        "directive",
+        "identifier",
+      ]);
+    });
+
+    it("should distinguish ranges from floats", () => {
+      const tokens = tokenize("1..10 3.14 1e5 $FF");
+
+      expect(tokens.map((t) => t.value)).toEqual([
+        "1",
+        "..",
+        "10",
+        "3.14",
+        "1e5",
+        "$FF",
+      ]);
+    });
+  });
+
+  describe("instrumentProgram", () => {
+    it("should add a step call before each statement", () => {
+      const code = `begin
+  WriteLn('a');
+  WriteLn('b');
+end.`;
+      const result = instrumentProgram(code, { captureVariables: false });
+
+      expect(result.code).toBe(`begin
+  __DebugStep(2); WriteLn('a');
+  __DebugStep(3); WriteLn('b');
+end.`);
+      expect(result.lines).toEqual([2, 3]);
+    });
+
+    it("should wrap single statements after then, else and do", () => {
+      const code = `begin
+  if x > 0 then
+    Inc(x)
+  else
+    Dec(x);
+  for i := 1 to 3 do WriteLn(i);
+end.`;
+      const result = instrumentProgram(code, { captureVariables: false });
+
+      expect(result.code).toBe(`begin
+  __DebugStep(2); if x > 0 then
+    begin __DebugStep(3); Inc(x) end
+  else
+    begin __DebugStep(5); Dec(x) end;
+  __DebugStep(6); for i := 1 to 3 do WriteLn(i);
+end.`);
+    });
+
+    it("should step once per line for bodies on the line of their statement", () => {
+      const code = `begin
+  if x > 0 then Inc(x);
+  for i := 1 to 3 do WriteLn(i);
+  case i of 1: WriteLn('one'); end;
+end.`;
+      const result = instrumentProgram(code, { captureVariables: false });
+
+      expect(result.code).toBe(`begin
+  __DebugStep(2); if x > 0 then Inc(x);
+  __DebugStep(3); for i := 1 to 3 do WriteLn(i);
+  __DebugStep(4); case i of 1: WriteLn('one'); end;
+end.`);
+      expect(result.lines).toEqual([2, 3, 4]);
+    });
+
+    it("should keep the else with the inner if", () => {
+      const result = instrumentProgram(
+        "if a then\n  if b then x := 1 else x := 2;",
+        { captureVariables: false },
+      );
+
+      expect(result.code).toBe(
+        "__DebugStep(1); if a then\n" +
+          "  begin __DebugStep(2); if b then x := 1 else x := 2 end;",
+      );
+    });
+
+    it("should instrument case branches and repeat loops", () => {
+      const code = `case n of
+  1, 2: WriteLn('small');
+else
+  WriteLn('big');
+end;
+repeat
+  Inc(n);
+until n > 10;`;
+      const result = instrumentProgram(code);
+
+      expect(result.code).toContain(
+        "1, 2: begin __DebugStep(2); WriteLn('small') end;",
+      );
+      expect(result.code).toContain("__DebugStep(4); WriteLn('big');");
+      expect(result.code).toContain("__DebugStep(7); Inc(n);");
+      expect(result.lines).toEqual([1, 2, 4, 6, 7]);
+    });
+
+    it("should report routine entry and exit", () => {
+      const code = `procedure Greet(const name: String);
+var
+  msg: String;
+begin
+  msg := 'Hi ' + name;
+  WriteLn(msg);
+end;
+
+begin
+  Greet('Bob');
+end.`;
+      const result = instrumentProgram(code);
+
+      expect(result.code).toContain(
+        "begin __DebugEnter('Greet', 1); try\n  if __DebugWants(5)",
+      );
+      expect(result.code).toContain(
+        "WriteLn(msg);\nfinally __DebugLeave; end; end;",
+      );
+      expect(result.code).toContain("__DebugStep(10); Greet('Bob');");
+      expect(result.routines).toEqual([{ name: "Greet", line: 1 }]);
+    });
+
+    it("should skip declarations and type bodies", () => {
+      const code = `type
+  TPoint = record
+    X, Y: Integer;
+  end;
+  TShape = class
+    procedure Draw; virtual;
+  end;
+
+procedure TShape.Draw;
+begin
+  WriteLn('shape');
+end;
+
+var p: TPoint;
+p.X := 1;`;
+      const result = instrumentProgram(code);
+
+      expect(result.routines).toEqual([{ name: "TShape.Draw", line: 9 }]);
+      expect(result.code).toContain("__DebugStep(15); p.X := 1;");
+      expect(result.lines).toEqual([11, 15]);
+    });
+
+    it("should not instrument forward declarations", () => {
+      const code = `procedure Later; forward;
+
+procedure Later;
+begin
+end;`;
+      const result = instrumentProgram(code);
+
+      expect(result.routines).toEqual([{ name: "Later", line: 3 }]);
+    });
+
+    it("should preserve line numbers", () => {
+      const code = `program Test;
+var total: Integer;
+begin
+  try
+    total := 10 div 0;
+  except
+    on E: Exception do WriteLn(E.Message);
+  end;
+end.`;
+      const result = instrumentProgram(code);
+
+      expect(result.code.split("\n").length).toBe(code.split("\n").length);
+      expect(result.code).toContain("__DebugStep(7); WriteLn(E.Message) end;");
+    });
+
+    it("should report the variables in scope before a pause", () => {
+      const code = `var total: Integer;
+function Twice(x: Float): Float;
+var s: String;
+begin
+  Result := x * 2;
+end;
+total := 1;`;
+      const result = instrumentProgram(code);
+
+      expect(result.code).toContain(
+        "if __DebugWants(5) then begin " +
+          "__DebugVar('x', 'Float', 'local', x); " +
+          "__DebugVar('Result', 'Float', 'local', Result); " +
+          "__DebugVar('s', 'String', 'local', s); " +
+          "__DebugVar('total', 'Integer', 'global', total); end; " +
+          "__DebugStep(5); Result := x * 2;",
+      );
+      expect(result.code).toContain(
+        "if __DebugWants(7) then begin " +
+          "__DebugVar('total', 'Integer', 'global', total); end; " +
+          "__DebugStep(7); total := 1;",
+      );
+    });
+
+    it("should scope inline and loop variables to their block", () => {
+      const code = `begin
+  var n := 3;
+  for var i := 1 to n do
+    WriteLn(i);
+end;
+WriteLn('done');`;
+      const result = instrumentProgram(code);
+
+      expect(result.code).toContain(
+        "begin if __DebugWants(4) then begin " +
+          "__DebugVar('i', '', 'global', i); " +
+          "__DebugVar('n', '', 'global', n); end; __DebugStep(4); WriteLn(i) end;",
+      );
+      expect(result.code).toContain("__DebugStep(6); WriteLn('done');");
+      expect(result.code).not.toContain("__DebugWants(6)");
+    });
+
+    it("should take a final snapshot when the program ends", () => {
+      const program = instrumentProgram(`var a: array[0..1] of Integer;
+begin
+  a[0] := 1;
+end.`);
+
+      expect(program.code).toContain(
+        "if __DebugWants(0) then begin " +
+          "__DebugVar('a', 'array[0..1] of Integer', 'global', a); end; " +
+          "__DebugFinish; end.",
+      );
+
+      const script = instrumentProgram("var x := 1;\nx := 2");
+      expect(
+        script.code.endsWith(
+          "\n;if __DebugWants(0) then begin " +
+            "__DebugVar('x', '', 'global', x); end; __DebugFinish;",
+        ),
+      ).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,934 @@
+/**
+ * Source Instrumentation
+ * Rewrites DWScript programs so they report their progress to the host
+ *
+ * The debugger cannot pause go-dws from the outside, so instead the program
+ * is rewritten to call a host function before every statement:
+ *
+ *   WriteLn('Hi');            __DebugStep(3); WriteLn('Hi');
+ *   if x > 0 then          →  __DebugStep(4); if x > 0 then
+ *     Inc(x);                   begin __DebugStep(5); Inc(x) end;
+ *
+ * A branch or loop body on the line of its statement gets no step call of
+ * its own, so stepping pauses once per line: "if x > 0 then Inc(x);" only
+ * steps before the if.
+ *
+ * Routine bodies additionally report entry and exit so the debugger can
+ * keep a call stack (needed for step over / step out):
+ *
+ *   begin ... end;         →  begin __DebugEnter('Foo', 7); try ... finally __DebugLeave; end; end;
+ *
+ * For the variable inspector, the variables in scope are handed to the host
+ * before a statement, but only when the debugger is about to pause there:
+ *
+ *   if __DebugWants(3) then begin __DebugVar('x', 'Integer', 'global', x); end; __DebugStep(3); ...
+ *
+ * Instrumentation never adds or removes line breaks, so line numbers in
+ * compiler and runtime errors still match the original source.
+ */
+
+import { tokenize, type Token } from "../editor/dwscript-tokenizer.ts";
+
+/**
+ * Names of the host functions called by instrumented code
+ */
+export const DEBUG_HOOKS = {
+  step: "__DebugStep",
+  wants: "__DebugWants",
+  variable: "__DebugVar",
+  enter: "__DebugEnter",
+  leave: "__DebugLeave",
+  finish: "__DebugFinish",
+};
+
+// Tokens that end a simple statement
+const STATEMENT_TERMINATORS = new Set([
+  ";",
+  "end",
+  "else",
+  "until",
+  "except",
+  "finally",
+]);
+
+// Keywords that open a block closed by "end"
+const BLOCK_OPENERS = new Set(["begin", "case", "try", "asm"]);
+
+// Keywords that introduce a routine
+const ROUTINE_KEYWORDS = new Set([
+  "procedure",
+  "function",
+  "constructor",
+  "destructor",
+  "operator",
+  "method",
+]);
+
+// Declaration section keywords
+const SECTION_KEYWORDS = new Set([
+  "var",
+  "const",
+  "type",
+  "resourcestring",
+  "threadvar",
+]);
+
+// Routine directives that may follow a header
+const ROUTINE_DIRECTIVES = new Set([
+  "overload",
+  "override",
+  "virtual",
+  "abstract",
+  "reintroduce",
+  "static",
+  "inline",
+  "deprecated",
+  "forward",
+  "external",
+  "empty",
+  "default",
+  "final",
+  "export",
+  "cdecl",
+  "stdcall",
+  "register",
+  "pascal",
+  "safecall",
+]);
+
+// Directives that mean the header has no body
+const BODYLESS_DIRECTIVES = new Set(["forward", "external", "abstract"]);
+
+/**
+ * A routine found while instrumenting
+ */
+export interface InstrumentedRoutine {
+  name: string;
+  line: number;
+}
+
+/**
+ * A variable visible to the variable inspector
+ */
+export interface DebugVariable {
+  name: string;
+  /** Declared type, or "" when inferred (var x := 5) */
+  type: string;
+  scope: "global" | "local";
+}
+
+/**
+ * A variable and its value, as reported by the debug hooks
+ */
+export interface DebugVariableValue extends DebugVariable {
+  /** Plain data: numbers, strings, booleans, null, arrays and objects */
+  value: unknown;
+}
+
+/**
+ * Options for instrumentProgram()
+ */
+export interface InstrumentationOptions {
+  /** Report variables in scope when pausing (default true) */
+  captureVariables?: boolean;
+}
+
+/**
+ * Result of instrumenting a program
+ */
+export interface InstrumentationResult {
+  /** Rewritten source */
+  code: string;
+  /** Lines that contain at least one statement, ascending */
+  lines: number[];
+  /** Routines with an instrumented body */
+  routines: InstrumentedRoutine[];
+}
+
+/**
+ * Recursive-descent walker that records insertions into the source
+ * It only understands as much of the grammar as it needs to find statement
+ * boundaries; everything else is skipped token by token.
+ */
+class Instrumenter {
+  source: string;
+  tokens: Token[];
+  pos: number;
+  prevEnd: number;
+  insertions: Array<{ offset: number; text: string }>;
+  lines: Set<number>;
+  routines: InstrumentedRoutine[];
+  inInterfaceSection: boolean;
+  isUnit: boolean;
+  finished: boolean;
+  captureVariables: boolean;
+  scopes: Array<{ kind: "global" | "local"; variables: DebugVariable[] }>;
+
+  constructor(source: string, options: InstrumentationOptions = {}) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.pos = 0;
+    this.prevEnd = 0;
+    this.insertions = [];
+    this.lines = new Set();
+    this.routines = [];
+    this.inInterfaceSection = false;
+    this.isUnit = false;
+    this.finished = false;
+    this.captureVariables = options.captureVariables !== false;
+    this.scopes = [{ kind: "global", variables: [] }];
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset] || null;
+  }
+
+  next() {
+    const token = this.tokens[this.pos++] || null;
+    if (token) {
+      this.prevEnd = token.end;
+    }
+    return token;
+  }
+
+  is(token: Token | null, ...values: string[]) {
+    return token !== null && values.includes(token.lower);
+  }
+
+  accept(...values: string[]) {
+    if (this.is(this.peek(), ...values)) {
+      return this.next();
+    }
+    return null;
+  }
+
+  insert(offset: number, text: string) {
+    this.insertions.push({ offset, text });
+  }
+
+  /**
+   * Source text between two offsets on a single line, for type names
+   * @param {number} start - Start offset
+   * @param {number} end - End offset
+   * @returns {string}
+   */
+  sourceText(start: number, end: number) {
+    return this.source.slice(start, end).replace(/\s+/g, " ").trim();
+  }
+
+  /**
+   * Open a nested scope (routine or block)
+   * Blocks inherit their kind, so inline vars of the main block are globals.
+   * @param {string} kind - 'global' or 'local'
+   */
+  pushScope(kind = this.scopes[this.scopes.length - 1].kind) {
+    this.scopes.push({ kind, variables: [] });
+  }
+
+  popScope() {
+    this.scopes.pop();
+  }
+
+  /**
+   * Add variables to the innermost scope
+   * @param {Array<string>} names - Variable names
+   * @param {string} type - Declared type, or ""
+   */
+  declare(names: string[], type: string) {
+    const scope = this.scopes[this.scopes.length - 1];
+    for (const name of names) {
+      scope.variables.push({
+        name: name.replace(/^&/, ""),
+        type,
+        scope: scope.kind,
+      });
+    }
+  }
+
+  /**
+   * Variables visible at the current position; inner scopes shadow outer ones
+   * @returns {Array<DebugVariable>}
+   */
+  visibleVariables() {
+    const seen = new Set<string>();
+    const visible: DebugVariable[] = [];
+    for (let i = this.scopes.length - 1; i >= 0; i--) {
+      for (const variable of this.scopes[i].variables) {
+        const key = variable.name.toLowerCase();
+        if (!seen.has(key)) {
+          seen.add(key);
+          visible.push(variable);
+        }
+      }
+    }
+    return visible;
+  }
+
+  /**
+   * Code that reports the visible variables if the debugger will pause
+   * @param {number} line - Line about to execute (0 for the final snapshot)
+   * @returns {string} Code to insert, or "" when there is nothing to report
+   */
+  captureCode(line: number) {
+    if (!this.captureVariables) {
+      return "";
+    }
+    const variables = this.visibleVariables();
+    if (variables.length === 0) {
+      return "";
+    }
+
+    const calls = variables
+      .map(
+        ({ name, type, scope }) =>
+          `${DEBUG_HOOKS.variable}('${name}', '${type.replace(/'/g, "''")}', '${scope}', ${name}); `,
+      )
+      .join("");
+    return `if ${DEBUG_HOOKS.wants}(${line}) then begin ${calls}end; `;
+  }
+
+  /**
+   * Code that reports the final variable values when the program ends
+   * @returns {string}
+   */
+  finishCode() {
+    if (!this.captureVariables) {
+      return "";
+    }
+    return `${this.captureCode(0)}${DEBUG_HOOKS.finish}; `;
+  }
+
+  /**
+   * Skip tokens until one of the stop words appears at nesting depth 0
+   * Parentheses, brackets and begin/case/try ... end blocks (e.g. anonymous
+   * methods inside expressions) are skipped as a whole.
+   * @param {Set<string>} stopWords - Lowercased token values to stop at
+   */
+  skipUntil(stopWords: Set<string>) {
+    let depth = 0;
+    while (this.peek()) {
+      const token = this.peek();
+      if (depth === 0 && stopWords.has(token.lower)) {
+        return;
+      }
+      if (token.value === "(" || token.value === "[") {
+        depth++;
+      } else if (token.value === ")" || token.value === "]") {
+        depth = Math.max(0, depth - 1);
+      } else if (token.type === "keyword" && BLOCK_OPENERS.has(token.lower)) {
+        depth++;
+      } else if (token.lower === "end") {
+        if (depth === 0) {
+          return;
+        }
+        depth--;
+      }
+      this.next();
+    }
+  }
+
+  /**
+   * Skip to the end of the current simple statement
+   */
+  skipStatement() {
+    this.skipUntil(STATEMENT_TERMINATORS);
+  }
+
+  /**
+   * Skip to a keyword that continues a structured statement
+   * (then, do, of, ...). Stops early at a statement terminator so broken
+   * code cannot swallow the rest of the program.
+   * @param {string} keyword - Keyword to stop at
+   */
+  skipTo(keyword: string) {
+    this.skipUntil(new Set([keyword, ...STATEMENT_TERMINATORS]));
+  }
+
+  /**
+   * Parse statements until one of the terminators
+   * @param {Array<string>} terminators - Lowercased tokens that end the list
+   */
+  parseStatementList(terminators: string[]) {
+    while (this.peek() && !this.is(this.peek(), ...terminators)) {
+      const before = this.pos;
+      if (this.accept(";")) {
+        continue;
+      }
+      this.parseStatement(false);
+      if (this.pos === before) {
+        // Unexpected token (e.g. a stray "else"); skip it
+        this.next();
+      }
+    }
+  }
+
+  /**
+   * Parse one statement
+   * @param {boolean} single - The statement stands alone (then/else/do/case
+   *   branch) and must be wrapped in begin ... end to add the step call
+   * @param {number} stepLine - Line of the enclosing statement's step call;
+   *   a single statement on that line gets none
+   */
+  parseStatement(single: boolean, stepLine?: number) {
+    const token = this.peek();
+    if (!token || STATEMENT_TERMINATORS.has(token.lower)) {
+      return; // empty statement
+    }
+
+    if (token.lower === "begin") {
+      this.parseCompound();
+      return;
+    }
+
+    if (single && token.line === stepLine) {
+      this.parseStatementBody();
+      return;
+    }
+
+    const step = `${this.captureCode(token.line)}${DEBUG_HOOKS.step}(${token.line}); `;
+    this.lines.add(token.line);
+    this.insert(token.start, single ? `begin ${step}` : step);
+
+    this.parseStatementBody();
+
+    if (single) {
+      this.insert(this.prevEnd, " end");
+    }
+  }
+
+  /**
+   * Parse the statement at the current position (after its step call)
+   */
+  parseStatementBody() {
+    const token = this.peek();
+    const { line } = token;
+
+    switch (token.lower) {
+      case "if":
+        this.next();
+        this.skipTo("then");
+        if (this.accept("then")) {
+          this.parseStatement(true, line);
+          if (this.accept("else")) {
+            this.parseStatement(true, line);
+          }
+        }
+        break;
+
+      case "for": {
+        // for var i := ... declares i for the loop body
+        this.next();
+        const loopVariable =
+          this.is(this.peek(), "var") && this.peek(1)?.type === "identifier"
+            ? this.peek(1).value
+            : null;
+        this.skipTo("do");
+        if (this.accept("do")) {
+          this.pushScope();
+          if (loopVariable) {
+            this.declare([loopVariable], "");
+          }
+          this.parseStatement(true, line);
+          this.popScope();
+        }
+        break;
+      }
+
+      case "while":
+      case "with":
+        this.next();
+        this.skipTo("do");
+        if (this.accept("do")) {
+          this.parseStatement(true, line);
+        }
+        break;
+
+      case "repeat":
+        this.next();
+        this.parseStatementList(["until"]);
+        if (this.accept("until")) {
+          this.skipStatement();
+        }
+        break;
+
+      case "case":
+        this.next();
+        this.skipTo("of");
+        if (this.accept("of")) {
+          this.parseCaseBranches(line);
+        }
+        break;
+
+      case "try":
+        this.next();
+        this.parseTry();
+        break;
+
+      case "var":
+        // Inline declaration, visible from the next statement on
+        this.next();
+        this.readVariableDeclaration();
+        this.skipStatement();
+        break;
+
+      default:
+        this.skipStatement();
+    }
+  }
+
+  /**
+   * Parse begin ... end
+   * @param {boolean} isMain - This may be the main block of a program
+   */
+  parseCompound(isMain = false) {
+    this.next(); // begin
+    this.pushScope();
+    this.parseStatementList(["end"]);
+
+    if (isMain && this.is(this.peek(), "end") && this.is(this.peek(1), ".")) {
+      this.insert(this.peek().start, this.finishCode());
+      this.finished = true;
+    }
+
+    this.popScope();
+    this.accept("end");
+  }
+
+  /**
+   * Parse the branches of a case statement, up to and including "end"
+   * @param {number} stepLine - Line of the case statement's step call
+   */
+  parseCaseBranches(stepLine: number) {
+    while (this.peek()) {
+      if (this.accept("end")) {
+        return;
+      }
+      if (this.accept("else", "otherwise")) {
+        this.parseStatementList(["end"]);
+        this.accept("end");
+        return;
+      }
+      if (this.accept(";")) {
+        continue;
+      }
+
+      const before = this.pos;
+      this.skipTo(":");
+      if (!this.accept(":")) {
+        if (this.pos === before) {
+          this.next();
+        }
+        continue;
+      }
+      this.parseStatement(true, stepLine);
+    }
+  }
+
+  /**
+   * Parse the rest of a try statement, up to and including "end"
+   */
+  parseTry() {
+    this.parseStatementList(["except", "finally", "end"]);
+
+    if (this.accept("finally")) {
+      this.parseStatementList(["end"]);
+    } else if (this.accept("except")) {
+      if (this.is(this.peek(), "on")) {
+        while (this.accept("on")) {
+          this.skipTo("do");
+          if (this.accept("do")) {
+            this.parseStatement(true);
+          }
+          this.accept(";");
+        }
+        if (this.accept("else")) {
+          this.parseStatementList(["end"]);
+        }
+      } else {
+        this.parseStatementList(["end"]);
+      }
+    }
+
+    this.accept("end");
+  }
+
+  /**
+   * Skip a var/const/type section
+   * Stops before the first token that does not start another declaration,
+   * which in script mode may be a statement.
+   */
+  skipDeclarationSection() {
+    const section = this.next().lower;
+    let first = true;
+
+    while (this.peek()) {
+      const name = this.peek();
+      const following = this.peek(1);
+      const startsDeclaration =
+        name.type === "identifier" &&
+        (this.is(following, ":", ",") ||
+          (section !== "var" && this.is(following, "=")));
+
+      if (!first && !startsDeclaration) {
+        return;
+      }
+      first = false;
+
+      if (section === "var" || section === "threadvar") {
+        this.readVariableDeclaration();
+      } else {
+        this.skipDeclaration();
+      }
+      if (!this.accept(";")) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Read a variable declaration (a, b: Integer / x := 5 / x: Float = 1.0)
+   * and declare its names, stopping before the closing semicolon
+   */
+  readVariableDeclaration() {
+    const names = [];
+    while (this.peek() && this.peek().type === "identifier") {
+      names.push(this.next().value);
+      if (!this.accept(",")) {
+        break;
+      }
+    }
+
+    let type = "";
+    if (this.accept(":")) {
+      const start = this.peek();
+      this.skipDeclaration(new Set([";", "=", ":="]));
+      if (start) {
+        type = this.sourceText(start.start, this.prevEnd);
+      }
+    }
+
+    this.skipDeclaration();
+    this.declare(names, type);
+  }
+
+  /**
+   * Skip one declaration up to (not including) its closing semicolon
+   * Handles record/class/interface bodies, which contain semicolons.
+   * @param {Set<string>} stopWords - Tokens that end the declaration
+   */
+  skipDeclaration(stopWords = new Set([";"])) {
+    let depth = 0;
+    while (this.peek()) {
+      const token = this.peek();
+
+      if (depth === 0 && stopWords.has(token.lower)) {
+        return;
+      }
+
+      if (token.value === "(" || token.value === "[") {
+        depth++;
+      } else if (token.value === ")" || token.value === "]") {
+        depth = Math.max(0, depth - 1);
+      } else if (this.is(token, "record", "interface", "object")) {
+        depth++;
+      } else if (this.is(token, "class")) {
+        if (this.opensClassBody()) {
+          depth++;
+        }
+      } else if (token.type === "keyword" && BLOCK_OPENERS.has(token.lower)) {
+        depth++;
+      } else if (token.lower === "end") {
+        depth = Math.max(0, depth - 1);
+      }
+
+      this.next();
+    }
+  }
+
+  /**
+   * Check whether the "class" keyword at the current position starts a
+   * class body (as opposed to a forward declaration, a class reference
+   * type or a class method inside a class body)
+   * @returns {boolean}
+   */
+  opensClassBody() {
+    // Class types follow "=" (or "= partial"); anywhere else "class" is a
+    // modifier such as "class procedure" inside a class body
+    if (!this.is(this.peek(-1), "=", "partial")) {
+      return false;
+    }
+
+    let index = 1;
+    const after = this.peek(index);
+    if (!after || this.is(after, ";", "of")) {
+      return false;
+    }
+    if (after.value === "(") {
+      // class(TParent); is a forward declaration
+      let depth = 0;
+      for (; this.peek(index); index++) {
+        const token = this.peek(index);
+        if (token.value === "(") depth++;
+        if (token.value === ")" && --depth === 0) break;
+      }
+      return !this.is(this.peek(index + 1), ";");
+    }
+    return true;
+  }
+
+  /**
+   * Parse a routine declaration, its local declarations and its body
+   */
+  parseRoutine() {
+    this.pushScope("local");
+    try {
+      this.parseRoutineDeclaration();
+    } finally {
+      this.popScope();
+    }
+  }
+
+  /**
+   * Parse a routine inside its own scope (see parseRoutine)
+   */
+  parseRoutineDeclaration() {
+    const start = this.peek();
+    this.accept("class");
+    this.next(); // procedure/function/...
+
+    // Qualified name, e.g. TShape.Draw
+    let name = "";
+    while (
+      this.peek() &&
+      (this.peek().type === "identifier" || this.peek().value === ".")
+    ) {
+      name += this.next().value;
+    }
+    if (!name) {
+      name = "(anonymous)";
+    }
+
+    // Parameters and result type
+    if (this.is(this.peek(), "(")) {
+      this.readParameters();
+    }
+    if (this.accept(":")) {
+      const start = this.peek();
+      this.skipUntil(new Set([";"]));
+      if (start) {
+        this.declare(["Result"], this.sourceText(start.start, this.prevEnd));
+      }
+    }
+    this.skipUntil(new Set([";"]));
+    this.accept(";");
+
+    // Directives
+    let hasBody = !this.inInterfaceSection;
+    while (this.peek() && ROUTINE_DIRECTIVES.has(this.peek().lower)) {
+      if (BODYLESS_DIRECTIVES.has(this.peek().lower)) {
+        hasBody = false;
+      }
+      this.skipUntil(new Set([";"]));
+      this.accept(";");
+    }
+    if (!hasBody) {
+      return;
+    }
+
+    // Local declarations and nested routines
+    while (this.peek()) {
+      const token = this.peek();
+      if (SECTION_KEYWORDS.has(token.lower)) {
+        this.skipDeclarationSection();
+      } else if (this.startsRoutine()) {
+        this.parseRoutine();
+      } else if (token.lower === "begin") {
+        this.parseRoutineBody(name, start.line);
+        return;
+      } else {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Read a parameter list, e.g. (const a, b: Integer; var s: String = '')
+   */
+  readParameters() {
+    this.next(); // (
+    while (this.peek() && this.peek().value !== ")") {
+      if (
+        this.is(this.peek(), "const", "var", "out", "lazy") &&
+        this.peek(1)?.type === "identifier"
+      ) {
+        this.next();
+      }
+
+      const names = [];
+      while (this.peek() && this.peek().type === "identifier") {
+        names.push(this.next().value);
+        if (!this.accept(",")) {
+          break;
+        }
+      }
+
+      let type = "";
+      if (this.accept(":")) {
+        const start = this.peek();
+        this.skipUntil(new Set([";", ")", "="]));
+        if (start) {
+          type = this.sourceText(start.start, this.prevEnd);
+        }
+      }
+      if (this.accept("=")) {
+        this.skipUntil(new Set([";", ")"])); // default value
+      }
+
+      this.declare(names, type);
+      if (!this.accept(";")) {
+        break;
+      }
+    }
+    this.skipUntil(new Set([")"]));
+    this.accept(")");
+  }
+
+  /**
+   * Parse a routine's begin ... end block, adding enter/leave calls
+   * @param {string} name - Routine name
+   * @param {number} line - Line of the routine header
+   */
+  parseRoutineBody(name: string, line: number) {
+    const begin = this.next();
+    this.routines.push({ name, line });
+    this.insert(begin.end, ` ${DEBUG_HOOKS.enter}('${name}', ${line}); try`);
+
+    this.parseStatementList(["end"]);
+
+    const end = this.peek();
+    if (end) {
+      this.insert(end.start, `finally ${DEBUG_HOOKS.leave}; end; `);
+      this.next();
+    }
+  }
+
+  /**
+   * Check if the current position starts a routine declaration
+   * @returns {boolean}
+   */
+  startsRoutine() {
+    const token = this.peek();
+    if (!token) {
+      return false;
+    }
+    if (token.lower === "class") {
+      return ROUTINE_KEYWORDS.has(this.peek(1)?.lower);
+    }
+    if (token.lower === "method") {
+      // "method" is only a routine keyword when followed by a name
+      return this.peek(1)?.type === "identifier";
+    }
+    return token.type === "keyword" && ROUTINE_KEYWORDS.has(token.lower);
+  }
+
+  /**
+   * Parse a whole program, unit or script
+   */
+  parseProgram() {
+    while (this.peek()) {
+      const token = this.peek();
+      const before = this.pos;
+
+      if (this.is(token, "unit")) {
+        this.isUnit = true;
+      }
+
+      if (this.is(token, "program", "unit", "library", "uses")) {
+        this.skipUntil(new Set([";"]));
+        this.accept(";");
+      } else if (this.is(token, "interface")) {
+        this.inInterfaceSection = true;
+        this.next();
+      } else if (this.is(token, "implementation")) {
+        this.inInterfaceSection = false;
+        this.next();
+      } else if (SECTION_KEYWORDS.has(token.lower)) {
+        this.skipDeclarationSection();
+      } else if (this.startsRoutine()) {
+        this.parseRoutine();
+      } else if (this.is(token, "initialization", "finalization")) {
+        this.next();
+        this.parseStatementList(["initialization", "finalization", "end"]);
+      } else if (this.is(token, "begin")) {
+        this.parseCompound(true);
+        if (this.is(this.peek(), ".")) {
+          return; // end of program
+        }
+      } else if (this.is(token, "end")) {
+        this.next();
+        if (this.is(this.peek(), ".")) {
+          return; // end of unit
+        }
+      } else if (this.is(token, ";")) {
+        this.next();
+      } else {
+        // Script mode: statements at the top level
+        this.parseStatement(false);
+      }
+
+      if (this.pos === before) {
+        this.next();
+      }
+    }
+
+    // Script without a main block: report the final values at the end
+    if (!this.finished && !this.isUnit && this.captureVariables) {
+      const last = this.tokens[this.tokens.length - 1];
+      const separator = !last || last.value === ";" ? "" : ";";
+      this.insert(
+        this.source.length,
+        `\n${separator}${this.finishCode()}`.trimEnd(),
+      );
+    }
+  }
+
+  /**
+   * Apply the recorded insertions to the source
+   * @param {string} source - Original source
+   * @returns {string} Instrumented source
+   */
+  apply(source: string) {
+    // Stable sort keeps nested " end" insertions in inner-to-outer order
+    const insertions = this.insertions
+      .map((insertion, index) => ({ ...insertion, index }))
+      .sort((a, b) => a.offset - b.offset || a.index - b.index);
+
+    let result = "";
+    let last = 0;
+    for (const { offset, text } of insertions) {
+      result += source.slice(last, offset) + text;
+      last = offset;
+    }
+    return result + source.slice(last);
+  }
+}
+
+/**
+ * Instrument a program for step debugging
+ * @param {string} source - DWScript source code
+ * @param {Object} options - Instrumentation options (captureVariables)
+ * @returns {InstrumentationResult} Rewritten code and debug information
+ */
+export function instrumentProgram(
+  source: string,
+  options: InstrumentationOptions = {},
+): InstrumentationResult {
+  const instrumenter = new Instrumenter(source, options);
+  instrumenter.parseProgram();
+
+  return {
+    code: instrumenter.apply(source),
+    lines: Array.from(instrumenter.lines).sort((a, b) => a - b),
+    routines: instrumenter.routines,
+  };
+}
@@ -0,0 +1,98 @@
+/**
+ * Tests for learner profiles
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  createProfile,
+  deleteProfile,
+  DEFAULT_PROFILE,
+  getActiveProfile,
+  GUEST_PROFILE,
+  listProfiles,
+  logout,
+  profileKey,
+  switchProfile,
+  takePickOnStart,
+} from "./profiles.ts";
+import { getProgress, markLessonCompleted } from "../lessons/progress.ts";
+
+describe("Profiles", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it("starts with the default profile, which keeps the plain keys", () => {
+    expect(getActiveProfile().id).toBe(DEFAULT_PROFILE);
+    expect(listProfiles().map((profile) => profile.id)).toEqual([
+      DEFAULT_PROFILE,
+      GUEST_PROFILE,
+    ]);
+    expect(profileKey("dwscript-primer-progress")).toBe(
+      "dwscript-primer-progress",
+    );
+  });
+
+  it("keeps the progress of each profile apart", async () => {
+    markLessonCompleted("hello-world");
+
+    const profile = await createProfile("Ada");
+    await switchProfile(profile.id);
+    expect(profileKey("dwscript-primer-progress")).toBe(
+      `dwscript-primer-progress:${profile.id}`,
+    );
+    expect(getProgress().lessons["hello-world"]).toBeUndefined();
+    markLessonCompleted("variables");
+
+    await switchProfile(DEFAULT_PROFILE);
+    expect(getProgress().lessons["hello-world"].completed).toBe(true);
+    expect(getProgress().lessons.variables).toBeUndefined();
+  });
+
+  it("rejects empty and duplicate names and malformed PINs", async () => {
+    await createProfile("Ada");
+    await expect(createProfile("  ")).rejects.toThrow("name");
+    await expect(createProfile("ada")).rejects.toThrow("already");
+    await expect(createProfile("Bob", "12")).rejects.toThrow("4 to 8 digits");
+  });
+
+  it("asks for the PIN of a protected profile", async () => {
+    const profile = await createProfile("Ada", "1234");
+    expect(profile.pinHash).toMatch(/^[0-9a-f]{64}$/);
+
+    await expect(switchProfile(profile.id, "4321")).rejects.toThrow(
+      "Wrong PIN",
+    );
+    expect(getActiveProfile().id).toBe(DEFAULT_PROFILE);
+
+    await switchProfile(profile.id, "1234");
+    expect(getActiveProfile().name).toBe("Ada");
+  });
+
+  it("wipes the guest profile on logout", async () => {
+    await switchProfile(GUEST_PROFILE);
+    markLessonCompleted("hello-world");
+    expect(getProgress().lessons["hello-world"]).toBeDefined();
+
+    await logout();
+    expect(getActiveProfile().id).toBe(GUEST_PROFILE);
+    expect(getProgress().lessons["hello-world"]).toBeUndefined();
+    expect(takePickOnStart()).toBe(true);
+    expect(takePickOnStart()).toBe(false);
+  });
+
+  it("deletes other profiles with their data, but not the active one", async () => {
+    const profile = await createProfile("Ada");
+    await switchProfile(profile.id);
+    markLessonCompleted("hello-world");
+    await expect(deleteProfile(profile.id)).rejects.toThrow();
+    await expect(deleteProfile(GUEST_PROFILE)).rejects.toThrow();
+
+    await switchProfile(DEFAULT_PROFILE);
+    await deleteProfile(profile.id);
+    expect(listProfiles().some((item) => item.id === profile.id)).toBe(false);
+    expect(
+      localStorage.getItem(profileKey("dwscript-primer-progress", profile.id)),
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * Learner Profiles
+ * Lets several learners share one browser, each with their own data
+ *
+ * Every profile has its own progress, state (settings and saved code)
+ * and code history. The data of the default profile is stored under the
+ * plain keys, as before there were profiles; other profiles add their id
+ * to the key ("dwscript-primer-progress:p-lq3x9k"). The registry of
+ * profiles and the active one is shared.
+ *
+ * A PIN only keeps classmates from opening each other's profile by
+ * accident: it is stored as a hash, but the data itself is not encrypted.
+ * The guest profile is for short visits and is wiped on logout.
+ * Switching profiles reloads the page, so every module starts over with
+ * the data of the new profile.
+ */
+
+export interface Profile {
+  id: string;
+  name: string;
+  /** SHA-256 of the id and the PIN, if the profile has a PIN */
+  pinHash?: string;
+  guest?: boolean;
+  /** ISO time */
+  createdAt: string;
+}
+
+interface Registry {
+  profiles: Profile[];
+  active: string;
+  /** Show the profile picker on the next start, after a logout */
+  pickOnStart?: boolean;
+}
+
+export const DEFAULT_PROFILE = "default";
+export const GUEST_PROFILE = "guest";
+
+const REGISTRY_KEY = "dwscript-primer-profiles";
+
+// Keys of the data each profile has its own copy of
+const PROFILE_KEYS = ["dwscript-primer-progress", "dwscript-primer-state"];
+const HISTORY_DATABASE = "dwscript-primer-history";
+
+const PIN_PATTERN = /^\d{4,8}$/;
+
+/**
+ * Read the registry, creating it with the default and guest profiles
+ * @returns {Registry}
+ */
+function loadRegistry(): Registry {
+  let registry: Registry | null = null;
+  try {
+    registry = JSON.parse(localStorage.getItem(REGISTRY_KEY));
+  } catch (error) {
+    console.error("Failed to load profiles:", error);
+  }
+
+  if (!registry || !Array.isArray(registry.profiles)) {
+    registry = {
+      profiles: [
+        {
+          id: DEFAULT_PROFILE,
+          name: "Default",
+          createdAt: new Date().toISOString(),
+        },
+      ],
+      active: DEFAULT_PROFILE,
+    };
+  }
+  if (!registry.profiles.some((profile) => profile.id === GUEST_PROFILE)) {
+    registry.profiles.push({
+      id: GUEST_PROFILE,
+      name: "Guest",
+      guest: true,
+      createdAt: new Date().toISOString(),
+    });
+  }
+  if (!registry.profiles.some((profile) => profile.id === registry.active)) {
+    registry.active = registry.profiles[0].id;
+  }
+  return registry;
+}
+
+/**
+ * Write the registry
+ * @param {Registry} registry
+ */
+function saveRegistry(registry: Registry) {
+  try {
+    localStorage.setItem(REGISTRY_KEY, JSON.stringify(registry));
+  } catch (error) {
+    console.error("Failed to save profiles:", error);
+  }
+}
+
+/**
+ * Get all profiles, the guest last
+ * @returns {Profile[]}
+ */
+export function listProfiles(): Profile[] {
+  const { profiles } = loadRegistry();
+  return [
+    ...profiles.filter((profile) => !profile.guest),
+    ...profiles.filter((profile) => profile.guest),
+  ];
+}
+
+/**
+ * Get the profile in use
+ * @returns {Profile}
+ */
+export function getActiveProfile(): Profile {
+  const registry = loadRegistry();
+  return registry.profiles.find((profile) => profile.id === registry.active);
+}
+
+/**
+ * Storage key or database name of a profile's copy of some data
+ * @param {string} base - Key used by the default profile
+ * @param {string} profileId - Defaults to the active profile
+ * @returns {string}
+ */
+export function profileKey(base: string, profileId = loadRegistry().active) {
+  return profileId === DEFAULT_PROFILE ? base : `${base}:${profileId}`;
+}
+
+/**
+ * Hash a PIN for storage
+ * @param {string} profileId - Salts the hash
+ * @param {string} pin
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashPin(profileId: string, pin: string) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(`${profileId}:${pin}`),
+  );
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Check the PIN of a profile
+ * @param {Profile} profile
+ * @param {string} pin - Ignored for profiles without a PIN
+ * @returns {Promise<boolean>}
+ */
+export async function checkPin(profile: Profile, pin = "") {
+  return (
+    !profile.pinHash || (await hashPin(profile.id, pin)) === profile.pinHash
+  );
+}
+
+/**
+ * Create a profile
+ * @param {string} name - Shown in the profile switcher
+ * @param {string} pin - Optional, 4 to 8 digits
+ * @returns {Promise<Profile>}
+ * @throws {Error} If the name is empty or taken, or the PIN is not valid
+ */
+export async function createProfile(name: string, pin = "") {
+  const registry = loadRegistry();
+  const trimmed = name.trim();
+  if (!trimmed) {
+    throw new Error("Enter a name for the profile");
+  }
+  if (
+    registry.profiles.some(
+      (profile) => profile.name.toLowerCase() === trimmed.toLowerCase(),
+    )
+  ) {
+    throw new Error(`There is already a profile named "${trimmed}"`);
+  }
+  if (pin && !PIN_PATTERN.test(pin)) {
+    throw new Error("A PIN has 4 to 8 digits");
+  }
+
+  const profile: Profile = {
+    id: `p-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: trimmed,
+    createdAt: new Date().toISOString(),
+  };
+  if (pin) {
+    profile.pinHash = await hashPin(profile.id, pin);
+  }
+  registry.profiles.push(profile);
+  saveRegistry(registry);
+  return profile;
+}
+
+/**
+ * Make another profile the active one
+ * Leaving the guest profile logs it out, so its data is wiped. The page
+ * has to be reloaded afterwards.
+ * @param {string} profileId
+ * @param {string} pin - PIN of the profile, if it has one
+ * @throws {Error} If the profile does not exist or the PIN is wrong
+ */
+export async function switchProfile(profileId: string, pin = "") {
+  const registry = loadRegistry();
+  const profile = registry.profiles.find((item) => item.id === profileId);
+  if (!profile) {
+    throw new Error("The profile does not exist");
+  }
+  if (!(await checkPin(profile, pin))) {
+    throw new Error("Wrong PIN");
+  }
+  if (registry.active === GUEST_PROFILE && profileId !== GUEST_PROFILE) {
+    await wipeProfileData(GUEST_PROFILE);
+  }
+  registry.active = profileId;
+  registry.pickOnStart = false;
+  saveRegistry(registry);
+}
+
+/**
+ * Log out of the active profile
+ * The guest profile becomes active, empty, and the profile picker opens
+ * on the next start. The page has to be reloaded afterwards.
+ */
+export async function logout() {
+  const registry = loadRegistry();
+  await wipeProfileData(GUEST_PROFILE);
+  registry.active = GUEST_PROFILE;
+  registry.pickOnStart = true;
+  saveRegistry(registry);
+}
+
+/**
+ * Delete a profile and its data
+ * @param {string} profileId - Neither the active nor the guest profile
+ * @param {string} pin - PIN of the profile, if it has one
+ * @throws {Error} If the profile cannot be deleted or the PIN is wrong
+ */
+export async function deleteProfile(profileId: string, pin = "") {
+  const registry = loadRegistry();
+  const profile = registry.profiles.find((item) => item.id === profileId);
+  if (!profile || profile.guest || profileId === registry.active) {
+    throw new Error("This profile cannot be deleted");
+  }
+  if (!(await checkPin(profile, pin))) {
+    throw new Error("Wrong PIN");
+  }
+  await wipeProfileData(profileId);
+  registry.profiles = registry.profiles.filter((item) => item !== profile);
+  saveRegistry(registry);
+}
+
+/**
+ * Remove everything a profile has stored
+ * @param {string} profileId
+ */
+export async function wipeProfileData(profileId: string) {
+  PROFILE_KEYS.forEach((key) =>
+    localStorage.removeItem(profileKey(key, profileId)),
+  );
+  if (typeof indexedDB === "undefined") {
+    return;
+  }
+  await new Promise<void>((resolve) => {
+    const request = indexedDB.deleteDatabase(
+      profileKey(HISTORY_DATABASE, profileId),
+    );
+    // A database that is still open elsewhere is deleted once it closes
+    request.onsuccess = request.onerror = request.onblocked = () => resolve();
+  });
+}
+
+/**
+ * Whether to show the profile picker, once, after a logout
+ * @returns {boolean}
+ */
+export function takePickOnStart() {
+  const registry = loadRegistry();
+  if (!registry.pickOnStart) {
+    return false;
+  }
+  registry.pickOnStart = false;
+  saveRegistry(registry);
+  return true;
+}
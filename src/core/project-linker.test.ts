@@ -0,0 +1,176 @@
+/**
+ * Tests for joining multi-file projects
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  linkProject,
+  locateLine,
+  mapDiagnostics,
+  type ProjectFile,
+} from "./project-linker.ts";
+
+const lines = (...text: string[]) => text.join("\n");
+
+const main: ProjectFile = {
+  name: "Main.dws",
+  content: lines(
+    "program Main;",
+    "",
+    "uses Shapes, Colors;",
+    "",
+    "begin",
+    "  Shapes.Draw(Red);",
+    "end.",
+  ),
+};
+
+const shapes: ProjectFile = {
+  name: "Shapes.pas",
+  content: lines(
+    "unit Shapes;",
+    "",
+    "interface",
+    "",
+    "uses Colors;",
+    "",
+    "procedure Draw(c: TColor);",
+    "",
+    "implementation",
+    "",
+    "procedure Draw(c: TColor);",
+    "begin",
+    "  PrintLn(Ord(c));",
+    "end;",
+    "",
+    "initialization",
+    "  PrintLn('Shapes ready');",
+    "finalization",
+    "  PrintLn('Shapes done');",
+    "end.",
+  ),
+};
+
+const colors: ProjectFile = {
+  name: "Colors.pas",
+  content: lines(
+    "unit Colors;",
+    "interface",
+    "type TColor = (Red, Green);",
+    "implementation",
+    "end.",
+  ),
+};
+
+describe("Project Linker", () => {
+  it("joins units in dependency order", () => {
+    const linked = linkProject([main, shapes, colors], "Main.dws");
+    expect(linked.errors).toEqual([]);
+    expect(linked.units).toEqual(["Colors.pas", "Shapes.pas"]);
+
+    const code = linked.source.split("\n").filter((line) => line.trim());
+    expect(code.map((line) => line.trim())).toEqual([
+      "program Main;",
+      "type TColor = (Red, Green);",
+      "procedure Draw(c: TColor);",
+      "procedure Draw(c: TColor);",
+      "begin",
+      "PrintLn(Ord(c));",
+      "end;",
+      "begin",
+      "PrintLn('Shapes ready');",
+      "end;",
+      "begin",
+      "Draw(Red);",
+      ";",
+      "begin",
+      "PrintLn('Shapes done');",
+      "end;",
+      "end.",
+    ]);
+  });
+
+  it("remembers where each line came from", () => {
+    const linked = linkProject([main, shapes, colors], "Main.dws");
+    const at = (text: string) =>
+      locateLine(
+        linked,
+        linked.source.split("\n").findIndex((line) => line.includes(text)) + 1,
+      );
+
+    expect(at("TColor =")).toEqual({ file: "Colors.pas", line: 3 });
+    expect(at("Ord(c)")).toEqual({ file: "Shapes.pas", line: 13 });
+    expect(at("Draw(Red)")).toEqual({ file: "Main.dws", line: 6 });
+
+    // Columns stay where they were in the file
+    const call = linked.source.split("\n").find((l) => l.includes("Draw(Red)"));
+    expect(call.indexOf("Draw")).toBe(
+      main.content.split("\n")[5].indexOf("Draw"),
+    );
+
+    const line = linked.source
+      .split("\n")
+      .findIndex((l) => l.includes("Ord(c)"));
+    expect(
+      mapDiagnostics(linked, [
+        {
+          severity: "error",
+          message: "Unknown name",
+          line: line + 1,
+          column: 11,
+          endColumn: null,
+        },
+      ]),
+    ).toEqual([
+      {
+        severity: "error",
+        message: "Unknown name",
+        line: 13,
+        column: 11,
+        endColumn: null,
+        file: "Shapes.pas",
+      },
+    ]);
+  });
+
+  it("keeps units it does not know for the compiler", () => {
+    const linked = linkProject(
+      [{ name: "Main.dws", content: "uses System.Math;\nPrintLn(Pi);" }],
+      "Main.dws",
+    );
+    expect(linked.source.split("\n")[0]).toBe("uses System.Math;");
+    expect(locateLine(linked, 1)).toEqual({
+      file: "Main.dws",
+      line: 1,
+      generated: true,
+    });
+  });
+
+  it("reports circular references", () => {
+    const a = {
+      name: "A.pas",
+      content: "unit A;\ninterface\nuses B;\nimplementation\nend.",
+    };
+    const b = {
+      name: "B.pas",
+      content: "unit B;\ninterface\nuses A;\nimplementation\nend.",
+    };
+    const linked = linkProject(
+      [{ name: "Main.dws", content: "uses A;" }, a, b],
+      "Main.dws",
+    );
+    expect(linked.errors).toEqual([
+      {
+        severity: "error",
+        message: "Circular unit reference: A → B → A",
+        line: 3,
+        column: 6,
+        endColumn: 7,
+        file: "B.pas",
+      },
+    ]);
+    expect(linkProject([a], "A.pas").errors[0].message).toBe(
+      "The main file must be a program, not a unit",
+    );
+  });
+});
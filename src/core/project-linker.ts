@@ -0,0 +1,510 @@
+/**
+ * Project Linker
+ * Joins the files of a multi-file project into one program for the runtime
+ *
+ * go-dws compiles a single source and has no file system to load units
+ * from, so the units a program uses are copied into it, in the order they
+ * depend on each other:
+ *
+ *   program Main;              program Main;
+ *   uses Shapes;               <interface of Shapes>
+ *   begin                  →   <implementation of Shapes>
+ *     Draw;                    begin <initialization of Shapes> end;
+ *   end.                       begin
+ *                                Draw;
+ *                              end.
+ *
+ * "uses" clauses naming project units and unit prefixes such as "Shapes."
+ * are blanked out. Every line of the joined source remembers the file and
+ * line it came from, and text keeps its column, so compiler errors can be
+ * reported where the user wrote the code.
+ *
+ * Units share one scope once joined: names in the implementation section
+ * are visible to the program, and two units cannot declare the same name.
+ */
+
+import { tokenize, type Token } from "../editor/dwscript-tokenizer.ts";
+import type { Diagnostic } from "./compiler-diagnostics.ts";
+
+export interface ProjectFile {
+  name: string;
+  content: string;
+}
+
+export interface SourceLocation {
+  file: string;
+  /** 1-based line in the file */
+  line: number;
+  /** Whether the linker wrote the line (e.g. the "begin" around an
+   *  initialization section) rather than copying it */
+  generated?: boolean;
+}
+
+export interface LinkedProject {
+  /** Joined program */
+  source: string;
+  /** Where each line of the source comes from; index 0 is line 1 */
+  lines: SourceLocation[];
+  /** Name of the main file */
+  main: string;
+  /** Units in the order they were copied */
+  units: string[];
+  /** Problems that keep the project from being joined */
+  errors: Diagnostic[];
+}
+
+interface UsedUnit {
+  name: string;
+  token: Token;
+}
+
+interface UsesClause {
+  start: number;
+  end: number;
+  units: UsedUnit[];
+}
+
+interface Module {
+  file: ProjectFile;
+  tokens: Token[];
+  kind: "program" | "unit" | "script";
+  /** Declared name (for units and programs) */
+  name: string | null;
+  /** Header token, for error positions */
+  header: Token | null;
+  /** Offset after the header's semicolon */
+  headerEnd: number;
+  uses: UsesClause[];
+  /** Section keywords of units */
+  sections: Map<string, Token>;
+  /** Final "end" of "end." */
+  finalEnd: Token | null;
+}
+
+/**
+ * Read the header, uses clauses and sections of a file
+ * @param {ProjectFile} file
+ * @returns {Module}
+ */
+function parseModule(file: ProjectFile): Module {
+  const tokens = tokenize(file.content);
+  const module: Module = {
+    file,
+    tokens,
+    kind: "script",
+    name: null,
+    header: null,
+    headerEnd: 0,
+    uses: [],
+    sections: new Map(),
+    finalEnd: null,
+  };
+
+  let i = 0;
+  const first = tokens[0];
+  if (first && (first.lower === "program" || first.lower === "unit")) {
+    module.kind = first.lower;
+    module.header = first;
+    const names: string[] = [];
+    for (i = 1; i < tokens.length && tokens[i].value !== ";"; i++) {
+      if (tokens[i].type === "identifier") {
+        names.push(tokens[i].value);
+      }
+    }
+    module.name = names.join(".") || null;
+    module.headerEnd = tokens[i] ? tokens[i].end : file.content.length;
+    i++;
+  }
+
+  tokens.forEach((token, index) => {
+    if (
+      token.lower === "interface" ||
+      token.lower === "implementation" ||
+      token.lower === "initialization" ||
+      token.lower === "finalization"
+    ) {
+      // Later "interface" tokens are interface types
+      if (!module.sections.has(token.lower)) {
+        module.sections.set(token.lower, token);
+      }
+    } else if (token.lower === "end" && tokens[index + 1]?.value === ".") {
+      module.finalEnd = token;
+    }
+  });
+
+  // Programs have one uses clause after the header, units one at the start
+  // of each of the interface and implementation sections
+  const clauseStarts =
+    module.kind === "unit"
+      ? ["interface", "implementation"]
+          .map((name) => module.sections.get(name))
+          .filter(Boolean)
+          .map((keyword) => tokens.indexOf(keyword) + 1)
+      : [i];
+  clauseStarts.forEach((start) => {
+    if (tokens[start]?.lower === "uses") {
+      module.uses.push(parseUses(tokens, start, file.content.length));
+    }
+  });
+  return module;
+}
+
+/**
+ * Read a uses clause, e.g. "uses Shapes, System.Math, Colors in 'c.pas';"
+ * @param {Array<Token>} tokens
+ * @param {number} start - Index of the "uses" token
+ * @param {number} length - Length of the source
+ * @returns {UsesClause}
+ */
+function parseUses(tokens: Token[], start: number, length: number) {
+  const clause: UsesClause = {
+    start: tokens[start].start,
+    end: length,
+    units: [],
+  };
+  let name = "";
+  let first: Token | null = null;
+  for (let i = start + 1; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.value === "," || token.value === ";") {
+      if (first) {
+        clause.units.push({ name, token: first });
+      }
+      name = "";
+      first = null;
+      if (token.value === ";") {
+        clause.end = token.end;
+        break;
+      }
+    } else if (token.type === "identifier" && !name.endsWith("'")) {
+      name += token.value;
+      first = first || token;
+    } else if (token.value === ".") {
+      name += ".";
+    } else if (token.type === "string") {
+      // "in 'file'" names the file; units are found by their name
+      name += "'";
+    }
+  }
+  clause.units.forEach((unit) => {
+    unit.name = unit.name.replace(/'$/, "");
+  });
+  return clause;
+}
+
+/**
+ * Collects the joined source line by line
+ */
+class LinkedSource {
+  lines: string[] = [];
+  origins: SourceLocation[] = [];
+
+  /**
+   * Copy part of a file, starting on a new line in its original column
+   * @param {Module} module
+   * @param {string} text - The file's text with blanked parts
+   * @param {number} start - Start offset
+   * @param {number} end - End offset
+   */
+  copy(module: Module, text: string, start: number, end: number) {
+    if (end <= start) {
+      return;
+    }
+    const before = text.slice(0, start);
+    const line = before.split("\n").length;
+    const column = start - (before.lastIndexOf("\n") + 1);
+    const copied = " ".repeat(column) + text.slice(start, end);
+    copied.split("\n").forEach((part, index) => {
+      this.lines.push(part);
+      this.origins.push({ file: module.file.name, line: line + index });
+    });
+  }
+
+  /**
+   * Add a line written by the linker
+   * @param {string} text
+   * @param {Module} module - File the line belongs to
+   * @param {Token} token - Token the line stands for
+   */
+  write(text: string, module: Module, token: Token) {
+    this.lines.push(text);
+    this.origins.push({
+      file: module.file.name,
+      line: token.line,
+      generated: true,
+    });
+  }
+}
+
+/**
+ * Replace ranges of a text with spaces, keeping line breaks
+ * @param {string} text
+ * @param {Array<Array<number>>} ranges - [start, end) offsets
+ * @returns {string}
+ */
+function blank(text: string, ranges: Array<[number, number]>) {
+  let result = text;
+  ranges.forEach(([start, end]) => {
+    result =
+      result.slice(0, start) +
+      result.slice(start, end).replace(/[^\n]/g, " ") +
+      result.slice(end);
+  });
+  return result;
+}
+
+/**
+ * Create a linker error
+ * @param {Module} module - File of the error
+ * @param {Token|null} token - Position of the error
+ * @param {string} message
+ * @returns {Diagnostic}
+ */
+function linkError(module: Module, token: Token | null, message: string) {
+  return {
+    severity: "error" as const,
+    message,
+    line: token ? token.line : 0,
+    column: token ? token.column : 0,
+    endColumn: token ? token.column + token.value.length : null,
+    file: module.file.name,
+  };
+}
+
+/**
+ * Join a project into one program
+ * @param {Array<ProjectFile>} files - Files of the project
+ * @param {string} main - Name of the file with the main program
+ * @returns {LinkedProject}
+ */
+export function linkProject(files: ProjectFile[], main: string): LinkedProject {
+  const modules = files.map(parseModule);
+  const mainModule = modules.find((module) => module.file.name === main);
+  const linked: LinkedProject = {
+    source: "",
+    lines: [],
+    main,
+    units: [],
+    errors: [],
+  };
+  if (!mainModule) {
+    linked.errors.push({
+      severity: "error",
+      message: `The main file ${main} is missing`,
+      line: 0,
+      column: 0,
+      endColumn: null,
+      file: main,
+    });
+    return linked;
+  }
+  if (mainModule.kind === "unit") {
+    linked.errors.push(
+      linkError(
+        mainModule,
+        mainModule.header,
+        "The main file must be a program, not a unit",
+      ),
+    );
+    return linked;
+  }
+
+  // Units by their declared name
+  const units = new Map<string, Module>();
+  modules.forEach((module) => {
+    if (module.kind !== "unit" || !module.name) {
+      return;
+    }
+    const key = module.name.toLowerCase();
+    if (units.has(key)) {
+      linked.errors.push(
+        linkError(
+          module,
+          module.header,
+          `Unit ${module.name} is also declared in ${units.get(key).file.name}`,
+        ),
+      );
+    } else {
+      units.set(key, module);
+    }
+    if (!module.sections.has("implementation")) {
+      linked.errors.push(
+        linkError(
+          module,
+          module.header,
+          `Unit ${module.name} needs an interface and an implementation section`,
+        ),
+      );
+    }
+  });
+
+  // Units in dependency order: every unit after the units it uses
+  const order: Module[] = [];
+  const visiting: Module[] = [];
+  const external: string[] = [];
+  const visit = (module: Module) => {
+    visiting.push(module);
+    module.uses.forEach((clause) => {
+      clause.units.forEach(({ name, token }) => {
+        const unit = units.get(name.toLowerCase());
+        if (!unit) {
+          if (
+            !external.some(
+              (other) => other.toLowerCase() === name.toLowerCase(),
+            )
+          ) {
+            external.push(name);
+          }
+          return;
+        }
+        if (visiting.includes(unit)) {
+          const cycle = visiting
+            .slice(visiting.indexOf(unit))
+            .map((other) => other.name);
+          linked.errors.push(
+            linkError(
+              module,
+              token,
+              `Circular unit reference: ${[...cycle, unit.name].join(" → ")}`,
+            ),
+          );
+          return;
+        }
+        if (!order.includes(unit)) {
+          visit(unit);
+        }
+      });
+    });
+    visiting.pop();
+    if (module !== mainModule) {
+      order.push(module);
+    }
+  };
+  visit(mainModule);
+  if (linked.errors.length > 0) {
+    return linked;
+  }
+
+  // Blank out uses clauses and unit prefixes such as "Shapes."
+  const texts = new Map<Module, string>();
+  [mainModule, ...order].forEach((module) => {
+    const ranges: Array<[number, number]> = module.uses.map((clause) => [
+      clause.start,
+      clause.end,
+    ]);
+    module.tokens.forEach((token, i) => {
+      const next = module.tokens[i + 1];
+      if (
+        token.type === "identifier" &&
+        next?.value === "." &&
+        module.tokens[i - 1]?.value !== "." &&
+        units.has(token.lower) &&
+        order.includes(units.get(token.lower))
+      ) {
+        ranges.push([token.start, next.end]);
+      }
+    });
+    texts.set(module, blank(module.file.content, ranges));
+  });
+
+  const output = new LinkedSource();
+  const mainText = texts.get(mainModule);
+  const mainEnd = mainModule.file.content.length;
+  output.copy(mainModule, mainText, 0, mainModule.headerEnd);
+  if (external.length > 0) {
+    const usesToken = mainModule.uses[0]
+      ? mainModule.tokens.find((token) => token.lower === "uses")
+      : mainModule.header || mainModule.tokens[0];
+    output.write(`uses ${external.join(", ")};`, mainModule, usesToken);
+  }
+
+  const finalizations: Array<{ module: Module; start: number; end: number }> =
+    [];
+  order.forEach((module) => {
+    const text = texts.get(module);
+    const { sections } = module;
+    const interfaceStart = sections.get("interface")?.end ?? module.headerEnd;
+    const implementation = sections.get("implementation");
+    const initialization = sections.get("initialization");
+    const finalization = sections.get("finalization");
+    const end = module.finalEnd ? module.finalEnd.start : text.length;
+
+    output.copy(module, text, interfaceStart, implementation.start);
+    output.copy(
+      module,
+      text,
+      implementation.end,
+      (initialization || finalization)?.start ?? end,
+    );
+    if (initialization) {
+      output.write("begin", module, initialization);
+      output.copy(
+        module,
+        text,
+        initialization.end,
+        finalization ? finalization.start : end,
+      );
+      output.write("end;", module, initialization);
+    }
+    if (finalization) {
+      finalizations.push({ module, start: finalization.end, end });
+    }
+  });
+
+  // Finalization sections run at the end of the main program, last unit
+  // first
+  const mainFinalEnd = mainModule.finalEnd
+    ? mainModule.finalEnd.start
+    : mainEnd;
+  output.copy(mainModule, mainText, mainModule.headerEnd, mainFinalEnd);
+  finalizations.reverse().forEach(({ module, start, end }) => {
+    const keyword = module.sections.get("finalization");
+    output.write(";", module, keyword);
+    output.write("begin", module, keyword);
+    output.copy(module, texts.get(module), start, end);
+    output.write("end;", module, keyword);
+  });
+  output.copy(mainModule, mainText, mainFinalEnd, mainEnd);
+
+  linked.source = output.lines.join("\n");
+  linked.lines = output.origins;
+  linked.units = order.map((module) => module.file.name);
+  return linked;
+}
+
+/**
+ * Find where a line of the joined source came from
+ * @param {LinkedProject} linked
+ * @param {number} line - 1-based line in the joined source
+ * @returns {SourceLocation} The location; lines outside the source map to
+ *   the main file
+ */
+export function locateLine(linked: LinkedProject, line: number) {
+  return linked.lines[line - 1] || { file: linked.main, line: 0 };
+}
+
+/**
+ * Move diagnostics of the joined source to the files they belong to
+ * Also used for the errors of a run, which have the same position fields.
+ * @param {LinkedProject} linked
+ * @param {Array<Diagnostic>} diagnostics - Diagnostics of the joined source
+ * @returns {Array<Diagnostic>}
+ */
+export function mapDiagnostics<
+  T extends { line: number; column: number; endColumn?: number | null },
+>(linked: LinkedProject, diagnostics: T[]): Array<T & { file: string }> {
+  return diagnostics.map((diagnostic) => {
+    if (diagnostic.line <= 0) {
+      return { ...diagnostic, file: linked.main };
+    }
+    const location = locateLine(linked, diagnostic.line);
+    return {
+      ...diagnostic,
+      file: location.file,
+      line: location.line,
+      // Columns of copied text are unchanged; generated lines have none
+      column: location.generated ? 1 : diagnostic.column,
+      endColumn: location.generated ? null : diagnostic.endColumn,
+    };
+  });
+}
@@ -3,6 +3,11 @@
  * Manages global application state and persistence
  */
 
+import { profileKey } from "./profiles.ts";
+
+// Each learner profile has its own state under this key
+const STORAGE_KEY = "dwscript-primer-state";
+
 const DEFAULT_STATE = {
   theme: "light",
   currentView: "lessons",
@@ -12,12 +17,22 @@ const DEFAULT_STATE = {
   autoSave: true,
   turtleSpeed: 5,
   completedLessons: [],
+  // Lessons stay locked until their prerequisites are completed
+  lessonLocking: true,
+  // Lesson sidebar: "categories" or "path" (see lessons/navigation.ts)
+  lessonListView: "categories",
   userCode: {},
+  // Multi-file project of the playground (see editor/project-files.ts)
+  project: null,
+  projectMode: false,
+  watchExpressions: [],
   preferences: {
     tabSize: 2,
     insertSpaces: true,
     wordWrap: false,
   },
+  // Formatter settings that differ from its defaults (see editor/formatter.ts)
+  formatStyle: {},
   highContrast: false,
   colorBlindMode: "none",
   enableAnimations: true,
@@ -32,7 +47,7 @@ let state = { ...DEFAULT_STATE };
  */
 export function initState() {
   try {
-    const saved = localStorage.getItem("dwscript-primer-state");
+    const saved = localStorage.getItem(profileKey(STORAGE_KEY));
     if (saved) {
       const parsed = JSON.parse(saved);
       state = { ...DEFAULT_STATE, ...parsed };
@@ -53,7 +68,7 @@ export function initState() {
  */
 export function saveState() {
   try {
-    localStorage.setItem("dwscript-primer-state", JSON.stringify(state));
+    localStorage.setItem(profileKey(STORAGE_KEY), JSON.stringify(state));
   } catch (error) {
     console.error("Failed to save state:", error);
   }
@@ -0,0 +1,99 @@
+/**
+ * Tests for Execution Trace Recorder
+ */
+
+import { describe, it, expect, afterEach } from "vitest";
+import { TraceRecorder, startTrace, stopTrace } from "./trace-recorder.ts";
+
+describe("Execution Trace Recorder", () => {
+  describe("TraceRecorder", () => {
+    it("should record the state reached after each line", () => {
+      const recorder = new TraceRecorder();
+      recorder.step(1);
+      recorder.output("a");
+      recorder.step(2);
+      recorder.turtle("Forward", [10]);
+      recorder.output("b");
+      recorder.step(3);
+
+      const trace = recorder.finish();
+      expect(
+        trace.steps.map((s) => [s.line, s.outputCount, s.turtleCount]),
+      ).toEqual([
+        [1, 1, 0],
+        [2, 2, 1],
+        [3, 2, 1],
+      ]);
+      expect(trace.output).toEqual(["a", "b"]);
+      expect(trace.turtleCommands).toEqual([{ name: "Forward", args: [10] }]);
+    });
+
+    it("should track routines and call depth", () => {
+      const recorder = new TraceRecorder();
+      recorder.step(5);
+      recorder.enter("Fact");
+      recorder.step(2);
+      recorder.enter("Fact");
+      recorder.step(2);
+      recorder.leave();
+      recorder.leave();
+      recorder.step(6);
+
+      const { steps } = recorder.finish();
+      expect(steps.map((s) => [s.routine, s.depth])).toEqual([
+        ["(main)", 1],
+        ["Fact", 2],
+        ["Fact", 3],
+        ["(main)", 1],
+      ]);
+    });
+
+    it("should stop recording after the step limit", () => {
+      const recorder = new TraceRecorder(2);
+      recorder.step(1);
+      recorder.step(2);
+      recorder.output("in time");
+      recorder.step(3);
+      recorder.output("late");
+
+      const trace = recorder.finish();
+      expect(trace.steps).toHaveLength(2);
+      expect(trace.truncated).toBe(true);
+      expect(trace.steps[1].outputCount).toBe(1);
+      expect(trace.output).toEqual(["in time"]);
+    });
+  });
+
+  describe("startTrace", () => {
+    afterEach(() => {
+      stopTrace();
+      delete window["Forward"];
+    });
+
+    it("should install hooks and record turtle calls until stopped", () => {
+      const calls = [];
+      window["Forward"] = (distance) => calls.push(distance);
+
+      const code = startTrace("begin\n  Forward(10);\nend.");
+      expect(code).toContain("__DebugStep(2); Forward(10);");
+      expect(code).not.toContain("__DebugWants");
+
+      window["__DebugStep"](2);
+      window["Forward"](10);
+      const trace = stopTrace();
+
+      expect(trace.steps).toEqual([
+        {
+          line: 2,
+          routine: "(main)",
+          depth: 1,
+          outputCount: 0,
+          turtleCount: 1,
+        },
+      ]);
+      expect(trace.turtleCommands).toEqual([{ name: "Forward", args: [10] }]);
+      expect(window["__DebugStep"]).toBeUndefined();
+      expect(stopTrace()).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Execution Trace Recorder
+ * Records a program run as a timeline of executed lines, for scrubbing
+ *
+ * Trace mode reuses the debugger's source instrumentation (see
+ * instrumentation.ts): the step hook records each executed line instead of
+ * pausing. Output chunks and turtle commands are counted at every step, so
+ * the timeline can show the console and the canvas as they were after any
+ * line ran.
+ */
+
+import { instrumentProgram, DEBUG_HOOKS } from "./instrumentation.ts";
+import { getDWScriptAPI } from "./wasm-loader.ts";
+import {
+  TurtleAPI,
+  getTurtle,
+  isTurtleQuery,
+  resetTurtle,
+} from "../turtle/turtle-api.ts";
+
+// Runs longer than this keep running, but stop being recorded
+export const MAX_TRACE_STEPS = 50000;
+
+/**
+ * One executed line and the state right after it ran
+ */
+export interface TraceStep {
+  line: number;
+  /** Innermost routine, or "(main)" */
+  routine: string;
+  /** Call depth, 1 in the main program */
+  depth: number;
+  /** Number of output chunks written when the line finished */
+  outputCount: number;
+  /** Number of turtle commands issued when the line finished */
+  turtleCount: number;
+}
+
+/**
+ * A recorded run
+ */
+export interface ExecutionTrace {
+  steps: TraceStep[];
+  output: string[];
+  turtleCommands: Array<{ name: string; args: unknown[] }>;
+  /** The run had more than MAX_TRACE_STEPS steps */
+  truncated: boolean;
+  /** Canvas background when the run started */
+  background?: string;
+}
+
+/**
+ * Collects trace events into an ExecutionTrace
+ */
+export class TraceRecorder {
+  trace: ExecutionTrace;
+  callStack: string[];
+  maxSteps: number;
+
+  constructor(maxSteps = MAX_TRACE_STEPS) {
+    this.trace = {
+      steps: [],
+      output: [],
+      turtleCommands: [],
+      truncated: false,
+    };
+    this.callStack = ["(main)"];
+    this.maxSteps = maxSteps;
+  }
+
+  /**
+   * A statement is about to run; this also ends the previous step
+   * @param {number} line - Source line of the statement
+   */
+  step(line: number) {
+    this.closeLastStep();
+    if (this.trace.steps.length >= this.maxSteps) {
+      this.trace.truncated = true;
+      return;
+    }
+
+    this.trace.steps.push({
+      line: Number(line),
+      routine: this.callStack[this.callStack.length - 1],
+      depth: this.callStack.length,
+      outputCount: -1,
+      turtleCount: -1,
+    });
+  }
+
+  /**
+   * @param {string} name - Routine entered
+   */
+  enter(name: string) {
+    this.callStack.push(String(name));
+  }
+
+  leave() {
+    if (this.callStack.length > 1) {
+      this.callStack.pop();
+    }
+  }
+
+  /**
+   * @param {string} text - Output chunk
+   */
+  output(text: string) {
+    if (!this.trace.truncated) {
+      this.trace.output.push(text);
+    }
+  }
+
+  /**
+   * @param {string} name - Turtle API function
+   * @param {Array} args - Its arguments
+   */
+  turtle(name: string, args: unknown[]) {
+    if (!this.trace.truncated) {
+      this.trace.turtleCommands.push({ name, args });
+    }
+  }
+
+  /**
+   * End the recording
+   * @returns {ExecutionTrace}
+   */
+  finish() {
+    this.closeLastStep();
+    return this.trace;
+  }
+
+  // Record the output and turtle state reached by the last open step
+  closeLastStep() {
+    const { steps, output, turtleCommands } = this.trace;
+    const last = steps[steps.length - 1];
+    if (last && last.outputCount === -1) {
+      last.outputCount = output.length;
+      last.turtleCount = turtleCommands.length;
+    }
+  }
+}
+
+let activeRecorder: TraceRecorder | null = null;
+let outputListener: ((text: string) => void) | null = null;
+// Turtle globals replaced while recording
+let savedTurtleGlobals: Record<string, unknown> = {};
+
+/**
+ * Start recording a trace of the given program
+ * Installs the trace hooks and wraps the turtle API until stopTrace().
+ * @param {string} code - Original source code
+ * @returns {string} Instrumented code to run instead
+ */
+export function startTrace(code: string) {
+  stopTrace();
+
+  const recorder = new TraceRecorder();
+  activeRecorder = recorder;
+
+  // Start from a reset turtle, which is where the timeline replays from
+  resetTurtle();
+  recorder.trace.background = getTurtle()?.backgroundColor;
+
+  Object.assign(window, {
+    [DEBUG_HOOKS.step]: (line) => recorder.step(line),
+    [DEBUG_HOOKS.enter]: (name) => recorder.enter(name),
+    [DEBUG_HOOKS.leave]: () => recorder.leave(),
+  });
+
+  // Record turtle commands on their way to the engine; getters change nothing
+  savedTurtleGlobals = {};
+  Object.keys(TurtleAPI)
+    .filter((name) => !isTurtleQuery(name) && name in window)
+    .forEach((name) => {
+      const command = window[name];
+      savedTurtleGlobals[name] = command;
+      window[name] = (...args) => {
+        recorder.turtle(name, args);
+        return command(...args);
+      };
+    });
+
+  const api = getDWScriptAPI();
+  if (api) {
+    outputListener = (text) => recorder.output(text);
+    api.addOutputListener(outputListener);
+  }
+
+  return instrumentProgram(code, { captureVariables: false }).code;
+}
+
+/**
+ * Stop recording and restore the hooks
+ * @returns {ExecutionTrace|null} The recorded trace, or null if none ran
+ */
+export function stopTrace() {
+  if (!activeRecorder) {
+    return null;
+  }
+
+  const trace = activeRecorder.finish();
+  activeRecorder = null;
+
+  delete window[DEBUG_HOOKS.step];
+  delete window[DEBUG_HOOKS.enter];
+  delete window[DEBUG_HOOKS.leave];
+  Object.assign(window, savedTurtleGlobals);
+  savedTurtleGlobals = {};
+
+  const api = getDWScriptAPI();
+  if (api && outputListener) {
+    api.removeOutputListener(outputListener);
+  }
+  outputListener = null;
+
+  return trace;
+}
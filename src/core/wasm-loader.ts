@@ -4,6 +4,7 @@
  */
 
 import { dwsAPI } from "./dwscript-api.ts";
+import type { ProgramInput } from "./input-queue.ts";
 
 let wasmInstance = null;
 let wasmReady = false;
@@ -130,9 +131,15 @@ export function getWASMError() {
  * This function will call the Go-exported function once WASM is ready
  * @param {string} code - The DWScript code to execute
  * @param {Object} options - Execution options
+ * @param {number} options.timeout - Timeout in milliseconds (optional)
+ * @param {string|Array<string>} options.input - Scripted stdin for ReadLn (optional)
+ * @param {boolean} options.quiet - Leave the console alone (optional)
  * @returns {Promise<Object>} Result object with output, errors, etc.
  */
-export async function executeDWScript(code, options = {}) {
+export async function executeDWScript(
+  code,
+  options: { timeout?: number; input?: ProgramInput; quiet?: boolean } = {},
+) {
   if (!wasmReady) {
     throw new Error("WASM runtime not initialized");
   }
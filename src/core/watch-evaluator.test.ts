@@ -0,0 +1,80 @@
+/**
+ * Tests for Watch Expression Evaluator
+ */
+
+import { describe, it, expect } from "vitest";
+import { evaluateWatch } from "./watch-evaluator.ts";
+
+const variables = [
+  { name: "i", type: "Integer", scope: "local" as const, value: 2 },
+  { name: "name", type: "String", scope: "local" as const, value: "Bob" },
+  {
+    name: "scores",
+    type: "array[1..3] of Integer",
+    scope: "global" as const,
+    value: [10, 20, 30],
+  },
+  {
+    name: "p",
+    type: "TPoint",
+    scope: "global" as const,
+    value: { X: 3, Y: 4 },
+  },
+  { name: "i", type: "Integer", scope: "global" as const, value: 99 },
+];
+
+function evaluate(expression: string) {
+  return evaluateWatch(expression, variables);
+}
+
+describe("Watch Expression Evaluator", () => {
+  it("should follow Pascal operator precedence", () => {
+    expect(evaluate("1 + 2 * 3").value).toBe(7);
+    expect(evaluate("(1 + 2) * 3").value).toBe(9);
+    expect(evaluate("7 div 2 + 7 mod 2").value).toBe(4);
+    expect(evaluate("not (i > 1) or True").value).toBe(true);
+  });
+
+  it("should look up variables case-insensitively, innermost first", () => {
+    expect(evaluate("I")).toEqual({ success: true, value: 2, type: "Integer" });
+    expect(evaluate("Name + '!'").value).toBe("Bob!");
+  });
+
+  it("should index arrays from their declared low bound", () => {
+    expect(evaluate("scores[1]").value).toBe(10);
+    expect(evaluate("scores[i + 1]").value).toBe(30);
+    expect(evaluate("name[1]").value).toBe("B");
+    expect(evaluate("scores[4]")).toEqual({
+      success: false,
+      message: "Index 4 out of range",
+    });
+  });
+
+  it("should read record fields", () => {
+    expect(evaluate("Sqrt(Sqr(p.x) + Sqr(p.Y))").value).toBe(5);
+    expect(evaluate("p.Z").message).toBe("No field 'Z'");
+  });
+
+  it("should evaluate sets and string literals", () => {
+    expect(evaluate("i in [1..3, 7]").value).toBe(true);
+    expect(evaluate("name[1] in ['A'..'C']").value).toBe(true);
+    expect(evaluate("'it''s'#33").value).toBe("it's!");
+  });
+
+  it("should call built-in functions", () => {
+    expect(evaluate("Length(scores)").value).toBe(3);
+    expect(evaluate("UpperCase(name) = 'BOB'").value).toBe(true);
+    expect(evaluate("IntToStr(High(scores))").value).toBe("3");
+    expect(evaluate("Low(scores)").value).toBe(1);
+    expect(evaluate("High(name)").value).toBe(3);
+  });
+
+  it("should report errors instead of throwing", () => {
+    expect(evaluate("unknown + 1").message).toBe(
+      "Unknown identifier 'unknown'",
+    );
+    expect(evaluate("1 div 0").message).toBe("Division by zero");
+    expect(evaluate("(1 + 2").success).toBe(false);
+    expect(evaluate("  ").success).toBe(false);
+  });
+});
@@ -0,0 +1,524 @@
+/**
+ * Watch Expression Evaluator
+ * Evaluates Pascal expressions against the variables of a paused program
+ *
+ * The debugger only receives variable values (see instrumentation.ts), so
+ * watch expressions are evaluated here rather than by the runtime. This
+ * covers the expression subset that is useful while debugging: arithmetic,
+ * comparisons, boolean logic, field and index access, set literals and
+ * common built-in functions. Routines of the program cannot be called.
+ */
+
+import { tokenize, type Token } from "../editor/dwscript-tokenizer.ts";
+import type { DebugVariableValue } from "./instrumentation.ts";
+
+/**
+ * Result of evaluating a watch expression
+ */
+export interface WatchResult {
+  success: boolean;
+  value?: unknown;
+  /** Type of the value when it is a plain variable, otherwise "" */
+  type?: string;
+  message?: string;
+}
+
+// Largest range a set literal like [1..100] may expand to
+const MAX_SET_RANGE = 10000;
+
+const BUILTINS: Record<string, (...args: unknown[]) => unknown> = {
+  abs: (x) => Math.abs(toNumber(x)),
+  sqr: (x) => toNumber(x) * toNumber(x),
+  sqrt: (x) => Math.sqrt(toNumber(x)),
+  round: (x) => Math.round(toNumber(x)),
+  trunc: (x) => Math.trunc(toNumber(x)),
+  frac: (x) => toNumber(x) - Math.trunc(toNumber(x)),
+  odd: (x) => Math.abs(toNumber(x)) % 2 === 1,
+  min: (a, b) => Math.min(toNumber(a), toNumber(b)),
+  max: (a, b) => Math.max(toNumber(a), toNumber(b)),
+  sin: (x) => Math.sin(toNumber(x)),
+  cos: (x) => Math.cos(toNumber(x)),
+  ord: (x) =>
+    typeof x === "string"
+      ? x.charCodeAt(0)
+      : typeof x === "boolean"
+        ? Number(x)
+        : toNumber(x),
+  chr: (x) => String.fromCharCode(toNumber(x)),
+  length: (x) => (Array.isArray(x) ? x.length : String(x ?? "").length),
+  inttostr: (x) => String(Math.trunc(toNumber(x))),
+  floattostr: (x) => String(toNumber(x)),
+  strtoint: (x) => {
+    const value = parseInt(String(x), 10);
+    if (Number.isNaN(value)) {
+      throw new Error(`'${x}' is not a valid integer value`);
+    }
+    return value;
+  },
+  uppercase: (s) => String(s).toUpperCase(),
+  lowercase: (s) => String(s).toLowerCase(),
+  trim: (s) => String(s).trim(),
+  copy: (s, index, count) =>
+    String(s).substr(
+      toNumber(index) - 1,
+      count === undefined ? undefined : toNumber(count),
+    ),
+  pos: (sub, s) => String(s).indexOf(String(sub)) + 1,
+};
+
+// Built-ins that need the declared low bound of an array argument
+const BOUND_BUILTINS: Record<string, (x: unknown, low: number) => unknown> = {
+  low: (x, low) => (typeof x === "string" ? 1 : low),
+  high: (x, low) =>
+    Array.isArray(x) ? low + x.length - 1 : String(x ?? "").length,
+};
+
+/**
+ * An evaluated operand
+ */
+interface Operand {
+  value: unknown;
+  /** Declared type, when the value comes from a variable */
+  type: string;
+  /** Declared low bound, when the value is an array */
+  low?: number;
+}
+
+/**
+ * Recursive descent parser that evaluates while parsing
+ */
+class WatchEvaluator {
+  tokens: Token[];
+  pos: number;
+  variables: DebugVariableValue[];
+
+  constructor(expression: string, variables: DebugVariableValue[]) {
+    this.tokens = tokenize(expression);
+    this.pos = 0;
+    this.variables = variables;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  is(...values: string[]) {
+    const token = this.peek();
+    return Boolean(token) && values.includes(token.lower);
+  }
+
+  expect(value: string) {
+    if (!this.is(value)) {
+      const token = this.peek();
+      throw new Error(
+        token
+          ? `Expected '${value}' but found '${token.value}'`
+          : `Expected '${value}'`,
+      );
+    }
+    this.pos++;
+  }
+
+  /**
+   * Evaluate the whole expression
+   * @returns {Object} Value and type
+   */
+  evaluate() {
+    const result = this.parseRelation();
+    if (this.peek()) {
+      throw new Error(`Unexpected '${this.peek().value}'`);
+    }
+    return result;
+  }
+
+  // relation: simple [(= <> < > <= >= in) simple]
+  parseRelation() {
+    const left = this.parseSimple();
+    if (!this.is("=", "<>", "<", ">", "<=", ">=", "in")) {
+      return left;
+    }
+
+    const operator = this.tokens[this.pos++].lower;
+    const a = left.value;
+    const b = this.parseSimple().value;
+    let value;
+    switch (operator) {
+      case "=":
+        value = isEqual(a, b);
+        break;
+      case "<>":
+        value = !isEqual(a, b);
+        break;
+      case "<":
+        value = (a as number) < (b as number);
+        break;
+      case ">":
+        value = (a as number) > (b as number);
+        break;
+      case "<=":
+        value = (a as number) <= (b as number);
+        break;
+      case ">=":
+        value = (a as number) >= (b as number);
+        break;
+      case "in":
+        if (!Array.isArray(b)) {
+          throw new Error("Right operand of 'in' must be a set");
+        }
+        value = b.some((item) => isEqual(item, a));
+        break;
+    }
+    return { value, type: "" };
+  }
+
+  // simple: term {(+ - or xor) term}
+  parseSimple() {
+    let result = this.parseTerm();
+    while (this.is("+", "-", "or", "xor")) {
+      const operator = this.tokens[this.pos++].lower;
+      const a = result.value;
+      const b = this.parseTerm().value;
+      let value;
+      if (operator === "+") {
+        value =
+          typeof a === "string" || typeof b === "string"
+            ? String(a) + String(b)
+            : toNumber(a) + toNumber(b);
+      } else if (operator === "-") {
+        value = toNumber(a) - toNumber(b);
+      } else if (typeof a === "boolean" && typeof b === "boolean") {
+        value = operator === "or" ? a || b : a !== b;
+      } else {
+        value =
+          operator === "or"
+            ? toNumber(a) | toNumber(b)
+            : toNumber(a) ^ toNumber(b);
+      }
+      result = { value, type: "" };
+    }
+    return result;
+  }
+
+  // term: factor {(* / div mod and shl shr) factor}
+  parseTerm() {
+    let result = this.parseFactor();
+    while (this.is("*", "/", "div", "mod", "and", "shl", "shr")) {
+      const operator = this.tokens[this.pos++].lower;
+      const a = result.value;
+      const b = this.parseFactor().value;
+      let value;
+      switch (operator) {
+        case "*":
+          value = toNumber(a) * toNumber(b);
+          break;
+        case "/":
+          value = toNumber(a) / toNumber(b);
+          break;
+        case "div":
+        case "mod":
+          if (toNumber(b) === 0) {
+            throw new Error("Division by zero");
+          }
+          value =
+            operator === "div"
+              ? Math.trunc(toNumber(a) / toNumber(b))
+              : toNumber(a) % toNumber(b);
+          break;
+        case "and":
+          value =
+            typeof a === "boolean" && typeof b === "boolean"
+              ? a && b
+              : toNumber(a) & toNumber(b);
+          break;
+        case "shl":
+          value = toNumber(a) << toNumber(b);
+          break;
+        case "shr":
+          value = toNumber(a) >>> toNumber(b);
+          break;
+      }
+      result = { value, type: "" };
+    }
+    return result;
+  }
+
+  // factor: [not | - | +] factor | primary {. field | [index]}
+  parseFactor() {
+    if (this.is("not")) {
+      this.pos++;
+      const { value } = this.parseFactor();
+      return {
+        value: typeof value === "boolean" ? !value : ~toNumber(value),
+        type: "",
+      };
+    }
+    if (this.is("-", "+")) {
+      const negate = this.tokens[this.pos++].value === "-";
+      const { value } = this.parseFactor();
+      return { value: negate ? -toNumber(value) : toNumber(value), type: "" };
+    }
+
+    let result = this.parsePrimary();
+    while (this.is(".", "[")) {
+      if (this.is(".")) {
+        this.pos++;
+        const field = this.peek();
+        if (!field || field.type !== "identifier") {
+          throw new Error("Expected a field name");
+        }
+        this.pos++;
+        result = { value: getField(result.value, field.value), type: "" };
+      } else {
+        // a[i, j] is the same as a[i][j]
+        this.pos++;
+        for (;;) {
+          const index = toNumber(this.parseRelation().value);
+          result = getIndexed(result, index);
+          if (!this.is(",")) {
+            break;
+          }
+          this.pos++;
+        }
+        this.expect("]");
+      }
+    }
+    return result;
+  }
+
+  parsePrimary(): Operand {
+    const token = this.peek();
+    if (!token) {
+      throw new Error("Unexpected end of expression");
+    }
+    this.pos++;
+
+    if (token.type === "number") {
+      return { value: parseNumber(token.value), type: "" };
+    }
+    if (token.type === "string") {
+      return { value: parseString(token.value), type: "" };
+    }
+    if (token.lower === "true" || token.lower === "false") {
+      return { value: token.lower === "true", type: "" };
+    }
+    if (token.lower === "nil") {
+      return { value: null, type: "" };
+    }
+    if (token.value === "(") {
+      const result = this.parseRelation();
+      this.expect(")");
+      return result;
+    }
+    if (token.value === "[") {
+      return { value: this.parseSetLiteral(), type: "" };
+    }
+    if (token.type === "identifier") {
+      return this.parseIdentifier(token);
+    }
+
+    throw new Error(`Unexpected '${token.value}'`);
+  }
+
+  // [a, b, c..d]
+  parseSetLiteral() {
+    const items = [];
+    while (!this.is("]")) {
+      const first = this.parseRelation().value;
+      if (this.is("..")) {
+        this.pos++;
+        const last = this.parseRelation().value;
+        const from = toOrdinal(first);
+        const to = toOrdinal(last);
+        if (to - from > MAX_SET_RANGE) {
+          throw new Error("Set range is too large");
+        }
+        for (let i = from; i <= to; i++) {
+          items.push(typeof first === "string" ? String.fromCharCode(i) : i);
+        }
+      } else {
+        items.push(first);
+      }
+      if (!this.is(",")) {
+        break;
+      }
+      this.pos++;
+    }
+    this.expect("]");
+    return items;
+  }
+
+  parseIdentifier(token: Token) {
+    const variable = this.variables.find(
+      (v) => v.name.toLowerCase() === token.lower,
+    );
+    if (variable) {
+      return {
+        value: variable.value,
+        type: variable.type,
+        low: arrayLow(variable.type),
+      };
+    }
+
+    const builtin = BUILTINS[token.lower];
+    const boundBuiltin = BOUND_BUILTINS[token.lower];
+    if (builtin || boundBuiltin) {
+      const args: Operand[] = [];
+      if (this.is("(")) {
+        this.pos++;
+        while (!this.is(")")) {
+          args.push(this.parseRelation());
+          if (!this.is(",")) {
+            break;
+          }
+          this.pos++;
+        }
+        this.expect(")");
+      }
+      if (boundBuiltin) {
+        return {
+          value: boundBuiltin(args[0]?.value, args[0]?.low ?? 0),
+          type: "",
+        };
+      }
+      return { value: builtin(...args.map((arg) => arg.value)), type: "" };
+    }
+
+    throw new Error(`Unknown identifier '${token.value}'`);
+  }
+}
+
+/**
+ * Evaluate a watch expression
+ * @param {string} expression - Pascal expression, e.g. "a[i] + 1"
+ * @param {Array<Object>} variables - Variables in scope, innermost first
+ * @returns {WatchResult} The value, or a message explaining the failure
+ */
+export function evaluateWatch(
+  expression: string,
+  variables: DebugVariableValue[],
+): WatchResult {
+  if (!expression.trim()) {
+    return { success: false, message: "Empty expression" };
+  }
+
+  try {
+    const { value, type } = new WatchEvaluator(
+      expression,
+      variables,
+    ).evaluate();
+    return { success: true, value, type };
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+}
+
+function toNumber(value: unknown) {
+  if (typeof value === "number") {
+    return value;
+  }
+  if (typeof value === "boolean") {
+    return Number(value);
+  }
+  throw new Error(`${formatOperand(value)} is not a number`);
+}
+
+function toOrdinal(value: unknown) {
+  return typeof value === "string" ? value.charCodeAt(0) : toNumber(value);
+}
+
+function formatOperand(value: unknown) {
+  return typeof value === "string" ? `'${value}'` : JSON.stringify(value);
+}
+
+function isEqual(a: unknown, b: unknown) {
+  if (typeof a === "string" || typeof b === "string") {
+    return String(a) === String(b);
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Parse a numeric literal ($FF, 0xFF, 1_000, 1.5e3)
+ * @param {string} text - Literal text
+ * @returns {number}
+ */
+function parseNumber(text: string) {
+  const clean = text.replace(/_/g, "");
+  if (clean.startsWith("$")) {
+    return parseInt(clean.slice(1), 16);
+  }
+  return Number(clean);
+}
+
+/**
+ * Parse a string literal ('it''s', #13#10, 'a'#9'b')
+ * @param {string} text - Literal text
+ * @returns {string}
+ */
+function parseString(text: string) {
+  let result = "";
+  const pattern = /'((?:[^']|'')*)'|"((?:[^"]|"")*)"|#\$([0-9A-Fa-f]+)|#(\d+)/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    if (match[1] !== undefined) {
+      result += match[1].replace(/''/g, "'");
+    } else if (match[2] !== undefined) {
+      result += match[2].replace(/""/g, '"');
+    } else {
+      result += String.fromCharCode(
+        match[3] ? parseInt(match[3], 16) : parseInt(match[4], 10),
+      );
+    }
+  }
+  return result;
+}
+
+/**
+ * Field of a record or object value; field names are case-insensitive
+ */
+function getField(value: unknown, name: string) {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    const key = Object.keys(value).find(
+      (k) => k.toLowerCase() === name.toLowerCase(),
+    );
+    if (key !== undefined) {
+      return value[key];
+    }
+  }
+  throw new Error(`No field '${name}'`);
+}
+
+/**
+ * Declared low bound of an array type ("array[1..3] of Integer")
+ * @param {string} type - Declared type
+ * @returns {number} 0 for dynamic arrays and other types
+ */
+function arrayLow(type: string) {
+  const bounds = /^array\s*\[\s*(-?\d+)\s*\.\./i.exec(type);
+  return bounds ? parseInt(bounds[1], 10) : 0;
+}
+
+/**
+ * Element of a string (1-based) or an array (from its declared low bound)
+ * @param {Operand} operand - String or array
+ * @param {number} index - Pascal index
+ * @returns {Operand} Element value and type
+ */
+function getIndexed(operand: Operand, index: number): Operand {
+  const { value, low = 0 } = operand;
+  if (typeof value === "string") {
+    if (index < 1 || index > value.length) {
+      throw new Error(`Index ${index} out of range`);
+    }
+    return { value: value.charAt(index - 1), type: "" };
+  }
+  if (!Array.isArray(value)) {
+    throw new Error("Value cannot be indexed");
+  }
+
+  if (index < low || index - low >= value.length) {
+    throw new Error(`Index ${index} out of range`);
+  }
+  const type = operand.type.replace(/^array\s*(\[[^\]]*\])?\s*of\s+/i, "");
+  return { value: value[index - low], type, low: arrayLow(type) };
+}
@@ -0,0 +1,55 @@
+/**
+ * Tests for the cursor context helpers
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  memberChainBefore,
+  findEnclosingCall,
+  parameterRanges,
+} from "./code-context.ts";
+
+const callAt = (text: string) => findEnclosingCall(text, text.length);
+
+describe("Code Context", () => {
+  it("reads member chains before a dot", () => {
+    expect(memberChainBefore("  x := shape.")).toEqual(["shape"]);
+    expect(memberChainBefore("shape.Origin . ")).toEqual(["shape", "Origin"]);
+    expect(memberChainBefore("shape.Origin.X")).toBeNull();
+    expect(memberChainBefore("x := 1.")).toBeNull();
+  });
+
+  it("finds the call and argument at the cursor", () => {
+    expect(callAt("WriteLn(Copy(s, 2, ")).toEqual({
+      name: "Copy",
+      chain: [],
+      activeParameter: 2,
+    });
+    expect(callAt("WriteLn(Copy(s, 2, 3), ")).toEqual({
+      name: "WriteLn",
+      chain: [],
+      activeParameter: 1,
+    });
+    expect(callAt("c.Origin.Move(a[1, 2], (b + c), 'x,y', ")).toEqual({
+      name: "Move",
+      chain: ["c", "Origin"],
+      activeParameter: 3,
+    });
+  });
+
+  it("stops at statement boundaries", () => {
+    expect(callAt("Foo(1);\nx := ")).toBeNull();
+    expect(callAt("if (a, ")).toBeNull();
+    expect(callAt("begin\n  ")).toBeNull();
+  });
+
+  it("locates the parameters in a signature label", () => {
+    const label = "function Copy(s: String; index, count: Integer): String";
+    expect(parameterRanges(label).map(([s, e]) => label.slice(s, e))).toEqual([
+      "s: String",
+      "index",
+      "count: Integer",
+    ]);
+    expect(parameterRanges("function Random: Float")).toEqual([]);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Code Context
+ * Reads what surrounds the cursor: the member chain before a dot and the
+ * call whose argument list the cursor is in
+ *
+ * Used by the IntelliSense providers; kept free of Monaco so it can be
+ * tested on plain strings.
+ */
+
+import { tokenize } from "./dwscript-tokenizer.ts";
+
+export interface CallContext {
+  /** Called routine */
+  name: string;
+  /** Names before the routine, e.g. ["shape"] for "shape.Move(" */
+  chain: string[];
+  /** Index of the argument the cursor is in */
+  activeParameter: number;
+}
+
+// How far back to look for the start of a call
+const CALL_LOOKBACK = 2000;
+
+// Tokens that end a statement; a call never spans them
+const STATEMENT_BOUNDARIES = new Set([
+  ";",
+  ":=",
+  "begin",
+  "end",
+  "then",
+  "else",
+  "do",
+  "of",
+]);
+
+/**
+ * Names of a member access ending right before a position, e.g. "a.b." gives
+ * ["a", "b"]
+ * @param {string} textBefore - Text before the cursor (or the typed word)
+ * @returns {Array<string>|null} The chain, or null if not after a dot
+ */
+export function memberChainBefore(textBefore: string) {
+  const match = textBefore.match(
+    /((?:[A-Za-z_]\w*\s*\.\s*)*[A-Za-z_]\w*)\s*\.\s*$/,
+  );
+  if (!match) {
+    return null;
+  }
+  return match[1].split(".").map((name) => name.trim());
+}
+
+/**
+ * Find the call whose argument list contains an offset
+ * @param {string} source - Source code
+ * @param {number} offset - Cursor offset
+ * @returns {CallContext|null}
+ */
+export function findEnclosingCall(
+  source: string,
+  offset: number,
+): CallContext | null {
+  const start = Math.max(0, offset - CALL_LOOKBACK);
+  const tokens = tokenize(source.slice(start, offset));
+
+  let depth = 0;
+  let commas = 0;
+  for (let i = tokens.length - 1; i >= 0; i--) {
+    const token = tokens[i];
+    if (token.type === "string" || token.type === "number") {
+      continue;
+    }
+    const value = token.lower;
+    if (value === ")" || value === "]") {
+      depth++;
+    } else if (value === "[" || value === "(") {
+      if (depth > 0) {
+        depth--;
+        continue;
+      }
+      if (value === "[") {
+        // Cursor in an index or set; the call may be further out
+        commas = 0;
+        continue;
+      }
+      const callee = tokens[i - 1];
+      if (!callee || callee.type !== "identifier") {
+        // Parenthesized expression
+        commas = 0;
+        continue;
+      }
+      const chain: string[] = [];
+      for (
+        let j = i - 2;
+        j >= 1 &&
+        tokens[j].value === "." &&
+        tokens[j - 1].type === "identifier";
+        j -= 2
+      ) {
+        chain.unshift(tokens[j - 1].value);
+      }
+      return { name: callee.value, chain, activeParameter: commas };
+    } else if (depth === 0) {
+      if (value === ",") {
+        commas++;
+      } else if (STATEMENT_BOUNDARIES.has(value)) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Offsets of the parameters in a signature label, e.g. for
+ * "function Copy(s: String; index, count: Integer): String"
+ * Names sharing a type each get their own range; the last one includes the
+ * type ("index" and "count: Integer").
+ * @param {string} label - Signature as written in a declaration
+ * @returns {Array<Array<number>>} [start, end) offsets in the label
+ */
+export function parameterRanges(label: string) {
+  const open = label.indexOf("(");
+  if (open < 0) {
+    return [];
+  }
+
+  const ranges: Array<[number, number]> = [];
+  let depth = 0;
+  let start = open + 1;
+  const pushRange = (end: number) => {
+    const text = label.slice(start, end);
+    const trimmedStart = start + (text.length - text.trimStart().length);
+    const trimmedEnd = end - (text.length - text.trimEnd().length);
+    if (trimmedEnd > trimmedStart) {
+      ranges.push([trimmedStart, trimmedEnd]);
+    }
+    start = end + 1;
+  };
+
+  for (let i = open + 1; i < label.length; i++) {
+    const char = label[i];
+    if (char === "(" || char === "[") {
+      depth++;
+    } else if ((char === ")" || char === "]") && depth > 0) {
+      depth--;
+    } else if (char === ")") {
+      pushRange(i);
+      break;
+    } else if ((char === ";" || char === ",") && depth === 0) {
+      pushRange(i);
+    }
+  }
+  return ranges;
+}
@@ -0,0 +1,144 @@
+/**
+ * Debugger Editor Decorations
+ * Breakpoints in the glyph margin and the paused (or traced) line highlight
+ */
+
+import type * as Monaco from "monaco-editor";
+import {
+  toggleBreakpoint,
+  getBreakpoints,
+  setBreakpoints,
+} from "../core/debugger.ts";
+
+type MonacoAPI = typeof import("monaco-editor");
+
+let breakpointDecorations: Monaco.editor.IEditorDecorationsCollection | null =
+  null;
+let currentLineDecorations: Monaco.editor.IEditorDecorationsCollection | null =
+  null;
+
+/**
+ * Set up breakpoint toggling and debugger decorations for an editor
+ * @param {monaco.editor.IStandaloneCodeEditor} editor - Editor instance
+ * @param {Object} monaco - Monaco API
+ */
+export function initDebugDecorations(
+  editor: Monaco.editor.IStandaloneCodeEditor,
+  monaco: MonacoAPI,
+) {
+  breakpointDecorations = editor.createDecorationsCollection();
+  currentLineDecorations = editor.createDecorationsCollection();
+
+  // Click in the glyph margin toggles a breakpoint
+  editor.onMouseDown((e) => {
+    if (
+      e.target.type === monaco.editor.MouseTargetType.GUTTER_GLYPH_MARGIN &&
+      e.target.position
+    ) {
+      toggleBreakpoint(e.target.position.lineNumber);
+    }
+  });
+
+  // Breakpoint decorations stick to their code while editing; move the
+  // breakpoints along with them
+  editor.onDidChangeModelContent(() => {
+    const ranges = breakpointDecorations.getRanges();
+    const lines = Array.from(new Set(ranges.map((r) => r.startLineNumber)));
+    const current = getBreakpoints();
+    if (
+      lines.length !== current.length ||
+      lines.some((line) => !current.includes(line))
+    ) {
+      setBreakpoints(lines);
+    }
+  });
+
+  window.addEventListener("debugger", (e) => {
+    const event = e as CustomEvent<{ type: string; line?: number }>;
+    const { type, line } = event.detail;
+
+    switch (type) {
+      case "breakpoint-set":
+      case "breakpoint-removed":
+      case "breakpoints-changed":
+      case "breakpoints-cleared":
+        renderBreakpoints(monaco);
+        break;
+
+      case "execution-paused":
+        showCurrentLine(editor, monaco, line);
+        break;
+
+      case "execution-resumed":
+      case "session-ended":
+        currentLineDecorations.clear();
+        break;
+    }
+  });
+
+  // The execution trace timeline highlights the line of the selected step
+  window.addEventListener("tracestep", (e) => {
+    const { line } = (e as CustomEvent<{ line: number | null }>).detail;
+    if (line) {
+      showCurrentLine(editor, monaco, line);
+    } else {
+      currentLineDecorations.clear();
+    }
+  });
+}
+
+/**
+ * Redraw breakpoint glyphs from the debugger state
+ * @param {Object} monaco - Monaco API
+ */
+function renderBreakpoints(monaco: MonacoAPI) {
+  breakpointDecorations.set(
+    getBreakpoints().map((line) => ({
+      range: new monaco.Range(line, 1, line, 1),
+      options: {
+        isWholeLine: true,
+        glyphMarginClassName: "debug-breakpoint-glyph",
+        glyphMarginHoverMessage: { value: "Breakpoint (click to remove)" },
+        stickiness:
+          monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges,
+      },
+    })),
+  );
+}
+
+/**
+ * Highlight the line execution is paused at and scroll it into view
+ * @param {monaco.editor.IStandaloneCodeEditor} editor - Editor instance
+ * @param {Object} monaco - Monaco API
+ * @param {number} line - Paused line
+ */
+function showCurrentLine(
+  editor: Monaco.editor.IStandaloneCodeEditor,
+  monaco: MonacoAPI,
+  line: number,
+) {
+  currentLineDecorations.set([
+    {
+      range: new monaco.Range(line, 1, line, 1),
+      options: {
+        isWholeLine: true,
+        className: "debug-current-line",
+        glyphMarginClassName: "debug-current-line-glyph",
+      },
+    },
+  ]);
+  editor.revealLineInCenterIfOutsideViewport(line);
+}
+
+/**
+ * Toggle a breakpoint on the line with the cursor
+ * @param {monaco.editor.IStandaloneCodeEditor} editor - Editor instance
+ */
+export function toggleBreakpointAtCursor(
+  editor: Monaco.editor.IStandaloneCodeEditor,
+) {
+  const position = editor.getPosition();
+  if (position) {
+    toggleBreakpoint(position.lineNumber);
+  }
+}
@@ -0,0 +1,304 @@
+/**
+ * DWScript Tokenizer
+ * Splits DWScript source into tokens with source positions
+ *
+ * Unlike the Monarch grammar in dwscript-lang.ts (which only colours text),
+ * this tokenizer is meant for tools that need to understand the program
+ * structure, such as the debugger's source instrumentation.
+ */
+
+export type TokenType =
+  | "keyword"
+  | "identifier"
+  | "number"
+  | "string"
+  | "symbol"
+  | "comment"
+  | "directive"
+  | "unknown";
+
+export interface Token {
+  type: TokenType;
+  value: string;
+  /** Lowercased value, for case-insensitive keyword checks */
+  lower: string;
+  /** Offset of the first character */
+  start: number;
+  /** Offset after the last character */
+  end: number;
+  /** 1-based line number */
+  line: number;
+  /** 1-based column number */
+  column: number;
+}
+
+/**
+ * Reserved words that can never be used as identifiers
+ * Contextual directives (e.g. "read", "name", "override") are reported as
+ * identifiers; parsers check them by their lowercased value.
+ */
+export const RESERVED_WORDS = new Set([
+  "and",
+  "array",
+  "as",
+  "asm",
+  "begin",
+  "case",
+  "class",
+  "const",
+  "constructor",
+  "destructor",
+  "div",
+  "do",
+  "downto",
+  "else",
+  "end",
+  "except",
+  "exports",
+  "file",
+  "finalization",
+  "finally",
+  "for",
+  "function",
+  "goto",
+  "if",
+  "implementation",
+  "in",
+  "inherited",
+  "initialization",
+  "interface",
+  "is",
+  "label",
+  "lambda",
+  "library",
+  "mod",
+  "nil",
+  "not",
+  "object",
+  "of",
+  "operator",
+  "or",
+  "packed",
+  "procedure",
+  "program",
+  "property",
+  "raise",
+  "record",
+  "repeat",
+  "resourcestring",
+  "set",
+  "shl",
+  "shr",
+  "then",
+  "threadvar",
+  "to",
+  "try",
+  "type",
+  "unit",
+  "until",
+  "uses",
+  "var",
+  "while",
+  "with",
+  "xor",
+]);
+
+// Multi-character symbols, longest first
+const SYMBOLS = [
+  ":=",
+  "+=",
+  "-=",
+  "*=",
+  "/=",
+  "<=",
+  ">=",
+  "<>",
+  "..",
+  "=>",
+  "(",
+  ")",
+  "[",
+  "]",
+  ",",
+  ";",
+  ":",
+  ".",
+  "=",
+  "<",
+  ">",
+  "+",
+  "-",
+  "*",
+  "/",
+  "^",
+  "@",
+  "?",
+];
+
+/**
+ * Tokenize DWScript source
+ * @param {string} source - Source code
+ * @param {Object} options - Tokenizer options
+ * @param {boolean} options.includeComments - Keep comment and directive tokens
+ * @returns {Array<Token>} Tokens in source order (whitespace is dropped)
+ */
+export function tokenize(
+  source: string,
+  options: { includeComments?: boolean } = {},
+) {
+  const tokens: Token[] = [];
+  const length = source.length;
+  let pos = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const push = (type: TokenType, start: number, startLine: number, col) => {
+    const value = source.slice(start, pos);
+    if (
+      (type === "comment" || type === "directive") &&
+      !options.includeComments
+    ) {
+      return;
+    }
+    tokens.push({
+      type,
+      value,
+      lower: value.toLowerCase(),
+      start,
+      end: pos,
+      line: startLine,
+      column: col,
+    });
+  };
+
+  // Advance over a span that may contain line breaks
+  const advanceTo = (target: number) => {
+    while (pos < target) {
+      if (source[pos] === "\n") {
+        line++;
+        lineStart = pos + 1;
+      }
+      pos++;
+    }
+  };
+
+  while (pos < length) {
+    const ch = source[pos];
+    const start = pos;
+    const startLine = line;
+    const column = pos - lineStart + 1;
+
+    // Whitespace
+    if (/\s/.test(ch)) {
+      advanceTo(pos + 1);
+      continue;
+    }
+
+    // Line comment
+    if (ch === "/" && source[pos + 1] === "/") {
+      const newline = source.indexOf("\n", pos);
+      pos = newline === -1 ? length : newline;
+      push("comment", start, startLine, column);
+      continue;
+    }
+
+    // Brace comment or compiler directive
+    if (ch === "{") {
+      const close = source.indexOf("}", pos + 1);
+      advanceTo(close === -1 ? length : close + 1);
+      push(
+        source[start + 1] === "$" ? "directive" : "comment",
+        start,
+        startLine,
+        column,
+      );
+      continue;
+    }
+
+    // (* ... *) comment
+    if (ch === "(" && source[pos + 1] === "*") {
+      const close = source.indexOf("*)", pos + 2);
+      advanceTo(close === -1 ? length : close + 2);
+      push("comment", start, startLine, column);
+      continue;
+    }
+
+    // Identifiers and keywords (& escapes a reserved word)
+    if (/[A-Za-z_&]/.test(ch)) {
+      pos++;
+      while (pos < length && /\w/.test(source[pos])) {
+        pos++;
+      }
+      const word = source.slice(start, pos).toLowerCase();
+      push(
+        RESERVED_WORDS.has(word) ? "keyword" : "identifier",
+        start,
+        startLine,
+        column,
+      );
+      continue;
+    }
+
+    // Numbers: decimal, float, exponent, $hex, 0x hex
+    if (/\d/.test(ch) || (ch === "$" && /[0-9A-Fa-f]/.test(source[pos + 1]))) {
+      if (ch === "$") {
+        pos++;
+        while (pos < length && /[0-9A-Fa-f_]/.test(source[pos])) pos++;
+      } else if (ch === "0" && /[xX]/.test(source[pos + 1])) {
+        pos += 2;
+        while (pos < length && /[0-9A-Fa-f_]/.test(source[pos])) pos++;
+      } else {
+        while (pos < length && /[\d_]/.test(source[pos])) pos++;
+        // A single dot starts the fraction; ".." is a range operator
+        if (source[pos] === "." && /\d/.test(source[pos + 1] || "")) {
+          pos++;
+          while (pos < length && /\d/.test(source[pos])) pos++;
+        }
+        if (/[eE]/.test(source[pos] || "")) {
+          const exponent = /^[eE][+-]?\d+/.exec(source.slice(pos, pos + 12));
+          if (exponent) pos += exponent[0].length;
+        }
+      }
+      push("number", start, startLine, column);
+      continue;
+    }
+
+    // Strings: '...' and "..." with doubled quotes, plus #13 / #$0D
+    // characters, all glued together into one literal
+    if (ch === "'" || ch === '"' || ch === "#") {
+      while (pos < length) {
+        const quote = source[pos];
+        if (quote === "'" || quote === '"') {
+          pos++;
+          while (pos < length) {
+            if (source[pos] === quote) {
+              if (source[pos + 1] === quote) {
+                pos += 2;
+                continue;
+              }
+              pos++;
+              break;
+            }
+            if (source[pos] === "\n") break; // unterminated
+            pos++;
+          }
+        } else if (quote === "#") {
+          pos++;
+          if (source[pos] === "$") pos++;
+          while (pos < length && /[0-9A-Fa-f]/.test(source[pos])) pos++;
+        } else {
+          break;
+        }
+      }
+      push("string", start, startLine, column);
+      continue;
+    }
+
+    // Symbols
+    const symbol = SYMBOLS.find((s) => source.startsWith(s, pos));
+    pos += symbol ? symbol.length : 1;
+    push(symbol ? "symbol" : "unknown", start, startLine, column);
+  }
+
+  return tokens;
+}
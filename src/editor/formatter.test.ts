@@ -0,0 +1,180 @@
+/**
+ * Tests for the DWScript formatter
+ */
+
+import { describe, it, expect } from "vitest";
+import { formatDWScript, formatDWScriptRange } from "./formatter.ts";
+
+const lines = (...text: string[]) => text.join("\n");
+
+describe("DWScript Formatter", () => {
+  it("indents blocks, branches and single statements", () => {
+    const source = lines(
+      "if x > 2 then begin",
+      "WriteLn('big');",
+      "end else if x > 0 then",
+      "WriteLn('small')",
+      "else",
+      "WriteLn('none');",
+      "while x > 0 do",
+      "x := x - 1;",
+    );
+    expect(formatDWScript(source)).toBe(
+      lines(
+        "if x > 2 then begin",
+        "  WriteLn('big');",
+        "end else if x > 0 then",
+        "  WriteLn('small')",
+        "else",
+        "  WriteLn('none');",
+        "while x > 0 do",
+        "  x := x - 1;",
+      ),
+    );
+  });
+
+  it("indents case labels and their else branch", () => {
+    const source = lines(
+      "case n of",
+      "1: WriteLn('one');",
+      "2, 3:",
+      "begin",
+      "WriteLn('few');",
+      "end;",
+      "else",
+      "WriteLn('many');",
+      "end;",
+    );
+    expect(formatDWScript(source)).toBe(
+      lines(
+        "case n of",
+        "  1: WriteLn('one');",
+        "  2, 3:",
+        "  begin",
+        "    WriteLn('few');",
+        "  end;",
+        "  else",
+        "    WriteLn('many');",
+        "end;",
+      ),
+    );
+  });
+
+  it("leaves strings and comments alone", () => {
+    const source = lines(
+      "// if this then begin",
+      "var s:='begin END';{ x:=1 }",
+      "BEGIN",
+      "(* end *) PrintLn(s);",
+      "END;",
+    );
+    expect(formatDWScript(source)).toBe(
+      lines(
+        "// if this then begin",
+        "var s := 'begin END'; { x:=1 }",
+        "begin",
+        "  (* end *) PrintLn(s);",
+        "end;",
+      ),
+    );
+  });
+
+  it("applies the style options", () => {
+    const source = lines(
+      "if a then begin",
+      "x:=y+1;",
+      "end;",
+      "for i := 1 to 3 do",
+      "begin",
+      "PrintLn(i);",
+      "end;",
+    );
+    expect(
+      formatDWScript(source, {
+        keywordCase: "upper",
+        beginStyle: "newLine",
+        spaceAroundOperators: false,
+        indentSize: 4,
+      }),
+    ).toBe(
+      lines(
+        "IF a THEN",
+        "BEGIN",
+        "    x := y+1;",
+        "END;",
+        "FOR i := 1 TO 3 DO",
+        "BEGIN",
+        "    PrintLn(i);",
+        "END;",
+      ),
+    );
+    expect(
+      formatDWScript(source, { beginStyle: "sameLine", useTabs: true }),
+    ).toBe(
+      lines(
+        "if a then begin",
+        "\tx := y + 1;",
+        "end;",
+        "for i := 1 to 3 do begin",
+        "\tPrintLn(i);",
+        "end;",
+      ),
+    );
+  });
+
+  it("aligns variable blocks", () => {
+    const source = lines(
+      "var",
+      "  i: Integer;",
+      "  name: String;",
+      "  s: Float;",
+    );
+    expect(formatDWScript(source, { alignVarBlocks: true })).toBe(
+      lines("var", "  i:    Integer;", "  name: String;", "  s:    Float;"),
+    );
+    expect(formatDWScript(source)).toBe(source);
+  });
+
+  it("wraps long parameter lists", () => {
+    const source =
+      "procedure Draw(x, y: Float; width, height: Float; color: String);";
+    expect(formatDWScript(source, { maxLineLength: 40 })).toBe(
+      lines(
+        "procedure Draw(x, y: Float;",
+        "               width, height: Float;",
+        "               color: String);",
+      ),
+    );
+    expect(
+      formatDWScript(source, { maxLineLength: 40, wrapParameters: false }),
+    ).toBe(source);
+  });
+
+  it("is idempotent", () => {
+    const source = lines(
+      "type TPoint = class",
+      "X, Y: Integer;",
+      "function Sum: Integer;",
+      "end;",
+      "function TPoint.Sum: Integer;",
+      "begin",
+      "try",
+      "Result := X + Y;",
+      "except",
+      "on E: Exception do PrintLn(E.Message);",
+      "end;",
+      "end;",
+      "",
+    );
+    const once = formatDWScript(source);
+    expect(formatDWScript(once)).toBe(once);
+    expect(once.endsWith(";\n")).toBe(true);
+  });
+
+  it("formats a range of lines in its context", () => {
+    const source = lines("begin", "if a then", "x := 1;", "  end;");
+    expect(formatDWScriptRange(source, 2, 3)).toBe(
+      lines("  if a then", "    x := 1;"),
+    );
+  });
+});
@@ -1,134 +1,1058 @@
 /**
  * DWScript Code Formatter
- * Provides basic code formatting and beautification
+ * Re-indents and re-spaces code from its tokens, so keywords inside strings
+ * and comments never confuse it
+ *
+ * The formatter keeps the line structure of the code (apart from the
+ * optional placement of "begin" and the wrapping of long parameter lists)
+ * and all comments. It tracks the open blocks - begin/end, repeat/until,
+ * try, case, class and record bodies, var/const/type sections and the
+ * single-statement bodies of then/do/else - to indent every line, and
+ * formatting its own output changes nothing.
  */
 
-import * as monaco from "monaco-editor";
+import { tokenize, type Token } from "./dwscript-tokenizer.ts";
+import { getState } from "../core/state-manager.ts";
+
+export interface FormatOptions {
+  indentSize?: number;
+  useTabs?: boolean;
+  insertSpaces?: boolean;
+  /** Lines longer than this get their parameter lists wrapped */
+  maxLineLength?: number;
+  keywordCase?: "lower" | "upper" | "preserve";
+  /** Spaces around = + - * / < > and the other binary operators */
+  spaceAroundOperators?: boolean;
+  /** Spaces around := += -= *= /= */
+  spaceAroundAssignment?: boolean;
+  /** Where "begin" goes after then, do and else */
+  beginStyle?: "preserve" | "sameLine" | "newLine";
+  /** Line up the types of consecutive declarations in var sections */
+  alignVarBlocks?: boolean;
+  /** Wrap parameter and argument lists of lines over maxLineLength */
+  wrapParameters?: boolean;
+}
+
+export const DEFAULT_FORMAT_OPTIONS: Required<FormatOptions> = {
+  indentSize: 2,
+  useTabs: false,
+  insertSpaces: true,
+  maxLineLength: 120,
+  keywordCase: "lower",
+  spaceAroundOperators: true,
+  spaceAroundAssignment: true,
+  beginStyle: "preserve",
+  alignVarBlocks: false,
+  wrapParameters: true,
+};
+
+type FrameKind =
+  | "root"
+  | "block"
+  | "class"
+  | "case"
+  | "caseElse"
+  | "section"
+  | "if"
+  | "single";
+
+interface Frame {
+  kind: FrameKind;
+  /** Indent level of the opening line and of the closing keyword */
+  close: number;
+  /** Indent level of the contents */
+  body: number;
+  /** Keyword of declaration sections */
+  keyword?: string;
+}
+
+interface Paren {
+  /** Indentation of the line with the bracket */
+  indent: string;
+  /** Position after the bracket in that line's text */
+  column: number;
+  /** Whether the contents start on the bracket's line (and align to it) */
+  aligned: boolean | null;
+}
+
+interface OutputLine {
+  indent: string;
+  text: string;
+  /** Position of the colon in a var declaration, for alignment */
+  colon?: number;
+}
+
+const ASSIGNMENT_OPERATORS = new Set([":=", "+=", "-=", "*=", "/="]);
+
+const BINARY_OPERATORS = new Set([
+  "=",
+  "<>",
+  "<",
+  ">",
+  "<=",
+  ">=",
+  "+",
+  "-",
+  "*",
+  "/",
+  "=>",
+  "?",
+]);
+
+const SECTION_KEYWORDS = new Set([
+  "var",
+  "const",
+  "type",
+  "resourcestring",
+  "threadvar",
+]);
+
+const VISIBILITY_WORDS = new Set([
+  "private",
+  "protected",
+  "public",
+  "published",
+  "strict",
+]);
+
+const CLASS_MODIFIERS = new Set([
+  "abstract",
+  "sealed",
+  "static",
+  "partial",
+  "external",
+  "helper",
+]);
+
+// Keywords after which a statement body follows
+const BODY_KEYWORDS = new Set(["then", "do", "else"]);
 
 /**
- * Format DWScript code
- * @param {string} code - The code to format
- * @param {Object} options - Formatting options
- * @returns {string} Formatted code
+ * Formats a token stream line by line
  */
-export function formatDWScript(
-  code,
-  options: {
-    indentSize?: number;
-    useTabs?: boolean;
-    insertSpaces?: boolean;
-    maxLineLength?: number;
-  } = {},
-) {
-  const {
-    indentSize = 2,
-    useTabs = false,
-    insertSpaces: _insertSpaces = true,
-    maxLineLength: _maxLineLength = 120,
-  } = options;
-
-  const indent = useTabs ? "\t" : " ".repeat(indentSize);
-  let formatted = "";
-  let indentLevel = 0;
-  let lines = code.split("\n");
-
-  // Keywords that increase indentation
-  const increaseIndent = [
-    "begin",
-    "class",
-    "record",
-    "try",
-    "case",
-    "repeat",
-    "private",
-    "protected",
-    "public",
-    "published",
-  ];
-
-  // Keywords that decrease indentation
-  const decreaseIndent = ["end", "until"];
-
-  // Keywords that both decrease and increase (for else, except, finally)
-  const decreaseIncreaseIndent = ["else", "except", "finally"];
-
-  for (let i = 0; i < lines.length; i++) {
-    let line = lines[i].trim();
-
-    // Skip empty lines
-    if (line.length === 0) {
-      formatted += "\n";
-      continue;
-    }
-
-    // Check for keywords that decrease indentation before the line
-    let shouldDecreaseBeforeLine = false;
-    let shouldDecreaseIncreaseBeforeLine = false;
-
-    decreaseIndent.forEach((keyword) => {
-      const regex = new RegExp(`^${keyword}\\b`, "i");
-      if (regex.test(line)) {
-        shouldDecreaseBeforeLine = true;
+class Formatter {
+  tokens: Token[];
+  options: Required<FormatOptions>;
+  /** Keep every line where it is (range and on-type formatting) */
+  keepLayout: boolean;
+
+  stack: Frame[];
+  parens: Paren[];
+  /** A then/do/else/case label waits for its statement */
+  pending: { close: number } | null;
+  atStatementStart: boolean;
+  /** Indent level of the line the current statement started on */
+  stmtIndent: number;
+  /** Indent level of a "case" waiting for its "of" */
+  caseWaiting: number | null;
+  /** Line of a class header, whose modifiers do not start members */
+  classHeaderLine: number;
+
+  lines: OutputLine[];
+  line: OutputLine | null;
+  lineLevel: number;
+  lineStartsStatement: boolean;
+  prev: Token | null;
+  prevCode: Token | null;
+  /** Code token before prevCode */
+  prevCode2: Token | null;
+
+  constructor(
+    source: string,
+    options: Required<FormatOptions>,
+    keepLayout: boolean,
+  ) {
+    this.tokens = tokenize(source, { includeComments: true });
+    this.options = options;
+    this.keepLayout = keepLayout;
+    this.stack = [{ kind: "root", close: 0, body: 0 }];
+    this.parens = [];
+    this.pending = null;
+    this.atStatementStart = true;
+    this.stmtIndent = 0;
+    this.caseWaiting = null;
+    this.classHeaderLine = -1;
+    this.lines = [];
+    this.line = null;
+    this.lineLevel = 0;
+    this.lineStartsStatement = false;
+    this.prev = null;
+    this.prevCode = null;
+    this.prevCode2 = null;
+  }
+
+  get top() {
+    return this.stack[this.stack.length - 1];
+  }
+
+  /**
+   * Next code token after an index
+   * @param {number} i - Token index
+   * @returns {Token|null}
+   */
+  nextCode(i: number) {
+    for (let j = i + 1; j < this.tokens.length; j++) {
+      if (!isComment(this.tokens[j])) {
+        return this.tokens[j];
       }
-    });
+    }
+    return null;
+  }
 
-    decreaseIncreaseIndent.forEach((keyword) => {
-      const regex = new RegExp(`^${keyword}\\b`, "i");
-      if (regex.test(line)) {
-        shouldDecreaseIncreaseBeforeLine = true;
+  /**
+   * Indentation text of a level
+   * @param {number} level
+   * @returns {string}
+   */
+  indentOf(level: number) {
+    return this.options.useTabs
+      ? "\t".repeat(level)
+      : " ".repeat(level * this.options.indentSize);
+  }
+
+  /**
+   * Format all tokens
+   * @returns {Array<OutputLine>}
+   */
+  run() {
+    let lastLine = 0;
+    this.tokens.forEach((token, i) => {
+      let first = this.line === null || token.line > lastLine;
+      if (
+        first &&
+        !this.keepLayout &&
+        this.joinsPreviousLine(token, lastLine)
+      ) {
+        first = false;
+      } else if (!first && !this.keepLayout && this.startsOwnLine(token)) {
+        first = true;
       }
+
+      if (first) {
+        this.flush();
+        const blank =
+          this.lines.length === 0 ? token.line - 1 : token.line - lastLine - 1;
+        const keep = this.keepLayout
+          ? blank
+          : this.lines.length > 0
+            ? Math.min(blank, 1)
+            : 0;
+        for (let b = 0; b < keep; b++) {
+          this.lines.push({ indent: "", text: "" });
+        }
+      }
+
+      if (isComment(token)) {
+        this.addComment(token, first);
+      } else {
+        this.addCode(token, i, first);
+      }
+      lastLine = token.line + (token.value.match(/\n/g) || []).length;
     });
+    this.flush();
+    return this.lines;
+  }
+
+  /**
+   * Whether a "begin" moves up to the then/do/else before it
+   * @param {Token} token
+   * @param {number} lastLine - Last line of the previous token
+   * @returns {boolean}
+   */
+  joinsPreviousLine(token: Token, lastLine: number) {
+    return (
+      this.options.beginStyle === "sameLine" &&
+      token.lower === "begin" &&
+      this.line !== null &&
+      token.line === lastLine + 1 &&
+      this.prev === this.prevCode &&
+      BODY_KEYWORDS.has(this.prevCode?.lower)
+    );
+  }
 
-    // Decrease indentation if needed
-    if (shouldDecreaseBeforeLine) {
-      indentLevel = Math.max(0, indentLevel - 1);
-    } else if (shouldDecreaseIncreaseBeforeLine) {
-      indentLevel = Math.max(0, indentLevel - 1);
+  /**
+   * Whether a "begin" after then/do/else moves to a line of its own
+   * @param {Token} token
+   * @returns {boolean}
+   */
+  startsOwnLine(token: Token) {
+    return (
+      this.options.beginStyle === "newLine" &&
+      token.lower === "begin" &&
+      BODY_KEYWORDS.has(this.prevCode?.lower)
+    );
+  }
+
+  flush() {
+    if (this.line) {
+      this.lines.push(this.line);
+      this.line = null;
     }
+  }
 
-    // Add indentation
-    formatted += indent.repeat(indentLevel) + line + "\n";
+  /**
+   * Start an output line
+   * @param {string} indent
+   * @param {number} level - Indent level the line counts as
+   */
+  startLine(indent: string, level: number) {
+    this.line = { indent, text: "" };
+    this.lineLevel = level;
+    this.lineStartsStatement = false;
+  }
 
-    // Check for keywords that increase indentation after the line
-    let shouldIncreaseAfterLine = false;
+  /**
+   * Append token text to the current line
+   * @param {Token} token
+   * @param {string} text - Text to append
+   */
+  append(token: Token, text: string) {
+    if (this.line.text && this.prev && this.spaceBetween(this.prev, token)) {
+      this.line.text += " ";
+    }
+    this.line.text += text;
+    this.prev = token;
+  }
 
-    increaseIndent.forEach((keyword) => {
-      const regex = new RegExp(`\\b${keyword}\\b`, "i");
-      if (regex.test(line) && !line.endsWith(";")) {
-        shouldIncreaseAfterLine = true;
+  /**
+   * Add a comment or compiler directive, which never changes the structure
+   * @param {Token} token
+   * @param {boolean} first - Whether the comment starts a line
+   */
+  addComment(token: Token, first: boolean) {
+    if (first) {
+      const paren = this.parens[this.parens.length - 1];
+      if (paren) {
+        this.startLine(this.continuationIndent(paren), this.stmtIndent + 1);
+      } else {
+        const level = this.pending
+          ? this.pending.close + 1
+          : this.atStatementStart
+            ? this.top.body
+            : this.stmtIndent + 1;
+        this.startLine(this.indentOf(level), level);
       }
-    });
+    }
+    this.markParenContents(first);
+    this.append(token, token.value);
+  }
+
+  /**
+   * Indentation of a line that continues inside brackets
+   * @param {Paren} paren - Innermost open bracket
+   * @returns {string}
+   */
+  continuationIndent(paren: Paren) {
+    return paren.aligned
+      ? paren.indent + " ".repeat(paren.column)
+      : this.indentOf(this.stmtIndent + 1);
+  }
+
+  /**
+   * Remember whether the contents of a bracket start on its line
+   * @param {boolean} first - Whether the token starts a line
+   */
+  markParenContents(first: boolean) {
+    const paren = this.parens[this.parens.length - 1];
+    if (paren && paren.aligned === null) {
+      paren.aligned = !first;
+    }
+  }
+
+  /**
+   * Pop frames while they are of the given kinds
+   * @param {Array<FrameKind>} kinds
+   * @returns {Frame|null} The last popped frame
+   */
+  popWhile(...kinds: FrameKind[]) {
+    let popped: Frame | null = null;
+    while (kinds.includes(this.top.kind)) {
+      popped = this.stack.pop();
+    }
+    return popped;
+  }
+
+  /**
+   * Close the innermost block for "end" or "until"
+   * @returns {Frame|null} The block
+   */
+  closeBlock() {
+    if (!this.stack.some((frame) => isBlock(frame))) {
+      return null;
+    }
+    while (this.stack.length > 1) {
+      const frame = this.stack.pop();
+      if (isBlock(frame)) {
+        return frame;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether only declaration sections are open (not a statement or type body)
+   * @returns {boolean}
+   */
+  atDeclarationLevel() {
+    return this.stack.every(
+      (frame) => frame.kind === "root" || frame.kind === "section",
+    );
+  }
+
+  /**
+   * Whether a token starts a declaration of the open section
+   * @param {Token} token
+   * @param {number} i - Token index
+   * @returns {boolean}
+   */
+  startsDeclaration(token: Token, i: number) {
+    if (token.type !== "identifier") {
+      return false;
+    }
+    const next = this.nextCode(i)?.value;
+    switch (this.top.keyword) {
+      case "type":
+        return next === "=";
+      case "const":
+      case "resourcestring":
+        return next === "=" || next === ":";
+      default:
+        return next === ":" || next === "," || next === ":=";
+    }
+  }
+
+  /**
+   * Whether class/interface/object after "=" opens a body
+   * (not "class of", not a forward declaration)
+   * @param {number} i - Token index
+   * @returns {boolean}
+   */
+  opensTypeBody(i: number) {
+    let j = i + 1;
+    const code = () => {
+      while (j < this.tokens.length && isComment(this.tokens[j])) j++;
+      return this.tokens[j] || null;
+    };
+    for (;;) {
+      const token = code();
+      if (!token) {
+        return false;
+      }
+      if (token.value === "(") {
+        let depth = 0;
+        for (; j < this.tokens.length; j++) {
+          const value = this.tokens[j].value;
+          if (value === "(") depth++;
+          if (value === ")" && --depth === 0) break;
+        }
+        j++;
+      } else if (CLASS_MODIFIERS.has(token.lower)) {
+        j++;
+      } else if (token.lower === "for") {
+        j += 2;
+      } else {
+        return token.value !== ";" && token.lower !== "of";
+      }
+    }
+  }
+
+  /**
+   * Add a code token: indent its line, space it and update the structure
+   * @param {Token} token
+   * @param {number} i - Token index
+   * @param {boolean} first - Whether the token starts a line
+   */
+  addCode(token: Token, i: number, first: boolean) {
+    const lower = token.lower;
+    const depth = this.parens.length;
+
+    // The statement after then/do/else, unless it is a begin ... end block
+    if (this.pending && lower !== "begin") {
+      const { close } = this.pending;
+      this.stack.push({ kind: "single", close, body: close + 1 });
+      this.pending = null;
+    }
+    // Declaration sections end at the first thing that is no declaration
+    if (
+      this.atStatementStart &&
+      depth === 0 &&
+      this.top.kind === "section" &&
+      !this.startsDeclaration(token, i)
+    ) {
+      this.popWhile("section");
+    }
+
+    let level: number | null = null;
+    if (depth === 0) {
+      level = this.structureLevel(token);
+    }
+    if (first) {
+      const paren = this.parens[this.parens.length - 1];
+      if (paren) {
+        this.startLine(this.continuationIndent(paren), this.stmtIndent + 1);
+      } else {
+        if (level === null) {
+          level = this.atStatementStart ? this.top.body : this.stmtIndent + 1;
+        }
+        this.startLine(this.indentOf(level), level);
+      }
+    }
+    this.markParenContents(first);
 
-    // Special handling for 'then' without 'begin'
-    if (/\bthen\b(?!.*\bbegin\b)/i.test(line)) {
-      shouldIncreaseAfterLine = true;
+    if (
+      this.atStatementStart &&
+      depth === 0 &&
+      !(token.line === this.classHeaderLine && !first)
+    ) {
+      this.stmtIndent = this.lineLevel;
+      this.atStatementStart = false;
+      if (first) {
+        this.lineStartsStatement = true;
+      }
     }
 
-    // Special handling for 'do' without 'begin'
-    if (/\bdo\b(?!.*\bbegin\b)/i.test(line)) {
-      shouldIncreaseAfterLine = true;
+    // Remember where a var declaration's colon is
+    if (
+      token.value === ":" &&
+      depth === 0 &&
+      this.lineStartsStatement &&
+      this.line.colon === undefined &&
+      this.top.kind === "section" &&
+      (this.top.keyword === "var" || this.top.keyword === "threadvar")
+    ) {
+      this.line.colon = this.line.text.length;
     }
 
-    // Increase indentation if needed
-    if (shouldIncreaseAfterLine) {
-      indentLevel++;
+    const previous = this.prevCode;
+    this.append(token, this.tokenText(token));
+    this.prevCode2 = previous;
+    this.prevCode = token;
+
+    if (token.value === "(" || token.value === "[") {
+      this.parens.push({
+        indent: this.line.indent,
+        column: this.line.text.length,
+        aligned: null,
+      });
+    } else if (token.value === ")" || token.value === "]") {
+      this.parens.pop();
+    } else if (depth === 0) {
+      this.applyStructure(token, i, previous);
     }
+  }
+
+  /**
+   * Indent level that a structural keyword gives its line, closing the
+   * frames it ends
+   * @param {Token} token
+   * @returns {number|null} The level, or null for the default
+   */
+  structureLevel(token: Token) {
+    const lower = token.lower;
 
-    if (shouldDecreaseIncreaseBeforeLine) {
-      indentLevel++;
+    if (lower === "end" || lower === "until") {
+      const frame = this.closeBlock();
+      return frame ? frame.close : this.top.body;
+    }
+    if (lower === "else") {
+      this.popWhile("single");
+      if (this.top.kind === "if") {
+        const { close } = this.stack.pop();
+        this.pending = { close };
+        return close;
+      }
+      if (this.top.kind === "case") {
+        const { body } = this.top;
+        this.stack.push({ kind: "caseElse", close: body, body: body + 1 });
+        return body;
+      }
+      this.pending = { close: this.top.body };
+      return this.top.body;
+    }
+    if (lower === "except" || lower === "finally") {
+      this.popWhile("single", "if");
+      return this.top.close;
+    }
+    if (lower === "begin" && this.pending) {
+      return this.pending.close;
+    }
+    if (VISIBILITY_WORDS.has(lower) && this.top.kind === "class") {
+      return this.top.close;
     }
+    if (
+      lower === "implementation" ||
+      lower === "initialization" ||
+      lower === "finalization" ||
+      (lower === "interface" && this.prevCode?.value !== "=")
+    ) {
+      this.stack.length = 1;
+      this.pending = null;
+      return 0;
+    }
+    return null;
+  }
 
-    // Decrease indentation after single-line if/then/do without begin
-    if (/\b(then|do)\b(?!.*\bbegin\b)/i.test(line) && i < lines.length - 1) {
-      const nextLine = lines[i + 1].trim();
-      if (!/^(begin|end|else|until)/i.test(nextLine)) {
-        // This is a single-line statement after then/do
-        // Indent will be decreased after next line
+  /**
+   * Update the open frames after a code token at bracket depth 0
+   * @param {Token} token
+   * @param {number} i - Token index
+   * @param {Token} previous - Code token before it
+   */
+  applyStructure(token: Token, i: number, previous: Token | null) {
+    const lower = token.lower;
+    const top = this.top;
+
+    switch (lower) {
+      case ";":
+        this.popWhile("single", "if");
+        this.atStatementStart = true;
+        return;
+      case "begin": {
+        const close = this.pending ? this.pending.close : this.lineLevel;
+        this.pending = null;
+        this.stack.push({ kind: "block", close, body: close + 1 });
+        this.atStatementStart = true;
+        return;
       }
+      case "repeat":
+      case "try":
+      case "asm":
+        this.stack.push({
+          kind: "block",
+          close: this.stmtIndent,
+          body: this.stmtIndent + 1,
+        });
+        this.atStatementStart = true;
+        return;
+      case "initialization":
+      case "finalization":
+        this.stack.push({ kind: "block", close: 0, body: 1 });
+        this.atStatementStart = true;
+        return;
+      case "then":
+        this.stack.push({
+          kind: "if",
+          close: this.stmtIndent,
+          body: this.stmtIndent + 1,
+        });
+        this.pending = { close: this.stmtIndent };
+        this.atStatementStart = true;
+        return;
+      case "do":
+        this.pending = { close: this.stmtIndent };
+        this.atStatementStart = true;
+        return;
+      case "else":
+      case "except":
+      case "finally":
+      case "implementation":
+      case "interface":
+        this.atStatementStart = true;
+        break;
+      case "case":
+        // Not the variant part of a record
+        if (top.kind !== "class" && top.kind !== "section") {
+          this.caseWaiting = this.stmtIndent;
+        }
+        return;
+      case "of":
+        if (this.caseWaiting !== null) {
+          const close = this.caseWaiting;
+          this.caseWaiting = null;
+          this.stack.push({ kind: "case", close, body: close + 1 });
+          this.atStatementStart = true;
+        }
+        return;
+      case ":":
+        // Case label
+        if (top.kind === "case") {
+          this.pending = { close: this.lineLevel };
+          this.atStatementStart = true;
+        }
+        return;
+    }
+
+    if (
+      SECTION_KEYWORDS.has(lower) &&
+      token.type === "keyword" &&
+      this.atDeclarationLevel()
+    ) {
+      this.popWhile("section");
+      this.stack.push({
+        kind: "section",
+        close: this.lineLevel,
+        body: this.lineLevel + 1,
+        keyword: lower,
+      });
+      this.atStatementStart = true;
+      return;
+    }
+
+    if (
+      lower === "record" ||
+      ((lower === "class" || lower === "interface" || lower === "object") &&
+        previous?.value === "=" &&
+        this.opensTypeBody(i))
+    ) {
+      this.stack.push({
+        kind: "class",
+        close: this.stmtIndent,
+        body: this.stmtIndent + 1,
+      });
+      this.atStatementStart = true;
+      this.classHeaderLine = token.line;
+      return;
+    }
+
+    if (VISIBILITY_WORDS.has(lower) && top.kind === "class") {
+      this.atStatementStart = true;
     }
   }
 
-  return formatted.trimEnd();
+  /**
+   * Text of a token with the configured keyword case
+   * @param {Token} token
+   * @returns {string}
+   */
+  tokenText(token: Token) {
+    if (token.type !== "keyword") {
+      return token.value;
+    }
+    switch (this.options.keywordCase) {
+      case "lower":
+        return token.lower;
+      case "upper":
+        return token.value.toUpperCase();
+      default:
+        return token.value;
+    }
+  }
+
+  /**
+   * Whether two tokens on one line are separated by a space
+   * @param {Token} prev
+   * @param {Token} token
+   * @returns {boolean}
+   */
+  spaceBetween(prev: Token, token: Token) {
+    if (isComment(prev) || isComment(token)) {
+      return true;
+    }
+    const p = prev.value;
+    const t = token.value;
+    const { spaceAroundOperators, spaceAroundAssignment } = this.options;
+
+    if (t === ";" || t === "," || t === ")" || t === "]") return false;
+    if (p === "(" || p === "[") return false;
+    if (t === "." || p === "." || t === ".." || p === "..") return false;
+    if (t === ":") return false;
+    if (p === ":" || p === "," || p === ";") return true;
+    if (p === "@") return false;
+    if (t === "^") return !isOperand(prev);
+    if (p === "^") {
+      return (
+        ASSIGNMENT_OPERATORS.has(t) ||
+        BINARY_OPERATORS.has(t) ||
+        token.type === "keyword"
+      );
+    }
+    if (ASSIGNMENT_OPERATORS.has(t) || ASSIGNMENT_OPERATORS.has(p)) {
+      return spaceAroundAssignment;
+    }
+    if (t === "(" || t === "[") {
+      // Calls and indexes; class(TParent) and array[...] are written alike
+      return (
+        !isOperand(prev) &&
+        !["class", "interface", "object", "array"].includes(prev.lower)
+      );
+    }
+    if (BINARY_OPERATORS.has(p) && isSign(prev, this.prevCode2)) return false;
+    if (BINARY_OPERATORS.has(t)) {
+      return isSign(token, prev) || spaceAroundOperators;
+    }
+    if (BINARY_OPERATORS.has(p)) return spaceAroundOperators;
+    // Words need a space; anything else keeps whether it had one
+    return isWord(prev) || isWord(token) || prev.end < token.start;
+  }
+}
+
+/**
+ * Whether a token is a comment or compiler directive
+ * @param {Token} token
+ * @returns {boolean}
+ */
+function isComment(token: Token) {
+  return token.type === "comment" || token.type === "directive";
+}
+
+/**
+ * Whether + or - is a sign rather than a binary operator
+ * @param {Token} token
+ * @param {Token} before - Code token before it
+ * @returns {boolean}
+ */
+function isSign(token: Token, before: Token | null) {
+  return (
+    (token.value === "+" || token.value === "-") &&
+    (!before || !isOperand(before))
+  );
+}
+
+/**
+ * Whether a token ends an operand (so "(" after it is a call)
+ * @param {Token} token
+ * @returns {boolean}
+ */
+function isOperand(token: Token) {
+  return (
+    token.type === "identifier" ||
+    token.type === "number" ||
+    token.type === "string" ||
+    token.value === ")" ||
+    token.value === "]" ||
+    token.value === "^" ||
+    (token.type === "keyword" &&
+      ["end", "nil", "self", "inherited"].includes(token.lower))
+  );
+}
+
+/**
+ * Whether a token is a word (keyword, identifier or number)
+ * @param {Token} token
+ * @returns {boolean}
+ */
+function isWord(token: Token) {
+  return (
+    token.type === "keyword" ||
+    token.type === "identifier" ||
+    token.type === "number"
+  );
+}
+
+/**
+ * Whether a frame is closed by "end" or "until"
+ * @param {Frame} frame
+ * @returns {boolean}
+ */
+function isBlock(frame: Frame) {
+  return (
+    frame.kind === "block" || frame.kind === "class" || frame.kind === "case"
+  );
+}
+
+/**
+ * Line up the types of consecutive var declarations
+ * @param {Array<OutputLine>} lines
+ */
+function alignDeclarations(lines: OutputLine[]) {
+  let group: OutputLine[] = [];
+  const alignGroup = () => {
+    if (group.length > 1) {
+      const column = Math.max(...group.map((line) => line.colon));
+      group.forEach((line) => {
+        const type = line.text.slice(line.colon + 1).trimStart();
+        line.text =
+          line.text.slice(0, line.colon + 1) +
+          " ".repeat(column - line.colon + 1) +
+          type;
+      });
+    }
+    group = [];
+  };
+
+  lines.forEach((line) => {
+    if (line.colon === undefined) {
+      alignGroup();
+    } else {
+      if (group.length > 0 && group[0].indent !== line.indent) {
+        alignGroup();
+      }
+      group.push(line);
+    }
+  });
+  alignGroup();
+}
+
+/**
+ * Split a too long line after the separators of its outermost argument or
+ * parameter list
+ * Parameter lists break after ";" if they have one, otherwise after ",";
+ * continuation lines line up with the bracket.
+ * @param {OutputLine} line
+ * @param {number} maxLength - Maximum line length
+ * @returns {Array<OutputLine>} The line, or its wrapped parts
+ */
+function wrapLine(line: OutputLine, maxLength: number) {
+  const { indent, text } = line;
+  if (indent.length + text.length <= maxLength) {
+    return [line];
+  }
+
+  // Find the outermost parenthesized list with separators, skipping
+  // strings and comments
+  const open: Array<{ char: string; at: number; separators: number[] }> = [];
+  let best: { depth: number; at: number; separators: number[] } | null = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === "'" || char === '"') {
+      const close = text.indexOf(char, i + 1);
+      i = close < 0 ? text.length : close;
+    } else if (char === "{" || text.startsWith("//", i)) {
+      break;
+    } else if (char === "(" || char === "[") {
+      open.push({ char, at: i, separators: [] });
+    } else if ((char === ")" || char === "]") && open.length > 0) {
+      const list = open.pop();
+      const semicolons = list.separators.filter((at) => text[at] === ";");
+      const separators = semicolons.length > 0 ? semicolons : list.separators;
+      if (
+        list.char === "(" &&
+        separators.length > 0 &&
+        (!best || open.length < best.depth)
+      ) {
+        best = { depth: open.length, at: list.at, separators };
+      }
+    } else if ((char === ";" || char === ",") && open.length > 0) {
+      open[open.length - 1].separators.push(i);
+    }
+  }
+  if (!best) {
+    return [line];
+  }
+  const breaks = best.separators;
+
+  const segments: string[] = [];
+  let start = 0;
+  breaks.forEach((end) => {
+    segments.push(text.slice(start, end + 1).trimStart());
+    start = end + 1;
+  });
+  segments.push(text.slice(start).trimStart());
+
+  // Fill each line with as many segments as fit
+  const continuation = indent + " ".repeat(best.at + 1);
+  const parts: OutputLine[] = [];
+  let current: OutputLine = { indent, text: segments[0] };
+  segments.slice(1).forEach((segment) => {
+    const joined = `${current.text} ${segment}`;
+    if (current.indent.length + joined.length > maxLength) {
+      parts.push(current);
+      current = { indent: continuation, text: segment };
+    } else {
+      current.text = joined;
+    }
+  });
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Complete formatting options
+ * @param {FormatOptions} options - Options given by the caller
+ * @returns {Required<FormatOptions>}
+ */
+function resolveOptions(options: FormatOptions): Required<FormatOptions> {
+  const resolved = { ...DEFAULT_FORMAT_OPTIONS, ...options };
+  if (options.useTabs === undefined && options.insertSpaces === false) {
+    resolved.useTabs = true;
+  }
+  return resolved;
+}
+
+/**
+ * Format the lines of code without moving any of them
+ * @param {string} code - The code to format
+ * @param {FormatOptions} options - Formatting options
+ * @returns {Array<string>} One formatted line per line of the code
+ */
+function formatInPlace(code: string, options: Required<FormatOptions>) {
+  const lines = new Formatter(code, options, true).run();
+  if (options.alignVarBlocks) {
+    alignDeclarations(lines);
+  }
+  const texts = lines.map((line) => (line.text ? line.indent + line.text : ""));
+  const total = code.split("\n").length;
+  while (texts.length < total) {
+    texts.push("");
+  }
+  return texts;
+}
+
+/**
+ * Format DWScript code
+ * @param {string} code - The code to format
+ * @param {FormatOptions} options - Formatting options
+ * @returns {string} Formatted code
+ */
+export function formatDWScript(code: string, options: FormatOptions = {}) {
+  const resolved = resolveOptions(options);
+  let lines = new Formatter(code, resolved, false).run();
+  if (resolved.alignVarBlocks) {
+    alignDeclarations(lines);
+  }
+  if (resolved.wrapParameters) {
+    lines = lines.flatMap((line) => wrapLine(line, resolved.maxLineLength));
+  }
+
+  const formatted = lines
+    .map((line) => (line.text ? line.indent + line.text : ""))
+    .join("\n")
+    .trimEnd();
+  return /\n\s*$/.test(code) && formatted ? `${formatted}\n` : formatted;
+}
+
+/**
+ * Format some lines of DWScript code in the context of the whole code
+ * Only indentation, spacing and keyword case change; lines stay where they
+ * are.
+ * @param {string} code - The whole code
+ * @param {number} startLine - First line to format (1-based)
+ * @param {number} endLine - Last line to format
+ * @param {FormatOptions} options - Formatting options
+ * @returns {string} The formatted lines, joined by newlines
+ */
+export function formatDWScriptRange(
+  code: string,
+  startLine: number,
+  endLine: number,
+  options: FormatOptions = {},
+) {
+  return formatInPlace(code, resolveOptions(options))
+    .slice(startLine - 1, endLine)
+    .join("\n");
+}
+
+/**
+ * Formatting options from the editor and the user's settings
+ * @param {Object} editorOptions - Monaco formatting options
+ * @returns {FormatOptions}
+ */
+function editorFormatOptions(editorOptions): FormatOptions {
+  return {
+    ...getState().formatStyle,
+    indentSize: editorOptions.tabSize,
+    useTabs: !editorOptions.insertSpaces,
+    insertSpaces: editorOptions.insertSpaces,
+  };
+}
+
+/**
+ * Edit replacing whole lines of a model
+ * @param {Object} model - Monaco text model
+ * @param {number} startLine - First line
+ * @param {number} endLine - Last line
+ * @param {string} text - New text of the lines
+ */
+function lineEdit(model, startLine: number, endLine: number, text: string) {
+  return {
+    range: {
+      startLineNumber: startLine,
+      startColumn: 1,
+      endLineNumber: endLine,
+      endColumn: model.getLineMaxColumn(endLine),
+    },
+    text,
+  };
 }
 
 /**
@@ -139,11 +1063,10 @@ export function registerFormatter(languages) {
   languages.registerDocumentFormattingEditProvider("dwscript", {
     provideDocumentFormattingEdits: (model, options) => {
       const code = model.getValue();
-      const formatted = formatDWScript(code, {
-        indentSize: options.tabSize,
-        useTabs: !options.insertSpaces,
-        insertSpaces: options.insertSpaces,
-      });
+      const formatted = formatDWScript(code, editorFormatOptions(options));
+      if (formatted === code) {
+        return [];
+      }
 
       return [
         {
@@ -154,52 +1077,48 @@ export function registerFormatter(languages) {
     },
   });
 
-  // Also register range formatting
   languages.registerDocumentRangeFormattingEditProvider("dwscript", {
     provideDocumentRangeFormattingEdits: (model, range, options) => {
-      // For simplicity, format the entire document
-      // A more sophisticated implementation would format only the selected range
-      const code = model.getValue();
-      const formatted = formatDWScript(code, {
-        indentSize: options.tabSize,
-        useTabs: !options.insertSpaces,
-        insertSpaces: options.insertSpaces,
-      });
+      const { startLineNumber, endLineNumber } = range;
+      const formatted = formatDWScriptRange(
+        model.getValue(),
+        startLineNumber,
+        endLineNumber,
+        editorFormatOptions(options),
+      );
 
-      return [
-        {
-          range: model.getFullModelRange(),
-          text: formatted,
-        },
-      ];
+      return [lineEdit(model, startLineNumber, endLineNumber, formatted)];
     },
   });
 }
 
 /**
  * Format code on type (auto-formatting as you type)
+ * Typing ";" re-indents the current line, Enter the line it finished.
  * @param {monaco.languages} languages - Monaco languages API
  */
 export function registerOnTypeFormatter(languages) {
   languages.registerOnTypeFormattingEditProvider("dwscript", {
     autoFormatTriggerCharacters: [";", "\n"],
-    provideOnTypeFormattingEdits: (model, position, _ch, _options) => {
-      // Auto-format the current line when ; is typed
-      const lineNumber = position.lineNumber;
-      const line = model.getLineContent(lineNumber);
+    provideOnTypeFormattingEdits: (model, position, ch, options) => {
+      const lineNumber =
+        ch === "\n" ? position.lineNumber - 1 : position.lineNumber;
+      if (lineNumber < 1) {
+        return [];
+      }
 
-      // Simple formatting: trim and ensure proper spacing
-      const trimmed = line.trim();
-      if (trimmed !== line) {
-        return [
-          {
-            range: new monaco.Range(lineNumber, 1, lineNumber, line.length + 1),
-            text: trimmed,
-          },
-        ];
+      const line = model.getLineContent(lineNumber);
+      const formatted = formatDWScriptRange(
+        model.getValue(),
+        lineNumber,
+        lineNumber,
+        editorFormatOptions(options),
+      );
+      if (formatted === line || !formatted.trim()) {
+        return [];
       }
 
-      return [];
+      return [lineEdit(model, lineNumber, lineNumber, formatted)];
     },
   });
 }
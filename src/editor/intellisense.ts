@@ -1,9 +1,30 @@
 /**
  * IntelliSense for DWScript
  * Provides auto-completion, hover documentation, and signature help
+ *
+ * Besides the built-in functions and keywords, the providers know the
+ * declarations of the program being edited (from the outline parser) and
+ * the turtle graphics functions with their real signatures.
  */
 
 import * as monaco from "monaco-editor";
+import { getTurtleSignatures } from "../turtle/turtle-api.ts";
+import {
+  parseOutline,
+  visibleSymbols,
+  findSymbol,
+  resolveMembers,
+  describeSymbol,
+  routineSignature,
+  type OutlineSymbol,
+  type ProgramOutline,
+} from "./outline-parser.ts";
+import {
+  memberChainBefore,
+  findEnclosingCall,
+  parameterRanges,
+} from "./code-context.ts";
+import { isRoutine } from "./symbol-navigation.ts";
 
 /**
  * Built-in DWScript functions and procedures with documentation
@@ -177,87 +198,37 @@ export const builtInFunctions = [
     documentation: "Prints a value to the output",
     insertText: "Print(${1:value})",
   },
-
-  // Turtle Graphics functions
-  {
-    label: "TurtleForward",
-    kind: "method",
-    detail: "procedure TurtleForward(distance: Float)",
-    documentation: "Moves the turtle forward by the specified distance",
-    insertText: "TurtleForward(${1:distance})",
-  },
-  {
-    label: "TurtleBackward",
-    kind: "method",
-    detail: "procedure TurtleBackward(distance: Float)",
-    documentation: "Moves the turtle backward by the specified distance",
-    insertText: "TurtleBackward(${1:distance})",
-  },
-  {
-    label: "TurtleTurnLeft",
-    kind: "method",
-    detail: "procedure TurtleTurnLeft(angle: Float)",
-    documentation: "Turns the turtle left by the specified angle in degrees",
-    insertText: "TurtleTurnLeft(${1:angle})",
-  },
-  {
-    label: "TurtleTurnRight",
-    kind: "method",
-    detail: "procedure TurtleTurnRight(angle: Float)",
-    documentation: "Turns the turtle right by the specified angle in degrees",
-    insertText: "TurtleTurnRight(${1:angle})",
-  },
-  {
-    label: "TurtlePenUp",
-    kind: "method",
-    detail: "procedure TurtlePenUp",
-    documentation: "Lifts the turtle pen (stops drawing)",
-    insertText: "TurtlePenUp",
-  },
-  {
-    label: "TurtlePenDown",
-    kind: "method",
-    detail: "procedure TurtlePenDown",
-    documentation: "Lowers the turtle pen (starts drawing)",
-    insertText: "TurtlePenDown",
-  },
-  {
-    label: "TurtleSetPenColor",
-    kind: "method",
-    detail: "procedure TurtleSetPenColor(color: String)",
-    documentation: 'Sets the turtle pen color (e.g., "red", "#FF0000")',
-    insertText: 'TurtleSetPenColor(${1:"black"})',
-  },
-  {
-    label: "TurtleSetPenWidth",
-    kind: "method",
-    detail: "procedure TurtleSetPenWidth(width: Float)",
-    documentation: "Sets the turtle pen width",
-    insertText: "TurtleSetPenWidth(${1:2})",
-  },
-  {
-    label: "TurtleHome",
-    kind: "method",
-    detail: "procedure TurtleHome",
-    documentation: "Moves the turtle to the center (0, 0) and points north",
-    insertText: "TurtleHome",
-  },
-  {
-    label: "TurtleClear",
-    kind: "method",
-    detail: "procedure TurtleClear",
-    documentation: "Clears the turtle canvas",
-    insertText: "TurtleClear",
-  },
-  {
-    label: "TurtleCircle",
-    kind: "method",
-    detail: "procedure TurtleCircle(radius: Float)",
-    documentation: "Draws a circle with the specified radius",
-    insertText: "TurtleCircle(${1:radius})",
-  },
 ];
 
+/**
+ * Turtle graphics functions, generated from the TurtleAPI signatures
+ * Forward, TurnLeft, ... move the default turtle; the Turtle* versions take
+ * a turtle handle from NewTurtle as first argument.
+ */
+export const turtleFunctions = getTurtleSignatures()
+  .filter(
+    ({ name }) =>
+      !builtInFunctions.some(
+        (func) => func.label.toLowerCase() === name.toLowerCase(),
+      ),
+  )
+  .map(({ name, parameters, result, documentation }) => {
+    const list = parameters.length > 0 ? `(${parameters.join("; ")})` : "";
+    const placeholders = parameters.map(
+      (parameter, index) => `\${${index + 1}:${parameter.split(":")[0]}}`,
+    );
+    return {
+      label: name,
+      kind: result ? "function" : "method",
+      detail: result
+        ? `function ${name}${list}: ${result}`
+        : `procedure ${name}${list}`,
+      documentation,
+      insertText:
+        placeholders.length > 0 ? `${name}(${placeholders.join(", ")})` : name,
+    };
+  });
+
 /**
  * DWScript keywords with documentation
  */
@@ -362,6 +333,129 @@ export const keywords = [
   },
 ];
 
+// Outline of each model, reparsed when the model changes
+const outlines = new WeakMap<
+  monaco.editor.ITextModel,
+  { version: number; outline: ProgramOutline }
+>();
+
+/**
+ * Get the outline of a model's current contents
+ * @param {monaco.editor.ITextModel} model
+ * @returns {ProgramOutline}
+ */
+export function getModelOutline(model: monaco.editor.ITextModel) {
+  const version = model.getVersionId();
+  const cached = outlines.get(model);
+  if (cached && cached.version === version) {
+    return cached.outline;
+  }
+  const outline = parseOutline(model.getValue());
+  outlines.set(model, { version, outline });
+  return outline;
+}
+
+/**
+ * Completion item kind of a declared symbol
+ * @param {monaco.languages} languages - Monaco languages API
+ * @param {OutlineSymbol} symbol
+ */
+function completionKind(languages, symbol: OutlineSymbol) {
+  const kinds = languages.CompletionItemKind;
+  switch (symbol.kind) {
+    case "variable":
+    case "parameter":
+      return kinds.Variable;
+    case "constant":
+      return kinds.Constant;
+    case "field":
+      return kinds.Field;
+    case "property":
+      return kinds.Property;
+    case "enumMember":
+      return kinds.EnumMember;
+    case "method":
+      return kinds.Method;
+    case "procedure":
+    case "function":
+      return kinds.Function;
+    default:
+      return (
+        {
+          class: kinds.Class,
+          interface: kinds.Interface,
+          enum: kinds.Enum,
+        }[symbol.structure] || kinds.Struct
+      );
+  }
+}
+
+/**
+ * Completion item for a declared symbol
+ * Routines are inserted with a placeholder for each parameter.
+ * @param {monaco.languages} languages - Monaco languages API
+ * @param {OutlineSymbol} symbol
+ * @param {monaco.IRange} range - Range the item replaces
+ */
+function symbolSuggestion(languages, symbol: OutlineSymbol, range) {
+  const parameters = isRoutine(symbol) ? symbol.parameters || [] : [];
+  return {
+    label: symbol.name,
+    kind: completionKind(languages, symbol),
+    detail: describeSymbol(symbol),
+    documentation: `Declared on line ${symbol.line}`,
+    insertText:
+      parameters.length > 0
+        ? `${symbol.name}(${parameters
+            .map((parameter, index) => `\${${index + 1}:${parameter.name}}`)
+            .join(", ")})`
+        : symbol.name,
+    insertTextRules: languages.CompletionItemInsertTextRule.InsertAsSnippet,
+    // Own declarations first, then built-ins, then keywords
+    sortText: `0${symbol.name}`,
+    range,
+  };
+}
+
+/**
+ * Find the declaration of the word at a position
+ * After a dot the word is looked up among the members of the chain's type.
+ * @param {monaco.editor.ITextModel} model
+ * @param {monaco.Position} position
+ * @param {monaco.editor.IWordAtPosition} word
+ * @returns {Object} symbol (or null) and whether the word is a member access
+ */
+function symbolAt(
+  model: monaco.editor.ITextModel,
+  position: monaco.Position,
+  word: monaco.editor.IWordAtPosition,
+) {
+  const outline = getModelOutline(model);
+  const offset = model.getOffsetAt(position);
+  const chain = memberChainBefore(
+    model.getLineContent(position.lineNumber).slice(0, word.startColumn - 1),
+  );
+  if (!chain) {
+    return { symbol: findSymbol(outline, word.word, offset), member: false };
+  }
+  const key = word.word.toLowerCase();
+  const symbol = resolveMembers(outline, chain, offset).find(
+    (member) => member.name.toLowerCase() === key,
+  );
+  return { symbol: symbol || null, member: true };
+}
+
+/**
+ * Find a built-in function, turtle function or keyword by name
+ * @param {string} name
+ */
+function findBuiltIn(name: string) {
+  const key = name.toLowerCase();
+  return [...builtInFunctions, ...turtleFunctions, ...keywords].find(
+    (item) => item.label.toLowerCase() === key,
+  );
+}
+
 /**
  * Register IntelliSense providers
  * @param {monaco.languages} languages - Monaco languages API
@@ -369,6 +463,7 @@ export const keywords = [
 export function registerIntelliSense(languages) {
   // Completion provider
   languages.registerCompletionItemProvider("dwscript", {
+    triggerCharacters: ["."],
     provideCompletionItems: (model, position) => {
       const word = model.getWordUntilPosition(position);
       const range = {
@@ -377,27 +472,52 @@ export function registerIntelliSense(languages) {
         startColumn: word.startColumn,
         endColumn: word.endColumn,
       };
+      const outline = getModelOutline(model);
+      const offset = model.getOffsetAt(position);
+
+      // After "name." only the members of name's type make sense
+      const chain = memberChainBefore(
+        model
+          .getLineContent(position.lineNumber)
+          .slice(0, word.startColumn - 1),
+      );
+      if (chain) {
+        return {
+          suggestions: resolveMembers(outline, chain, offset).map((symbol) =>
+            symbolSuggestion(languages, symbol, range),
+          ),
+        };
+      }
+
+      // Own declarations shadow built-ins of the same name
+      const symbols = visibleSymbols(outline, offset);
+      const declared = new Set(symbols.map((s) => s.name.toLowerCase()));
 
       const suggestions = [
-        ...builtInFunctions.map((func) => ({
-          label: func.label,
-          kind:
-            func.kind === "function"
-              ? languages.CompletionItemKind.Function
-              : languages.CompletionItemKind.Method,
-          detail: func.detail,
-          documentation: func.documentation,
-          insertText: func.insertText,
-          insertTextRules:
-            languages.CompletionItemInsertTextRule.InsertAsSnippet,
-          range: range,
-        })),
+        ...symbols.map((symbol) => symbolSuggestion(languages, symbol, range)),
+        ...[...builtInFunctions, ...turtleFunctions]
+          .filter((func) => !declared.has(func.label.toLowerCase()))
+          .map((func) => ({
+            label: func.label,
+            kind:
+              func.kind === "function"
+                ? languages.CompletionItemKind.Function
+                : languages.CompletionItemKind.Method,
+            detail: func.detail,
+            documentation: func.documentation,
+            insertText: func.insertText,
+            insertTextRules:
+              languages.CompletionItemInsertTextRule.InsertAsSnippet,
+            sortText: `1${func.label}`,
+            range: range,
+          })),
         ...keywords.map((kw) => ({
           label: kw.label,
           kind: languages.CompletionItemKind.Keyword,
           detail: kw.detail,
           documentation: kw.documentation,
           insertText: kw.insertText,
+          sortText: `2${kw.label}`,
           range: range,
         })),
       ];
@@ -412,18 +532,31 @@ export function registerIntelliSense(languages) {
       const word = model.getWordAtPosition(position);
       if (!word) return null;
 
-      const item = [...builtInFunctions, ...keywords].find(
-        (item) => item.label.toLowerCase() === word.word.toLowerCase(),
+      const range = new monaco.Range(
+        position.lineNumber,
+        word.startColumn,
+        position.lineNumber,
+        word.endColumn,
       );
 
+      const { symbol, member } = symbolAt(model, position, word);
+      if (symbol) {
+        return {
+          range,
+          contents: [
+            { value: "```dwscript\n" + describeSymbol(symbol) + "\n```" },
+            { value: `Declared on line ${symbol.line}` },
+          ],
+        };
+      }
+      if (member) {
+        return null;
+      }
+
+      const item = findBuiltIn(word.word);
       if (item) {
         return {
-          range: new monaco.Range(
-            position.lineNumber,
-            word.startColumn,
-            position.lineNumber,
-            word.endColumn,
-          ),
+          range,
           contents: [
             { value: `**${item.detail}**` },
             { value: item.documentation },
@@ -438,36 +571,50 @@ export function registerIntelliSense(languages) {
   // Signature help provider
   languages.registerSignatureHelpProvider("dwscript", {
     signatureHelpTriggerCharacters: ["(", ","],
+    signatureHelpRetriggerCharacters: [")"],
     provideSignatureHelp: (model, position) => {
-      const textUntilPosition = model.getValueInRange({
-        startLineNumber: position.lineNumber,
-        startColumn: 1,
-        endLineNumber: position.lineNumber,
-        endColumn: position.column,
-      });
+      const offset = model.getOffsetAt(position);
+      const call = findEnclosingCall(model.getValue(), offset);
+      if (!call) return null;
 
-      // Find function name
-      const match = textUntilPosition.match(/(\w+)\s*\([^)]*$/);
-      if (!match) return null;
+      const outline = getModelOutline(model);
+      const key = call.name.toLowerCase();
+      const routine =
+        call.chain.length > 0
+          ? resolveMembers(outline, call.chain, offset).find(
+              (member) => member.name.toLowerCase() === key,
+            )
+          : findSymbol(outline, call.name, offset);
 
-      const funcName = match[1];
-      const func = builtInFunctions.find(
-        (f) => f.label.toLowerCase() === funcName.toLowerCase(),
-      );
-
-      if (!func) return null;
+      let signature;
+      if (routine && isRoutine(routine)) {
+        const { label, parameters } = routineSignature(routine);
+        signature = {
+          label,
+          documentation: `Declared on line ${routine.line}`,
+          parameters: parameters.map((range) => ({ label: range })),
+        };
+      } else if (!routine && call.chain.length === 0) {
+        const func = [...builtInFunctions, ...turtleFunctions].find(
+          (f) => f.label.toLowerCase() === key,
+        );
+        if (func) {
+          signature = {
+            label: func.detail,
+            documentation: func.documentation,
+            parameters: parameterRanges(func.detail).map((range) => ({
+              label: range,
+            })),
+          };
+        }
+      }
+      if (!signature) return null;
 
       return {
         value: {
-          signatures: [
-            {
-              label: func.detail,
-              documentation: func.documentation,
-              parameters: [],
-            },
-          ],
+          signatures: [signature],
           activeSignature: 0,
-          activeParameter: 0,
+          activeParameter: call.activeParameter,
         },
         dispose: () => {},
       };
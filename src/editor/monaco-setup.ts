@@ -2,10 +2,21 @@ import type * as Monaco from "monaco-editor";
 import { dwscriptLanguage } from "./dwscript-lang.ts";
 import { registerSnippets } from "./snippets.ts";
 import { registerIntelliSense } from "./intellisense.ts";
+import { registerSymbolProviders } from "./symbol-providers.ts";
 import { registerFormatter, registerOnTypeFormatter } from "./formatter.ts";
+import {
+  initDebugDecorations,
+  toggleBreakpointAtCursor,
+} from "./debug-decorations.ts";
+import { isExecutionPaused } from "../core/debugger.ts";
+import type { Diagnostic } from "../core/compiler-diagnostics.ts";
 
 type MonacoAPI = typeof import("monaco-editor");
 
+// URI scheme of the models of project files (see project-files.ts); the
+// path is "/" followed by the file name
+export const PROJECT_SCHEME = "project";
+
 let monacoApi: MonacoAPI | null = null;
 let monacoLoadPromise: Promise<MonacoAPI> | null = null;
 let editor: Monaco.editor.IStandaloneCodeEditor | null = null;
@@ -76,6 +87,7 @@ export async function initMonacoEditor(container, options = {}) {
 
   // Register IntelliSense providers
   registerIntelliSense(monaco.languages);
+  registerSymbolProviders(monaco.languages);
 
   // Register code formatter
   registerFormatter(monaco.languages);
@@ -89,6 +101,7 @@ export async function initMonacoEditor(container, options = {}) {
     automaticLayout: true,
     fontSize: 14,
     lineNumbers: "on",
+    glyphMargin: true,
     minimap: {
       enabled: true,
     },
@@ -109,6 +122,9 @@ export async function initMonacoEditor(container, options = {}) {
     ...options,
   });
 
+  // Breakpoints and debugger line highlight
+  initDebugDecorations(editor, monaco);
+
   // Listen for theme changes
   document.addEventListener("themechange", (e) => {
     const event = e as CustomEvent<{ theme: string }>;
@@ -118,11 +134,27 @@ export async function initMonacoEditor(container, options = {}) {
 
   // Listen for error highlighting requests
   window.addEventListener("highlightError", (e) => {
-    const event = e as CustomEvent<{ line: number; column?: number }>;
-    const { line, column } = event.detail;
+    const event = e as CustomEvent<{
+      line: number;
+      column?: number;
+      file?: string;
+    }>;
+    const { line, column, file } = event.detail;
+    if (file) {
+      // Handled synchronously, so the file is shown before highlighting
+      window.dispatchEvent(
+        new CustomEvent("openprojectfile", { detail: { name: file } }),
+      );
+    }
     highlightLine(line, column);
   });
 
+  // Show background compiler diagnostics as markers
+  window.addEventListener("diagnostics", (e) => {
+    const event = e as CustomEvent<{ diagnostics: Diagnostic[] }>;
+    addErrorMarkers(event.detail.diagnostics);
+  });
+
   return editor;
 }
 
@@ -134,6 +166,14 @@ export function getEditor() {
   return editor;
 }
 
+/**
+ * Get the Monaco API once the editor has been initialized
+ * @returns {Object|null}
+ */
+export function getMonaco() {
+  return monacoApi;
+}
+
 /**
  * Get the current code from the editor
  * @returns {string}
@@ -188,22 +228,75 @@ export function formatCode() {
 }
 
 /**
- * Add markers for compile errors
- * @param {Array} errors - Array of error objects with line, column, and message
+ * Add markers for compile errors, replacing the previous ones
+ * Without an end column the marker covers the word at the error position,
+ * or the whole line when there is no position. Errors naming a project
+ * file go to that file's model, the others to the editor's model.
+ * @param {Array} errors - Error objects with line, column, message and
+ *   optionally endColumn, severity ('error', 'warning' or 'hint') and file
  */
 export function addErrorMarkers(errors) {
   if (!editor || !monacoApi) return;
   const monaco = monacoApi;
 
-  const model = editor.getModel();
-  const markers = errors.map((error) => ({
-    severity: monaco.MarkerSeverity.Error,
-    startLineNumber: error.line,
-    startColumn: error.column || 1,
-    endLineNumber: error.line,
-    endColumn: error.endColumn || 1000,
-    message: error.message,
-  }));
+  const current = editor.getModel();
+  const projectModels = monaco.editor
+    .getModels()
+    .filter((model) => model.uri.scheme === PROJECT_SCHEME);
+  projectModels.forEach((model) => {
+    const file = model.uri.path.slice(1);
+    setMarkers(
+      model,
+      errors.filter((error) => error.file === file),
+    );
+  });
+  if (!projectModels.includes(current)) {
+    setMarkers(
+      current,
+      errors.filter((error) => !error.file),
+    );
+  }
+}
+
+/**
+ * Replace the compile error markers of a model
+ * @param {monaco.editor.ITextModel} model
+ * @param {Array} errors - Errors in the model (see addErrorMarkers)
+ */
+function setMarkers(model, errors) {
+  const monaco = monacoApi;
+  const severities = {
+    error: monaco.MarkerSeverity.Error,
+    warning: monaco.MarkerSeverity.Warning,
+    hint: monaco.MarkerSeverity.Info,
+  };
+  const markers = errors.map((error) => {
+    const line = Math.min(Math.max(1, error.line || 1), model.getLineCount());
+    const lineEnd = model.getLineMaxColumn(line);
+    const column = error.line > 0 && error.column > 0 ? error.column : 1;
+
+    let endColumn = error.endColumn;
+    if (!endColumn) {
+      const word =
+        error.column > 0
+          ? model.getWordAtPosition({ lineNumber: line, column })
+          : null;
+      endColumn = word
+        ? word.endColumn
+        : error.column > 0
+          ? Math.min(column + 1, lineEnd)
+          : lineEnd;
+    }
+
+    return {
+      severity: severities[error.severity] || monaco.MarkerSeverity.Error,
+      startLineNumber: line,
+      startColumn: column,
+      endLineNumber: line,
+      endColumn: Math.max(endColumn, column + 1),
+      message: error.message,
+    };
+  });
 
   monaco.editor.setModelMarkers(model, "dwscript", markers);
 }
@@ -212,10 +305,7 @@ export function addErrorMarkers(errors) {
  * Clear all error markers
  */
 export function clearErrorMarkers() {
-  if (!editor || !monacoApi) return;
-  const monaco = monacoApi;
-  const model = editor.getModel();
-  monaco.editor.setModelMarkers(model, "dwscript", []);
+  addErrorMarkers([]);
 }
 
 /**
@@ -279,8 +369,25 @@ export function setupKeyboardShortcuts() {
     document.getElementById("btn-run")?.click();
   });
 
-  // F5 to run code
+  // F5 to run code (or continue when paused in the debugger)
   editor.addCommand(monaco.KeyCode.F5, () => {
-    document.getElementById("btn-run")?.click();
+    const target = isExecutionPaused() ? "btn-debug-continue" : "btn-run";
+    document.getElementById(target)?.click();
+  });
+
+  // F9 to toggle a breakpoint on the current line
+  editor.addCommand(monaco.KeyCode.F9, () => {
+    toggleBreakpointAtCursor(editor);
+  });
+
+  // F10 / F11 / Shift+F11 to step over / into / out
+  editor.addCommand(monaco.KeyCode.F10, () => {
+    document.getElementById("btn-debug-step-over")?.click();
+  });
+  editor.addCommand(monaco.KeyCode.F11, () => {
+    document.getElementById("btn-debug-step-into")?.click();
+  });
+  editor.addCommand(monaco.KeyMod.Shift | monaco.KeyCode.F11, () => {
+    document.getElementById("btn-debug-step-out")?.click();
   });
 }
@@ -0,0 +1,170 @@
+/**
+ * Tests for the DWScript Outline Parser
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  parseOutline,
+  visibleSymbols,
+  findSymbol,
+  resolveMembers,
+  describeSymbol,
+  routineSignature,
+} from "./outline-parser.ts";
+
+const program = `program Shapes;
+
+type
+  TColor = (Red, Green, Blue);
+  TPoint = record
+    X, Y: Float;
+  end;
+  TShape = class
+    Origin: TPoint;
+    Color: TColor;
+    procedure Move(dx, dy: Float); virtual;
+    property Name: String read GetName;
+  end;
+  TCircle = class(TShape)
+    Radius: Float;
+  end;
+
+const
+  MaxShapes = 10;
+  Title: String = 'Shapes';
+
+var
+  shapes: array of TShape;
+  count := 0;
+
+procedure TShape.Move(dx, dy: Float);
+begin
+  Origin.X := Origin.X + dx;
+end;
+
+function Area(const c: TCircle): Float;
+var
+  r: Float;
+begin
+  r := c.Radius;
+  Result := Pi * r * r;
+end;
+
+begin
+  var circle := TCircle.Create;
+  WriteLn(Area(circle));
+end.`;
+
+const offsetOf = (text: string) => program.indexOf(text);
+
+describe("Outline Parser", () => {
+  it("lists the top-level declarations with their positions", () => {
+    const outline = parseOutline(program);
+    const names = outline.symbols.map((s) => `${s.kind} ${s.name}`);
+
+    expect(names).toEqual([
+      "type TColor",
+      "type TPoint",
+      "type TShape",
+      "type TCircle",
+      "constant MaxShapes",
+      "constant Title",
+      "variable shapes",
+      "variable count",
+      "method Move",
+      "function Area",
+      "variable circle",
+    ]);
+
+    const area = outline.symbols.find((s) => s.name === "Area");
+    expect(area.line).toBe(31);
+    expect(area.column).toBe(10);
+    expect(area.children.map((s) => s.name)).toEqual(["r"]);
+  });
+
+  it("reads types, members and inferred types", () => {
+    const outline = parseOutline(program);
+    const shape = findSymbol(outline, "TShape", 0);
+
+    expect(shape.structure).toBe("class");
+    expect(shape.children.map((s) => `${s.kind} ${s.name}: ${s.type}`)).toEqual(
+      [
+        "field Origin: TPoint",
+        "field Color: TColor",
+        "method Move: ",
+        "property Name: String",
+      ],
+    );
+    expect(findSymbol(outline, "TCircle", 0).parent).toBe("TShape");
+    expect(findSymbol(outline, "count", 0).type).toBe("Integer");
+    expect(findSymbol(outline, "circle", offsetOf("WriteLn")).type).toBe(
+      "TCircle",
+    );
+    expect(describeSymbol(findSymbol(outline, "MaxShapes", 0))).toBe(
+      "const MaxShapes: Integer = 10",
+    );
+    expect(describeSymbol(findSymbol(outline, "Green", 0))).toBe(
+      "TColor.Green",
+    );
+  });
+
+  it("resolves symbols by scope", () => {
+    const outline = parseOutline(program);
+    const inArea = offsetOf("r := c.Radius");
+    const inMain = offsetOf("WriteLn(Area");
+
+    const local = visibleSymbols(outline, inArea).map((s) => s.name);
+    expect(local).toEqual(expect.arrayContaining(["r", "c", "Result", "Area"]));
+    expect(visibleSymbols(outline, inMain).map((s) => s.name)).not.toContain(
+      "r",
+    );
+
+    // Inside a method implementation the fields of its class are visible
+    const inMove = offsetOf("Origin.X :=");
+    expect(findSymbol(outline, "Origin", inMove)?.kind).toBe("field");
+    expect(findSymbol(outline, "dx", inMove)?.kind).toBe("parameter");
+  });
+
+  it("resolves member access through types and ancestors", () => {
+    const outline = parseOutline(program);
+    const inArea = offsetOf("r := c.Radius");
+
+    const members = (chain: string[]) =>
+      resolveMembers(outline, chain, inArea).map((s) => s.name);
+    expect(members(["c"])).toEqual([
+      "Radius",
+      "Origin",
+      "Color",
+      "Move",
+      "Name",
+    ]);
+    expect(members(["c", "Origin"])).toEqual(["X", "Y"]);
+    expect(members(["TColor"])).toEqual(["Red", "Green", "Blue"]);
+    expect(members(["unknown"])).toEqual([]);
+  });
+
+  it("describes routine signatures with parameter ranges", () => {
+    const outline = parseOutline(program);
+    const area = findSymbol(outline, "Area", 0);
+    const { label, parameters } = routineSignature(area);
+
+    expect(label).toBe("function Area(const c: TCircle): Float");
+    expect(parameters.map(([start, end]) => label.slice(start, end))).toEqual([
+      "const c: TCircle",
+    ]);
+
+    const move = findSymbol(outline, "TShape", 0).children[2];
+    expect(routineSignature(move).label).toBe(
+      "procedure TShape.Move(dx: Float; dy: Float)",
+    );
+  });
+
+  it("copes with unfinished code", () => {
+    const outline = parseOutline(
+      "var x: Integer;\nprocedure Foo(a: Integer\nbegin\n  x :=",
+    );
+    expect(outline.symbols.map((s) => s.name)).toEqual(["x", "Foo"]);
+    expect(parseOutline("type T = class").symbols[0].name).toBe("T");
+    expect(parseOutline("unit Geometry;").module.kind).toBe("unit");
+  });
+});
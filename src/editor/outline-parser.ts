@@ -0,0 +1,1136 @@
+/**
+ * DWScript Outline Parser
+ * Finds the declarations of a program and the scopes they are visible in
+ *
+ * This is not a full parser: it reads declarations (var, const and type
+ * sections, routines and their parameters, record and class members, enum
+ * members) and skips over statements, except for inline "var" declarations.
+ * That is enough for editor features such as completion and hover, and it
+ * copes with the half-typed code those features see: unexpected tokens are
+ * skipped, never reported.
+ */
+
+import { tokenize, type Token } from "./dwscript-tokenizer.ts";
+
+export type SymbolKind =
+  | "variable"
+  | "constant"
+  | "type"
+  | "field"
+  | "property"
+  | "enumMember"
+  | "parameter"
+  | "procedure"
+  | "function"
+  | "method"
+  | "program"
+  | "unit";
+
+export type TypeStructure = "record" | "class" | "interface" | "enum" | "alias";
+
+export interface OutlineParameter {
+  name: string;
+  type: string;
+  /** const, var, out or lazy; "" for value parameters */
+  modifier: string;
+  defaultValue: string;
+}
+
+export interface OutlineSymbol {
+  name: string;
+  kind: SymbolKind;
+  /** Declared or inferred type; the result type of functions */
+  type: string;
+  /** Value of constants, initial value of variables */
+  value?: string;
+  /** What a type declares */
+  structure?: TypeStructure;
+  /** Ancestor of a class type */
+  parent?: string;
+  /** Keyword of routines and modules: procedure, constructor, unit, ... */
+  routineKind?: string;
+  parameters?: OutlineParameter[];
+  /** Members of types, local declarations of routines */
+  children: OutlineSymbol[];
+  /** Type a member or a method implementation belongs to */
+  owner?: string;
+  /** Position of the name (1-based line and column, 0-based offset) */
+  line: number;
+  column: number;
+  offset: number;
+  /** Offsets of the whole declaration */
+  start: number;
+  end: number;
+}
+
+export interface OutlineScope {
+  /** Offsets the scope covers */
+  start: number;
+  end: number;
+  symbols: OutlineSymbol[];
+  /** Type whose members are visible, in method implementations */
+  owner?: string;
+  parent: OutlineScope | null;
+  children: OutlineScope[];
+}
+
+export interface ProgramOutline {
+  /** The program, unit or library header, if there is one */
+  module: OutlineSymbol | null;
+  /** Top-level declarations in source order */
+  symbols: OutlineSymbol[];
+  /** The global scope; routines open nested scopes */
+  scope: OutlineScope;
+}
+
+// Keywords that open a block closed by "end"
+const BLOCK_OPENERS = new Set(["begin", "case", "try", "asm"]);
+
+// Keywords that introduce a routine
+const ROUTINE_KEYWORDS = new Set([
+  "procedure",
+  "function",
+  "constructor",
+  "destructor",
+  "operator",
+  "method",
+]);
+
+// Declaration section keywords
+const SECTION_KEYWORDS = new Set([
+  "var",
+  "const",
+  "type",
+  "resourcestring",
+  "threadvar",
+]);
+
+// Directives that mean a routine header has no body
+const BODYLESS_DIRECTIVES = new Set(["forward", "external", "abstract"]);
+
+// Routine directives that may follow a header
+const ROUTINE_DIRECTIVES = new Set([
+  "overload",
+  "override",
+  "virtual",
+  "abstract",
+  "reintroduce",
+  "static",
+  "inline",
+  "deprecated",
+  "forward",
+  "external",
+  "empty",
+  "default",
+  "final",
+  "export",
+  "cdecl",
+  "stdcall",
+  "register",
+  "pascal",
+  "safecall",
+]);
+
+// Words in class bodies that are not member names
+const VISIBILITY_WORDS = new Set([
+  "private",
+  "protected",
+  "public",
+  "published",
+  "strict",
+]);
+
+// Modifiers between "class" and its ancestor list
+const CLASS_MODIFIERS = new Set([
+  "abstract",
+  "sealed",
+  "static",
+  "partial",
+  "external",
+]);
+
+class OutlineParser {
+  source: string;
+  tokens: Token[];
+  pos: number;
+  prevEnd: number;
+  inInterfaceSection: boolean;
+  scope: OutlineScope;
+  module: OutlineSymbol | null;
+  // Where declarations of the current scope are listed for the outline
+  list: OutlineSymbol[];
+
+  constructor(source: string) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.pos = 0;
+    this.prevEnd = 0;
+    this.inInterfaceSection = false;
+    this.scope = {
+      start: 0,
+      end: source.length,
+      symbols: [],
+      parent: null,
+      children: [],
+    };
+    this.module = null;
+    this.list = [];
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset] || null;
+  }
+
+  next() {
+    const token = this.tokens[this.pos++] || null;
+    if (token) {
+      this.prevEnd = token.end;
+    }
+    return token;
+  }
+
+  is(token: Token | null, ...values: string[]) {
+    return token !== null && values.includes(token.lower);
+  }
+
+  accept(...values: string[]) {
+    if (this.is(this.peek(), ...values)) {
+      return this.next();
+    }
+    return null;
+  }
+
+  isName(token: Token | null) {
+    return token !== null && token.type === "identifier";
+  }
+
+  /**
+   * Source text between two offsets with whitespace collapsed
+   * @param {number} start - Start offset
+   * @param {number} end - End offset
+   * @returns {string}
+   */
+  sourceText(start: number, end: number) {
+    return this.source.slice(start, end).replace(/\s+/g, " ").trim();
+  }
+
+  /**
+   * Skip tokens up to one of the stop words at nesting depth 0
+   * Brackets, begin ... end blocks and record/class bodies are nested.
+   * @param {Set<string>} stopWords - Lowercased token values to stop at
+   * @returns {string} Source text of the skipped tokens
+   */
+  skipUntil(stopWords: Set<string>) {
+    const first = this.peek();
+    const startPos = this.pos;
+    let depth = 0;
+    while (this.peek()) {
+      const token = this.peek();
+      if (depth === 0 && stopWords.has(token.lower)) {
+        break;
+      }
+      if (token.value === "(" || token.value === "[") {
+        depth++;
+      } else if (token.value === ")" || token.value === "]") {
+        if (depth === 0) {
+          break;
+        }
+        depth--;
+      } else if (BLOCK_OPENERS.has(token.lower) || token.lower === "record") {
+        depth++;
+      } else if (token.lower === "end") {
+        if (depth === 0) {
+          break;
+        }
+        depth--;
+      }
+      this.next();
+    }
+    return this.pos > startPos
+      ? this.sourceText(first.start, this.prevEnd)
+      : "";
+  }
+
+  /**
+   * Create a symbol named by a token
+   * @param {Token} name - Name token
+   * @param {SymbolKind} kind - Symbol kind
+   * @param {Object} fields - Further symbol fields
+   * @returns {OutlineSymbol}
+   */
+  symbol(
+    name: Token,
+    kind: SymbolKind,
+    fields: Partial<OutlineSymbol> = {},
+  ): OutlineSymbol {
+    return {
+      name: name.value.replace(/^&/, ""),
+      kind,
+      type: "",
+      children: [],
+      line: name.line,
+      column: name.column,
+      offset: name.start,
+      start: name.start,
+      end: name.end,
+      ...fields,
+    };
+  }
+
+  /**
+   * Add a symbol to the current scope and the outline
+   * @param {OutlineSymbol} symbol
+   */
+  declare(symbol: OutlineSymbol) {
+    this.scope.symbols.push(symbol);
+    this.list.push(symbol);
+  }
+
+  /**
+   * Open a scope for a routine
+   * @param {number} start - Offset where the scope starts
+   * @param {string} owner - Type of a method implementation
+   * @returns {OutlineScope}
+   */
+  pushScope(start: number, owner?: string) {
+    const scope: OutlineScope = {
+      start,
+      end: this.source.length,
+      symbols: [],
+      owner: owner || this.scope.owner,
+      parent: this.scope,
+      children: [],
+    };
+    this.scope.children.push(scope);
+    this.scope = scope;
+    return scope;
+  }
+
+  popScope() {
+    this.scope.end = this.prevEnd;
+    this.scope = this.scope.parent;
+  }
+
+  /**
+   * Check if the current position starts a routine declaration
+   * @returns {boolean}
+   */
+  startsRoutine() {
+    const token = this.peek();
+    if (!token) {
+      return false;
+    }
+    if (token.lower === "class") {
+      return ROUTINE_KEYWORDS.has(this.peek(1)?.lower);
+    }
+    if (token.lower === "method") {
+      return this.isName(this.peek(1));
+    }
+    return token.type === "keyword" && ROUTINE_KEYWORDS.has(token.lower);
+  }
+
+  /**
+   * Parse a whole program, unit or script
+   */
+  parseProgram() {
+    while (this.peek()) {
+      const token = this.peek();
+      const before = this.pos;
+
+      if (this.is(token, "program", "unit", "library")) {
+        this.parseModuleHeader();
+      } else if (this.is(token, "uses")) {
+        this.skipUntil(new Set([";"]));
+        this.accept(";");
+      } else if (this.is(token, "interface")) {
+        this.inInterfaceSection = true;
+        this.next();
+      } else if (this.is(token, "implementation")) {
+        this.inInterfaceSection = false;
+        this.next();
+      } else if (SECTION_KEYWORDS.has(token.lower)) {
+        this.parseSection();
+      } else if (this.startsRoutine()) {
+        this.parseRoutine();
+      } else if (BLOCK_OPENERS.has(token.lower)) {
+        this.skipBlock();
+      } else {
+        this.next();
+      }
+
+      if (this.pos === before) {
+        this.next();
+      }
+    }
+  }
+
+  /**
+   * Read a program, unit or library header; it spans the whole source
+   */
+  parseModuleHeader() {
+    const keyword = this.next();
+    const name = this.peek();
+    if (!this.module && this.isName(name)) {
+      this.module = this.symbol(
+        name,
+        keyword.lower === "unit" ? "unit" : "program",
+        {
+          routineKind: keyword.lower,
+          start: keyword.start,
+          end: this.source.length,
+        },
+      );
+    }
+    this.skipUntil(new Set([";"]));
+    this.accept(";");
+  }
+
+  /**
+   * Skip a begin ... end block, declaring its inline variables
+   */
+  skipBlock() {
+    let depth = 0;
+    while (this.peek()) {
+      const token = this.next();
+      if (BLOCK_OPENERS.has(token.lower)) {
+        depth++;
+      } else if (token.lower === "end") {
+        if (--depth <= 0) {
+          return;
+        }
+      } else if (token.lower === "var" && this.isName(this.peek())) {
+        this.readVariables("variable");
+      }
+    }
+  }
+
+  /**
+   * Parse a var/const/type section
+   * Stops before the first token that does not start another declaration,
+   * which in script mode may be a statement.
+   */
+  parseSection() {
+    const section = this.next().lower;
+
+    while (this.peek()) {
+      const name = this.peek();
+      const following = this.peek(1);
+      const startsDeclaration =
+        this.isName(name) &&
+        (this.is(following, ":", ",") ||
+          (section !== "var" && this.is(following, "=")) ||
+          (section === "var" && this.is(following, ":=")));
+
+      if (!startsDeclaration) {
+        return;
+      }
+
+      if (section === "type") {
+        this.parseType();
+      } else if (section === "const" || section === "resourcestring") {
+        this.declare(this.readConstant());
+      } else {
+        this.readVariables("variable");
+      }
+      this.skipUntil(new Set([";"]));
+      if (!this.accept(";")) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Read a variable or field declaration (a, b: Integer / x := 5 /
+   * x: Float = 1.0) and declare its names, stopping before the semicolon
+   * @param {SymbolKind} kind - variable or field
+   * @param {OutlineSymbol} owner - Type that declares the fields
+   * @returns {Array<OutlineSymbol>} The declared symbols
+   */
+  readVariables(kind: SymbolKind, owner?: OutlineSymbol) {
+    const start = this.peek();
+    const names: Token[] = [];
+    while (this.isName(this.peek())) {
+      names.push(this.next());
+      if (!this.accept(",")) {
+        break;
+      }
+    }
+
+    let type = "";
+    if (this.accept(":")) {
+      type = this.skipUntil(new Set([";", "=", ":=", "in"]));
+    }
+    let value = "";
+    if (this.accept("=", ":=")) {
+      value = this.skipUntil(new Set([";", "do"]));
+    }
+    if (!type && value) {
+      type = inferType(value);
+    }
+
+    const symbols = names.map((name) =>
+      this.symbol(name, kind, {
+        type,
+        value: value || undefined,
+        owner: owner?.name,
+        start: start.start,
+        end: this.prevEnd,
+      }),
+    );
+    if (owner) {
+      owner.children.push(...symbols);
+    } else {
+      symbols.forEach((symbol) => this.declare(symbol));
+    }
+    return symbols;
+  }
+
+  /**
+   * Read a constant (Name = value / Name: Type = value)
+   * @returns {OutlineSymbol}
+   */
+  readConstant() {
+    const name = this.next();
+    let type = "";
+    if (this.accept(":")) {
+      type = this.skipUntil(new Set([";", "="]));
+    }
+    let value = "";
+    if (this.accept("=")) {
+      value = this.skipUntil(new Set([";"]));
+    }
+
+    return this.symbol(name, "constant", {
+      type: type || inferType(value),
+      value,
+      start: name.start,
+      end: this.prevEnd,
+    });
+  }
+
+  /**
+   * Parse a type declaration, stopping before its closing semicolon
+   */
+  parseType() {
+    const name = this.next();
+    this.next(); // =
+    const type = this.symbol(name, "type", { structure: "alias" });
+    this.declare(type);
+
+    if (this.accept("enum", "flags") || this.is(this.peek(), "(")) {
+      this.parseEnum(type);
+    } else {
+      this.accept("packed");
+      this.parseTypeDefinition(type);
+    }
+    type.end = this.prevEnd;
+  }
+
+  /**
+   * Parse the right-hand side of a type declaration (after "=")
+   * @param {OutlineSymbol} type - The type being declared
+   */
+  parseTypeDefinition(type: OutlineSymbol) {
+    const token = this.peek();
+    if (this.is(token, "record")) {
+      this.next();
+      type.structure = "record";
+      type.type = "record";
+      this.parseMembers(type);
+      return;
+    }
+
+    if (this.is(token, "class", "interface", "object")) {
+      const keyword = this.next();
+      const after = this.peek();
+      // class of TFoo, forward declarations
+      if (!after || this.is(after, ";", "of")) {
+        type.type = this.sourceText(keyword.start, this.skipEnd());
+        return;
+      }
+
+      type.structure = keyword.lower === "interface" ? "interface" : "class";
+      while (this.peek() && CLASS_MODIFIERS.has(this.peek().lower)) {
+        this.next();
+      }
+      if (this.accept("(")) {
+        const parents = this.skipUntil(new Set([")"]));
+        this.accept(")");
+        type.parent = parents.split(",")[0].trim() || undefined;
+        if (this.is(this.peek(), ";")) {
+          type.type = keyword.value; // forward declaration
+          return;
+        }
+      }
+      type.type = type.parent
+        ? `${keyword.value}(${type.parent})`
+        : keyword.value;
+      this.parseMembers(type);
+      return;
+    }
+
+    type.type = this.skipUntil(new Set([";"]));
+  }
+
+  /**
+   * Offset after the tokens up to the next semicolon
+   * @returns {number}
+   */
+  skipEnd() {
+    this.skipUntil(new Set([";"]));
+    return this.prevEnd;
+  }
+
+  /**
+   * Parse an enumeration, e.g. (Red, Green = 5, Blue)
+   * Its members are visible without the type name, like constants.
+   * @param {OutlineSymbol} type - The enum type
+   */
+  parseEnum(type: OutlineSymbol) {
+    type.structure = "enum";
+    type.type = "enum";
+    if (!this.accept("(")) {
+      return;
+    }
+    while (this.isName(this.peek())) {
+      const name = this.next();
+      let value = "";
+      if (this.accept("=")) {
+        value = this.skipUntil(new Set([",", ")"]));
+      }
+      const member = this.symbol(name, "enumMember", {
+        type: type.name,
+        value: value || undefined,
+        owner: type.name,
+      });
+      type.children.push(member);
+      this.scope.symbols.push(member);
+      if (!this.accept(",")) {
+        break;
+      }
+    }
+    this.skipUntil(new Set([")", ";"]));
+    this.accept(")");
+  }
+
+  /**
+   * Parse the members of a record, class or interface up to its "end"
+   * @param {OutlineSymbol} type - The type the members belong to
+   */
+  parseMembers(type: OutlineSymbol) {
+    while (this.peek() && !this.is(this.peek(), "end")) {
+      const token = this.peek();
+      const before = this.pos;
+
+      if (VISIBILITY_WORDS.has(token.lower)) {
+        this.next();
+      } else if (this.startsRoutine()) {
+        this.parseRoutineHeader(type);
+      } else if (this.is(token, "property")) {
+        this.parseProperty(type);
+      } else if (this.is(token, "class") && this.is(this.peek(1), "var")) {
+        this.next();
+      } else if (this.is(token, "var")) {
+        this.next();
+      } else if (this.is(token, "const") && this.isName(this.peek(1))) {
+        this.next();
+        type.children.push({ ...this.readConstant(), owner: type.name });
+      } else if (this.isName(token) && this.is(this.peek(1), ":", ",")) {
+        this.readVariables("field", type);
+      } else if (this.is(token, "record", "case")) {
+        this.next(); // nested record or variant part
+      }
+
+      this.accept(";");
+      if (this.pos === before) {
+        this.next();
+      }
+    }
+    this.accept("end");
+  }
+
+  /**
+   * Parse a property declaration, e.g. property Name: String read FName;
+   * @param {OutlineSymbol} type - The type the property belongs to
+   */
+  parseProperty(type: OutlineSymbol) {
+    const start = this.next();
+    if (!this.isName(this.peek())) {
+      return;
+    }
+    const name = this.next();
+    if (this.accept("[")) {
+      this.skipUntil(new Set(["]"]));
+      this.accept("]");
+    }
+    let propertyType = "";
+    if (this.accept(":")) {
+      propertyType = this.skipUntil(
+        new Set([";", "read", "write", "default", "index"]),
+      );
+    }
+    this.skipUntil(new Set([";"]));
+    type.children.push(
+      this.symbol(name, "property", {
+        type: propertyType,
+        owner: type.name,
+        start: start.start,
+        end: this.prevEnd,
+      }),
+    );
+  }
+
+  /**
+   * Parse a routine header
+   * Inside a type, the routine becomes a member; elsewhere it is declared
+   * in the current scope, except for method implementations (TFoo.Bar),
+   * which are listed but only reachable through their type.
+   * @param {OutlineSymbol} owner - Type declaring the routine, if any
+   * @returns {Object} The routine and whether a body follows
+   */
+  parseRoutineHeader(owner?: OutlineSymbol) {
+    const start = this.peek();
+    this.accept("class");
+    const keyword = this.next();
+
+    let nameToken: Token | null = null;
+    let qualifier = "";
+    while (this.isName(this.peek())) {
+      nameToken = this.next();
+      if (!this.is(this.peek(), ".") || !this.isName(this.peek(1))) {
+        break;
+      }
+      qualifier += (qualifier ? "." : "") + nameToken.value;
+      this.next();
+    }
+
+    const parameters = this.is(this.peek(), "(") ? this.readParameters() : [];
+    const names = parameters.map(({ symbol }) => symbol);
+    let result = "";
+    if (this.accept(":")) {
+      result = this.skipUntil(new Set([";", "begin", "var", "const"]));
+    }
+    this.accept(";");
+
+    let hasBody = !owner && !this.inInterfaceSection;
+    while (this.isDirective()) {
+      if (BODYLESS_DIRECTIVES.has(this.peek().lower)) {
+        hasBody = false;
+      }
+      this.skipUntil(new Set([";"]));
+      this.accept(";");
+    }
+
+    const ownerName = owner?.name || qualifier || undefined;
+    const kind: SymbolKind = ownerName
+      ? "method"
+      : result || keyword.lower === "function"
+        ? "function"
+        : "procedure";
+    const routine = nameToken
+      ? this.symbol(nameToken, kind, {
+          type: result,
+          routineKind: keyword.lower,
+          parameters: parameters.map(({ parameter }) => parameter),
+          owner: ownerName,
+          start: start.start,
+          end: this.prevEnd,
+        })
+      : null;
+
+    if (routine && owner) {
+      owner.children.push(routine);
+    } else if (routine && qualifier) {
+      this.list.push(routine);
+    } else if (routine) {
+      this.declare(routine);
+    }
+    return { routine, hasBody, start, parameters: names };
+  }
+
+  /**
+   * Check whether the token after a routine header is a directive
+   * @returns {boolean}
+   */
+  isDirective() {
+    const token = this.peek();
+    if (!token || !ROUTINE_DIRECTIVES.has(token.lower)) {
+      return false;
+    }
+    // A directive is followed by ";" or its argument ("external 'name';")
+    const following = this.peek(1);
+    return (
+      !following ||
+      this.is(following, ";") ||
+      following.type === "string" ||
+      this.is(following, "name")
+    );
+  }
+
+  /**
+   * Parse a routine with its local declarations and body
+   */
+  parseRoutine() {
+    const { routine, hasBody, start, parameters } = this.parseRoutineHeader();
+    if (!hasBody) {
+      return;
+    }
+
+    const scope = this.pushScope(
+      start.start,
+      routine?.owner && routine.kind === "method" ? routine.owner : undefined,
+    );
+    const list = this.list;
+    this.list = routine ? routine.children : [];
+
+    scope.symbols.push(...parameters);
+    if (routine?.type) {
+      scope.symbols.push(
+        this.symbol(start, "variable", { name: "Result", type: routine.type }),
+      );
+    }
+
+    try {
+      while (this.peek()) {
+        const token = this.peek();
+        if (SECTION_KEYWORDS.has(token.lower)) {
+          this.parseSection();
+        } else if (this.startsRoutine()) {
+          this.parseRoutine();
+        } else if (token.lower === "begin") {
+          this.skipBlock();
+          this.accept(";");
+          return;
+        } else {
+          return;
+        }
+      }
+    } finally {
+      this.popScope();
+      this.list = list;
+      if (routine) {
+        routine.end = this.prevEnd;
+      }
+    }
+  }
+
+  /**
+   * Read a parameter list, e.g. (const a, b: Integer; var s: String = '')
+   * @returns {Array<Object>} Each parameter and its symbol
+   */
+  readParameters() {
+    const parameters: Array<{
+      parameter: OutlineParameter;
+      symbol: OutlineSymbol;
+    }> = [];
+    this.next(); // (
+
+    while (this.peek() && this.peek().value !== ")") {
+      let modifier = "";
+      if (
+        this.is(this.peek(), "const", "var", "out", "lazy") &&
+        this.isName(this.peek(1))
+      ) {
+        modifier = this.next().lower;
+      }
+
+      const names: Token[] = [];
+      while (this.isName(this.peek())) {
+        names.push(this.next());
+        if (!this.accept(",")) {
+          break;
+        }
+      }
+
+      let type = "";
+      if (this.accept(":")) {
+        type = this.skipUntil(new Set([";", ")", "="]));
+      }
+      let defaultValue = "";
+      if (this.accept("=")) {
+        defaultValue = this.skipUntil(new Set([";", ")"]));
+      }
+
+      names.forEach((name) => {
+        const symbol = this.symbol(name, "parameter", {
+          type,
+          value: defaultValue || undefined,
+        });
+        parameters.push({
+          parameter: { name: symbol.name, type, modifier, defaultValue },
+          symbol,
+        });
+      });
+      if (!this.accept(";")) {
+        break;
+      }
+    }
+    this.skipUntil(new Set([")"]));
+    this.accept(")");
+    return parameters;
+  }
+}
+
+/**
+ * Guess the type of an initial value
+ * @param {string} value - Value source text
+ * @returns {string} Type name, or "" when unknown
+ */
+function inferType(value: string) {
+  if (/^[+-]?\d+$/.test(value) || /^\$[0-9a-f]+$/i.test(value)) {
+    return "Integer";
+  }
+  if (/^[+-]?\d+\.\d+(e[+-]?\d+)?$/i.test(value)) {
+    return "Float";
+  }
+  if (/^['"#]/.test(value)) {
+    return "String";
+  }
+  if (/^(true|false)$/i.test(value)) {
+    return "Boolean";
+  }
+  // Constructor calls: TFoo.Create(...) or new TFoo(...)
+  const created =
+    value.match(/^([A-Za-z_]\w*)\.Create\b/i) ||
+    value.match(/^new\s+([A-Za-z_]\w*)/i);
+  return created ? created[1] : "";
+}
+
+/**
+ * Parse the declarations of a program
+ * @param {string} source - DWScript source code
+ * @returns {ProgramOutline}
+ */
+export function parseOutline(source: string): ProgramOutline {
+  const parser = new OutlineParser(source);
+  parser.parseProgram();
+  return {
+    module: parser.module,
+    symbols: parser.list,
+    scope: parser.scope,
+  };
+}
+
+/**
+ * Find the innermost scope containing an offset
+ * @param {ProgramOutline} outline
+ * @param {number} offset - Offset in the source
+ * @returns {OutlineScope}
+ */
+export function scopeAt(outline: ProgramOutline, offset: number) {
+  let scope = outline.scope;
+  for (;;) {
+    const inner = scope.children.find(
+      (child) => child.start <= offset && offset <= child.end,
+    );
+    if (!inner) {
+      return scope;
+    }
+    scope = inner;
+  }
+}
+
+/**
+ * Symbols visible at an offset; inner scopes shadow outer ones
+ * In method implementations the members of the method's type are visible.
+ * @param {ProgramOutline} outline
+ * @param {number} offset - Offset in the source
+ * @returns {Array<OutlineSymbol>} Innermost declarations first
+ */
+export function visibleSymbols(outline: ProgramOutline, offset: number) {
+  const seen = new Set<string>();
+  const visible: OutlineSymbol[] = [];
+  const add = (symbol: OutlineSymbol) => {
+    const key = symbol.name.toLowerCase();
+    if (!seen.has(key)) {
+      seen.add(key);
+      visible.push(symbol);
+    }
+  };
+
+  for (let scope = scopeAt(outline, offset); scope; scope = scope.parent) {
+    // Later declarations complete forward declarations of the same name
+    [...scope.symbols].reverse().forEach(add);
+    if (scope.owner && !scope.parent?.owner) {
+      const type = findType(outline, scope.owner, offset);
+      if (type) {
+        typeMembers(outline, type, offset).forEach(add);
+      }
+    }
+  }
+  return visible;
+}
+
+/**
+ * Find the symbol a name refers to at an offset
+ * @param {ProgramOutline} outline
+ * @param {string} name - Identifier, case-insensitive
+ * @param {number} offset - Offset in the source
+ * @returns {OutlineSymbol|null}
+ */
+export function findSymbol(
+  outline: ProgramOutline,
+  name: string,
+  offset: number,
+) {
+  const key = name.toLowerCase();
+  return (
+    visibleSymbols(outline, offset).find(
+      (symbol) => symbol.name.toLowerCase() === key,
+    ) || null
+  );
+}
+
+/**
+ * Find a type declaration visible at an offset
+ * @param {ProgramOutline} outline
+ * @param {string} name - Type name
+ * @param {number} offset - Offset in the source
+ * @returns {OutlineSymbol|null}
+ */
+export function findType(
+  outline: ProgramOutline,
+  name: string,
+  offset: number,
+) {
+  const key = name.toLowerCase();
+  for (let scope = scopeAt(outline, offset); scope; scope = scope.parent) {
+    const type = scope.symbols.findLast(
+      (symbol) => symbol.kind === "type" && symbol.name.toLowerCase() === key,
+    );
+    if (type) {
+      return type;
+    }
+  }
+  return null;
+}
+
+/**
+ * Members of a type, including those inherited from ancestor classes
+ * @param {ProgramOutline} outline
+ * @param {OutlineSymbol} type - Type declaration
+ * @param {number} offset - Offset used to look up ancestors
+ * @returns {Array<OutlineSymbol>}
+ */
+export function typeMembers(
+  outline: ProgramOutline,
+  type: OutlineSymbol,
+  offset: number,
+) {
+  const members: OutlineSymbol[] = [];
+  const visited = new Set<OutlineSymbol>();
+  for (
+    let current = type;
+    current && !visited.has(current);
+    current = current.parent ? findType(outline, current.parent, offset) : null
+  ) {
+    visited.add(current);
+    members.push(...current.children);
+  }
+  return members;
+}
+
+/**
+ * Members reachable through a chain of names, e.g. ["p", "Pos"] for "p.Pos."
+ * @param {ProgramOutline} outline
+ * @param {Array<string>} chain - Names before the dot
+ * @param {number} offset - Offset in the source
+ * @returns {Array<OutlineSymbol>} Members of the last name's type
+ */
+export function resolveMembers(
+  outline: ProgramOutline,
+  chain: string[],
+  offset: number,
+) {
+  let members: OutlineSymbol[] | null = null;
+  for (const name of chain) {
+    const key = name.toLowerCase();
+    const symbol = members
+      ? members.find((member) => member.name.toLowerCase() === key)
+      : findSymbol(outline, name, offset);
+    if (!symbol) {
+      return [];
+    }
+    // A type name gives access to its members (TColor.Red, TFoo.Create)
+    const type =
+      symbol.kind === "type"
+        ? symbol
+        : symbol.type
+          ? findType(outline, symbol.type, offset)
+          : null;
+    if (!type) {
+      return [];
+    }
+    members = typeMembers(outline, type, offset);
+  }
+  return members || [];
+}
+
+/**
+ * One-line description of a symbol, e.g. "var count: Integer"
+ * @param {OutlineSymbol} symbol
+ * @returns {string}
+ */
+export function describeSymbol(symbol: OutlineSymbol) {
+  const typed = (text: string) =>
+    symbol.type ? `${text}: ${symbol.type}` : text;
+
+  switch (symbol.kind) {
+    case "variable":
+      return `var ${typed(symbol.name)}`;
+    case "parameter":
+      return `(parameter) ${typed(symbol.name)}`;
+    case "constant":
+      return `const ${typed(symbol.name)}${symbol.value ? ` = ${symbol.value}` : ""}`;
+    case "type":
+      return `type ${symbol.name} = ${symbol.type}`;
+    case "field":
+      return `${symbol.owner}.${typed(symbol.name)}`;
+    case "property":
+      return `property ${symbol.owner}.${typed(symbol.name)}`;
+    case "enumMember":
+      return `${symbol.owner}.${symbol.name}${symbol.value ? ` = ${symbol.value}` : ""}`;
+    case "program":
+    case "unit":
+      return `${symbol.routineKind} ${symbol.name}`;
+    default:
+      return routineSignature(symbol).label;
+  }
+}
+
+/**
+ * Signature of a routine with the position of each parameter in it
+ * @param {OutlineSymbol} routine
+ * @returns {Object} label, e.g. "procedure Move(dx: Float; dy: Float)", and
+ *   the [start, end) offsets of each parameter in the label
+ */
+export function routineSignature(routine: OutlineSymbol) {
+  const name = routine.owner
+    ? `${routine.owner}.${routine.name}`
+    : routine.name;
+  let label = `${routine.routineKind || routine.kind} ${name}`;
+  const parameters: Array<[number, number]> = [];
+
+  const list = routine.parameters || [];
+  if (list.length > 0) {
+    label += "(";
+    list.forEach((parameter, index) => {
+      if (index > 0) {
+        label += "; ";
+      }
+      const start = label.length;
+      label +=
+        (parameter.modifier ? `${parameter.modifier} ` : "") +
+        (parameter.type
+          ? `${parameter.name}: ${parameter.type}`
+          : parameter.name) +
+        (parameter.defaultValue ? ` = ${parameter.defaultValue}` : "");
+      parameters.push([start, label.length]);
+    });
+    label += ")";
+  }
+  if (routine.type) {
+    label += `: ${routine.type}`;
+  }
+  return { label, parameters };
+}
@@ -0,0 +1,519 @@
+/**
+ * Project Files
+ * Keeps the files of a multi-file project as editor models and saves them
+ *
+ * Outside project mode the editor shows its single program. In project
+ * mode every file of the project has its own Monaco model, the editor
+ * switches between the models of the open tabs, and Run joins the files
+ * (see core/project-linker.ts). The project is saved in the application
+ * state, so it is still there after a reload; leaving project mode brings
+ * the single program back unchanged. A project opened from a share link
+ * is kept in memory only, so the saved project is not replaced by a visit
+ * to a link.
+ *
+ * Changes are announced as "projectchange" window events, which the
+ * project panel renders.
+ */
+
+import type * as Monaco from "monaco-editor";
+import { getEditor, getMonaco, PROJECT_SCHEME } from "./monaco-setup.ts";
+import { RESERVED_WORDS, tokenize } from "./dwscript-tokenizer.ts";
+import { getState, updateState } from "../core/state-manager.ts";
+import { linkProject, type ProjectFile } from "../core/project-linker.ts";
+import { createZip, readZip } from "../utils/zip.ts";
+import { downloadBlob } from "../turtle/canvas-renderer.ts";
+
+export interface Project {
+  name: string;
+  /** File with the main program */
+  main: string;
+  files: ProjectFile[];
+  /** Files open in tabs, in tab order */
+  open: string[];
+  /** File shown in the editor */
+  active: string;
+}
+
+export interface ProjectResult {
+  success: boolean;
+  error?: string;
+}
+
+export const MAIN_FILE = "Main.dws";
+
+// Extensions of the files a project can hold
+const SOURCE_EXTENSIONS = /\.(dws|pas|dpr|inc)$/i;
+
+// Wait this long after the last edit before saving
+const SAVE_DELAY = 1000;
+
+let project: Project | null = null;
+const models = new Map<string, Monaco.editor.ITextModel>();
+// The editor's model outside project mode
+let singleFileModel: Monaco.editor.ITextModel | null = null;
+let saveTimer: ReturnType<typeof setTimeout> | null = null;
+// Whether the project came from a share link and is not saved
+let shared = false;
+
+/**
+ * Initialize project files
+ * Reopens the project if project mode was on when the page was left.
+ */
+export function initProjectFiles() {
+  window.addEventListener("openprojectfile", (e) => {
+    const { name } = (e as CustomEvent<{ name: string }>).detail;
+    if (project && models.has(name)) {
+      openFile(name);
+    }
+  });
+
+  if (getState().projectMode) {
+    openProject();
+  }
+}
+
+/**
+ * Whether the editor works on a project
+ * @returns {boolean}
+ */
+export function isProjectMode() {
+  return project !== null;
+}
+
+/**
+ * Get the current project
+ * @returns {Project|null} A copy, with the file contents as last saved
+ */
+export function getProject() {
+  return project
+    ? { ...project, files: currentFiles(), open: [...project.open] }
+    : null;
+}
+
+/**
+ * Switch to project mode
+ * Restores the saved project; without one, the editor's program becomes
+ * the main file of a new project.
+ */
+export function openProject() {
+  const editor = getEditor();
+  if (project || !editor || !getMonaco()) {
+    return;
+  }
+
+  const saved = getState().project as Project | null;
+  showProject(
+    saved?.files?.length
+      ? { ...saved, files: saved.files.map((file) => ({ ...file })) }
+      : {
+          name: "Project",
+          main: MAIN_FILE,
+          files: [{ name: MAIN_FILE, content: editor.getValue() }],
+          open: [MAIN_FILE],
+          active: MAIN_FILE,
+        },
+  );
+  updateState({ projectMode: true });
+}
+
+/**
+ * Leave project mode and go back to the single program
+ * The project stays saved for the next time.
+ * @param {boolean} remember - Save that project mode is off; false leaves
+ *   the saved mode as it is, so the next visit opens the project again
+ */
+export function closeProject(remember = true) {
+  const editor = getEditor();
+  if (!project || !editor) {
+    return;
+  }
+
+  saveProject();
+  editor.setModel(singleFileModel);
+  models.forEach((model) => model.dispose());
+  models.clear();
+  project = null;
+  singleFileModel = null;
+
+  if (remember && !shared) {
+    updateState({ projectMode: false });
+  }
+  shared = false;
+  notifyChange();
+}
+
+/**
+ * Open a project from a share link
+ * The project is kept in memory only: neither the saved project nor the
+ * saved project mode change.
+ * @param {ProjectFile[]} files - All files, the main file included
+ * @param {string} main - File with the main program
+ */
+export function openSharedProject(files: ProjectFile[], main: string) {
+  closeProject(false);
+  if (!getEditor() || !getMonaco()) {
+    return;
+  }
+  shared = true;
+  showProject({
+    name: "Shared Project",
+    main,
+    files: files.map((file) => ({ ...file })),
+    open: [main],
+    active: main,
+  });
+}
+
+/**
+ * Show a project in the editor
+ * @param {Project} opened - The project to work on
+ */
+function showProject(opened: Project) {
+  project = opened;
+  singleFileModel = getEditor().getModel();
+  project.files.forEach((file) => createModel(file));
+  if (!models.has(project.active)) {
+    project.active = project.main;
+  }
+  project.open = project.open.filter((name) => models.has(name));
+  openFile(project.active);
+}
+
+/**
+ * Show a file in the editor, opening a tab for it
+ * @param {string} name - File name
+ */
+export function openFile(name: string) {
+  const model = models.get(name);
+  if (!project || !model) {
+    return;
+  }
+  if (!project.open.includes(name)) {
+    project.open.push(name);
+  }
+  project.active = name;
+  if (getEditor().getModel() !== model) {
+    getEditor().setModel(model);
+  }
+  scheduleSave();
+  notifyChange();
+}
+
+/**
+ * Close the tab of a file
+ * The last tab cannot be closed; closing the active tab shows its
+ * neighbour.
+ * @param {string} name - File name
+ */
+export function closeFile(name: string) {
+  if (!project || project.open.length <= 1) {
+    return;
+  }
+  const index = project.open.indexOf(name);
+  if (index < 0) {
+    return;
+  }
+  project.open.splice(index, 1);
+  if (project.active === name) {
+    openFile(project.open[Math.min(index, project.open.length - 1)]);
+  } else {
+    scheduleSave();
+    notifyChange();
+  }
+}
+
+/**
+ * Add a new unit to the project
+ * @param {string} unitName - Name of the unit; the file is "<name>.pas"
+ * @returns {ProjectResult}
+ */
+export function addUnit(unitName: string): ProjectResult {
+  if (!project) {
+    return { success: false, error: "No project is open" };
+  }
+  const name = unitName.trim();
+  if (!/^[A-Za-z_]\w*$/.test(name) || RESERVED_WORDS.has(name.toLowerCase())) {
+    return { success: false, error: `"${name}" is not a valid unit name` };
+  }
+  const fileName = `${name}.pas`;
+  if (findFile(fileName)) {
+    return { success: false, error: `${fileName} already exists` };
+  }
+
+  const file = {
+    name: fileName,
+    content: `unit ${name};\n\ninterface\n\nimplementation\n\nend.\n`,
+  };
+  project.files.push(file);
+  createModel(file);
+  openFile(fileName);
+  return { success: true };
+}
+
+/**
+ * Rename a file
+ * Only the file is renamed; a unit keeps the name it declares.
+ * @param {string} name - Current file name
+ * @param {string} newName - New file name, with extension
+ * @returns {ProjectResult}
+ */
+export function renameFile(name: string, newName: string): ProjectResult {
+  const file = project && findFile(name);
+  if (!file) {
+    return { success: false, error: `${name} is not in the project` };
+  }
+  const target = newName.trim();
+  const error = checkFileName(target);
+  if (error) {
+    return { success: false, error };
+  }
+  const existing = findFile(target);
+  if (existing && existing !== file) {
+    return { success: false, error: `${target} already exists` };
+  }
+
+  // Models cannot change their URI, so the file gets a new one
+  const oldModel = models.get(file.name);
+  file.content = oldModel.getValue();
+  models.delete(file.name);
+  const replaceName = (other: string) => (other === file.name ? target : other);
+  project.open = project.open.map(replaceName);
+  project.active = replaceName(project.active);
+  project.main = replaceName(project.main);
+  file.name = target;
+  const model = createModel(file);
+  if (getEditor().getModel() === oldModel) {
+    getEditor().setModel(model);
+  }
+  oldModel.dispose();
+
+  scheduleSave();
+  notifyChange();
+  return { success: true };
+}
+
+/**
+ * Remove a file from the project
+ * The main file cannot be removed.
+ * @param {string} name - File name
+ * @returns {ProjectResult}
+ */
+export function deleteFile(name: string): ProjectResult {
+  const file = project && findFile(name);
+  if (!file) {
+    return { success: false, error: `${name} is not in the project` };
+  }
+  if (file.name === project.main) {
+    return { success: false, error: "The main file cannot be deleted" };
+  }
+
+  project.files = project.files.filter((other) => other !== file);
+  project.open = project.open.filter((other) => other !== file.name);
+  if (project.open.length === 0) {
+    project.open.push(project.main);
+  }
+  if (project.active === file.name) {
+    openFile(project.open[0]);
+  }
+  models.get(file.name).dispose();
+  models.delete(file.name);
+
+  scheduleSave();
+  notifyChange();
+  return { success: true };
+}
+
+/**
+ * Join the project's files into one program, as they are in the editor
+ * @returns {LinkedProject|null} null outside project mode
+ */
+export function linkOpenProject() {
+  return project ? linkProject(currentFiles(), project.main) : null;
+}
+
+/**
+ * Download the project as a zip file
+ */
+export function exportProject() {
+  if (!project) {
+    return;
+  }
+  const encoder = new TextEncoder();
+  const zip = createZip(
+    currentFiles().map((file) => ({
+      name: file.name,
+      data: encoder.encode(file.content),
+    })),
+  );
+  downloadBlob(
+    new Blob([zip], { type: "application/zip" }),
+    `${project.name}.zip`,
+  );
+}
+
+/**
+ * Import files into project mode
+ * A zip file replaces the project with the source files it contains;
+ * a single source file is added to the project.
+ * @param {File} upload - File chosen by the user
+ * @returns {Promise<ProjectResult>}
+ */
+export async function importProject(upload: File): Promise<ProjectResult> {
+  if (!project) {
+    openProject();
+  }
+  if (!project) {
+    return { success: false, error: "The editor is not ready" };
+  }
+
+  if (!/\.zip$/i.test(upload.name)) {
+    const error = checkFileName(upload.name);
+    if (error) {
+      return { success: false, error };
+    }
+    if (findFile(upload.name)) {
+      return { success: false, error: `${upload.name} already exists` };
+    }
+    const file = { name: upload.name, content: await upload.text() };
+    project.files.push(file);
+    createModel(file);
+    openFile(file.name);
+    return { success: true };
+  }
+
+  let entries;
+  try {
+    entries = await readZip(new Uint8Array(await upload.arrayBuffer()));
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+  const decoder = new TextDecoder();
+  const files: ProjectFile[] = [];
+  for (const entry of entries) {
+    // Folders are flattened; units are found by name, not by path
+    const name = entry.name.split("/").pop();
+    if (!SOURCE_EXTENSIONS.test(name)) {
+      continue;
+    }
+    if (files.some((file) => file.name.toLowerCase() === name.toLowerCase())) {
+      return { success: false, error: `The zip file has two files ${name}` };
+    }
+    files.push({ name, content: decoder.decode(entry.data) });
+  }
+  const main = findMainFile(files);
+  if (!main) {
+    return { success: false, error: "The zip file has no program" };
+  }
+
+  models.forEach((model) => model.dispose());
+  models.clear();
+  project = {
+    name: upload.name.replace(/\.zip$/i, ""),
+    main: main.name,
+    files,
+    open: [main.name],
+    active: main.name,
+  };
+  files.forEach((file) => createModel(file));
+  getEditor().setModel(models.get(main.name));
+  saveProject();
+  notifyChange();
+  return { success: true };
+}
+
+/**
+ * Pick the file with the main program: the one starting with "program",
+ * else the first one that is no unit
+ * @param {Array<ProjectFile>} files
+ * @returns {ProjectFile|undefined}
+ */
+function findMainFile(files: ProjectFile[]) {
+  const header = (file: ProjectFile) => tokenize(file.content)[0]?.lower;
+  return (
+    files.find((file) => header(file) === "program") ||
+    files.find((file) => header(file) !== "unit")
+  );
+}
+
+/**
+ * Check a file name
+ * @param {string} name
+ * @returns {string|null} The problem, or null if the name can be used
+ */
+function checkFileName(name: string) {
+  if (!/^[\w.-]+$/.test(name)) {
+    return `"${name}" is not a valid file name`;
+  }
+  if (!SOURCE_EXTENSIONS.test(name)) {
+    return "Files need the extension .dws, .pas, .dpr or .inc";
+  }
+  return null;
+}
+
+/**
+ * Find a file by name, ignoring case
+ * @param {string} name
+ * @returns {ProjectFile|undefined}
+ */
+function findFile(name: string) {
+  const key = name.toLowerCase();
+  return project.files.find((file) => file.name.toLowerCase() === key);
+}
+
+/**
+ * Create the model of a file
+ * @param {ProjectFile} file
+ * @returns {monaco.editor.ITextModel}
+ */
+function createModel(file: ProjectFile) {
+  const monaco = getMonaco();
+  const model = monaco.editor.createModel(
+    file.content,
+    "dwscript",
+    monaco.Uri.from({ scheme: PROJECT_SCHEME, path: `/${file.name}` }),
+  );
+  model.onDidChangeContent(scheduleSave);
+  models.set(file.name, model);
+  return model;
+}
+
+/**
+ * Files of the project with the contents of their models
+ * @returns {Array<ProjectFile>}
+ */
+function currentFiles() {
+  return project.files.map((file) => ({
+    name: file.name,
+    content: models.get(file.name)?.getValue() ?? file.content,
+  }));
+}
+
+function scheduleSave() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+  }
+  saveTimer = setTimeout(saveProject, SAVE_DELAY);
+}
+
+/**
+ * Save the project in the application state now
+ */
+function saveProject() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  if (project) {
+    project.files = currentFiles();
+    if (shared) {
+      return;
+    }
+    updateState({ project: { ...project, open: [...project.open] } });
+  }
+}
+
+function notifyChange() {
+  window.dispatchEvent(
+    new CustomEvent("projectchange", { detail: { project: getProject() } }),
+  );
+}
@@ -209,8 +209,8 @@ export const dwscriptSnippets = [
     insertText: [
       "for var i := 1 to 4 do",
       "begin",
-      "  TurtleForward(${1:100});",
-      "  TurtleTurnRight(90);",
+      "  Forward(${1:100});",
+      "  TurnRight(90);",
       "end;",
     ].join("\n"),
     insertTextRules: 4,
@@ -226,8 +226,8 @@ export const dwscriptSnippets = [
       "",
       "for var i := 1 to sides do",
       "begin",
-      "  TurtleForward(length);",
-      "  TurtleTurnRight(angle);",
+      "  Forward(length);",
+      "  TurnRight(angle);",
       "end;",
     ].join("\n"),
     insertTextRules: 4,
@@ -241,8 +241,8 @@ export const dwscriptSnippets = [
       "",
       "for var i := 1 to ${2:100} do",
       "begin",
-      "  TurtleForward(distance);",
-      "  TurtleTurnRight(${3:90});",
+      "  Forward(distance);",
+      "  TurnRight(${3:90});",
       "  distance := distance + ${4:2};",
       "end;",
     ].join("\n"),
@@ -0,0 +1,123 @@
+/**
+ * Tests for go-to-definition, references, rename and the outline
+ */
+
+import { describe, it, expect } from "vitest";
+import { parseOutline } from "./outline-parser.ts";
+import {
+  findReferences,
+  findDefinitions,
+  planRename,
+  outlineTree,
+} from "./symbol-navigation.ts";
+
+const program = `program Shapes;
+
+type
+  TShape = class
+    Size: Float;
+    procedure Grow(by: Float);
+    property Area: Float read Size;
+  end;
+
+procedure Report(s: TShape); forward;
+
+procedure TShape.Grow(by: Float);
+begin
+  Size := Size + by;
+end;
+
+procedure Report(s: TShape);
+var
+  size: Float;
+begin
+  size := s.Size;
+  PrintLn(size);
+end;
+
+var shape := TShape.Create;
+var total: Integer;
+begin
+  shape.Grow(2);
+  Report(shape);
+end.`;
+
+const at = (text: string, nth = 0) => {
+  let offset = -1;
+  for (let i = 0; i <= nth; i++) {
+    offset = program.indexOf(text, offset + 1);
+  }
+  return offset;
+};
+
+const lines = (refs: Array<{ line: number }>) => refs.map((ref) => ref.line);
+
+describe("Symbol Navigation", () => {
+  const outline = parseOutline(program);
+
+  it("finds the declarations of a routine", () => {
+    // Forward declaration and the declaration completing it
+    expect(
+      lines(findDefinitions(outline, program, at("Report(shape"))),
+    ).toEqual([10, 17]);
+    // A method's declaration in its class and its implementation
+    expect(lines(findDefinitions(outline, program, at("Grow(2")))).toEqual([
+      6, 12,
+    ]);
+    expect(findDefinitions(outline, program, at("PrintLn"))).toEqual([]);
+  });
+
+  it("finds references through scopes and member access", () => {
+    const field = findReferences(outline, program, at("Size: Float"));
+    expect(field.symbol.kind).toBe("field");
+    // Declaration, "read Size", the uses in Grow and s.Size; not the local
+    expect(lines(field.references)).toEqual([5, 7, 14, 14, 21]);
+    expect(field.references[0].isDeclaration).toBe(true);
+
+    const local = findReferences(outline, program, at("size := s"));
+    expect(lines(local.references)).toEqual([19, 21, 22]);
+
+    expect(findReferences(outline, program, at("PrintLn"))).toBeNull();
+  });
+
+  it("checks renames", () => {
+    const rename = planRename(outline, program, at("shape.Grow"), "circle");
+    expect(rename.success).toBe(true);
+    expect(lines(rename.references)).toEqual([25, 28, 29]);
+
+    expect(planRename(outline, program, at("shape.Grow"), "begin")).toEqual({
+      success: false,
+      error: '"begin" is a reserved word',
+    });
+    expect(planRename(outline, program, at("shape.Grow"), "2x").success).toBe(
+      false,
+    );
+    expect(planRename(outline, program, at("shape.Grow"), "Total")).toEqual({
+      success: false,
+      error: '"Total" is already declared on line 26',
+    });
+    expect(planRename(outline, program, at("PrintLn"), "Show")).toEqual({
+      success: false,
+      error: "Only names declared in this program can be renamed",
+    });
+  });
+
+  it("builds the outline under the program", () => {
+    const [root] = outlineTree(outline);
+    expect(root.name).toBe("Shapes");
+    expect(root.symbol.kind).toBe("program");
+    expect(root.children.map((node) => node.name)).toEqual([
+      "TShape",
+      "Report",
+      "TShape.Grow",
+      "Report",
+      "shape",
+      "total",
+    ]);
+    expect(root.children[0].children.map((node) => node.name)).toEqual([
+      "Size",
+      "Grow",
+      "Area",
+    ]);
+  });
+});
@@ -0,0 +1,424 @@
+/**
+ * Symbol Navigation
+ * Links the names in a program to their declarations, for go-to-definition,
+ * find references, rename and the document outline
+ *
+ * Every identifier is resolved the way the compiler would see it at that
+ * point: declarations by their position, "a.b" through the members of a's
+ * type, names inside a class or record body through its members, all other
+ * names through the scopes of the outline. Forward declarations, method
+ * implementations and the declarations they complete count as one symbol.
+ */
+
+import { tokenize, RESERVED_WORDS, type Token } from "./dwscript-tokenizer.ts";
+import {
+  findSymbol,
+  findType,
+  typeMembers,
+  resolveMembers,
+  type OutlineScope,
+  type OutlineSymbol,
+  type ProgramOutline,
+} from "./outline-parser.ts";
+
+export interface SymbolReference {
+  /** Offsets of the name */
+  start: number;
+  end: number;
+  /** 1-based position of the name */
+  line: number;
+  column: number;
+  /** Whether the name is (part of) a declaration of the symbol */
+  isDeclaration: boolean;
+}
+
+export interface OutlineNode {
+  symbol: OutlineSymbol;
+  /** Name to show, e.g. "TShape.Move" for method implementations */
+  name: string;
+  children: OutlineNode[];
+}
+
+export interface RenamePlan {
+  success: boolean;
+  symbol?: OutlineSymbol;
+  /** Names the rename changes */
+  references?: SymbolReference[];
+  /** Why the rename is not possible */
+  error?: string;
+}
+
+interface SymbolIndex {
+  /** Declarations by the offset of their name */
+  declarations: Map<number, OutlineSymbol>;
+  /** Scope each scoped declaration belongs to */
+  scopes: Map<OutlineSymbol, OutlineScope>;
+  /** Members of types */
+  members: Set<OutlineSymbol>;
+  /** Types with a body (records, classes, interfaces) */
+  bodies: OutlineSymbol[];
+}
+
+const indexes = new WeakMap<ProgramOutline, SymbolIndex>();
+
+/**
+ * Whether a symbol is a procedure, function or method
+ * @param {OutlineSymbol} symbol
+ * @returns {boolean}
+ */
+export function isRoutine(symbol: OutlineSymbol) {
+  return (
+    symbol.kind === "procedure" ||
+    symbol.kind === "function" ||
+    symbol.kind === "method"
+  );
+}
+
+/**
+ * Collect every declaration of an outline
+ * @param {ProgramOutline} outline
+ * @returns {SymbolIndex}
+ */
+function indexOutline(outline: ProgramOutline) {
+  const cached = indexes.get(outline);
+  if (cached) {
+    return cached;
+  }
+
+  const index: SymbolIndex = {
+    declarations: new Map(),
+    scopes: new Map(),
+    members: new Set(),
+    bodies: [],
+  };
+  const add = (symbol: OutlineSymbol) => {
+    if (!index.declarations.has(symbol.offset)) {
+      index.declarations.set(symbol.offset, symbol);
+    }
+    if (symbol.kind === "type") {
+      if (symbol.structure !== "enum" && symbol.structure !== "alias") {
+        index.bodies.push(symbol);
+      }
+      symbol.children.forEach((member) => {
+        index.members.add(member);
+        add(member);
+      });
+    }
+  };
+  const walkScope = (scope: OutlineScope) => {
+    scope.symbols.forEach((symbol) => {
+      index.scopes.set(symbol, scope);
+      add(symbol);
+    });
+    scope.children.forEach(walkScope);
+  };
+  const walkList = (symbols: OutlineSymbol[]) => {
+    symbols.forEach((symbol) => {
+      add(symbol);
+      if (isRoutine(symbol)) {
+        walkList(symbol.children);
+      }
+    });
+  };
+
+  walkScope(outline.scope);
+  walkList(outline.symbols);
+  if (outline.module) {
+    add(outline.module);
+  }
+  indexes.set(outline, index);
+  return index;
+}
+
+/**
+ * The declaration that stands for a symbol
+ * Method implementations stand for the method declared in their type;
+ * repeated declarations in a scope (forward declarations) for the last one.
+ * @param {ProgramOutline} outline
+ * @param {OutlineSymbol} symbol
+ * @returns {OutlineSymbol}
+ */
+function canonical(outline: ProgramOutline, symbol: OutlineSymbol) {
+  const index = indexOutline(outline);
+  const key = symbol.name.toLowerCase();
+
+  if (symbol.kind === "method" && !index.members.has(symbol)) {
+    const type = findType(outline, symbol.owner, symbol.offset);
+    const declared = type?.children.find(
+      (member) => isRoutine(member) && member.name.toLowerCase() === key,
+    );
+    return declared || symbol;
+  }
+
+  const scope = index.scopes.get(symbol);
+  if (scope) {
+    return (
+      scope.symbols.findLast(
+        (other) =>
+          other.name.toLowerCase() === key && other.kind === symbol.kind,
+      ) || symbol
+    );
+  }
+  return symbol;
+}
+
+/**
+ * Resolve the identifier token at an index to its symbol
+ * @param {ProgramOutline} outline
+ * @param {Array<Token>} tokens - Tokens of the source
+ * @param {number} i - Index of an identifier token
+ * @returns {OutlineSymbol|null}
+ */
+function resolveToken(outline: ProgramOutline, tokens: Token[], i: number) {
+  const index = indexOutline(outline);
+  const token = tokens[i];
+  const name = token.value.replace(/^&/, "");
+  const key = name.toLowerCase();
+  const offset = token.start;
+
+  const declared = index.declarations.get(offset);
+  if (declared) {
+    return canonical(outline, declared);
+  }
+
+  // Member access: a.b.name
+  if (i >= 2 && tokens[i - 1].value === ".") {
+    const chain: string[] = [];
+    for (let j = i - 2; j >= 0 && tokens[j].type === "identifier"; j -= 2) {
+      chain.unshift(tokens[j].value);
+      if (j < 2 || tokens[j - 1].value !== ".") {
+        break;
+      }
+    }
+    const member = resolveMembers(outline, chain, offset).find(
+      (symbol) => symbol.name.toLowerCase() === key,
+    );
+    return member ? canonical(outline, member) : null;
+  }
+
+  // Names in a type body, e.g. the fields after "read" in properties
+  const body = index.bodies.find(
+    (type) => type.start <= offset && offset < type.end,
+  );
+  if (body) {
+    const member = typeMembers(outline, body, offset).find(
+      (symbol) => symbol.name.toLowerCase() === key,
+    );
+    if (member) {
+      return canonical(outline, member);
+    }
+  }
+
+  const symbol = findSymbol(outline, name, offset);
+  return symbol ? canonical(outline, symbol) : null;
+}
+
+/**
+ * Index of the identifier token at an offset
+ * @param {Array<Token>} tokens
+ * @param {number} offset
+ * @returns {number} Token index, or -1
+ */
+function identifierAt(tokens: Token[], offset: number) {
+  return tokens.findIndex(
+    (token) =>
+      token.type === "identifier" &&
+      token.start <= offset &&
+      offset <= token.end,
+  );
+}
+
+/**
+ * Find the symbol named at an offset
+ * @param {ProgramOutline} outline
+ * @param {string} source - Source the outline was parsed from
+ * @param {number} offset - Offset in or right after a name
+ * @returns {OutlineSymbol|null}
+ */
+export function symbolAtOffset(
+  outline: ProgramOutline,
+  source: string,
+  offset: number,
+) {
+  const tokens = tokenize(source);
+  const at = identifierAt(tokens, offset);
+  return at >= 0 ? resolveToken(outline, tokens, at) : null;
+}
+
+/**
+ * Find all occurrences of the symbol named at an offset
+ * @param {ProgramOutline} outline
+ * @param {string} source - Source the outline was parsed from
+ * @param {number} offset - Offset in or right after a name
+ * @returns {Object|null} The symbol and its references in source order, or
+ *   null when the name is not declared in the program
+ */
+export function findReferences(
+  outline: ProgramOutline,
+  source: string,
+  offset: number,
+) {
+  const tokens = tokenize(source);
+  const at = identifierAt(tokens, offset);
+  const symbol = at >= 0 ? resolveToken(outline, tokens, at) : null;
+  if (!symbol) {
+    return null;
+  }
+
+  const index = indexOutline(outline);
+  const key = symbol.name.toLowerCase();
+  const references: SymbolReference[] = [];
+  tokens.forEach((token, i) => {
+    if (
+      token.type === "identifier" &&
+      token.value.replace(/^&/, "").toLowerCase() === key &&
+      resolveToken(outline, tokens, i) === symbol
+    ) {
+      references.push({
+        start: token.start,
+        end: token.end,
+        line: token.line,
+        column: token.column,
+        isDeclaration: index.declarations.has(token.start),
+      });
+    }
+  });
+  return { symbol, references };
+}
+
+/**
+ * Find the declarations of the symbol named at an offset
+ * A method has its declaration in the type and its implementation; a
+ * forward-declared routine has both declarations.
+ * @param {ProgramOutline} outline
+ * @param {string} source - Source the outline was parsed from
+ * @param {number} offset - Offset in or right after a name
+ * @returns {Array<SymbolReference>} Declarations in source order
+ */
+export function findDefinitions(
+  outline: ProgramOutline,
+  source: string,
+  offset: number,
+) {
+  const found = findReferences(outline, source, offset);
+  if (!found) {
+    return [];
+  }
+  const declarations = found.references.filter((ref) => ref.isDeclaration);
+  if (declarations.length > 0) {
+    return declarations;
+  }
+  // Implicit declarations such as Result point at their routine
+  const { symbol } = found;
+  return [
+    {
+      start: symbol.offset,
+      end: symbol.offset,
+      line: symbol.line,
+      column: symbol.column,
+      isDeclaration: true,
+    },
+  ];
+}
+
+/**
+ * Check a rename and find the names it changes
+ * @param {ProgramOutline} outline
+ * @param {string} source - Source the outline was parsed from
+ * @param {number} offset - Offset in or right after the name to rename
+ * @param {string} newName - New name; null only checks the location
+ * @returns {RenamePlan}
+ */
+export function planRename(
+  outline: ProgramOutline,
+  source: string,
+  offset: number,
+  newName: string | null,
+): RenamePlan {
+  const found = findReferences(outline, source, offset);
+  if (!found) {
+    return {
+      success: false,
+      error: "Only names declared in this program can be renamed",
+    };
+  }
+  const { symbol, references } = found;
+  if (!references.some((ref) => ref.isDeclaration)) {
+    return { success: false, error: `${symbol.name} cannot be renamed` };
+  }
+  if (newName === null) {
+    return { success: true, symbol, references };
+  }
+
+  if (!/^[A-Za-z_]\w*$/.test(newName)) {
+    return {
+      success: false,
+      error: `"${newName}" is not a valid identifier`,
+    };
+  }
+  const key = newName.toLowerCase();
+  if (RESERVED_WORDS.has(key)) {
+    return { success: false, error: `"${newName}" is a reserved word` };
+  }
+  if (key === symbol.name.toLowerCase()) {
+    return { success: true, symbol, references };
+  }
+
+  // The new name must not be taken by another member of the same type, or
+  // where the symbol is used
+  const ownerType = symbol.owner
+    ? findType(outline, symbol.owner, symbol.offset)
+    : null;
+  const clash = ownerType
+    ? typeMembers(outline, ownerType, symbol.offset).find(
+        (other) => other.name.toLowerCase() === key,
+      )
+    : references
+        .map((ref) => findSymbol(outline, newName, ref.start))
+        .find((other) => other && other !== symbol);
+  if (clash) {
+    return {
+      success: false,
+      error: `"${newName}" is already declared on line ${clash.line}`,
+    };
+  }
+  return { success: true, symbol, references };
+}
+
+/**
+ * Build the document outline: the program or unit, its types with their
+ * members, global variables and constants, and routines with the routines
+ * and types declared inside them
+ * @param {ProgramOutline} outline
+ * @returns {Array<OutlineNode>}
+ */
+export function outlineTree(outline: ProgramOutline) {
+  const node = (symbol: OutlineSymbol): OutlineNode => {
+    const isImplementation =
+      symbol.kind === "method" &&
+      !indexOutline(outline).members.has(symbol) &&
+      symbol.owner;
+    return {
+      symbol,
+      name: isImplementation ? `${symbol.owner}.${symbol.name}` : symbol.name,
+      children:
+        symbol.kind === "type"
+          ? symbol.children.map((member) => ({
+              symbol: member,
+              name: member.name,
+              children: [],
+            }))
+          : symbol.children
+              .filter((child) => isRoutine(child) || child.kind === "type")
+              .map(node),
+    };
+  };
+
+  const nodes = outline.symbols.map(node);
+  if (!outline.module) {
+    return nodes;
+  }
+  return [
+    { symbol: outline.module, name: outline.module.name, children: nodes },
+  ];
+}
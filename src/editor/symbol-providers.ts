@@ -0,0 +1,225 @@
+/**
+ * Symbol Providers for DWScript
+ * Go to definition (F12), find references (Shift+F12), rename (F2) and the
+ * document outline (Go to Symbol, Ctrl+Shift+O) for the program being edited
+ */
+
+import type * as Monaco from "monaco-editor";
+import { getModelOutline } from "./intellisense.ts";
+import {
+  findDefinitions,
+  findReferences,
+  planRename,
+  outlineTree,
+  type OutlineNode,
+  type SymbolReference,
+} from "./symbol-navigation.ts";
+
+type Languages = typeof Monaco.languages;
+
+/**
+ * Editor range of a reference
+ * @param {Monaco.editor.ITextModel} model
+ * @param {SymbolReference} reference
+ * @returns {Monaco.IRange}
+ */
+function referenceRange(
+  model: Monaco.editor.ITextModel,
+  reference: SymbolReference,
+) {
+  const end = model.getPositionAt(reference.end);
+  return {
+    startLineNumber: reference.line,
+    startColumn: reference.column,
+    endLineNumber: end.lineNumber,
+    endColumn: end.column,
+  };
+}
+
+/**
+ * Editor range between two offsets
+ * @param {Monaco.editor.ITextModel} model
+ * @param {number} start
+ * @param {number} end
+ * @returns {Monaco.IRange}
+ */
+function offsetRange(
+  model: Monaco.editor.ITextModel,
+  start: number,
+  end: number,
+) {
+  const from = model.getPositionAt(start);
+  const to = model.getPositionAt(Math.max(start, end));
+  return {
+    startLineNumber: from.lineNumber,
+    startColumn: from.column,
+    endLineNumber: to.lineNumber,
+    endColumn: to.column,
+  };
+}
+
+/**
+ * Document symbol kind of an outline node
+ * @param {Languages} languages - Monaco languages API
+ * @param {OutlineNode} node
+ * @returns {Monaco.languages.SymbolKind}
+ */
+function documentSymbolKind(languages: Languages, { symbol }: OutlineNode) {
+  const kinds = languages.SymbolKind;
+  switch (symbol.kind) {
+    case "program":
+      return kinds.File;
+    case "unit":
+      return kinds.Module;
+    case "variable":
+    case "parameter":
+      return kinds.Variable;
+    case "constant":
+      return kinds.Constant;
+    case "field":
+      return kinds.Field;
+    case "property":
+      return kinds.Property;
+    case "enumMember":
+      return kinds.EnumMember;
+    case "method":
+      return symbol.routineKind === "constructor"
+        ? kinds.Constructor
+        : kinds.Method;
+    case "procedure":
+    case "function":
+      return kinds.Function;
+    default:
+      return (
+        {
+          class: kinds.Class,
+          interface: kinds.Interface,
+          enum: kinds.Enum,
+          record: kinds.Struct,
+        }[symbol.structure] || kinds.TypeParameter
+      );
+  }
+}
+
+/**
+ * Convert an outline node to a Monaco document symbol
+ * @param {Languages} languages - Monaco languages API
+ * @param {Monaco.editor.ITextModel} model
+ * @param {OutlineNode} node
+ * @returns {Monaco.languages.DocumentSymbol}
+ */
+function toDocumentSymbol(
+  languages: Languages,
+  model: Monaco.editor.ITextModel,
+  node: OutlineNode,
+): Monaco.languages.DocumentSymbol {
+  const { symbol } = node;
+  const selectionRange = offsetRange(
+    model,
+    symbol.offset,
+    symbol.offset + symbol.name.length,
+  );
+  // The selection must lie within the range
+  const range = offsetRange(
+    model,
+    Math.min(symbol.start, symbol.offset),
+    Math.max(symbol.end, symbol.offset + symbol.name.length),
+  );
+  return {
+    name: node.name,
+    detail: symbol.type,
+    kind: documentSymbolKind(languages, node),
+    tags: [],
+    range,
+    selectionRange,
+    children: node.children.map((child) =>
+      toDocumentSymbol(languages, model, child),
+    ),
+  };
+}
+
+/**
+ * Register the definition, reference, rename and document symbol providers
+ * @param {Languages} languages - Monaco languages API
+ */
+export function registerSymbolProviders(languages: Languages) {
+  languages.registerDefinitionProvider("dwscript", {
+    provideDefinition: (model, position) => {
+      const definitions = findDefinitions(
+        getModelOutline(model),
+        model.getValue(),
+        model.getOffsetAt(position),
+      );
+      return definitions.map((definition) => ({
+        uri: model.uri,
+        range: referenceRange(model, definition),
+      }));
+    },
+  });
+
+  languages.registerReferenceProvider("dwscript", {
+    provideReferences: (model, position, context) => {
+      const found = findReferences(
+        getModelOutline(model),
+        model.getValue(),
+        model.getOffsetAt(position),
+      );
+      if (!found) {
+        return [];
+      }
+      return found.references
+        .filter((ref) => context.includeDeclaration || !ref.isDeclaration)
+        .map((ref) => ({ uri: model.uri, range: referenceRange(model, ref) }));
+    },
+  });
+
+  languages.registerRenameProvider("dwscript", {
+    provideRenameEdits: (model, position, newName) => {
+      const plan = planRename(
+        getModelOutline(model),
+        model.getValue(),
+        model.getOffsetAt(position),
+        newName,
+      );
+      if (!plan.success) {
+        return { edits: [], rejectReason: plan.error };
+      }
+      const versionId = model.getVersionId();
+      return {
+        edits: plan.references.map((ref) => ({
+          resource: model.uri,
+          versionId,
+          textEdit: { range: referenceRange(model, ref), text: newName },
+        })),
+      };
+    },
+    resolveRenameLocation: (model, position) => {
+      const plan = planRename(
+        getModelOutline(model),
+        model.getValue(),
+        model.getOffsetAt(position),
+        null,
+      );
+      if (!plan.success) {
+        return { range: null, text: "", rejectReason: plan.error };
+      }
+      const offset = model.getOffsetAt(position);
+      const reference =
+        plan.references.find(
+          (ref) => ref.start <= offset && offset <= ref.end,
+        ) || plan.references[0];
+      return {
+        range: referenceRange(model, reference),
+        text: model.getValue().slice(reference.start, reference.end),
+      };
+    },
+  });
+
+  languages.registerDocumentSymbolProvider("dwscript", {
+    displayName: "DWScript",
+    provideDocumentSymbols: (model) =>
+      outlineTree(getModelOutline(model)).map((node) =>
+        toDocumentSymbol(languages, model, node),
+      ),
+  });
+}
@@ -0,0 +1,118 @@
+/**
+ * Tests for achievements
+ */
+
+import { describe, it, expect } from "vitest";
+import { readFileSync } from "node:fs";
+import { resolve } from "node:path";
+import {
+  evaluateAchievements,
+  meetsRule,
+  RULE_TYPES,
+  type Achievement,
+} from "./achievements.ts";
+
+const ROOT = resolve(__dirname, "../..");
+
+function readJSON(path: string) {
+  return JSON.parse(readFileSync(resolve(ROOT, path), "utf8"));
+}
+
+const lessons = [
+  {
+    id: "if",
+    category: "control-flow",
+    content: { exercises: [{}, {}] },
+  },
+  { id: "case", category: "control-flow", content: { exercises: [] } },
+  { id: "recursion", category: "functions", content: { exercises: [{}] } },
+];
+
+describe("Achievements", () => {
+  it("checks the rules against the progress", () => {
+    const progress = {
+      totalTime: 45,
+      activity: { "2026-10-16": 1, "2026-10-17": 2 },
+      lessons: {
+        if: { completed: true, exercisesCompleted: [true, true], score: 100 },
+        recursion: { completed: true, exercisesCompleted: [] },
+      },
+    };
+    const meets = (rule) => meetsRule(rule, lessons, progress);
+
+    expect(meets({ type: "lessonsCompleted", count: 2 })).toBe(true);
+    expect(meets({ type: "lessonsCompleted", count: 3 })).toBe(false);
+    expect(
+      meets({ type: "lessonsCompleted", count: 2, category: "control-flow" }),
+    ).toBe(false);
+    expect(meets({ type: "lessonCompleted", lesson: "recursion" })).toBe(true);
+    expect(meets({ type: "categoryCompleted", category: "functions" })).toBe(
+      true,
+    );
+    expect(meets({ type: "categoryCompleted", category: "control-flow" })).toBe(
+      false,
+    );
+    // Lessons without exercises do not count
+    expect(meets({ type: "exercisesSolved", category: "control-flow" })).toBe(
+      true,
+    );
+    expect(meets({ type: "exercisesSolved", category: "functions" })).toBe(
+      false,
+    );
+    expect(meets({ type: "exercisesSolved", category: "oop" })).toBe(false);
+    expect(meets({ type: "streak", days: 2 })).toBe(true);
+    expect(meets({ type: "streak", days: 3 })).toBe(false);
+    expect(meets({ type: "score", min: 100 })).toBe(true);
+    expect(meets({ type: "score", min: 100, count: 2 })).toBe(false);
+    expect(meets({ type: "timeSpent", minutes: 60 })).toBe(false);
+  });
+
+  it("lists the achievements that are earned", () => {
+    const achievements: Achievement[] = [
+      {
+        id: "first",
+        title: "First",
+        description: "",
+        rule: { type: "lessonsCompleted" },
+      },
+      {
+        id: "streak",
+        title: "Streak",
+        description: "",
+        rule: { type: "streak", days: 3 },
+      },
+    ];
+    expect(
+      evaluateAchievements(achievements, lessons, {
+        lessons: { case: { completed: true } },
+      }),
+    ).toEqual(["first"]);
+    expect(evaluateAchievements(achievements, lessons, {})).toEqual([]);
+  });
+
+  it("defines the course's achievements with known rules and names", () => {
+    const { achievements } = readJSON("content/achievements.json");
+    const course = readJSON("content/lessons/index.json").lessons.map(
+      (path: string) => readJSON(path.slice(1)),
+    );
+    const lessonIds = new Set(course.map((lesson) => lesson.id));
+    const categories = new Set(
+      readJSON("content/lessons/lesson-schema.json").properties.category.enum,
+    );
+
+    const problems = achievements.flatMap(({ id, title, rule }) =>
+      [
+        !title && "has no title",
+        !RULE_TYPES.includes(rule?.type) && `has an unknown rule ${rule?.type}`,
+        rule?.lesson && !lessonIds.has(rule.lesson) && "names no lesson",
+        rule?.category && !categories.has(rule.category) && "names no category",
+      ]
+        .filter(Boolean)
+        .map((problem) => `${id} ${problem}`),
+    );
+    expect(problems).toEqual([]);
+    expect(new Set(achievements.map((item) => item.id)).size).toBe(
+      achievements.length,
+    );
+  });
+});
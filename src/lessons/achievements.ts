@@ -0,0 +1,213 @@
+/**
+ * Achievements
+ * Awards the achievements defined in content/achievements.json
+ *
+ * Each achievement has a rule that is checked against the progress:
+ *
+ *   { "type": "lessonsCompleted", "count": 5, "category": "functions" }
+ *   { "type": "lessonCompleted", "lesson": "recursion" }
+ *   { "type": "categoryCompleted", "category": "control-flow" }
+ *   { "type": "exercisesSolved", "category": "control-flow" }
+ *   { "type": "streak", "days": 7 }
+ *   { "type": "score", "min": 100, "count": 1 }
+ *   { "type": "timeSpent", "minutes": 60 }
+ *
+ * "category" and "lesson" are optional where they narrow a rule down.
+ * Earned achievements are stored with the progress, so they are part of
+ * its export.
+ */
+
+import { getLoadedLessons } from "./lesson-loader.ts";
+import { getProgress, markAchievementsEarned } from "./progress.ts";
+import { longestStreak } from "./progress-stats.ts";
+
+export type AchievementRuleType =
+  | "lessonsCompleted"
+  | "lessonCompleted"
+  | "categoryCompleted"
+  | "exercisesSolved"
+  | "streak"
+  | "score"
+  | "timeSpent";
+
+export const RULE_TYPES: AchievementRuleType[] = [
+  "lessonsCompleted",
+  "lessonCompleted",
+  "categoryCompleted",
+  "exercisesSolved",
+  "streak",
+  "score",
+  "timeSpent",
+];
+
+export interface AchievementRule {
+  type: AchievementRuleType;
+  count?: number;
+  category?: string;
+  lesson?: string;
+  days?: number;
+  min?: number;
+  minutes?: number;
+}
+
+export interface Achievement {
+  id: string;
+  title: string;
+  description: string;
+  icon?: string;
+  rule: AchievementRule;
+}
+
+let achievementsCache: Achievement[] | null = null;
+let checking = false;
+
+/**
+ * Load the achievement definitions
+ * @returns {Promise<Achievement[]>} Empty if they cannot be loaded
+ */
+export async function loadAchievements(): Promise<Achievement[]> {
+  if (achievementsCache) {
+    return achievementsCache;
+  }
+  try {
+    const response = await fetch("/content/achievements.json");
+    if (!response.ok) {
+      return [];
+    }
+    const data = await response.json();
+    achievementsCache = Array.isArray(data?.achievements)
+      ? data.achievements
+      : [];
+  } catch (error) {
+    console.error("Failed to load achievements:", error);
+    return [];
+  }
+  return achievementsCache;
+}
+
+/**
+ * Check whether the progress meets a rule
+ * @param {AchievementRule} rule
+ * @param {Array} lessons - All lessons
+ * @param {Object} progress - Progress from getProgress()
+ * @returns {boolean}
+ */
+export function meetsRule(rule: AchievementRule, lessons, progress) {
+  const lessonProgress = (lesson) => progress.lessons?.[lesson.id] || {};
+  const inScope = lessons.filter(
+    (lesson) =>
+      (!rule.category || lesson.category === rule.category) &&
+      (!rule.lesson || lesson.id === rule.lesson),
+  );
+  const completed = inScope.filter(
+    (lesson) => lessonProgress(lesson).completed,
+  );
+
+  switch (rule.type) {
+    case "lessonsCompleted":
+      return completed.length >= (rule.count || 1);
+    case "lessonCompleted":
+      return !!progress.lessons?.[rule.lesson]?.completed;
+    case "categoryCompleted":
+      return inScope.length > 0 && completed.length === inScope.length;
+    case "exercisesSolved": {
+      const withExercises = inScope.filter(
+        (lesson) => lesson.content?.exercises?.length > 0,
+      );
+      return (
+        withExercises.length > 0 &&
+        withExercises.every((lesson) =>
+          lesson.content.exercises.every(
+            (_, index) => lessonProgress(lesson).exercisesCompleted?.[index],
+          ),
+        )
+      );
+    }
+    case "streak":
+      return longestStreak(progress.activity) >= (rule.days || 1);
+    case "score": {
+      const scored = Object.values(progress.lessons || {}).filter(
+        (lesson: { score?: number }) =>
+          typeof lesson.score === "number" && lesson.score >= (rule.min ?? 0),
+      );
+      return scored.length >= (rule.count || 1);
+    }
+    case "timeSpent":
+      return (progress.totalTime || 0) >= (rule.minutes || 0);
+    default:
+      return false;
+  }
+}
+
+/**
+ * The achievements the progress has earned
+ * @param {Achievement[]} achievements - Definitions
+ * @param {Array} lessons - All lessons
+ * @param {Object} progress - Progress from getProgress()
+ * @returns {string[]} Achievement IDs
+ */
+export function evaluateAchievements(
+  achievements: Achievement[],
+  lessons,
+  progress,
+) {
+  return achievements
+    .filter((achievement) => meetsRule(achievement.rule, lessons, progress))
+    .map((achievement) => achievement.id);
+}
+
+/**
+ * Award achievements as the progress changes
+ */
+export function initAchievements() {
+  window.addEventListener("progressUpdated", checkAchievements);
+}
+
+/**
+ * Award the achievements that were just earned and tell the learner
+ */
+async function checkAchievements() {
+  // Recording an achievement updates the progress again
+  if (checking) {
+    return;
+  }
+  checking = true;
+  try {
+    const achievements = await loadAchievements();
+    const earned = markAchievementsEarned(
+      evaluateAchievements(achievements, getLoadedLessons(), getProgress()),
+    );
+    earned.forEach((id, index) => {
+      const achievement = achievements.find((item) => item.id === id);
+      setTimeout(() => showAchievementToast(achievement), index * 3500);
+    });
+  } finally {
+    checking = false;
+  }
+}
+
+/**
+ * Show that an achievement was earned
+ * @param {Achievement} achievement
+ */
+function showAchievementToast(achievement: Achievement) {
+  const message = document.createElement("div");
+  message.className = "completion-toast achievement-toast";
+  message.setAttribute("role", "status");
+  message.innerHTML = `
+    <div class="toast-content">
+      <span class="toast-icon">${achievement.icon || "🏆"}</span>
+      <span>Achievement unlocked: <strong>${achievement.title}</strong></span>
+    </div>
+  `;
+  document.body.appendChild(message);
+
+  setTimeout(() => {
+    message.classList.add("show");
+  }, 10);
+
+  setTimeout(() => {
+    message.classList.remove("show");
+    setTimeout(() => message.remove(), 300);
+  }, 3000);
+}
@@ -0,0 +1,198 @@
+/**
+ * Tests for the content verifier, and the verification of the course
+ *
+ * The course's lessons and snippets run against the go-dws runtime when
+ * dwscript.wasm and wasm_exec.js are in wasm/ (see WASM_SETUP.md), or in
+ * the directory named by DWSCRIPT_WASM_DIR. Without them that part is
+ * skipped.
+ */
+
+import { describe, it, expect, beforeAll } from "vitest";
+import { existsSync, readFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { runInThisContext } from "node:vm";
+import {
+  formatFailure,
+  lessonCases,
+  snippetCases,
+  verifyCases,
+  type ExecuteFunction,
+} from "./content-verifier.ts";
+import { DWScriptAPI } from "../core/dwscript-api.ts";
+
+const ROOT = resolve(__dirname, "../..");
+const WASM_DIR = resolve(ROOT, process.env.DWSCRIPT_WASM_DIR || "wasm");
+const hasRuntime =
+  existsSync(resolve(WASM_DIR, "dwscript.wasm")) &&
+  existsSync(resolve(WASM_DIR, "wasm_exec.js"));
+
+function readJSON(path: string) {
+  return JSON.parse(readFileSync(resolve(ROOT, path), "utf8"));
+}
+
+// Runs "programs" that are the text they print; "fail" does not compile,
+// and "echo" prints its input
+const fakeExecute: ExecuteFunction = async (code, options = {}) => {
+  if (code === "fail") {
+    return { success: false, errors: [{ message: "Syntax error" }] };
+  }
+  if (code === "echo") {
+    return { success: true, output: String(options.input ?? "") };
+  }
+  if (code === "square") {
+    for (let i = 0; i < 4; i++) {
+      window["Forward"](50);
+      window["TurnRight"](90);
+    }
+    return { success: true, output: "" };
+  }
+  return { success: true, output: code };
+};
+
+/**
+ * Start the go-dws runtime
+ * @returns {Promise<DWScriptAPI>}
+ */
+async function startRuntime() {
+  runInThisContext(readFileSync(resolve(WASM_DIR, "wasm_exec.js"), "utf8"));
+  const go = new globalThis["Go"]();
+  const { instance } = await WebAssembly.instantiate(
+    readFileSync(resolve(WASM_DIR, "dwscript.wasm")),
+    go.importObject,
+  );
+  go.run(instance);
+
+  // The runtime registers its API shortly after it starts
+  for (let i = 0; i < 100 && !globalThis["DWScript"]; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  window["DWScript"] = globalThis["DWScript"];
+
+  const api = new DWScriptAPI();
+  await api.init({ onOutput: () => {}, onError: () => {}, onInput: () => "" });
+  return api;
+}
+
+describe("Content verifier", () => {
+  it("collects examples, exercise solutions and quiz code with their checks", () => {
+    const cases = lessonCases({
+      id: "loops",
+      content: {
+        examples: [{ title: "While", code: "a", expectedOutput: "a" }],
+        exercises: [
+          {
+            title: "Echo",
+            solution: "echo",
+            tests: [{ input: ["1"], expectedOutput: "1" }, { input: "2" }],
+          },
+          { title: "Square", solution: "square", graphics: [{ type: "pen" }] },
+          { title: "Free", solution: "b" },
+          { title: "No solution", tests: [{ expectedOutput: "x" }] },
+        ],
+        quizzes: [
+          { type: "multipleChoice", options: ["a", "b"], answer: 0 },
+          { type: "predictOutput", code: "c" },
+          { type: "fillInBlank", code: "d ___", answers: ["e"] },
+        ],
+      },
+    });
+
+    expect(cases).toEqual([
+      { name: "loops, example 1 (While)", code: "a", expectedOutput: "a" },
+      {
+        name: "loops, exercise 1 (Echo) solution, test 1",
+        code: "echo",
+        input: ["1"],
+        expectedOutput: "1",
+      },
+      {
+        name: "loops, exercise 1 (Echo) solution, test 2",
+        code: "echo",
+        input: "2",
+      },
+      {
+        name: "loops, exercise 2 (Square) solution",
+        code: "square",
+        graphics: [{ type: "pen" }],
+      },
+      { name: "loops, exercise 3 (Free) solution", code: "b" },
+      { name: "loops, quiz 2", code: "c" },
+      { name: "loops, quiz 3", code: "d e" },
+    ]);
+  });
+
+  it("prepends the setup of snippets", () => {
+    expect(
+      snippetCases({
+        categories: [
+          {
+            snippets: [
+              {
+                id: "loop",
+                code: "for i := 1 to 3 do;",
+                setup: "var i: Integer;",
+              },
+            ],
+          },
+        ],
+      }),
+    ).toEqual([
+      { name: "snippet loop", code: "var i: Integer;\nfor i := 1 to 3 do;" },
+    ]);
+  });
+
+  it("reports failing cases with the lines that differ", async () => {
+    const failures = await verifyCases(fakeExecute, [
+      { name: "passes", code: "Hello\n", expectedOutput: "hello" },
+      { name: "echo", code: "echo", input: "4", expectedOutput: "4" },
+      { name: "differs", code: "One\nTwo", expectedOutput: "One\n2" },
+      { name: "broken", code: "fail" },
+      {
+        name: "square",
+        code: "square",
+        graphics: [
+          { type: "polygon", sides: 4, sideLength: 50 },
+          { type: "polygon", sides: 3 },
+        ],
+      },
+    ]);
+
+    expect(failures.map((failure) => failure.name)).toEqual([
+      "differs",
+      "broken",
+      "square",
+    ]);
+    expect(formatFailure(failures[0])).toBe(
+      "differs: the output differs\n  line 2:\n  - 2\n  + two",
+    );
+    expect(formatFailure(failures[1])).toBe("broken: Syntax error");
+    expect(failures[2].graphics).toHaveLength(1);
+  });
+});
+
+describe.skipIf(!hasRuntime)("Course content on the go-dws runtime", () => {
+  let execute: ExecuteFunction;
+
+  beforeAll(async () => {
+    const api = await startRuntime();
+    execute = (code, options) => api.eval(code, options);
+  }, 60000);
+
+  const lessonPaths: string[] = readJSON("content/lessons/index.json").lessons;
+
+  it.each(lessonPaths)("runs the code of %s", async (path) => {
+    const failures = await verifyCases(
+      execute,
+      lessonCases(readJSON(path.slice(1))),
+    );
+    expect(failures.map(formatFailure)).toEqual([]);
+  });
+
+  it("runs the snippets", async () => {
+    const failures = await verifyCases(
+      execute,
+      snippetCases(readJSON("content/snippets/snippets.json")),
+    );
+    expect(failures.map(formatFailure)).toEqual([]);
+  });
+});
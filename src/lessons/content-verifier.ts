@@ -0,0 +1,240 @@
+/**
+ * Content Verifier
+ * Runs the code of the course and reports what does not work
+ *
+ * Every lesson example must run and print its expectedOutput, and every
+ * exercise solution must pass the exercise's own checks: each of its
+ * tests, its expectedOutput or its graphics checks, or, without any of
+ * these, at least run. The code of quizzes must run, with the answers in
+ * the gaps of fill-in-the-blank code. Snippets are fragments that are
+ * inserted into a program, so they only have to run; a snippet that
+ * refers to names it does not declare, like the "condition" of a loop
+ * template, brings the declarations in its "setup" property.
+ *
+ * All code runs with a headless turtle, so turtle programs work without a
+ * canvas. The runner takes the function that executes code, so the same
+ * cases run in the browser and against the WASM runtime in the unit tests.
+ */
+
+import { compareOutput } from "./exercise-validator.ts";
+import { checkGeometry, type GraphicsCheck } from "./graphics-validator.ts";
+import { fillGaps } from "./quiz.ts";
+import { runHeadless } from "../turtle/headless-turtle.ts";
+import type { ProgramInput } from "../core/input-queue.ts";
+
+export interface VerificationCase {
+  /** Where the code comes from, like "hello-world, example 2 (Multiple Lines)" */
+  name: string;
+  code: string;
+  input?: ProgramInput;
+  expectedOutput?: string;
+  graphics?: GraphicsCheck[];
+}
+
+export interface VerificationFailure {
+  name: string;
+  /** Why the code did not run */
+  error?: string;
+  expectedOutput?: string;
+  actualOutput?: string;
+  /** Lines that differ, from compareOutput */
+  differences?: Array<{
+    line: number;
+    actual: string;
+    expected: string;
+    type: string;
+  }>;
+  /** Graphics checks that failed */
+  graphics?: string[];
+}
+
+/**
+ * Executes code like executeCode(code, options) or DWScriptAPI.eval
+ */
+export type ExecuteFunction = (
+  code: string,
+  options?: { input?: ProgramInput },
+) => Promise<{
+  success: boolean;
+  output?: string;
+  errors?: Array<{ message: string }>;
+  error?: unknown;
+}>;
+
+/**
+ * The code of a lesson to verify
+ * @param {Object} lesson
+ * @returns {VerificationCase[]}
+ */
+export function lessonCases(lesson): VerificationCase[] {
+  const cases: VerificationCase[] = [];
+  const describe = (kind: string, index: number, title?: string) =>
+    `${lesson.id}, ${kind} ${index + 1}${title ? ` (${title})` : ""}`;
+
+  (lesson.content?.examples || []).forEach((example, index) => {
+    cases.push({
+      name: describe("example", index, example.title),
+      code: example.code,
+      ...(example.expectedOutput !== undefined
+        ? { expectedOutput: example.expectedOutput }
+        : {}),
+    });
+  });
+
+  (lesson.content?.exercises || []).forEach((exercise, index) => {
+    if (!exercise.solution) {
+      return;
+    }
+    const name = `${describe("exercise", index, exercise.title)} solution`;
+    const solution = { name, code: exercise.solution };
+
+    if (exercise.graphics?.length) {
+      cases.push({ ...solution, graphics: exercise.graphics });
+    } else if (exercise.tests?.length) {
+      exercise.tests.forEach((test, testIndex) => {
+        cases.push({
+          ...solution,
+          name: `${name}, test ${testIndex + 1}`,
+          ...(test.input !== undefined ? { input: test.input } : {}),
+          ...(test.expectedOutput !== undefined
+            ? { expectedOutput: test.expectedOutput }
+            : {}),
+        });
+      });
+    } else if (exercise.expectedOutput !== undefined) {
+      cases.push({ ...solution, expectedOutput: exercise.expectedOutput });
+    } else {
+      cases.push(solution);
+    }
+  });
+
+  (lesson.content?.quizzes || []).forEach((quiz, index) => {
+    const name = describe("quiz", index);
+    if (quiz.type === "predictOutput" && quiz.code) {
+      cases.push({ name, code: quiz.code });
+    } else if (quiz.type === "fillInBlank" && quiz.code) {
+      cases.push({
+        name,
+        code: fillGaps(quiz.code, quiz.answers || []),
+        ...(quiz.expectedOutput !== undefined
+          ? { expectedOutput: quiz.expectedOutput }
+          : {}),
+      });
+    }
+  });
+
+  return cases;
+}
+
+/**
+ * The snippets to verify
+ * @param {Object} library - Contents of snippets.json
+ * @returns {VerificationCase[]}
+ */
+export function snippetCases(library): VerificationCase[] {
+  return (library.categories || []).flatMap((category) =>
+    (category.snippets || []).map((snippet) => ({
+      name: `snippet ${snippet.id}`,
+      code: snippet.setup ? `${snippet.setup}\n${snippet.code}` : snippet.code,
+    })),
+  );
+}
+
+/**
+ * Run the cases, one after the other
+ * @param {ExecuteFunction} executeFunc
+ * @param {VerificationCase[]} cases
+ * @returns {Promise<VerificationFailure[]>} The cases that failed
+ */
+export async function verifyCases(
+  executeFunc: ExecuteFunction,
+  cases: VerificationCase[],
+) {
+  const failures: VerificationFailure[] = [];
+  for (const item of cases) {
+    const failure = await verifyCase(executeFunc, item);
+    if (failure) {
+      failures.push(failure);
+    }
+  }
+  return failures;
+}
+
+/**
+ * Run one case
+ * @param {ExecuteFunction} executeFunc
+ * @param {VerificationCase} item
+ * @returns {Promise<VerificationFailure|null>} null if it passed
+ */
+async function verifyCase(
+  executeFunc: ExecuteFunction,
+  item: VerificationCase,
+): Promise<VerificationFailure | null> {
+  const { name } = item;
+  let run;
+  try {
+    run = await runHeadless(() =>
+      executeFunc(
+        item.code,
+        item.input !== undefined ? { input: item.input } : {},
+      ),
+    );
+  } catch (error) {
+    return { name, error: error.message };
+  }
+
+  const { result } = run;
+  if (!result?.success) {
+    return {
+      name,
+      error:
+        result?.errors?.[0]?.message ||
+        String(result?.error || "Execution failed"),
+    };
+  }
+
+  if (item.graphics) {
+    // The solution is its own reference for similarity checks
+    const failed = checkGeometry(run.geometry, item.graphics, run.geometry)
+      .filter((check) => !check.passed)
+      .map((check) => check.message);
+    return failed.length > 0 ? { name, graphics: failed } : null;
+  }
+
+  if (item.expectedOutput !== undefined) {
+    const comparison = compareOutput(result.output, item.expectedOutput);
+    if (!comparison.success) {
+      return {
+        name,
+        expectedOutput: item.expectedOutput,
+        actualOutput: result.output,
+        differences: comparison.differences,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Describe a failure in plain text, with the lines that differ
+ * @param {VerificationFailure} failure
+ * @returns {string}
+ */
+export function formatFailure(failure: VerificationFailure) {
+  if (failure.error) {
+    return `${failure.name}: ${failure.error}`;
+  }
+  if (failure.graphics) {
+    return [`${failure.name}:`, ...failure.graphics.map((m) => `  ${m}`)].join(
+      "\n",
+    );
+  }
+  return [
+    `${failure.name}: the output differs`,
+    ...failure.differences.flatMap((diff) => [
+      `  line ${diff.line}:`,
+      `  - ${diff.expected}`,
+      `  + ${diff.actual}`,
+    ]),
+  ].join("\n");
+}
@@ -0,0 +1,37 @@
+/**
+ * Tests for the exercise validator
+ */
+
+import { describe, it, expect } from "vitest";
+import { runExamples } from "./exercise-validator.ts";
+
+// Runs "programs" that are the text they print, or fail with "fail"
+async function fakeExecute(code: string) {
+  return code === "fail"
+    ? { success: false, errors: [{ message: "Syntax error" }] }
+    : { success: true, output: code };
+}
+
+describe("Exercise validator", () => {
+  it("runs examples against their expected output", async () => {
+    const results = await runExamples(fakeExecute, [
+      { title: "Greeting", code: "Hello\n", expectedOutput: "hello" },
+      { code: "Hi", expectedOutput: "Bye" },
+      { code: "Anything" },
+      { code: "fail", expectedOutput: "" },
+    ]);
+
+    expect(results.success).toBe(false);
+    expect(results.passedTests).toBe(2);
+    expect(results.results.map((result) => result.passed)).toEqual([
+      true,
+      false,
+      true,
+      false,
+    ]);
+    expect(results.results[1].differences).toEqual([
+      { line: 1, actual: "hi", expected: "bye", type: "different" },
+    ]);
+    expect(results.results[3].error).toBe("Syntax error");
+  });
+});
@@ -89,6 +89,9 @@ function findDifferences(actual, expected) {
 
 /**
  * Run tests for an exercise
+ * Each test's `input` is handed to the program as scripted stdin, so
+ * `executeFunc` is called as `executeFunc(code, { input })` - the same
+ * signature as `executeCode`.
  * @param {Function} executeFunc - Function that executes code and returns output
  * @param {string} code - User's code
  * @param {Array} tests - Array of test cases
@@ -111,13 +114,14 @@ export async function runExerciseTests(executeFunc, code, tests) {
 
     try {
       // Execute the code (with input if provided)
-      const result = await executeFunc(code, test.input);
+      const result = await executeFunc(code, { input: test.input });
 
       if (!result.success) {
         results.push({
           testNumber: i + 1,
           passed: false,
-          error: result.error?.message || "Execution failed",
+          error:
+            result.errors?.[0]?.message || result.error || "Execution failed",
           input: test.input,
           expectedOutput: test.expectedOutput,
         });
@@ -163,6 +167,59 @@ export async function runExerciseTests(executeFunc, code, tests) {
   };
 }
 
+/**
+ * Run the examples of a lesson
+ * An example passes when it runs and, if it has an expectedOutput,
+ * prints it.
+ * @param {Function} executeFunc - Function that executes code and returns output
+ * @param {Array} examples - The lesson's examples
+ * @returns {Promise<Object>} Results, in the shape of runExerciseTests's
+ */
+export async function runExamples(executeFunc, examples) {
+  const results = [];
+
+  for (let i = 0; i < examples.length; i++) {
+    const { title, code, expectedOutput } = examples[i];
+    const base = { exampleNumber: i + 1, title, expectedOutput };
+
+    try {
+      const result = await executeFunc(code);
+      if (!result.success) {
+        results.push({
+          ...base,
+          passed: false,
+          error:
+            result.errors?.[0]?.message ||
+            result.error?.message ||
+            result.error ||
+            "Execution failed",
+        });
+        continue;
+      }
+
+      const comparison =
+        expectedOutput !== undefined
+          ? compareOutput(result.output, expectedOutput)
+          : null;
+      results.push({
+        ...base,
+        passed: comparison ? comparison.success : true,
+        actualOutput: result.output,
+        differences: comparison ? comparison.differences : [],
+      });
+    } catch (error) {
+      results.push({ ...base, passed: false, error: error.message });
+    }
+  }
+
+  return {
+    success: results.every((r) => r.passed),
+    totalTests: examples.length,
+    passedTests: results.filter((r) => r.passed).length,
+    results,
+  };
+}
+
 /**
  * Validate exercise completion criteria
  * @param {Object} exercise - Exercise object
@@ -228,7 +285,7 @@ export function formatTestResults(testResults) {
     `;
 
     if (result.input) {
-      html += `<div class="test-input"><strong>Input:</strong> ${escapeHtml(result.input)}</div>`;
+      html += `<div class="test-input"><strong>Input:</strong> <pre>${escapeHtml(formatInput(result.input))}</pre></div>`;
     }
 
     if (result.error) {
@@ -257,6 +314,53 @@ export function formatTestResults(testResults) {
   return html;
 }
 
+/**
+ * Format example results for display
+ * @param {Object} exampleResults - Results from runExamples
+ * @returns {string} Formatted HTML
+ */
+export function formatExampleResults(exampleResults) {
+  const { success, totalTests, passedTests, results } = exampleResults;
+  if (totalTests === 0) {
+    return "<p>The lesson has no examples</p>";
+  }
+
+  let html = `
+    <div class="test-results ${success ? "success" : "failure"}">
+      <div class="test-summary">
+        <h4>${success ? "✓ All examples work" : "✗ Some examples fail"}</h4>
+        <p>Passed: ${passedTests}/${totalTests}</p>
+      </div>
+      <div class="test-details">
+  `;
+
+  results.forEach((result) => {
+    html += `
+      <div class="test-result ${result.passed ? "passed" : "failed"}">
+        <div class="test-header">
+          <span class="test-icon">${result.passed ? "✓" : "✗"}</span>
+          <span class="test-title">Example ${result.exampleNumber}${result.title ? `: ${escapeHtml(result.title)}` : ""}</span>
+        </div>
+    `;
+
+    if (result.error) {
+      html += `<div class="test-error"><strong>Error:</strong> ${escapeHtml(result.error)}</div>`;
+    } else if (!result.passed) {
+      html += `
+        <div class="test-output">
+          <div><strong>Expected:</strong> <pre>${escapeHtml(result.expectedOutput)}</pre></div>
+          <div><strong>Got:</strong> <pre>${escapeHtml(result.actualOutput)}</pre></div>
+        </div>
+      `;
+    }
+
+    html += `</div>`;
+  });
+
+  html += `</div></div>`;
+  return html;
+}
+
 /**
  * Format output comparison for display
  * @param {Object} comparison - Comparison result
@@ -319,6 +423,15 @@ export function formatOutputComparison(comparison) {
   return html;
 }
 
+/**
+ * Format test input for display
+ * @param {string|Array<string>} input - Test input
+ * @returns {string} Input with one line per ReadLn
+ */
+function formatInput(input) {
+  return Array.isArray(input) ? input.join("\n") : String(input);
+}
+
 /**
  * Escape HTML special characters
  * @param {string} text - Text to escape
@@ -0,0 +1,208 @@
+/**
+ * Tests for the gradebook
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  checkExercise,
+  exerciseColumns,
+  exerciseStatus,
+  gradebookCSV,
+  mergeStudents,
+  readStudentFile,
+  studentSummary,
+} from "./gradebook.ts";
+import {
+  PROFILE_EXPORT_FORMAT,
+  PROFILE_EXPORT_VERSION,
+} from "./profile-export.ts";
+
+const lessons = [
+  {
+    id: "hello-world",
+    title: "Hello World",
+    content: {
+      exercises: [{ title: "Greet", expectedOutput: "Hello" }],
+    },
+  },
+  {
+    id: "input",
+    title: "Input",
+    content: {
+      exercises: [
+        {
+          title: "Echo",
+          tests: [
+            { input: "a", expectedOutput: "a" },
+            { input: "b", expectedOutput: "b" },
+          ],
+        },
+        { title: "Twice", expectedOutput: "xx" },
+      ],
+    },
+  },
+];
+
+function profileFile(name: string, progress, exportedAt = "2026-10-01") {
+  return JSON.stringify({
+    format: PROFILE_EXPORT_FORMAT,
+    version: PROFILE_EXPORT_VERSION,
+    exportedAt,
+    profile: { name },
+    progress,
+    state: {},
+  });
+}
+
+const ada = readStudentFile(
+  "ada.json",
+  profileFile("Ada", {
+    totalTime: 42.4,
+    lessons: {
+      "hello-world": {
+        completed: true,
+        score: 80,
+        exercisesCompleted: [true],
+        exerciseCode: ["PrintLn('Hello');"],
+      },
+      input: {
+        completed: true,
+        score: 100,
+        exercisesCompleted: [null, false],
+        exerciseCode: ["PrintLn('a');"],
+      },
+    },
+  }),
+);
+
+// Echoes its input, moves the turtle as far as Forward says, or prints
+// what the code passes to PrintLn
+const execute = (async (code: string, options: { input?: string } = {}) => {
+  const forward = code.match(/Forward\((\d+)\)/)?.[1];
+  if (forward) {
+    return {
+      success: true,
+      output: "",
+      turtleCommands: [{ name: "Forward", args: [Number(forward)] }],
+    };
+  }
+  const printed = code.match(/PrintLn\('(.*)'\)/)?.[1];
+  if (code.includes("ReadLn")) {
+    return { success: true, output: `${options.input}\n` };
+  }
+  return printed === undefined
+    ? { success: false, errors: [{ message: "Syntax error" }] }
+    : { success: true, output: `${printed}\n` };
+}) as unknown as Parameters<typeof checkExercise>[0];
+
+describe("Gradebook", () => {
+  it("reads profile exports and plain progress exports", () => {
+    expect(ada.name).toBe("Ada");
+    expect(ada.exportedAt).toBe("2026-10-01");
+
+    const plain = readStudentFile(
+      "bob.json",
+      JSON.stringify({ lessons: {}, totalTime: 0 }),
+    );
+    expect(plain.name).toBe("bob");
+  });
+
+  it("rejects files of a newer version and files without progress", () => {
+    const newer = JSON.parse(profileFile("Ada", { lessons: {} }));
+    newer.version = PROFILE_EXPORT_VERSION + 1;
+    expect(() => readStudentFile("ada.json", JSON.stringify(newer))).toThrow(
+      "newer",
+    );
+    expect(() => readStudentFile("state.json", '{"theme":"dark"}')).toThrow(
+      "not a profile export",
+    );
+    expect(() => readStudentFile("notes.txt", "hello")).toThrow("JSON");
+  });
+
+  it("keeps the newest file of each student", () => {
+    const older = readStudentFile(
+      "ada-old.json",
+      profileFile("ada", { lessons: {} }, "2026-09-01"),
+    );
+    const bob = readStudentFile(
+      "bob.json",
+      profileFile("Bob", { lessons: {} }),
+    );
+
+    const students = mergeStudents([bob, ada], [older]);
+    expect(students.map((student) => student.fileName)).toEqual([
+      "ada.json",
+      "bob.json",
+    ]);
+  });
+
+  it("tells passed, attempted and open exercises apart", () => {
+    const columns = exerciseColumns(lessons);
+    expect(columns).toHaveLength(3);
+    expect(columns.map((column) => exerciseStatus(ada, column))).toEqual([
+      { status: "passed", code: "PrintLn('Hello');" },
+      { status: "attempted", code: "PrintLn('a');" },
+      { status: "open", code: null },
+    ]);
+    expect(studentSummary(ada, lessons)).toEqual({
+      lessonsCompleted: 2,
+      minutes: 42,
+      averageScore: 90,
+    });
+  });
+
+  it("exports the class table as CSV", () => {
+    const csv = gradebookCSV(
+      [ada, { ...ada, name: '=HYPERLINK("x")', fileName: "x.json" }],
+      lessons,
+    ).split("\r\n");
+
+    expect(csv[0]).toBe(
+      "Student,File,Exported,Lessons completed,Time (minutes),Average score," +
+        "Hello World: Greet,Input: Echo,Input: Twice",
+    );
+    expect(csv[1]).toBe("Ada,ada.json,2026-10-01,2,42,90,passed,attempted,");
+    expect(csv[2].startsWith(`"'=HYPERLINK(""x"")",x.json`)).toBe(true);
+  });
+
+  it("re-runs a student's code against the exercise", async () => {
+    const [greet, echo] = exerciseColumns(lessons).map(
+      (column) => column.exercise,
+    );
+
+    expect(await checkExercise(execute, greet, "PrintLn('Hello');")).toEqual({
+      passed: true,
+      message: "The output matches",
+    });
+    expect((await checkExercise(execute, greet, "PrintLn('Hi');")).passed).toBe(
+      false,
+    );
+    expect(await checkExercise(execute, echo, "PrintLn('a');")).toEqual({
+      passed: false,
+      message: "1 of 2 tests passed",
+    });
+    expect(await checkExercise(execute, echo, "ReadLn")).toEqual({
+      passed: true,
+      message: "2 of 2 tests passed",
+    });
+    expect(await checkExercise(execute, greet, "oops")).toEqual({
+      passed: false,
+      message: "Syntax error",
+    });
+  });
+
+  it("checks drawings from the turtle commands of the run", async () => {
+    const line = {
+      title: "Line",
+      graphics: [{ type: "finalPosition", x: 0, y: 50 }],
+    };
+
+    expect(await checkExercise(execute, line, "Forward(50);")).toEqual({
+      passed: true,
+      message: "The drawing passes all checks",
+    });
+    expect((await checkExercise(execute, line, "Forward(20);")).passed).toBe(
+      false,
+    );
+  });
+});
@@ -0,0 +1,310 @@
+/**
+ * Gradebook
+ * Reads the progress files students export and sums them up for a teacher
+ *
+ * Students export their profile (see profile-export.ts); the version of
+ * the file is checked before it is read. Progress exported from the
+ * progress dashboard has no version and is read as it is, named after
+ * the file. The code a student last checked against each exercise comes
+ * with the progress, so the teacher can run it against the exercise again.
+ * That code comes from files of others, so it runs in the worker, and
+ * drawings are checked from the turtle commands the run returns.
+ */
+
+import { parseProfileExport } from "./profile-export.ts";
+import { compareOutput, runExerciseTests } from "./exercise-validator.ts";
+import { checkGeometry } from "./graphics-validator.ts";
+import { replayHeadless } from "../turtle/headless-turtle.ts";
+import type { ProgramInput } from "../core/input-queue.ts";
+import type { TurtleCommand } from "../turtle/turtle-api.ts";
+
+export interface StudentLessonProgress {
+  completed?: boolean;
+  timeSpent?: number;
+  score?: number;
+  exercisesCompleted?: Array<boolean | null>;
+  exerciseCode?: Array<string | null>;
+}
+
+export interface StudentRecord {
+  name: string;
+  /** File the record was read from */
+  fileName: string;
+  /** ISO time, if the file says when it was exported */
+  exportedAt?: string;
+  progress: {
+    lessons: Record<string, StudentLessonProgress>;
+    totalTime?: number;
+  };
+}
+
+/** An exercise, as a column of the class table */
+export interface ExerciseColumn {
+  lessonId: string;
+  lessonTitle: string;
+  index: number;
+  exercise;
+}
+
+/** "attempted": checked, but never passed */
+export type ExerciseStatus = "passed" | "attempted" | "open";
+
+/**
+ * Runs a student's code, like executeInWorker(code, { turtle: true })
+ */
+export type GradebookExecute = (
+  code: string,
+  options?: { input?: ProgramInput },
+) => Promise<{
+  success: boolean;
+  output?: string;
+  errors?: Array<{ message: string }>;
+  error?: unknown;
+  /** Turtle calls of the run, for graphics exercises */
+  turtleCommands?: TurtleCommand[];
+}>;
+
+/**
+ * Read an exported file
+ * @param {string} fileName
+ * @param {string} text - Contents of the file
+ * @returns {StudentRecord}
+ * @throws {Error} If the file holds no progress or has a newer version
+ */
+export function readStudentFile(fileName: string, text: string): StudentRecord {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("The file is not valid JSON");
+  }
+
+  if (data?.format === undefined && typeof data?.lessons === "object") {
+    return {
+      name: fileName.replace(/\.json$/i, ""),
+      fileName,
+      progress: data,
+    };
+  }
+
+  const profile = parseProfileExport(text);
+  return {
+    name: profile.profile?.name || fileName.replace(/\.json$/i, ""),
+    fileName,
+    exportedAt: profile.exportedAt,
+    progress: profile.progress as StudentRecord["progress"],
+  };
+}
+
+/**
+ * Add students to the class, replacing older files of the same student
+ * @param {StudentRecord[]} students - Students so far
+ * @param {StudentRecord[]} records - Newly read files
+ * @returns {StudentRecord[]} Sorted by name
+ */
+export function mergeStudents(
+  students: StudentRecord[],
+  records: StudentRecord[],
+) {
+  const byName = new Map<string, StudentRecord>();
+  [...students, ...records].forEach((student) => {
+    const key = student.name.toLowerCase();
+    const known = byName.get(key);
+    if (!known || (known.exportedAt || "") <= (student.exportedAt || "")) {
+      byName.set(key, student);
+    }
+  });
+  return Array.from(byName.values()).sort((a, b) =>
+    a.name.localeCompare(b.name),
+  );
+}
+
+/**
+ * The exercises of the course, in course order
+ * @param {Array} lessons - All lessons
+ * @returns {ExerciseColumn[]}
+ */
+export function exerciseColumns(lessons): ExerciseColumn[] {
+  return lessons.flatMap((lesson) =>
+    (lesson.content?.exercises || []).map((exercise, index) => ({
+      lessonId: lesson.id,
+      lessonTitle: lesson.title,
+      index,
+      exercise,
+    })),
+  );
+}
+
+/**
+ * How far a student got with an exercise
+ * @param {StudentRecord} student
+ * @param {ExerciseColumn} column
+ * @returns {{status: ExerciseStatus, code: string|null}}
+ */
+export function exerciseStatus(student: StudentRecord, column: ExerciseColumn) {
+  const lesson = student.progress.lessons?.[column.lessonId] || {};
+  const code = lesson.exerciseCode?.[column.index] || null;
+  let status: ExerciseStatus = "open";
+  if (lesson.exercisesCompleted?.[column.index]) {
+    status = "passed";
+  } else if (code !== null) {
+    status = "attempted";
+  }
+  return { status, code };
+}
+
+/**
+ * Totals of a student
+ * @param {StudentRecord} student
+ * @param {Array} lessons - All lessons
+ * @returns {{lessonsCompleted: number, minutes: number, averageScore: number|null}}
+ */
+export function studentSummary(student: StudentRecord, lessons) {
+  const progress = student.progress.lessons || {};
+  const scores = Object.values(progress)
+    .map((lesson) => lesson.score)
+    .filter((score) => typeof score === "number");
+  return {
+    lessonsCompleted: lessons.filter((lesson) => progress[lesson.id]?.completed)
+      .length,
+    minutes: Math.round(student.progress.totalTime || 0),
+    averageScore:
+      scores.length > 0
+        ? Math.round(
+            scores.reduce((sum, score) => sum + score, 0) / scores.length,
+          )
+        : null,
+  };
+}
+
+/**
+ * The class table as CSV
+ * @param {StudentRecord[]} students
+ * @param {Array} lessons - All lessons
+ * @returns {string}
+ */
+export function gradebookCSV(students: StudentRecord[], lessons) {
+  const columns = exerciseColumns(lessons);
+  const header = [
+    "Student",
+    "File",
+    "Exported",
+    "Lessons completed",
+    "Time (minutes)",
+    "Average score",
+    ...columns.map(
+      (column) => `${column.lessonTitle}: ${column.exercise.title}`,
+    ),
+  ];
+  const rows = students.map((student) => {
+    const summary = studentSummary(student, lessons);
+    return [
+      student.name,
+      student.fileName,
+      student.exportedAt || "",
+      summary.lessonsCompleted,
+      summary.minutes,
+      summary.averageScore ?? "",
+      ...columns.map((column) => {
+        const { status } = exerciseStatus(student, column);
+        return status === "open" ? "" : status;
+      }),
+    ];
+  });
+  return [header, ...rows]
+    .map((row) => row.map((value) => csvField(String(value))).join(","))
+    .join("\r\n");
+}
+
+/**
+ * Quote a CSV field where needed
+ * Text that a spreadsheet would take for a formula is prefixed with an
+ * apostrophe, since names come from files the students made.
+ * @param {string} value
+ * @returns {string}
+ */
+function csvField(value: string) {
+  const text = /^[=+\-@]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Run a student's code against an exercise, like its Check Output button
+ * @param {GradebookExecute} executeFunc - Runs code
+ * @param {Object} exercise
+ * @param {string} code - The student's code
+ * @returns {Promise<{passed: boolean, message: string}>}
+ */
+export async function checkExercise(
+  executeFunc: GradebookExecute,
+  exercise,
+  code: string,
+) {
+  if (exercise.graphics?.length > 0) {
+    let reference = null;
+    if (
+      exercise.solution &&
+      exercise.graphics.some((check) => check.type === "similarity")
+    ) {
+      const solution = await executeFunc(exercise.solution);
+      if (solution.success) {
+        reference = replayHeadless(solution.turtleCommands || []);
+      }
+    }
+
+    const result = await executeFunc(code);
+    if (!result.success) {
+      return { passed: false, message: failureMessage(result) };
+    }
+    const failed = checkGeometry(
+      replayHeadless(result.turtleCommands || []),
+      exercise.graphics,
+      reference,
+    ).filter((check) => !check.passed);
+    return {
+      passed: failed.length === 0,
+      message:
+        failed.length > 0
+          ? failed.map((check) => check.message).join("; ")
+          : "The drawing passes all checks",
+    };
+  }
+
+  if (exercise.tests?.length > 0) {
+    const results = await runExerciseTests(executeFunc, code, exercise.tests);
+    const error = results.results.find((test) => test.error)?.error;
+    return {
+      passed: results.success,
+      message:
+        error || `${results.passedTests} of ${results.totalTests} tests passed`,
+    };
+  }
+
+  const result = await executeFunc(code);
+  if (!result.success) {
+    return { passed: false, message: failureMessage(result) };
+  }
+  if (exercise.expectedOutput !== undefined) {
+    const comparison = compareOutput(result.output, exercise.expectedOutput);
+    return {
+      passed: comparison.success,
+      message: comparison.success
+        ? "The output matches"
+        : "The output differs from the expected output",
+    };
+  }
+  return { passed: true, message: "The program runs" };
+}
+
+/**
+ * Why a run failed
+ * @param {Object} result - Result of a failed run
+ * @returns {string}
+ */
+function failureMessage(result: Awaited<ReturnType<GradebookExecute>>) {
+  const error = result.error as { message?: string } | undefined;
+  return (
+    result.errors?.[0]?.message ||
+    String(error?.message || error || "Execution failed")
+  );
+}
@@ -0,0 +1,118 @@
+/**
+ * Tests for Graphics Exercise Validator
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  checkGeometry,
+  drawingSimilarity,
+  findPolygons,
+  runGraphicsChecks,
+} from "./graphics-validator.ts";
+import { replayHeadless } from "../turtle/headless-turtle.ts";
+
+function draw(...commands: Array<[string, ...unknown[]]>) {
+  return replayHeadless(commands.map(([name, ...args]) => ({ name, args })));
+}
+
+function square(side: number, repeat = 4): Array<[string, ...unknown[]]> {
+  const commands: Array<[string, ...unknown[]]> = [];
+  for (let i = 0; i < repeat; i++) {
+    commands.push(["Forward", side], ["TurnRight", 90]);
+  }
+  return commands;
+}
+
+describe("Graphics Exercise Validator", () => {
+  it("should check the final heading, position and pen", () => {
+    const geometry = draw(
+      ["TurnRight", 90],
+      ["Forward", 50],
+      ["PenUp"],
+      ["SetPenColor", "#FF0000"],
+    );
+
+    const results = checkGeometry(geometry, [
+      { type: "finalHeading", value: 90 },
+      { type: "finalPosition", x: 50, y: 0 },
+      { type: "pen", down: false, color: "#ff0000" },
+      { type: "finalHeading", value: 0 },
+    ]);
+    expect(results.map((r) => r.passed)).toEqual([true, true, true, false]);
+    expect(results[3].message).toBe(
+      "The turtle should end heading 0°, but heads 90°",
+    );
+  });
+
+  it("should find closed polygons, ignoring straight joins and retraced sides", () => {
+    // Split first side and one extra side drawn after closing
+    const geometry = draw(
+      ["Forward", 40],
+      ["Forward", 60],
+      ["TurnRight", 90],
+      ...square(100, 4).slice(2),
+      ["Forward", 100],
+    );
+
+    expect(findPolygons(geometry)).toHaveLength(1);
+    expect(findPolygons(geometry)[0]).toHaveLength(4);
+    const results = checkGeometry(geometry, [
+      { type: "polygon", sides: 4, sideLength: 100, turnAngle: 90 },
+      { type: "polygon", sides: 4, sideLength: 80 },
+      { type: "polygon", sides: 3 },
+    ]);
+    expect(results.map((r) => r.passed)).toEqual([true, false, false]);
+    expect(results[0].message).toBe(
+      "Draws closed 4-sided shape with sides of 100 and 90° turns",
+    );
+  });
+
+  it("should match side lengths in any order", () => {
+    const rectangle = draw(
+      ["Forward", 80],
+      ["TurnLeft", 90],
+      ["Forward", 150],
+      ["TurnLeft", 90],
+      ["Forward", 80],
+      ["TurnLeft", 90],
+      ["Forward", 150],
+    );
+    const [result] = checkGeometry(rectangle, [
+      { type: "polygon", sides: 4, sideLengths: [150, 80, 150, 80] },
+    ]);
+    expect(result.passed).toBe(true);
+  });
+
+  it("should score drawings by their overlap", () => {
+    const reference = draw(...square(100));
+    expect(drawingSimilarity(draw(...square(100)), reference)).toBe(1);
+    expect(
+      drawingSimilarity(draw(["SetPosition", 2, 1], ...square(100)), reference),
+    ).toBeGreaterThan(0.7);
+    expect(drawingSimilarity(draw(...square(40)), reference)).toBeLessThan(0.5);
+  });
+
+  it("should run the program against a headless turtle", async () => {
+    const executeFunc = async (code: string) => {
+      const size = code === "solution" ? 100 : 60;
+      for (let i = 0; i < 4; i++) {
+        window["Forward"](size);
+        window["TurnRight"](90);
+      }
+      return { success: true };
+    };
+
+    const validation = await runGraphicsChecks(
+      executeFunc,
+      "attempt",
+      [
+        { type: "polygon", sides: 4, turnAngle: 90 },
+        { type: "similarity", min: 0.9 },
+      ],
+      "solution",
+    );
+
+    expect(validation.results.map((r) => r.passed)).toEqual([true, false]);
+    expect(window["Forward"]).toBeUndefined();
+  });
+});
@@ -0,0 +1,563 @@
+/**
+ * Graphics Exercise Validator
+ * Checks turtle drawings against an exercise's "graphics" criteria
+ *
+ * Programs run against a headless turtle (see headless-turtle.ts), so the
+ * checks look at the geometry that was drawn rather than at pixels:
+ *
+ *   { "type": "finalHeading", "value": 0 }
+ *   { "type": "finalPosition", "x": 0, "y": 0 }
+ *   { "type": "pen", "down": true, "color": "#FF0000", "width": 2 }
+ *   { "type": "polygon", "sides": 4, "sideLength": 100, "turnAngle": 90 }
+ *   { "type": "filled", "count": 1, "color": "yellow" }
+ *   { "type": "similarity", "min": 0.9 }
+ *
+ * "similarity" compares the drawing with the one of the exercise solution.
+ */
+
+import {
+  runHeadless,
+  type Point,
+  type TurtleGeometry,
+} from "../turtle/headless-turtle.ts";
+import { replayTurtleCommands } from "../turtle/turtle-api.ts";
+import type { executeCode } from "../core/executor.ts";
+
+// Default tolerances: pixels for lengths and positions, degrees for angles
+const LENGTH_TOLERANCE = 1;
+const ANGLE_TOLERANCE = 1;
+
+// Size of a grid cell when comparing drawings, in pixels
+const SIMILARITY_CELL = 6;
+
+export interface GraphicsCheck {
+  type:
+    | "finalHeading"
+    | "finalPosition"
+    | "pen"
+    | "polygon"
+    | "filled"
+    | "similarity";
+  /** Turtle handle for finalHeading, finalPosition and pen; 0 = default */
+  turtle?: number;
+  value?: number;
+  x?: number;
+  y?: number;
+  down?: boolean;
+  color?: string;
+  width?: number;
+  sides?: number;
+  sideLength?: number;
+  /** Side lengths in any order, e.g. [150, 80, 150, 80] */
+  sideLengths?: number[];
+  /** Turn at every corner in degrees, e.g. 90 for a rectangle */
+  turnAngle?: number;
+  count?: number;
+  min?: number;
+  tolerance?: number;
+}
+
+export interface GraphicsCheckResult {
+  check: GraphicsCheck;
+  passed: boolean;
+  message: string;
+}
+
+/**
+ * Run a program and check its drawing
+ * The program (and the solution, for similarity checks) runs headless;
+ * afterwards the program's drawing is shown on the canvas.
+ * @param {Function} executeFunc - Runs code, like executeCode(code, options)
+ * @param {string} code - User's code
+ * @param {Array<GraphicsCheck>} checks - Criteria from the exercise
+ * @param {string} solution - Exercise solution, for similarity checks
+ * @returns {Promise<Object>} Validation result
+ */
+export async function runGraphicsChecks(
+  executeFunc: typeof executeCode,
+  code: string,
+  checks: GraphicsCheck[],
+  solution?: string,
+) {
+  let reference: TurtleGeometry | null = null;
+  if (solution && checks.some((check) => check.type === "similarity")) {
+    const run = await runHeadless(() =>
+      executeFunc(solution, { useWorker: false }),
+    );
+    if (run.result?.success) {
+      reference = run.geometry;
+    }
+  }
+
+  const run = await runHeadless(() => executeFunc(code, { useWorker: false }));
+  if (!run.result?.success) {
+    return {
+      success: false,
+      error:
+        run.result?.errors?.[0]?.message ||
+        run.result?.error ||
+        "Execution failed",
+      results: [],
+    };
+  }
+
+  replayTurtleCommands(run.commands);
+
+  const results = checkGeometry(run.geometry, checks, reference);
+  return {
+    success: results.every((result) => result.passed),
+    results,
+  };
+}
+
+/**
+ * Check a drawing
+ * @param {TurtleGeometry} geometry - What the program drew
+ * @param {Array<GraphicsCheck>} checks - Criteria
+ * @param {TurtleGeometry} reference - Solution drawing, for similarity
+ * @returns {Array<GraphicsCheckResult>}
+ */
+export function checkGeometry(
+  geometry: TurtleGeometry,
+  checks: GraphicsCheck[],
+  reference: TurtleGeometry | null = null,
+): GraphicsCheckResult[] {
+  return checks.map((check) => {
+    const { passed, message } = runCheck(geometry, check, reference);
+    return { check, passed, message };
+  });
+}
+
+function runCheck(
+  geometry: TurtleGeometry,
+  check: GraphicsCheck,
+  reference: TurtleGeometry | null,
+) {
+  const turtle = geometry.turtles[check.turtle || 0];
+  const name = check.turtle ? `Turtle ${check.turtle}` : "The turtle";
+
+  switch (check.type) {
+    case "finalHeading": {
+      if (!turtle) return missingTurtle(check);
+      const tolerance = check.tolerance ?? ANGLE_TOLERANCE;
+      const passed = angleDifference(turtle.heading, check.value) <= tolerance;
+      return {
+        passed,
+        message: passed
+          ? `${name} ends heading ${format(check.value)}°`
+          : `${name} should end heading ${format(check.value)}°, but heads ${format(turtle.heading)}°`,
+      };
+    }
+
+    case "finalPosition": {
+      if (!turtle) return missingTurtle(check);
+      const tolerance = check.tolerance ?? LENGTH_TOLERANCE;
+      const passed = distance(turtle, { x: check.x, y: check.y }) <= tolerance;
+      return {
+        passed,
+        message: passed
+          ? `${name} ends at (${format(check.x)}, ${format(check.y)})`
+          : `${name} should end at (${format(check.x)}, ${format(check.y)}), but ends at (${format(turtle.x)}, ${format(turtle.y)})`,
+      };
+    }
+
+    case "pen": {
+      if (!turtle) return missingTurtle(check);
+      const problems = [];
+      if (check.down !== undefined && turtle.penDown !== check.down) {
+        problems.push(`the pen should be ${check.down ? "down" : "up"}`);
+      }
+      if (check.color && !sameColor(turtle.penColor, check.color)) {
+        problems.push(
+          `the pen color should be ${check.color}, not ${turtle.penColor}`,
+        );
+      }
+      if (check.width !== undefined && turtle.penWidth !== check.width) {
+        problems.push(
+          `the pen width should be ${check.width}, not ${turtle.penWidth}`,
+        );
+      }
+      return {
+        passed: problems.length === 0,
+        message:
+          problems.length === 0
+            ? `${name}'s pen is set correctly`
+            : `At the end, ${problems.join(" and ")}`,
+      };
+    }
+
+    case "polygon": {
+      const passed = findPolygons(geometry, check.tolerance).some((polygon) =>
+        matchesPolygon(polygon, check),
+      );
+      return {
+        passed,
+        message: passed
+          ? `Draws ${describePolygon(check)}`
+          : `No ${describePolygon(check)} found in the drawing`,
+      };
+    }
+
+    case "filled": {
+      const wanted = check.count ?? 1;
+      const fills = geometry.fills.filter(
+        (fill) => !check.color || sameColor(fill.color, check.color),
+      );
+      const what = check.color ? `${check.color} filled` : "filled";
+      return {
+        passed: fills.length >= wanted,
+        message:
+          fills.length >= wanted
+            ? `Draws ${fills.length} ${what} ${plural(fills.length, "shape")}`
+            : `Expected at least ${wanted} ${what} ${plural(wanted, "shape")}, found ${fills.length}`,
+      };
+    }
+
+    case "similarity": {
+      if (!reference) {
+        return {
+          passed: false,
+          message: "The solution's drawing is not available for comparison",
+        };
+      }
+      const score = drawingSimilarity(geometry, reference);
+      const min = check.min ?? 0.9;
+      return {
+        passed: score >= min,
+        message: `The drawing matches the solution's by ${Math.round(score * 100)}% (needs ${Math.round(min * 100)}%)`,
+      };
+    }
+
+    default:
+      return {
+        passed: false,
+        message: `Unknown graphics check "${check.type}"`,
+      };
+  }
+}
+
+/**
+ * Find the closed shapes drawn with connected line segments
+ * Segments that continue in the same direction count as one side, and
+ * lines drawn over again after the shape closed are ignored.
+ * @param {TurtleGeometry} geometry - Drawing
+ * @param {number} tolerance - Distance at which points are the same
+ * @returns {Array<Array<Point>>} Corners of each closed shape
+ */
+export function findPolygons(
+  geometry: TurtleGeometry,
+  tolerance = LENGTH_TOLERANCE,
+): Point[][] {
+  // Chain connected segments into paths of corners
+  const paths: Point[][] = [];
+  let path: Point[] | null = null;
+  geometry.segments.forEach(({ from, to }) => {
+    if (distance(from, to) <= tolerance / 10) {
+      return;
+    }
+    if (!path || distance(path[path.length - 1], from) > tolerance) {
+      path = [from];
+      paths.push(path);
+    }
+    path.push(to);
+  });
+
+  const polygons: Point[][] = [];
+  paths.forEach((points) => {
+    const corners = removeStraightCorners(points);
+    // The first loop back to an earlier corner closes a shape (of at
+    // least three corners)
+    for (let end = 3; end < corners.length; end++) {
+      const start = corners
+        .slice(0, end - 2)
+        .findIndex((p) => distance(p, corners[end]) <= tolerance);
+      if (start >= 0) {
+        const loop = corners.slice(start, end);
+        polygons.push(removeStraightCorners([...loop, loop[0]], true));
+        break;
+      }
+    }
+  });
+  return polygons;
+}
+
+/**
+ * Drop corners where the path goes straight on
+ * @param {Array<Point>} points - Path
+ * @param {boolean} closed - The path ends at its start; the result then
+ *   lists each corner once
+ * @returns {Array<Point>}
+ */
+function removeStraightCorners(points: Point[], closed = false) {
+  const result = [points[0]];
+  for (let i = 1; i < points.length - 1; i++) {
+    if (turnAt(result[result.length - 1], points[i], points[i + 1]) !== 0) {
+      result.push(points[i]);
+    }
+  }
+  result.push(points[points.length - 1]);
+
+  if (closed) {
+    result.pop();
+    // The start itself may lie on a straight side
+    if (
+      result.length > 2 &&
+      turnAt(result[result.length - 1], result[0], result[1]) === 0
+    ) {
+      result.shift();
+    }
+  }
+  return result;
+}
+
+/**
+ * Turn in degrees at b when going from a over b to c; 0 when straight on
+ * Turns below 0.5° count as straight, to absorb rounding.
+ */
+function turnAt(a: Point, b: Point, c: Point) {
+  const before = Math.atan2(b.y - a.y, b.x - a.x);
+  const after = Math.atan2(c.y - b.y, c.x - b.x);
+  const turn = angleDifference(
+    (after * 180) / Math.PI,
+    (before * 180) / Math.PI,
+  );
+  return turn < 0.5 ? 0 : turn;
+}
+
+function matchesPolygon(corners: Point[], check: GraphicsCheck) {
+  const tolerance = check.tolerance ?? LENGTH_TOLERANCE;
+  if (check.sides && corners.length !== check.sides) {
+    return false;
+  }
+
+  const sides = corners.map((p, i) =>
+    distance(p, corners[(i + 1) % corners.length]),
+  );
+  if (
+    check.sideLength !== undefined &&
+    sides.some((side) => Math.abs(side - check.sideLength) > tolerance)
+  ) {
+    return false;
+  }
+  if (check.sideLengths) {
+    const actual = [...sides].sort((a, b) => a - b);
+    const expected = [...check.sideLengths].sort((a, b) => a - b);
+    if (
+      actual.length !== expected.length ||
+      actual.some((side, i) => Math.abs(side - expected[i]) > tolerance)
+    ) {
+      return false;
+    }
+  }
+
+  if (check.turnAngle !== undefined) {
+    const n = corners.length;
+    const turns = corners.map((p, i) =>
+      turnAt(corners[(i + n - 1) % n], p, corners[(i + 1) % n]),
+    );
+    if (turns.some((turn) => Math.abs(turn - check.turnAngle) > 1)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function describePolygon(check: GraphicsCheck) {
+  const sides = check.sides ? `${check.sides}-sided` : "";
+  let lengths = "";
+  if (check.sideLength !== undefined) {
+    lengths = ` with sides of ${format(check.sideLength)}`;
+  } else if (check.sideLengths) {
+    lengths = ` with sides ${check.sideLengths.map(format).join(", ")}`;
+  }
+  const turns =
+    check.turnAngle !== undefined
+      ? ` and ${format(check.turnAngle)}° turns`
+      : "";
+  return `closed ${sides ? sides + " " : ""}shape${lengths}${turns}`;
+}
+
+/**
+ * Compare two drawings on a coarse grid
+ * Each drawing marks the grid cells its lines, circles, dots and fills
+ * touch; the score is the share of marked cells both have in common
+ * (intersection over union).
+ * @param {TurtleGeometry} a - Drawing
+ * @param {TurtleGeometry} b - Drawing
+ * @returns {number} 0 (nothing in common) to 1 (same cells)
+ */
+export function drawingSimilarity(a: TurtleGeometry, b: TurtleGeometry) {
+  const cellsA = rasterize(a);
+  const cellsB = rasterize(b);
+  if (cellsA.size === 0 && cellsB.size === 0) {
+    return 1;
+  }
+
+  let common = 0;
+  cellsA.forEach((cell) => {
+    if (cellsB.has(cell)) common++;
+  });
+  return common / (cellsA.size + cellsB.size - common);
+}
+
+// Grid cells touched by a drawing, as "column,row" keys; the neighbours
+// of every touched cell count too, so small offsets still match
+function rasterize(geometry: TurtleGeometry) {
+  const cells = new Set<string>();
+  const mark = (x: number, y: number) => {
+    const column = Math.floor(x / SIMILARITY_CELL);
+    const row = Math.floor(y / SIMILARITY_CELL);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        cells.add(`${column + dx},${row + dy}`);
+      }
+    }
+  };
+  const line = (from: Point, to: Point) => {
+    const steps = Math.max(1, Math.ceil(distance(from, to) / 2));
+    for (let i = 0; i <= steps; i++) {
+      mark(
+        from.x + ((to.x - from.x) * i) / steps,
+        from.y + ((to.y - from.y) * i) / steps,
+      );
+    }
+  };
+  // Angles in canvas orientation, where y points down
+  const arc = (center: Point, radius: number, start: number, end: number) => {
+    let sweep = end - start;
+    if (Math.abs(sweep) < 2 * Math.PI) {
+      sweep = ((sweep % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+    }
+    const steps = Math.max(8, Math.ceil((Math.abs(sweep) * radius) / 2));
+    for (let i = 0; i <= steps; i++) {
+      const angle = start + (sweep * i) / steps;
+      mark(
+        center.x + radius * Math.cos(angle),
+        center.y - radius * Math.sin(angle),
+      );
+    }
+  };
+
+  geometry.segments.forEach(({ from, to }) => line(from, to));
+  geometry.circles.forEach(({ center, radius }) =>
+    arc(center, radius, 0, 2 * Math.PI),
+  );
+  geometry.arcs.forEach(({ center, radius, startAngle, endAngle }) =>
+    arc(center, radius, startAngle, endAngle),
+  );
+  geometry.dots.forEach(({ center, radius }) => {
+    for (let r = 0; r <= radius; r += SIMILARITY_CELL / 2) {
+      arc(center, r, 0, 2 * Math.PI);
+    }
+  });
+  geometry.fills.forEach(({ points }) => {
+    const xs = points.map((p) => p.x);
+    const ys = points.map((p) => p.y);
+    for (let x = Math.min(...xs); x <= Math.max(...xs); x += SIMILARITY_CELL) {
+      for (
+        let y = Math.min(...ys);
+        y <= Math.max(...ys);
+        y += SIMILARITY_CELL
+      ) {
+        if (insidePolygon({ x, y }, points)) {
+          mark(x, y);
+        }
+      }
+    }
+  });
+
+  return cells;
+}
+
+function insidePolygon(point: Point, polygon: Point[]) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if (
+      a.y > point.y !== b.y > point.y &&
+      point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Format graphics check results for display
+ * @param {Object} validation - Result of runGraphicsChecks
+ * @returns {string} Formatted HTML
+ */
+export function formatGraphicsResults(validation) {
+  if (validation.error) {
+    return `
+      <div class="test-results failure">
+        <div class="test-summary">
+          <h4>✗ The program did not run</h4>
+        </div>
+        <div class="test-error"><strong>Error:</strong> ${escapeHtml(validation.error)}</div>
+      </div>
+    `;
+  }
+
+  const passed = validation.results.filter((r) => r.passed).length;
+  let html = `
+    <div class="test-results ${validation.success ? "success" : "failure"}">
+      <div class="test-summary">
+        <h4>${validation.success ? "✓ The drawing is correct!" : "✗ The drawing is not quite right yet"}</h4>
+        <p>Passed: ${passed}/${validation.results.length}</p>
+      </div>
+      <div class="test-details">
+  `;
+  validation.results.forEach((result) => {
+    html += `
+      <div class="test-result ${result.passed ? "passed" : "failed"}">
+        <div class="test-header">
+          <span class="test-icon">${result.passed ? "✓" : "✗"}</span>
+          <span class="test-title">${escapeHtml(result.message)}</span>
+        </div>
+      </div>
+    `;
+  });
+  html += `</div></div>`;
+  return html;
+}
+
+function missingTurtle(check: GraphicsCheck) {
+  return {
+    passed: false,
+    message: `The program has no turtle ${check.turtle}`,
+  };
+}
+
+/**
+ * Smallest difference between two headings, in degrees (0 to 180)
+ */
+function angleDifference(a: number, b: number) {
+  const difference = (((a - b) % 360) + 360) % 360;
+  return Math.min(difference, 360 - difference);
+}
+
+function distance(a: Point, b: Point) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function sameColor(a: string, b: string) {
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+function format(value: number) {
+  return String(Math.round(value * 100) / 100);
+}
+
+function plural(count: number, word: string) {
+  return count === 1 ? word : `${word}s`;
+}
+
+function escapeHtml(text) {
+  if (!text) return "";
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
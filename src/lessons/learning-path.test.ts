@@ -0,0 +1,94 @@
+/**
+ * Tests for the learning path
+ */
+
+import { describe, it, expect } from "vitest";
+import { readFileSync } from "node:fs";
+import { resolve } from "node:path";
+import {
+  completedLessonIds,
+  lessonStatus,
+  missingPrerequisites,
+  pathSteps,
+  recommendNextLesson,
+} from "./learning-path.ts";
+
+const ROOT = resolve(__dirname, "../..");
+
+const lessons = [
+  { id: "hello", prerequisites: [] },
+  { id: "variables", prerequisites: ["hello"] },
+  { id: "turtle", prerequisites: ["hello", "planned-lesson"] },
+  { id: "loops", prerequisites: ["variables"] },
+  { id: "arrays", prerequisites: ["loops", "variables"] },
+];
+
+describe("Learning path", () => {
+  it("reads the completed lessons from the progress", () => {
+    const progress = {
+      lessons: { hello: { completed: true }, variables: { completed: false } },
+    };
+    expect([...completedLessonIds(progress)]).toEqual(["hello"]);
+    expect(completedLessonIds(null).size).toBe(0);
+  });
+
+  it("locks lessons until their known prerequisites are completed", () => {
+    const completed = new Set(["hello"]);
+    expect(lessonStatus(lessons[0], lessons, completed)).toBe("completed");
+    expect(lessonStatus(lessons[1], lessons, completed)).toBe("available");
+    expect(lessonStatus(lessons[2], lessons, completed)).toBe("available");
+    expect(lessonStatus(lessons[4], lessons, completed)).toBe("locked");
+    expect(
+      missingPrerequisites(lessons[4], lessons, completed).map((l) => l.id),
+    ).toEqual(["loops", "variables"]);
+  });
+
+  it("recommends the next open lesson", () => {
+    const completed = new Set(["hello", "variables"]);
+    expect(recommendNextLesson(lessons, completed, "variables").id).toBe(
+      "turtle",
+    );
+    expect(recommendNextLesson(lessons, completed, "turtle").id).toBe("loops");
+    // Lessons before the current one come after the ones behind it
+    expect(recommendNextLesson(lessons, completed, "arrays").id).toBe("turtle");
+    expect(recommendNextLesson(lessons, new Set()).id).toBe("hello");
+    expect(
+      recommendNextLesson(
+        lessons,
+        new Set(lessons.map((lesson) => lesson.id)),
+        "hello",
+      ),
+    ).toBeNull();
+  });
+
+  it("groups lessons into steps after their prerequisites", () => {
+    expect(
+      pathSteps(lessons).map((step) => step.map((lesson) => lesson.id)),
+    ).toEqual([["hello"], ["variables", "turtle"], ["loops"], ["arrays"]]);
+  });
+
+  it("does not follow prerequisites in a cycle", () => {
+    const cycle = [
+      { id: "a", prerequisites: ["b"] },
+      { id: "b", prerequisites: ["a"] },
+    ];
+    expect(pathSteps(cycle).flat()).toHaveLength(2);
+  });
+
+  it("only names prerequisites that are lessons of the course", () => {
+    const index = JSON.parse(
+      readFileSync(resolve(ROOT, "content/lessons/index.json"), "utf8"),
+    );
+    const course = index.lessons.map((path: string) =>
+      JSON.parse(readFileSync(resolve(ROOT, path.slice(1)), "utf8")),
+    );
+    const ids = new Set(course.map((lesson) => lesson.id));
+
+    const unknown = course.flatMap((lesson) =>
+      (lesson.prerequisites || [])
+        .filter((id: string) => !ids.has(id))
+        .map((id: string) => `${lesson.id} -> ${id}`),
+    );
+    expect(unknown).toEqual([]);
+  });
+});
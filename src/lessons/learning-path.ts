@@ -0,0 +1,133 @@
+/**
+ * Learning Path
+ * Orders lessons by their prerequisites and decides what to learn next
+ *
+ * A lesson is locked while one of its prerequisites is not completed.
+ * Prerequisites and related lessons that name no lesson of the course,
+ * like lessons that are still planned, are ignored.
+ */
+
+export type LessonStatus = "completed" | "available" | "locked";
+
+/**
+ * IDs of the completed lessons
+ * @param {Object} progress - Progress from getProgress()
+ * @returns {Set<string>}
+ */
+export function completedLessonIds(progress): Set<string> {
+  return new Set(
+    Object.entries(progress?.lessons || {})
+      .filter(([, lesson]) => (lesson as { completed?: boolean })?.completed)
+      .map(([id]) => id),
+  );
+}
+
+/**
+ * Find lessons by their IDs
+ * @param {string[]} ids
+ * @param {Array} lessons - All lessons
+ * @returns {Array} The lessons that exist, in the order of the IDs
+ */
+export function findLessons(ids: string[] | undefined, lessons) {
+  return (ids || [])
+    .map((id) => lessons.find((lesson) => lesson.id === id))
+    .filter(Boolean);
+}
+
+/**
+ * Prerequisites of a lesson that are not completed yet
+ * @param {Object} lesson
+ * @param {Array} lessons - All lessons
+ * @param {Set<string>} completed - IDs of completed lessons
+ * @returns {Array} Lessons to finish first
+ */
+export function missingPrerequisites(lesson, lessons, completed: Set<string>) {
+  return findLessons(lesson.prerequisites, lessons).filter(
+    (prerequisite) => !completed.has(prerequisite.id),
+  );
+}
+
+/**
+ * Where a learner stands with a lesson
+ * @param {Object} lesson
+ * @param {Array} lessons - All lessons
+ * @param {Set<string>} completed - IDs of completed lessons
+ * @returns {LessonStatus}
+ */
+export function lessonStatus(
+  lesson,
+  lessons,
+  completed: Set<string>,
+): LessonStatus {
+  if (completed.has(lesson.id)) {
+    return "completed";
+  }
+  return missingPrerequisites(lesson, lessons, completed).length > 0
+    ? "locked"
+    : "available";
+}
+
+/**
+ * The lesson to learn next
+ * That is the first lesson after the current one, in course order, that
+ * is neither completed nor locked; lessons before the current one come
+ * last.
+ * @param {Array} lessons - All lessons, in course order
+ * @param {Set<string>} completed - IDs of completed lessons
+ * @param {string} currentId - Current lesson ID
+ * @returns {Object|null} null once every open lesson is completed
+ */
+export function recommendNextLesson(
+  lessons,
+  completed: Set<string>,
+  currentId: string | null = null,
+) {
+  const start = lessons.findIndex((lesson) => lesson.id === currentId) + 1;
+  const ordered = [...lessons.slice(start), ...lessons.slice(0, start)];
+  return (
+    ordered.find(
+      (lesson) =>
+        lesson.id !== currentId &&
+        lessonStatus(lesson, lessons, completed) === "available",
+    ) || null
+  );
+}
+
+/**
+ * Group lessons into the steps of the learning path
+ * A lesson's step comes after the steps of all its prerequisites, so
+ * every lesson of a step can be learned once the steps before it are
+ * done. Prerequisites that form a cycle are not followed.
+ * @param {Array} lessons - All lessons, in course order
+ * @returns {Array<Array>} Lessons per step, each step in course order
+ */
+export function pathSteps(lessons) {
+  const steps = new Map<string, number>();
+
+  const stepOf = (lesson, visiting: Set<string>) => {
+    if (steps.has(lesson.id)) {
+      return steps.get(lesson.id);
+    }
+    visiting.add(lesson.id);
+    const step = findLessons(lesson.prerequisites, lessons)
+      .filter((prerequisite) => !visiting.has(prerequisite.id))
+      .reduce(
+        (max, prerequisite) =>
+          Math.max(max, stepOf(prerequisite, visiting) + 1),
+        0,
+      );
+    visiting.delete(lesson.id);
+    steps.set(lesson.id, step);
+    return step;
+  };
+
+  const path = [];
+  lessons.forEach((lesson) => {
+    const step = stepOf(lesson, new Set());
+    if (!path[step]) {
+      path[step] = [];
+    }
+    path[step].push(lesson);
+  });
+  return path.filter(Boolean);
+}
@@ -0,0 +1,55 @@
+/**
+ * Tests for lesson authoring
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  formatFieldValue,
+  getPath,
+  lessonFileName,
+  newLesson,
+  parseFieldValue,
+  setPath,
+} from "./lesson-authoring.ts";
+import { validateLesson } from "./lesson-schema.ts";
+
+describe("Lesson authoring", () => {
+  it("starts new lessons that match the schema", () => {
+    expect(validateLesson(newLesson())).toEqual([]);
+  });
+
+  it("reads and writes values by path", () => {
+    const lesson = newLesson();
+    setPath(lesson, "content.examples[0].code", "PrintLn('Hi');");
+    setPath(lesson, "content.exercises[1].hints", ["Think"]);
+    expect(getPath(lesson, "content.examples[0].code")).toBe("PrintLn('Hi');");
+    expect(lesson.content.exercises).toEqual([undefined, { hints: ["Think"] }]);
+
+    setPath(lesson, "content.examples[0].code", undefined);
+    expect(lesson.content.examples[0]).toEqual({});
+    expect(getPath(lesson, "content.concepts[3].title")).toBeUndefined();
+  });
+
+  it("turns field text into values and back", () => {
+    expect(parseFieldValue("text", "  ")).toBeUndefined();
+    expect(parseFieldValue("number", "15")).toBe(15);
+    expect(parseFieldValue("list", "loops, for ,")).toEqual(["loops", "for"]);
+    expect(parseFieldValue("lines", "One\n\nTwo")).toEqual(["One", "Two"]);
+    expect(parseFieldValue("json", '[{"input":"3"}]')).toEqual([
+      { input: "3" },
+    ]);
+    expect(() => parseFieldValue("json", "[{")).toThrow(SyntaxError);
+
+    expect(formatFieldValue("list", ["a", "b"])).toBe("a, b");
+    expect(formatFieldValue("lines", ["a", "b"])).toBe("a\nb");
+    expect(formatFieldValue("json", { a: 1 })).toBe('{\n  "a": 1\n}');
+    expect(formatFieldValue("number", undefined)).toBe("");
+  });
+
+  it("names lesson files like the course's", () => {
+    expect(lessonFileName({ id: "variables", order: 2 })).toBe(
+      "02-variables.json",
+    );
+    expect(lessonFileName({ id: "draft" })).toBe("draft.json");
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Lesson Authoring
+ * Edits lesson objects field by field, for the authoring view
+ *
+ * Every form field edits the value at a path of the lesson, written like
+ * the paths of schema problems ("content.examples[2].code"), and has a
+ * kind that says how its text becomes a value.
+ */
+
+export type FieldKind = "text" | "number" | "list" | "lines" | "json";
+
+/**
+ * A lesson with the required fields and nothing else
+ * @returns {Object}
+ */
+export function newLesson() {
+  return {
+    id: "new-lesson",
+    title: "New Lesson",
+    category: "fundamentals",
+    difficulty: "beginner",
+    content: {
+      introduction: "",
+      concepts: [],
+      examples: [],
+      exercises: [],
+    },
+  };
+}
+
+/**
+ * The empty item added to a list of the content
+ * @param {string} list - "concepts", "examples", "exercises" or "quizzes"
+ * @returns {Object}
+ */
+export function newContentItem(list: string) {
+  switch (list) {
+    case "concepts":
+      return { title: "", description: "" };
+    case "examples":
+      return { title: "", code: "" };
+    case "quizzes":
+      return { type: "multipleChoice", question: "", options: [], answer: 0 };
+    default:
+      return { title: "", description: "", starterCode: "" };
+  }
+}
+
+/**
+ * Split a path into property names and array indices
+ * @param {string} path - Like "content.examples[2].code"
+ * @returns {Array<string|number>}
+ */
+function parsePath(path: string) {
+  return path
+    .split(/[.[\]]+/)
+    .filter(Boolean)
+    .map((key) => (/^\d+$/.test(key) ? Number(key) : key));
+}
+
+/**
+ * Get the value at a path
+ * @param {Object} object
+ * @param {string} path
+ * @returns {*} undefined if the path does not exist
+ */
+export function getPath(object, path: string) {
+  return parsePath(path).reduce((value, key) => value?.[key], object);
+}
+
+/**
+ * Set the value at a path, creating the objects and arrays on the way
+ * Setting undefined removes the property.
+ * @param {Object} object
+ * @param {string} path
+ * @param {*} value
+ */
+export function setPath(object, path: string, value: unknown) {
+  const keys = parsePath(path);
+  const last = keys.pop();
+  const parent = keys.reduce((target, key, i) => {
+    if (target[key] === undefined || target[key] === null) {
+      target[key] = typeof keys[i + 1] === "number" ? [] : {};
+    }
+    return target[key];
+  }, object);
+
+  if (value === undefined && !Array.isArray(parent)) {
+    delete parent[last];
+  } else {
+    parent[last] = value;
+  }
+}
+
+/**
+ * Turn the text of a field into a value
+ * Empty fields have no value, so optional properties are left out.
+ * @param {FieldKind} kind
+ * @param {string} text
+ * @returns {*}
+ * @throws {SyntaxError} If a JSON field does not hold valid JSON
+ */
+export function parseFieldValue(kind: FieldKind, text: string) {
+  if (text.trim() === "") {
+    return undefined;
+  }
+  switch (kind) {
+    case "number":
+      return Number(text);
+    case "list":
+      return text
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+    case "lines":
+      return text.split("\n").filter((line) => line.trim());
+    case "json":
+      return JSON.parse(text);
+    default:
+      return text;
+  }
+}
+
+/**
+ * Turn a value into the text of a field
+ * @param {FieldKind} kind
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatFieldValue(kind: FieldKind, value: unknown) {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  switch (kind) {
+    case "list":
+      return Array.isArray(value) ? value.join(", ") : String(value);
+    case "lines":
+      return Array.isArray(value) ? value.join("\n") : String(value);
+    case "json":
+      return JSON.stringify(value, null, 2);
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Name of the lesson's file, like the files in content/lessons
+ * @param {Object} lesson
+ * @returns {string} Like "02-variables.json"
+ */
+export function lessonFileName(lesson) {
+  const id = String(lesson?.id || "lesson").replace(/[^a-z0-9-]/gi, "-");
+  const order = Number(lesson?.order);
+  return Number.isInteger(order) && order > 0
+    ? `${String(order).padStart(2, "0")}-${id}.json`
+    : `${id}.json`;
+}
+
+/**
+ * Format a lesson as the JSON of a lesson file
+ * @param {Object} lesson
+ * @returns {string}
+ */
+export function lessonToJSON(lesson) {
+  return `${JSON.stringify(lesson, null, 2)}\n`;
+}
@@ -62,6 +62,14 @@ export async function loadAllLessons() {
   }
 }
 
+/**
+ * Get the lessons loaded so far, without loading them
+ * @returns {Array} Lessons in course order; empty before loadAllLessons
+ */
+export function getLoadedLessons() {
+  return lessonsCache || [];
+}
+
 /**
  * Get a specific lesson by ID
  * @param {string} lessonId - Lesson ID
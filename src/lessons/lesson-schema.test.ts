@@ -0,0 +1,90 @@
+/**
+ * Tests for the lesson schema check
+ */
+
+import { describe, it, expect } from "vitest";
+import { readFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { validateLesson } from "./lesson-schema.ts";
+
+const ROOT = resolve(__dirname, "../..");
+
+function readJSON(path: string) {
+  return JSON.parse(readFileSync(resolve(ROOT, path), "utf8"));
+}
+
+function lesson(changes = {}) {
+  return {
+    id: "loops",
+    title: "Loops",
+    category: "control-flow",
+    difficulty: "beginner",
+    content: { introduction: "Loops repeat code." },
+    ...changes,
+  };
+}
+
+describe("Lesson schema", () => {
+  it("accepts every lesson of the course", () => {
+    const paths: string[] = readJSON("content/lessons/index.json").lessons;
+    paths.forEach((path) => {
+      expect([path, validateLesson(readJSON(path.slice(1)))]).toEqual([
+        path,
+        [],
+      ]);
+    });
+  });
+
+  it("reports missing, mistyped and unknown values by path", () => {
+    const problems = validateLesson(
+      lesson({
+        id: "Loops!",
+        difficulty: "easy",
+        order: "2",
+        content: {
+          examples: [{ title: "While" }],
+          exercises: [
+            { title: "Count", description: "Count", hint: "Use a loop" },
+          ],
+        },
+      }),
+    );
+    expect(
+      problems.map(({ path, message, severity }) => [path, message, severity]),
+    ).toEqual([
+      ["id", "must match the pattern ^[a-z0-9-]+$", "error"],
+      [
+        "difficulty",
+        "must be one of: beginner, intermediate, advanced",
+        "error",
+      ],
+      ["content.introduction", "is required", "error"],
+      ["content.examples[0].code", "is required", "error"],
+      ["order", "must be a number", "error"],
+      [
+        "content.exercises[0].hint",
+        "is not part of the lesson format and is ignored",
+        "warning",
+      ],
+    ]);
+  });
+
+  it("checks values that may have one of several types", () => {
+    const withInput = (input) =>
+      lesson({
+        content: {
+          introduction: "",
+          exercises: [{ title: "Echo", description: "", tests: [{ input }] }],
+        },
+      });
+    expect(validateLesson(withInput("a\nb"))).toEqual([]);
+    expect(validateLesson(withInput(["a", "b"]))).toEqual([]);
+    expect(validateLesson(withInput(3))).toEqual([
+      {
+        path: "content.exercises[0].tests[0].input",
+        message: "must be a string or a list",
+        severity: "error",
+      },
+    ]);
+  });
+});
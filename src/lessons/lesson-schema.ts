@@ -0,0 +1,147 @@
+/**
+ * Lesson Schema
+ * Checks lesson objects against content/lessons/lesson-schema.json
+ *
+ * Implements the part of JSON Schema the lesson schema uses: type,
+ * required, properties, items, enum, pattern and oneOf. Problems carry
+ * the path of the value they are about, like "content.examples[2].code".
+ */
+
+import lessonSchema from "../../content/lessons/lesson-schema.json";
+
+export interface SchemaProblem {
+  /** Where the problem is; "" for the lesson itself */
+  path: string;
+  message: string;
+  /** Warnings do not make a lesson invalid */
+  severity: "error" | "warning";
+}
+
+export const LESSON_SCHEMA = lessonSchema;
+
+const TYPE_NAMES = {
+  string: "a string",
+  number: "a number",
+  integer: "a whole number",
+  boolean: "true or false",
+  array: "a list",
+  object: "an object",
+};
+
+/**
+ * Check a lesson against the lesson schema
+ * @param {Object} lesson
+ * @returns {SchemaProblem[]} Errors first, each group in document order
+ */
+export function validateLesson(lesson: unknown): SchemaProblem[] {
+  const problems = validateSchema(lesson, LESSON_SCHEMA);
+  return [
+    ...problems.filter((problem) => problem.severity === "error"),
+    ...problems.filter((problem) => problem.severity === "warning"),
+  ];
+}
+
+/**
+ * Check a value against a schema
+ * Properties the schema does not know are reported as warnings: they are
+ * usually misspelled names that the app would ignore.
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} path - Path of the value
+ * @returns {SchemaProblem[]}
+ */
+export function validateSchema(
+  value: unknown,
+  schema,
+  path = "",
+): SchemaProblem[] {
+  const error = (message: string): SchemaProblem[] => [
+    { path, message, severity: "error" },
+  ];
+
+  if (schema.oneOf) {
+    const matching = schema.oneOf.filter(
+      (option) => validateSchema(value, option, path).length === 0,
+    );
+    if (matching.length !== 1) {
+      const names = schema.oneOf.map((option) => TYPE_NAMES[option.type]);
+      return error(`must be ${names.join(" or ")}`);
+    }
+  }
+
+  if (schema.type && !hasType(value, schema.type)) {
+    return error(`must be ${TYPE_NAMES[schema.type]}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return error(`must be one of: ${schema.enum.join(", ")}`);
+  }
+  if (
+    schema.pattern &&
+    typeof value === "string" &&
+    !new RegExp(schema.pattern).test(value)
+  ) {
+    return error(`must match the pattern ${schema.pattern}`);
+  }
+
+  const problems: SchemaProblem[] = [];
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      problems.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+  if (isObject(value) && (schema.properties || schema.required)) {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key: string) => {
+      if (value[key] === undefined) {
+        problems.push({
+          path: joinPath(path, key),
+          message: "is required",
+          severity: "error",
+        });
+      }
+    });
+    Object.keys(value).forEach((key) => {
+      const propertyPath = joinPath(path, key);
+      if (properties[key]) {
+        problems.push(
+          ...validateSchema(value[key], properties[key], propertyPath),
+        );
+      } else if (key !== "$schema") {
+        problems.push({
+          path: propertyPath,
+          message: "is not part of the lesson format and is ignored",
+          severity: "warning",
+        });
+      }
+    });
+  }
+  return problems;
+}
+
+/**
+ * @param {*} value
+ * @param {string} type - JSON Schema type name
+ * @returns {boolean}
+ */
+function hasType(value: unknown, type: string) {
+  switch (type) {
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return isObject(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function isObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function joinPath(path: string, key: string) {
+  return path ? `${path}.${key}` : key;
+}
@@ -5,24 +5,51 @@
 
 import { marked } from "marked";
 import { setCode, getCode } from "../editor/monaco-setup.ts";
-import { executeCode } from "../core/executor.ts";
-import { markExerciseCompleted, getLessonProgress } from "./progress.ts";
+import { closeProject } from "../editor/project-files.ts";
+import { executeCode, executeQuietly } from "../core/executor.ts";
+import type { SnapshotResult } from "../core/code-history.ts";
+import {
+  markExerciseCompleted,
+  markQuizAnswered,
+  saveExerciseCode,
+  getLessonProgress,
+  getQuizScore,
+} from "./progress.ts";
 import {
   compareOutput,
   formatOutputComparison,
   runExerciseTests,
   formatTestResults,
 } from "./exercise-validator.ts";
+import {
+  runGraphicsChecks,
+  formatGraphicsResults,
+} from "./graphics-validator.ts";
+import {
+  checkChoice,
+  checkGaps,
+  checkPrediction,
+  splitGaps,
+  type Quiz,
+  type QuizResult,
+} from "./quiz.ts";
+import { getLoadedLessons } from "./lesson-loader.ts";
+import { findLessons } from "./learning-path.ts";
 
 let currentLesson = null;
 
 /**
  * Display a lesson in the lesson panel
  * @param {Object} lesson - Lesson object
+ * @param {Element} container - Where to show it instead of the lesson
+ *   panel; a lesson shown elsewhere, like the authoring preview, does not
+ *   become the current lesson
  */
-export function displayLesson(lesson) {
-  currentLesson = lesson;
-  const panel = document.querySelector(".lesson-content");
+export function displayLesson(lesson, container: Element | null = null) {
+  if (!container) {
+    currentLesson = lesson;
+  }
+  const panel = container || document.querySelector(".lesson-content");
 
   if (!panel) {
     console.error("Lesson content panel not found");
@@ -34,11 +61,11 @@ export function displayLesson(lesson) {
   panel.innerHTML = html;
 
   // Attach event listeners
-  attachLessonEventListeners(lesson);
+  attachLessonEventListeners(lesson, panel);
 
   // Update progress
   const progress = getLessonProgress(lesson.id);
-  updateProgressIndicators(lesson, progress);
+  updateProgressIndicators(lesson, progress, panel);
 }
 
 /**
@@ -145,7 +172,8 @@ function buildLessonHTML(lesson) {
     content.exercises.forEach((exercise, index) => {
       const hasValidation =
         exercise.expectedOutput ||
-        (exercise.tests && exercise.tests.length > 0);
+        (exercise.tests && exercise.tests.length > 0) ||
+        (exercise.graphics && exercise.graphics.length > 0);
 
       html += `
         <div class="exercise-block"
@@ -226,6 +254,16 @@ function buildLessonHTML(lesson) {
     html += `</section>`;
   }
 
+  // Quizzes
+  if (content.quizzes && content.quizzes.length > 0) {
+    html += `
+      <section class="lesson-section lesson-quizzes">
+        <h2>Quiz <span class="quiz-score"></span></h2>
+        ${content.quizzes.map(buildQuizHTML).join("")}
+      </section>
+    `;
+  }
+
   // Summary
   if (content.summary) {
     html += `
@@ -246,6 +284,28 @@ function buildLessonHTML(lesson) {
     `;
   }
 
+  // Related Lessons
+  const related = findLessons(lesson.relatedLessons, getLoadedLessons());
+  if (related.length > 0) {
+    html += `
+      <section class="lesson-section lesson-related">
+        <h2>Related Lessons</h2>
+        <ul class="lesson-links">
+          ${related
+            .map(
+              (other) => `
+            <li>
+              <a href="#lesson/${other.id}" class="related-lesson" data-lesson-id="${other.id}">${other.title}</a>
+              ${other.description ? `<span class="related-description">${other.description}</span>` : ""}
+            </li>
+          `,
+            )
+            .join("")}
+        </ul>
+      </section>
+    `;
+  }
+
   // Lesson Actions
   html += `
     <div class="lesson-actions">
@@ -258,19 +318,95 @@ function buildLessonHTML(lesson) {
   return html;
 }
 
+/**
+ * Build HTML for a quiz block
+ * Each quiz is a form, so the options of one question form a radio group.
+ * @param {Quiz} quiz - Quiz object
+ * @param {number} index - Quiz index
+ * @returns {string} HTML string
+ */
+function buildQuizHTML(quiz: Quiz, index: number) {
+  let answer = "";
+
+  if (quiz.type === "multipleChoice") {
+    answer = `
+      <div class="quiz-options">
+        ${(quiz.options || [])
+          .map(
+            (option, i) => `
+          <label class="quiz-option">
+            <input type="radio" name="choice" value="${i}">
+            <span>${marked.parseInline(option)}</span>
+          </label>
+        `,
+          )
+          .join("")}
+      </div>
+    `;
+  } else if (quiz.type === "predictOutput") {
+    answer = `
+      <div class="code-block">
+        <pre><code class="language-pascal">${escapeHtml(quiz.code || "")}</code></pre>
+      </div>
+      <label class="quiz-prediction">
+        <span>What does this program print?</span>
+        <textarea name="prediction" rows="3" spellcheck="false"></textarea>
+      </label>
+    `;
+  } else if (quiz.type === "fillInBlank") {
+    // The gaps become inputs inside the code
+    const gaps = splitGaps(quiz.code || "")
+      .map(escapeHtml)
+      .join(
+        `<input type="text" class="quiz-gap" name="gap" autocomplete="off" spellcheck="false">`,
+      );
+    answer = `
+      <div class="code-block">
+        <pre><code class="language-pascal">${gaps}</code></pre>
+      </div>
+    `;
+  }
+
+  return `
+    <form class="quiz-block" data-quiz-index="${index}">
+      <div class="exercise-header">
+        <h3>Question ${index + 1}</h3>
+        <div class="exercise-status" data-quiz="${index}">
+          <span class="status-icon">○</span>
+        </div>
+      </div>
+      <div class="quiz-question">${marked.parse(quiz.question || "")}</div>
+      ${answer}
+      <div class="exercise-actions">
+        <button type="submit" class="btn btn-success btn-check-quiz">Check Answer</button>
+      </div>
+      <div class="quiz-feedback" style="display: none;"></div>
+      ${
+        quiz.explanation
+          ? `
+        <div class="quiz-explanation" style="display: none;">
+          ${marked.parse(quiz.explanation)}
+        </div>
+      `
+          : ""
+      }
+    </form>
+  `;
+}
+
 /**
  * Attach event listeners to lesson elements
  * @param {Object} lesson - Lesson object
+ * @param {Element} panel - Element that shows the lesson
  */
-function attachLessonEventListeners(lesson) {
-  const panel = document.querySelector(".lesson-content");
-  if (!panel) return;
-
+function attachLessonEventListeners(lesson, panel: Element) {
   // Try it buttons
   panel.querySelectorAll<HTMLElement>(".btn-try").forEach((btn) => {
     btn.addEventListener("click", () => {
       const code = btn.getAttribute("data-code");
       if (code) {
+        // Lesson code replaces the program, not a file of the project
+        closeProject();
         setCode(decodeHtml(code));
         // Switch to playground view or scroll to editor
         document
@@ -301,6 +437,7 @@ function attachLessonEventListeners(lesson) {
   panel.querySelectorAll<HTMLElement>(".btn-start-exercise").forEach((btn) => {
     btn.addEventListener("click", () => {
       const code = btn.getAttribute("data-code");
+      closeProject();
       setCode(decodeHtml(code));
       document
         .getElementById("btn-run")
@@ -380,8 +517,10 @@ function attachLessonEventListeners(lesson) {
       ) as HTMLElement | null;
       if (!validationContainer) return;
 
-      // Get current code from editor
+      // Get current code from editor; the latest checked code is kept for
+      // the teacher's gradebook
       const code = getCode();
+      saveExerciseCode(lesson.id, exerciseIndex, code);
 
       // Show loading state
       btn.disabled = true;
@@ -389,11 +528,74 @@ function attachLessonEventListeners(lesson) {
       validationContainer.style.display = "none";
 
       try {
+        // Turtle exercises are checked by what the program draws
+        const exercise = lesson.content.exercises?.[exerciseIndex];
+        if (exercise?.graphics?.length > 0) {
+          const validation = await runGraphicsChecks(
+            executeCode,
+            code,
+            exercise.graphics,
+            exercise.solution,
+          );
+          validationContainer.innerHTML = formatGraphicsResults(validation);
+          validationContainer.style.display = "block";
+          announceCheck(
+            code,
+            validation.error
+              ? { success: false, error: validation.error }
+              : { success: true, outputMatched: validation.success },
+          );
+
+          if (validation.success) {
+            markExerciseCompleted(lesson.id, exerciseIndex);
+            updateExerciseStatus(exerciseBlock, exerciseIndex, true);
+          }
+
+          validationContainer.scrollIntoView({
+            behavior: "smooth",
+            block: "nearest",
+          });
+          return;
+        }
+
+        // Tests bring their own input, so run them directly instead of
+        // executing the program once without input first
+        if (testsJson) {
+          const tests = JSON.parse(decodeHtml(testsJson));
+          const testResults = await runExerciseTests(executeCode, code, tests);
+          validationContainer.innerHTML = formatTestResults(testResults);
+          validationContainer.style.display = "block";
+          const testError = testResults.results.find(
+            (test) => test.error,
+          )?.error;
+          announceCheck(
+            code,
+            testError
+              ? { success: false, error: testError }
+              : { success: true, outputMatched: testResults.success },
+          );
+
+          if (testResults.success) {
+            markExerciseCompleted(lesson.id, exerciseIndex);
+            updateExerciseStatus(exerciseBlock, exerciseIndex, true);
+          }
+
+          validationContainer.scrollIntoView({
+            behavior: "smooth",
+            block: "nearest",
+          });
+          return;
+        }
+
         // Execute the code
         const result = await executeCode(code);
 
         // Check if execution was successful
         if (!result.success) {
+          announceCheck(code, {
+            success: false,
+            error: result.errors?.[0]?.message || result.error?.message,
+          });
           validationContainer.innerHTML = `
             <div class="output-comparison failure">
               <div class="comparison-header">
@@ -409,29 +611,25 @@ function attachLessonEventListeners(lesson) {
           return;
         }
 
-        // Validate based on what's available
-        if (testsJson) {
-          // Run tests
-          const tests = JSON.parse(decodeHtml(testsJson));
-          const testResults = await runExerciseTests(executeCode, code, tests);
-          validationContainer.innerHTML = formatTestResults(testResults);
-
-          if (testResults.success) {
-            markExerciseCompleted(lesson.id, exerciseIndex);
-            updateExerciseStatus(exerciseBlock, exerciseIndex, true);
-          }
-        } else if (expectedOutput) {
+        // Compare against the expected output
+        if (expectedOutput) {
           // Compare output
           const comparison = compareOutput(
             result.output,
             decodeHtml(expectedOutput),
           );
           validationContainer.innerHTML = formatOutputComparison(comparison);
+          announceCheck(code, {
+            success: true,
+            outputMatched: comparison.success,
+          });
 
           if (comparison.success) {
             markExerciseCompleted(lesson.id, exerciseIndex);
             updateExerciseStatus(exerciseBlock, exerciseIndex, true);
           }
+        } else {
+          announceCheck(code, { success: true });
         }
 
         validationContainer.style.display = "block";
@@ -461,6 +659,66 @@ function attachLessonEventListeners(lesson) {
     });
   });
 
+  // Quiz blocks
+  panel.querySelectorAll<HTMLFormElement>(".quiz-block").forEach((form) => {
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const quizIndex = parseInt(form.dataset.quizIndex, 10);
+      const quiz: Quiz = lesson.content.quizzes[quizIndex];
+      const btn = form.querySelector<HTMLButtonElement>(".btn-check-quiz");
+      const feedback = form.querySelector<HTMLElement>(".quiz-feedback");
+
+      btn.disabled = true;
+      btn.textContent = "Checking...";
+
+      try {
+        const result = await checkQuiz(quiz, form);
+        if (!result) {
+          return;
+        }
+        markQuizAnswered(lesson.id, quizIndex, result.correct);
+        feedback.innerHTML = formatQuizResult(result);
+        feedback.style.display = "block";
+        const explanation = form.querySelector<HTMLElement>(
+          ".quiz-explanation",
+        );
+        if (explanation) {
+          explanation.style.display = "block";
+        }
+        updateQuizStatus(form, quizIndex, result.correct);
+        updateQuizScore(lesson, panel);
+      } catch (error) {
+        feedback.innerHTML = `
+          <div class="output-comparison failure">
+            <div class="comparison-header">
+              <span class="comparison-icon">✗</span>
+              <span class="comparison-title">Quiz error</span>
+            </div>
+            <div class="comparison-details">
+              <p>${escapeHtml(error.message)}</p>
+            </div>
+          </div>
+        `;
+        feedback.style.display = "block";
+      } finally {
+        btn.disabled = false;
+        btn.textContent = "Check Answer";
+      }
+    });
+  });
+
+  // Related lesson links
+  panel.querySelectorAll<HTMLElement>(".related-lesson").forEach((link) => {
+    link.addEventListener("click", (e) => {
+      e.preventDefault();
+      window.dispatchEvent(
+        new CustomEvent("openLesson", {
+          detail: { lessonId: link.dataset.lessonId },
+        }),
+      );
+    });
+  });
+
   // Lesson navigation buttons
   const prevBtn = panel.querySelector(".btn-prev-lesson");
   const nextBtn = panel.querySelector(".btn-next-lesson");
@@ -490,7 +748,10 @@ function attachLessonEventListeners(lesson) {
     completeBtn.addEventListener("click", () => {
       window.dispatchEvent(
         new CustomEvent("completeLesson", {
-          detail: { lessonId: lesson.id },
+          detail: {
+            lessonId: lesson.id,
+            score: getQuizScore(lesson.id, lesson.content.quizzes?.length),
+          },
         }),
       );
     });
@@ -501,13 +762,11 @@ function attachLessonEventListeners(lesson) {
  * Update progress indicators for a lesson
  * @param {Object} lesson - Lesson object
  * @param {Object} progress - Progress data
+ * @param {Element} panel - Element that shows the lesson
  */
-function updateProgressIndicators(lesson, progress) {
+function updateProgressIndicators(lesson, progress, panel: Element) {
   if (!progress) return;
 
-  const panel = document.querySelector(".lesson-content");
-  if (!panel) return;
-
   // Update exercise completion status
   progress.exercisesCompleted?.forEach((completed, index) => {
     if (completed) {
@@ -521,6 +780,15 @@ function updateProgressIndicators(lesson, progress) {
     }
   });
 
+  // Update quiz status
+  progress.quizAnswers?.forEach((correct, index) => {
+    const form = panel.querySelector(`.quiz-block[data-quiz-index="${index}"]`);
+    if (form && correct !== null && correct !== undefined) {
+      updateQuizStatus(form, index, correct);
+    }
+  });
+  updateQuizScore(lesson, panel);
+
   // Update complete button
   const completeBtn = panel.querySelector(".btn-complete-lesson");
   if (completeBtn && progress.completed) {
@@ -545,6 +813,100 @@ function updateExerciseStatus(exerciseBlock, exerciseIndex, completed) {
   }
 }
 
+/**
+ * Check the answer given in a quiz block
+ * @param {Quiz} quiz - Quiz object
+ * @param {HTMLFormElement} form - The quiz block
+ * @returns {Promise<QuizResult|null>} null if nothing was answered yet
+ */
+async function checkQuiz(quiz: Quiz, form: HTMLFormElement) {
+  const data = new FormData(form);
+
+  if (quiz.type === "multipleChoice") {
+    const choice = data.get("choice");
+    return choice === null ? null : checkChoice(quiz, Number(choice));
+  }
+  if (quiz.type === "predictOutput") {
+    return checkPrediction(
+      executeQuietly,
+      quiz,
+      String(data.get("prediction") || ""),
+    );
+  }
+  return checkGaps(executeQuietly, quiz, data.getAll("gap").map(String));
+}
+
+/**
+ * Format the result of a quiz answer
+ * @param {QuizResult} result - Result of the check
+ * @returns {string} HTML string
+ */
+function formatQuizResult(result: QuizResult) {
+  let html = `
+    <div class="output-comparison ${result.correct ? "success" : "failure"}">
+      <div class="comparison-header">
+        <span class="comparison-icon">${result.correct ? "✓" : "✗"}</span>
+        <span class="comparison-title">${result.correct ? "Correct!" : "Not quite"}</span>
+      </div>
+  `;
+
+  if (result.error) {
+    html += `
+      <div class="comparison-details">
+        <p>Your code does not run: ${escapeHtml(result.error)}</p>
+      </div>
+    `;
+  } else if (!result.correct && result.expectedOutput !== undefined) {
+    html += `
+      <div class="comparison-details">
+        <div class="expected-output">
+          <strong>The program prints:</strong>
+          <pre>${escapeHtml(result.expectedOutput)}</pre>
+        </div>
+        <div class="actual-output">
+          <strong>Yours:</strong>
+          <pre>${escapeHtml(result.actualOutput || "")}</pre>
+        </div>
+      </div>
+    `;
+  }
+
+  html += `</div>`;
+  return html;
+}
+
+/**
+ * Update quiz status
+ * @param {Element} form - Quiz block element
+ * @param {number} quizIndex - Quiz index
+ * @param {boolean} correct - Whether the answer was right
+ */
+function updateQuizStatus(form, quizIndex, correct) {
+  const status = form.querySelector(
+    `.exercise-status[data-quiz="${quizIndex}"] .status-icon`,
+  ) as HTMLElement | null;
+  if (status) {
+    status.textContent = correct ? "✓" : "✗";
+    status.style.color = correct ? "var(--success)" : "var(--error)";
+  }
+}
+
+/**
+ * Show the quiz score of the lesson
+ * @param {Object} lesson - Lesson object
+ * @param {Element} panel - Element that shows the lesson
+ */
+function updateQuizScore(lesson, panel: Element) {
+  const scoreEl = panel.querySelector(".quiz-score");
+  const score = getQuizScore(lesson.id, lesson.content.quizzes?.length);
+  if (scoreEl && score !== null) {
+    const answered = (getLessonProgress(lesson.id)?.quizAnswers || []).filter(
+      (answer) => answer !== null && answer !== undefined,
+    ).length;
+    scoreEl.textContent = answered > 0 ? `(score: ${score}%)` : "";
+  }
+}
+
 /**
  * Format category name
  * @param {string} category - Category slug
@@ -568,12 +930,23 @@ function formatCategory(category) {
  * @param {string} text - Text to escape
  * @returns {string} Escaped text
  */
-function escapeHtml(text) {
+export function escapeHtml(text) {
   const div = document.createElement("div");
   div.textContent = text;
   return div.innerHTML;
 }
 
+/**
+ * Tell the code history that an exercise was checked
+ * @param {string} code - The checked code
+ * @param {SnapshotResult} result - How the check went
+ */
+function announceCheck(code: string, result: SnapshotResult) {
+  window.dispatchEvent(
+    new CustomEvent("exercisechecked", { detail: { code, result } }),
+  );
+}
+
 /**
  * Decode HTML entities
  * @param {string} html - HTML to decode
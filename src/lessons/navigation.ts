@@ -7,32 +7,77 @@ import {
   getCategories,
   searchLessons,
   getLessonById,
+  getLoadedLessons,
   getNextLesson,
   getPreviousLesson,
 } from "./lesson-loader.ts";
-import { displayLesson } from "./lesson-ui.ts";
+import { displayLesson, escapeHtml, getCurrentLesson } from "./lesson-ui.ts";
 import {
+  addLessonTime,
   markLessonVisited,
-  isLessonCompleted,
   getProgress,
   markLessonCompleted,
 } from "./progress.ts";
+import {
+  completedLessonIds,
+  lessonStatus,
+  missingPrerequisites,
+  pathSteps,
+  recommendNextLesson,
+} from "./learning-path.ts";
+import { getValue, setValue } from "../core/state-manager.ts";
 
 let currentCategories: any = null;
 
+// Time is counted in minutes while a lesson is shown and the page is visible
+const TIME_TICK = 60000;
+let timeTimer: ReturnType<typeof setInterval> | null = null;
+
 /**
  * Initialize lesson navigation
  */
 export async function initLessonNavigation() {
   try {
     currentCategories = await getCategories();
-    renderLessonList(currentCategories);
+    renderCurrentView();
     setupNavigationListeners();
+    startLessonTimer();
   } catch (error) {
     console.error("Failed to initialize lesson navigation:", error);
   }
 }
 
+/**
+ * Count the time spent in the current lesson
+ */
+function startLessonTimer() {
+  if (timeTimer) return;
+  timeTimer = setInterval(() => {
+    const lesson = getCurrentLesson();
+    if (lesson && !document.hidden) {
+      addLessonTime(lesson.id, 1);
+    }
+  }, TIME_TICK);
+}
+
+/**
+ * Render the lessons in the view chosen in the sidebar
+ */
+function renderCurrentView() {
+  const view = getValue("lessonListView") === "path" ? "path" : "categories";
+  document.querySelectorAll<HTMLElement>(".lesson-view-btn").forEach((btn) => {
+    const active = btn.dataset.view === view;
+    btn.classList.toggle("active", active);
+    btn.setAttribute("aria-pressed", String(active));
+  });
+
+  if (view === "path") {
+    renderLessonPath();
+  } else {
+    renderLessonList(currentCategories);
+  }
+}
+
 /**
  * Render the lesson list in the sidebar
  * @param {Object} categories - Categories object
@@ -71,20 +116,62 @@ function renderLessonList(categories: any) {
   updateCompletionIndicators();
 }
 
+/**
+ * Render the learning path in the sidebar
+ * Lessons are grouped into steps; a lesson's prerequisites are all in
+ * earlier steps.
+ */
+function renderLessonPath() {
+  const listContainer = document.getElementById("lesson-list");
+  if (!listContainer) return;
+
+  const lessons = getLoadedLessons();
+  listContainer.innerHTML = pathSteps(lessons)
+    .map(
+      (step, index) => `
+      <div class="lesson-category lesson-step">
+        <div class="category-header">
+          <h3>
+            <span class="category-icon">▼</span>
+            Step ${index + 1}
+          </h3>
+          <span class="category-count">${step.length}</span>
+        </div>
+        <ul class="lesson-list">
+          ${step.map((lesson) => renderLessonItem(lesson, true)).join("")}
+        </ul>
+      </div>
+    `,
+    )
+    .join("");
+
+  updateCompletionIndicators();
+}
+
 /**
  * Render a single lesson item
  * @param {Object} lesson - Lesson object
+ * @param {boolean} showPrerequisites - List the prerequisites under the title
  * @returns {string} HTML string
  */
-function renderLessonItem(lesson: any) {
-  const completed = isLessonCompleted(lesson.id);
-  const icon = completed ? "✓" : "○";
+function renderLessonItem(lesson: any, showPrerequisites = false) {
+  const lessons = getLoadedLessons();
+  const prerequisites = (lesson.prerequisites || [])
+    .map((id) => lessons.find((other) => other.id === id)?.title)
+    .filter(Boolean);
 
   return `
-    <li class="lesson-item ${completed ? "completed" : ""}" data-lesson-id="${lesson.id}">
+    <li class="lesson-item" data-lesson-id="${lesson.id}">
       <a href="#lesson/${lesson.id}" class="lesson-link">
-        <span class="lesson-icon">${icon}</span>
-        <span class="lesson-title">${lesson.title}</span>
+        <span class="lesson-icon">○</span>
+        <span class="lesson-title">
+          ${lesson.title}
+          ${
+            showPrerequisites && prerequisites.length > 0
+              ? `<span class="lesson-requires">after ${escapeHtml(prerequisites.join(", "))}</span>`
+              : ""
+          }
+        </span>
         <span class="lesson-badge ${lesson.difficulty}">${lesson.difficulty[0].toUpperCase()}</span>
       </a>
     </li>
@@ -104,9 +191,9 @@ function setupNavigationListeners() {
     const header = target?.closest(".category-header");
     if (header) {
       const category = header.closest(".lesson-category");
-      const list = category?.querySelector(".lesson-list") as
-        | HTMLElement
-        | null;
+      const list = category?.querySelector(
+        ".lesson-list",
+      ) as HTMLElement | null;
       const icon = category?.querySelector(".category-icon");
 
       if (list) {
@@ -134,6 +221,20 @@ function setupNavigationListeners() {
     }
   });
 
+  // View toggle
+  document.querySelectorAll<HTMLElement>(".lesson-view-btn").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      setValue("lessonListView", btn.dataset.view);
+      const searchInput = document.getElementById(
+        "lesson-search",
+      ) as HTMLInputElement | null;
+      if (searchInput) {
+        searchInput.value = "";
+      }
+      renderCurrentView();
+    });
+  });
+
   // Search input
   const searchInput = document.getElementById("lesson-search");
   if (searchInput) {
@@ -154,17 +255,34 @@ function setupNavigationListeners() {
     await navigateLesson(direction);
   });
 
+  // Links to other lessons, like related lessons
+  window.addEventListener("openLesson", async (e) => {
+    const event = e as CustomEvent<{ lessonId: string }>;
+    await loadLesson(event.detail.lessonId);
+  });
+
   // Listen for complete lesson events
   window.addEventListener("completeLesson", async (e) => {
-    const event = e as CustomEvent<{ lessonId: string }>;
-    const { lessonId } = event.detail;
-    await handleCompleteLesson(lessonId);
+    const event = e as CustomEvent<{ lessonId: string; score?: number | null }>;
+    const { lessonId, score } = event.detail;
+    await handleCompleteLesson(lessonId, score ?? null);
   });
 
   // Listen for progress updates
   window.addEventListener("progressUpdated", () => {
     updateCompletionIndicators();
   });
+  window.addEventListener("progressReset", () => {
+    updateCompletionIndicators();
+  });
+
+  // Teachers can turn locking off in the settings
+  window.addEventListener("statechange", (e) => {
+    const event = e as CustomEvent<{ key?: string }>;
+    if (event.detail?.key === "lessonLocking") {
+      updateCompletionIndicators();
+    }
+  });
 }
 
 /**
@@ -179,6 +297,17 @@ async function loadLesson(lessonId) {
       return;
     }
 
+    // Lessons with unfinished prerequisites stay closed while locking is on
+    const missing = missingPrerequisites(
+      lesson,
+      getLoadedLessons(),
+      completedLessonIds(getProgress()),
+    );
+    if (missing.length > 0 && getValue("lessonLocking") !== false) {
+      displayLockedLesson(lesson, missing);
+      return;
+    }
+
     // Mark as visited
     markLessonVisited(lessonId);
 
@@ -220,7 +349,7 @@ async function navigateLesson(direction) {
   try {
     const lesson =
       direction === "next"
-        ? await getNextLesson(currentLessonId)
+        ? await getRecommendedLesson(currentLessonId)
         : await getPreviousLesson(currentLessonId);
 
     if (lesson) {
@@ -242,8 +371,8 @@ async function handleSearch(query) {
   if (!listContainer) return;
 
   if (!query.trim()) {
-    // Show all categories
-    renderLessonList(currentCategories);
+    // Show all lessons
+    renderCurrentView();
     return;
   }
 
@@ -281,9 +410,10 @@ async function handleSearch(query) {
 /**
  * Handle lesson completion
  * @param {string} lessonId - Lesson ID
+ * @param {number|null} score - Quiz score (0-100), null without quizzes
  */
-async function handleCompleteLesson(lessonId) {
-  markLessonCompleted(lessonId);
+async function handleCompleteLesson(lessonId, score = null) {
+  markLessonCompleted(lessonId, score);
 
   // Update UI
   updateCompletionIndicators();
@@ -292,7 +422,11 @@ async function handleCompleteLesson(lessonId) {
   showCompletionMessage();
 
   // Suggest next lesson
-  const nextLesson = await getNextLesson(lessonId);
+  const nextLesson = recommendNextLesson(
+    getLoadedLessons(),
+    completedLessonIds(getProgress()),
+    lessonId,
+  );
 
   if (nextLesson) {
     setTimeout(() => {
@@ -306,24 +440,100 @@ async function handleCompleteLesson(lessonId) {
 }
 
 /**
- * Update completion indicators in the sidebar
+ * Get the lesson the Next button leads to
+ * That is the recommended lesson, or the next one in course order once
+ * every open lesson is completed.
+ * @param {string} lessonId - Current lesson ID
+ * @returns {Promise<Object|null>} Lesson or null
+ */
+async function getRecommendedLesson(lessonId) {
+  const recommended = recommendNextLesson(
+    getLoadedLessons(),
+    completedLessonIds(getProgress()),
+    lessonId,
+  );
+  return recommended || (await getNextLesson(lessonId));
+}
+
+/**
+ * Update completion and lock indicators in the sidebar
+ * Lessons with unfinished prerequisites are marked; with locking on they
+ * show a lock.
  */
 function updateCompletionIndicators() {
+  const lessons = getLoadedLessons();
+  const completed = completedLessonIds(getProgress());
+  const locking = getValue("lessonLocking") !== false;
+
   document.querySelectorAll(".lesson-item").forEach((item) => {
     const lessonId = item.getAttribute("data-lesson-id");
-    const completed = isLessonCompleted(lessonId);
+    const lesson = lessons.find((other) => other.id === lessonId);
+    const status = lesson
+      ? lessonStatus(lesson, lessons, completed)
+      : completed.has(lessonId)
+        ? "completed"
+        : "available";
     const icon = item.querySelector(".lesson-icon");
 
-    if (completed) {
-      item.classList.add("completed");
-      if (icon) icon.textContent = "✓";
+    item.classList.toggle("completed", status === "completed");
+    item.classList.toggle("needs-prerequisites", status === "locked");
+    item.classList.toggle("locked", status === "locked" && locking);
+    if (icon) {
+      icon.textContent =
+        status === "completed"
+          ? "✓"
+          : status === "locked" && locking
+            ? "🔒"
+            : "○";
+    }
+
+    const link = item.querySelector(".lesson-link");
+    if (link && status === "locked") {
+      const missing = missingPrerequisites(lesson, lessons, completed);
+      link.setAttribute(
+        "title",
+        `Finish first: ${missing.map((other) => other.title).join(", ")}`,
+      );
     } else {
-      item.classList.remove("completed");
-      if (icon) icon.textContent = "○";
+      link?.removeAttribute("title");
     }
   });
 }
 
+/**
+ * Show which lessons to finish before a locked lesson
+ * @param {Object} lesson - The locked lesson
+ * @param {Array} missing - Its unfinished prerequisites
+ */
+function displayLockedLesson(lesson, missing) {
+  const panel = document.querySelector(".lesson-content");
+  if (!panel) return;
+
+  panel.innerHTML = `
+    <div class="lesson-locked">
+      <div class="lesson-locked-icon" aria-hidden="true">🔒</div>
+      <h1>${escapeHtml(lesson.title)}</h1>
+      <p>This lesson builds on lessons you have not completed yet. Finish these first:</p>
+      <ul class="lesson-links">
+        ${missing
+          .map(
+            (other) => `
+          <li><a href="#lesson/${other.id}" data-lesson-id="${other.id}">${escapeHtml(other.title)}</a></li>
+        `,
+          )
+          .join("")}
+      </ul>
+    </div>
+  `;
+
+  panel.querySelectorAll<HTMLElement>("[data-lesson-id]").forEach((link) => {
+    link.addEventListener("click", async (e) => {
+      e.preventDefault();
+      await loadLesson(link.dataset.lessonId);
+    });
+  });
+}
+
 /**
  * Show completion message
  */
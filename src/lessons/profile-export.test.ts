@@ -0,0 +1,51 @@
+/**
+ * Tests for the profile export
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  exportProfile,
+  importProfile,
+  parseProfileExport,
+  PROFILE_EXPORT_VERSION,
+} from "./profile-export.ts";
+import { getProgress, markLessonCompleted } from "./progress.ts";
+import { getValue, initState, setValue } from "../core/state-manager.ts";
+
+describe("Profile export", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    initState();
+  });
+
+  it("round-trips the progress and the state", () => {
+    markLessonCompleted("hello-world", 80);
+    setValue("fontSize", 18);
+    const json = exportProfile();
+
+    const data = parseProfileExport(json);
+    expect(data.version).toBe(PROFILE_EXPORT_VERSION);
+    expect(data.profile.name).toBe("Default");
+
+    localStorage.clear();
+    initState();
+    expect(getProgress().lessons["hello-world"]).toBeUndefined();
+
+    importProfile(json);
+    expect(getProgress().lessons["hello-world"].score).toBe(80);
+    expect(getValue("fontSize")).toBe(18);
+  });
+
+  it("rejects files that are no profile export", () => {
+    expect(() => parseProfileExport("{")).toThrow("not valid JSON");
+    expect(() => parseProfileExport(JSON.stringify({ lessons: {} }))).toThrow(
+      "not a profile export",
+    );
+  });
+
+  it("rejects exports of a newer version", () => {
+    const data = JSON.parse(exportProfile());
+    data.version = PROFILE_EXPORT_VERSION + 1;
+    expect(() => parseProfileExport(JSON.stringify(data))).toThrow("newer");
+  });
+});
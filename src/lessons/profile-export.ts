@@ -0,0 +1,87 @@
+/**
+ * Profile Export
+ * Saves the data of the active learner profile to a file and reads it back
+ *
+ * The file holds the progress (exportProgress) and the state with the
+ * settings and saved code (exportState); the code history is not part of
+ * it. The version is raised whenever the format changes in a way older
+ * versions of the primer cannot read.
+ */
+
+import { exportState, importState } from "../core/state-manager.ts";
+import { getActiveProfile } from "../core/profiles.ts";
+import { exportProgress, importProgress } from "./progress.ts";
+
+export const PROFILE_EXPORT_FORMAT = "dwscript-primer-profile";
+export const PROFILE_EXPORT_VERSION = 1;
+
+export interface ProfileExport {
+  format: typeof PROFILE_EXPORT_FORMAT;
+  version: number;
+  /** ISO time */
+  exportedAt: string;
+  profile: { name: string };
+  progress: Record<string, unknown>;
+  state: Record<string, unknown>;
+}
+
+/**
+ * Export the active profile
+ * @returns {string} JSON
+ */
+export function exportProfile() {
+  const data: ProfileExport = {
+    format: PROFILE_EXPORT_FORMAT,
+    version: PROFILE_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile: { name: getActiveProfile().name },
+    progress: JSON.parse(exportProgress()),
+    state: JSON.parse(exportState()),
+  };
+  return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Read a profile export
+ * @param {string} json - Contents of the file
+ * @returns {ProfileExport}
+ * @throws {Error} If the file is no profile export or too new
+ */
+export function parseProfileExport(json: string): ProfileExport {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error("The file is not valid JSON");
+  }
+  if (data?.format !== PROFILE_EXPORT_FORMAT) {
+    throw new Error("The file is not a profile export");
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error("The file has no valid version");
+  }
+  if (data.version > PROFILE_EXPORT_VERSION) {
+    throw new Error(
+      `The file was exported by a newer version of the primer (format version ${data.version})`,
+    );
+  }
+  if (typeof data.progress?.lessons !== "object") {
+    throw new Error("The file contains no progress");
+  }
+  return data;
+}
+
+/**
+ * Replace the progress and state of the active profile with an export
+ * @param {string} json - Contents of the file
+ * @returns {ProfileExport}
+ * @throws {Error} If the file cannot be read
+ */
+export function importProfile(json: string) {
+  const data = parseProfileExport(json);
+  importProgress(JSON.stringify(data.progress));
+  if (data.state && typeof data.state === "object") {
+    importState(JSON.stringify(data.state));
+  }
+  return data;
+}
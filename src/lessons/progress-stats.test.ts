@@ -0,0 +1,96 @@
+/**
+ * Tests for the progress statistics
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  addDays,
+  calendarWeeks,
+  categoryCompletion,
+  currentStreak,
+  lessonTimes,
+  longestStreak,
+  scoreTrend,
+} from "./progress-stats.ts";
+
+const lessons = [
+  { id: "hello", title: "Hello", category: "fundamentals" },
+  { id: "variables", title: "Variables", category: "fundamentals" },
+  { id: "if", title: "If", category: "control-flow" },
+];
+
+describe("Progress statistics", () => {
+  it("adds days across months and years", () => {
+    expect(addDays("2026-10-31", 1)).toBe("2026-11-01");
+    expect(addDays("2026-01-01", -1)).toBe("2025-12-31");
+  });
+
+  it("counts streaks of days with activity", () => {
+    const activity = {
+      "2026-10-10": 2,
+      "2026-10-11": 1,
+      "2026-10-12": 5,
+      "2026-10-16": 1,
+      "2026-10-17": 3,
+    };
+    expect(currentStreak(activity, "2026-10-17")).toBe(2);
+    // Today is not over yet
+    expect(currentStreak(activity, "2026-10-18")).toBe(2);
+    expect(currentStreak(activity, "2026-10-19")).toBe(0);
+    expect(longestStreak(activity)).toBe(3);
+    expect(longestStreak({})).toBe(0);
+  });
+
+  it("lays out the calendar in weeks from Monday", () => {
+    // 2026-10-15 is a Thursday
+    const weeks = calendarWeeks({ "2026-10-13": 4 }, "2026-10-15", 2);
+    expect(weeks).toHaveLength(2);
+    expect(weeks[0][0].day).toBe("2026-10-05");
+    expect(weeks[1][1]).toEqual({ day: "2026-10-13", count: 4 });
+    expect(weeks[1][2]).toEqual({ day: "2026-10-14", count: 0 });
+    expect(weeks[1][4]).toEqual({ day: "2026-10-16", count: null });
+  });
+
+  it("computes completion per category", () => {
+    const progress = { lessons: { hello: { completed: true } } };
+    expect(categoryCompletion(lessons, progress)).toEqual([
+      { category: "fundamentals", completed: 1, total: 2 },
+      { category: "control-flow", completed: 0, total: 1 },
+    ]);
+  });
+
+  it("follows the average score in the order lessons were completed", () => {
+    const progress = {
+      lessons: {
+        variables: { score: 50, completedAt: "2026-10-12T10:00:00Z" },
+        hello: { score: 100, completedAt: "2026-10-10T10:00:00Z" },
+        if: { completed: true, completedAt: "2026-10-13T10:00:00Z" },
+      },
+    };
+    expect(
+      scoreTrend(progress).map(({ lessonId, score, average }) => ({
+        lessonId,
+        score,
+        average,
+      })),
+    ).toEqual([
+      { lessonId: "hello", score: 100, average: 100 },
+      { lessonId: "variables", score: 50, average: 75 },
+    ]);
+  });
+
+  it("lists the time per lesson, most first", () => {
+    const progress = {
+      lessons: { hello: { timeSpent: 3 }, if: { timeSpent: 12 } },
+    };
+    expect(
+      lessonTimes(lessons, progress).map((entry) => [
+        entry.lesson.id,
+        entry.minutes,
+      ]),
+    ).toEqual([
+      ["if", 12],
+      ["hello", 3],
+    ]);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Progress Statistics
+ * Figures for the progress dashboard, computed from the stored progress
+ *
+ * Days are local dates written like "2026-10-18" (see dayKey in
+ * progress.ts); a day counts towards a streak when the learner did
+ * anything in a lesson that day.
+ */
+
+import { dayKey } from "./progress.ts";
+
+/**
+ * The day a number of days before or after another
+ * @param {string} key - Like "2026-10-18"
+ * @param {number} days - Negative for earlier days
+ * @returns {string}
+ */
+export function addDays(key: string, days: number) {
+  const [year, month, day] = key.split("-").map(Number);
+  return dayKey(new Date(year, month - 1, day + days));
+}
+
+/**
+ * Days in a row with activity, up to today
+ * A streak that ended yesterday still counts, since today is not over.
+ * @param {Object<string, number>} activity - Actions per day
+ * @param {string} today
+ * @returns {number}
+ */
+export function currentStreak(activity = {}, today = dayKey()) {
+  let day = activity[today] ? today : addDays(today, -1);
+  let streak = 0;
+  while (activity[day]) {
+    streak++;
+    day = addDays(day, -1);
+  }
+  return streak;
+}
+
+/**
+ * Most days in a row with activity
+ * @param {Object<string, number>} activity - Actions per day
+ * @returns {number}
+ */
+export function longestStreak(activity = {}) {
+  let longest = 0;
+  Object.keys(activity).forEach((day) => {
+    // Count from the first day of each streak only
+    if (!activity[day] || activity[addDays(day, -1)]) {
+      return;
+    }
+    let length = 0;
+    for (let next = day; activity[next]; next = addDays(next, 1)) {
+      length++;
+    }
+    longest = Math.max(longest, length);
+  });
+  return longest;
+}
+
+/**
+ * The days of a calendar of the last weeks
+ * Weeks start on Monday; the last week is the one of today, and days
+ * after today have no count.
+ * @param {Object<string, number>} activity - Actions per day
+ * @param {string} today
+ * @param {number} weeks - Number of weeks
+ * @returns {Array<Array<{day: string, count: number|null}>>} Weeks of 7 days
+ */
+export function calendarWeeks(activity = {}, today = dayKey(), weeks = 12) {
+  const [year, month, day] = today.split("-").map(Number);
+  const weekday = (new Date(year, month - 1, day).getDay() + 6) % 7;
+  const start = addDays(today, -weekday - (weeks - 1) * 7);
+
+  return Array.from({ length: weeks }, (_, week) =>
+    Array.from({ length: 7 }, (__, index) => {
+      const key = addDays(start, week * 7 + index);
+      return { day: key, count: key > today ? null : activity[key] || 0 };
+    }),
+  );
+}
+
+/**
+ * Completed lessons per category
+ * @param {Array} lessons - All lessons, in course order
+ * @param {Object} progress - Progress from getProgress()
+ * @returns {Array<{category: string, completed: number, total: number}>}
+ */
+export function categoryCompletion(lessons, progress) {
+  const categories = new Map<string, { completed: number; total: number }>();
+  lessons.forEach((lesson) => {
+    const entry = categories.get(lesson.category) || {
+      completed: 0,
+      total: 0,
+    };
+    entry.total++;
+    if (progress.lessons?.[lesson.id]?.completed) {
+      entry.completed++;
+    }
+    categories.set(lesson.category, entry);
+  });
+  return Array.from(categories, ([category, entry]) => ({
+    category,
+    ...entry,
+  }));
+}
+
+/**
+ * Scores of the completed lessons in the order they were completed
+ * @param {Object} progress - Progress from getProgress()
+ * @returns {Array<{lessonId: string, completedAt: Date, score: number, average: number}>}
+ *   With the average of all scores up to each lesson
+ */
+export function scoreTrend(progress) {
+  let sum = 0;
+  return Object.entries(progress.lessons || {})
+    .filter(
+      ([, lesson]: [string, { score?: number; completedAt?: Date }]) =>
+        typeof lesson.score === "number" && lesson.completedAt,
+    )
+    .map(([lessonId, lesson]: [string, { score: number; completedAt }]) => ({
+      lessonId,
+      completedAt: new Date(lesson.completedAt),
+      score: lesson.score,
+    }))
+    .sort((a, b) => a.completedAt.getTime() - b.completedAt.getTime())
+    .map((entry, index) => {
+      sum += entry.score;
+      return { ...entry, average: Math.round(sum / (index + 1)) };
+    });
+}
+
+/**
+ * Time spent per lesson, most first
+ * @param {Array} lessons - All lessons
+ * @param {Object} progress - Progress from getProgress()
+ * @returns {Array<{lesson: Object, minutes: number}>} Lessons with time only
+ */
+export function lessonTimes(lessons, progress) {
+  return lessons
+    .map((lesson) => ({
+      lesson,
+      minutes: progress.lessons?.[lesson.id]?.timeSpent || 0,
+    }))
+    .filter((entry) => entry.minutes > 0)
+    .sort((a, b) => b.minutes - a.minutes);
+}
@@ -0,0 +1,68 @@
+/**
+ * Tests for progress tracking
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  dayKey,
+  exportProgress,
+  getLessonProgress,
+  getProgress,
+  getQuizScore,
+  markAchievementsEarned,
+  markLessonCompleted,
+  markLessonVisited,
+  markQuizAnswered,
+} from "./progress.ts";
+
+describe("Progress", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it("scores the first answer to each quiz", () => {
+    expect(getQuizScore("variables", 0)).toBeNull();
+    expect(getQuizScore("variables", 3)).toBe(0);
+
+    markQuizAnswered("variables", 0, true);
+    markQuizAnswered("variables", 2, false);
+    markQuizAnswered("variables", 2, true);
+
+    expect(getLessonProgress("variables").quizAnswers).toEqual([
+      true,
+      null,
+      false,
+    ]);
+    expect(getQuizScore("variables", 3)).toBe(33);
+
+    markQuizAnswered("variables", 1, true);
+    expect(getQuizScore("variables", 3)).toBe(67);
+  });
+
+  it("keeps the score of a completed lesson", () => {
+    markLessonCompleted("variables", getQuizScore("variables", 2));
+    expect(getLessonProgress("variables").score).toBe(0);
+
+    markLessonCompleted("hello-world", getQuizScore("hello-world", 0));
+    expect(getLessonProgress("hello-world").score).toBeUndefined();
+  });
+
+  it("counts the activity per day", () => {
+    markLessonVisited("variables");
+    markQuizAnswered("variables", 0, true);
+    expect(getProgress().activity).toEqual({ [dayKey()]: 2 });
+    expect(dayKey(new Date(2026, 0, 5, 23, 30))).toBe("2026-01-05");
+  });
+
+  it("keeps the time achievements were first earned", () => {
+    expect(markAchievementsEarned(["first-lesson"])).toEqual(["first-lesson"]);
+    const earnedAt = getProgress().achievements["first-lesson"];
+    expect(markAchievementsEarned(["first-lesson", "streak-3"])).toEqual([
+      "streak-3",
+    ]);
+    expect(getProgress().achievements["first-lesson"]).toBe(earnedAt);
+    expect(JSON.parse(exportProgress()).achievements).toHaveProperty(
+      "streak-3",
+    );
+  });
+});
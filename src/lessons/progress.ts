@@ -3,6 +3,9 @@
  * Manages user progress through lessons
  */
 
+import { profileKey } from "../core/profiles.ts";
+
+// Each learner profile has its own progress under this key
 const STORAGE_KEY = "dwscript-primer-progress";
 
 /**
@@ -12,6 +15,10 @@ const STORAGE_KEY = "dwscript-primer-progress";
  * @property {string} currentLesson - Current lesson ID
  * @property {number} totalTime - Total time spent (minutes)
  * @property {Date} lastAccessed - Last access timestamp
+ * @property {Object<string, number>} activity - Lesson actions and minutes
+ *   per day, by local date ("2026-10-18"), for streaks
+ * @property {Object<string, string>} achievements - Earned achievement IDs
+ *   with the ISO time they were earned
  */
 
 /**
@@ -22,6 +29,9 @@ const STORAGE_KEY = "dwscript-primer-progress";
  * @property {Date} completedAt - Completion timestamp
  * @property {Date} lastVisited - Last visit timestamp
  * @property {Array<boolean>} exercisesCompleted - Exercise completion status
+ * @property {Array<string>} exerciseCode - Code last checked against each
+ *   exercise, for the teacher's gradebook
+ * @property {Array<boolean>} quizAnswers - Whether each quiz was answered right
  * @property {number} score - Optional score (0-100)
  */
 
@@ -31,7 +41,7 @@ const STORAGE_KEY = "dwscript-primer-progress";
  */
 export function getProgress() {
   try {
-    const stored = localStorage.getItem(STORAGE_KEY);
+    const stored = localStorage.getItem(profileKey(STORAGE_KEY));
     if (stored) {
       const progress: any = JSON.parse(stored);
       // Convert date strings back to Date objects
@@ -55,9 +65,32 @@ export function getProgress() {
     currentLesson: null,
     totalTime: 0,
     lastAccessed: new Date(),
+    activity: {},
+    achievements: {},
   };
 }
 
+/**
+ * Local date of a day, as used for the activity
+ * @param {Date} date - Any time of the day
+ * @returns {string} Like "2026-10-18"
+ */
+export function dayKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Count an action or a minute of the learner for today
+ * @param {Progress} progress - Progress object to update
+ */
+function recordActivity(progress) {
+  const today = dayKey();
+  progress.activity = progress.activity || {};
+  progress.activity[today] = (progress.activity[today] || 0) + 1;
+}
+
 /**
  * Save progress to localStorage
  * @param {Progress} progress - Progress object to save
@@ -65,7 +98,7 @@ export function getProgress() {
 export function saveProgress(progress) {
   try {
     progress.lastAccessed = new Date();
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
+    localStorage.setItem(profileKey(STORAGE_KEY), JSON.stringify(progress));
 
     // Dispatch event for UI updates
     window.dispatchEvent(
@@ -95,6 +128,7 @@ export function markLessonVisited(lessonId) {
 
   progress.lessons[lessonId].lastVisited = new Date();
   progress.currentLesson = lessonId;
+  recordActivity(progress);
 
   saveProgress(progress);
 }
@@ -120,6 +154,7 @@ export function markLessonCompleted(lessonId, score = null) {
   if (score !== null) {
     progress.lessons[lessonId].score = score;
   }
+  recordActivity(progress);
 
   saveProgress(progress);
 }
@@ -141,10 +176,81 @@ export function markExerciseCompleted(lessonId, exerciseIndex) {
   }
 
   progress.lessons[lessonId].exercisesCompleted[exerciseIndex] = true;
+  recordActivity(progress);
+
+  saveProgress(progress);
+}
+
+/**
+ * Keep the code a learner checked against an exercise
+ * @param {string} lessonId - Lesson ID
+ * @param {number} exerciseIndex - Exercise index
+ * @param {string} code - The checked code, whether it passed or not
+ */
+export function saveExerciseCode(lessonId, exerciseIndex, code) {
+  const progress = getProgress();
+
+  if (!progress.lessons[lessonId]) {
+    progress.lessons[lessonId] = {
+      completed: false,
+      timeSpent: 0,
+      exercisesCompleted: [],
+    };
+  }
+  if (!progress.lessons[lessonId].exerciseCode) {
+    progress.lessons[lessonId].exerciseCode = [];
+  }
+
+  progress.lessons[lessonId].exerciseCode[exerciseIndex] = code;
 
   saveProgress(progress);
 }
 
+/**
+ * Record the answer to a quiz
+ * Only the first answer counts, so trying again does not raise the score.
+ * @param {string} lessonId - Lesson ID
+ * @param {number} quizIndex - Quiz index
+ * @param {boolean} correct - Whether the answer was right
+ */
+export function markQuizAnswered(lessonId, quizIndex, correct) {
+  const progress = getProgress();
+
+  if (!progress.lessons[lessonId]) {
+    progress.lessons[lessonId] = {
+      completed: false,
+      timeSpent: 0,
+      exercisesCompleted: [],
+    };
+  }
+
+  const answers = progress.lessons[lessonId].quizAnswers || [];
+  if (answers[quizIndex] === undefined || answers[quizIndex] === null) {
+    answers[quizIndex] = correct;
+    progress.lessons[lessonId].quizAnswers = answers;
+    recordActivity(progress);
+    saveProgress(progress);
+  }
+}
+
+/**
+ * Get the quiz score of a lesson
+ * Quizzes that were not answered count as wrong.
+ * @param {string} lessonId - Lesson ID
+ * @param {number} quizCount - Number of quizzes in the lesson
+ * @returns {number|null} Score (0-100), or null if the lesson has no quizzes
+ */
+export function getQuizScore(lessonId, quizCount) {
+  if (!quizCount) return null;
+
+  const answers = getLessonProgress(lessonId)?.quizAnswers || [];
+  const correct = answers
+    .slice(0, quizCount)
+    .filter((answer) => answer === true).length;
+
+  return Math.round((correct / quizCount) * 100);
+}
+
 /**
  * Add time to a lesson
  * @param {string} lessonId - Lesson ID
@@ -163,10 +269,32 @@ export function addLessonTime(lessonId, minutes) {
 
   progress.lessons[lessonId].timeSpent += minutes;
   progress.totalTime += minutes;
+  recordActivity(progress);
 
   saveProgress(progress);
 }
 
+/**
+ * Record achievements as earned
+ * Achievements that were earned before keep their time.
+ * @param {string[]} ids - Achievement IDs
+ * @returns {string[]} The IDs that were not earned before
+ */
+export function markAchievementsEarned(ids) {
+  const progress = getProgress();
+  progress.achievements = progress.achievements || {};
+
+  const earned = ids.filter((id) => !progress.achievements[id]);
+  if (earned.length > 0) {
+    const now = new Date().toISOString();
+    earned.forEach((id) => {
+      progress.achievements[id] = now;
+    });
+    saveProgress(progress);
+  }
+  return earned;
+}
+
 /**
  * Get lesson progress
  * @param {string} lessonId - Lesson ID
@@ -244,13 +372,14 @@ export function resetProgress() {
       "Are you sure you want to reset all progress? This cannot be undone.",
     )
   ) {
-    localStorage.removeItem(STORAGE_KEY);
+    localStorage.removeItem(profileKey(STORAGE_KEY));
     window.dispatchEvent(new CustomEvent("progressReset"));
   }
 }
 
 /**
  * Export progress as JSON
+ * Includes the daily activity and the earned achievements.
  * @returns {string} JSON string of progress
  */
 export function exportProgress() {
@@ -0,0 +1,80 @@
+/**
+ * Tests for quiz checking
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  checkChoice,
+  checkGaps,
+  checkPrediction,
+  fillGaps,
+  splitGaps,
+  type Quiz,
+} from "./quiz.ts";
+import type { ExecuteFunction } from "./content-verifier.ts";
+
+// Runs "programs" that are the text they print; code with "error" in it
+// does not compile
+const fakeExecute: ExecuteFunction = async (code) =>
+  code.includes("error")
+    ? { success: false, errors: [{ message: "Syntax error" }] }
+    : { success: true, output: code };
+
+describe("Quizzes", () => {
+  it("splits and fills the gaps of code", () => {
+    expect(splitGaps("x := ___ + _____;")).toEqual(["x := ", " + ", ";"]);
+    expect(fillGaps("x := ___ + _____;", ["1", "2"])).toBe("x := 1 + 2;");
+    expect(fillGaps("x := ___ + ___;", ["1"])).toBe("x := 1 + ;");
+  });
+
+  it("checks multiple choice answers", () => {
+    const quiz: Quiz = {
+      type: "multipleChoice",
+      question: "?",
+      options: ["a", "b"],
+      answer: 1,
+    };
+    expect(checkChoice(quiz, 1).correct).toBe(true);
+    expect(checkChoice(quiz, 0).correct).toBe(false);
+  });
+
+  it("checks predictions against what the code prints", async () => {
+    const quiz: Quiz = { type: "predictOutput", question: "?", code: "10 3" };
+    expect((await checkPrediction(fakeExecute, quiz, "10 3\n")).correct).toBe(
+      true,
+    );
+    const wrong = await checkPrediction(fakeExecute, quiz, "10 10");
+    expect(wrong).toEqual({
+      correct: false,
+      expectedOutput: "10 3",
+      actualOutput: "10 10",
+    });
+    await expect(
+      checkPrediction(fakeExecute, { ...quiz, code: "error" }, ""),
+    ).rejects.toThrow("does not run: Syntax error");
+  });
+
+  it("runs filled-in code and compares it with the answers", async () => {
+    const quiz: Quiz = {
+      type: "fillInBlank",
+      question: "?",
+      code: "a ___ b",
+      answers: ["+"],
+    };
+    expect((await checkGaps(fakeExecute, quiz, ["+"])).correct).toBe(true);
+    expect(await checkGaps(fakeExecute, quiz, ["-"])).toEqual({
+      correct: false,
+      expectedOutput: "a + b",
+      actualOutput: "a - b",
+    });
+    expect(await checkGaps(fakeExecute, quiz, ["error"])).toEqual({
+      correct: false,
+      error: "Syntax error",
+      expectedOutput: "a + b",
+    });
+    const withOutput = { ...quiz, expectedOutput: "A * B" };
+    expect((await checkGaps(fakeExecute, withOutput, ["*"])).correct).toBe(
+      true,
+    );
+  });
+});
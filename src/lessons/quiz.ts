@@ -0,0 +1,159 @@
+/**
+ * Quizzes
+ * Checks the answers to the quiz blocks of a lesson
+ *
+ * A lesson's "quizzes" hold three kinds of questions:
+ *
+ *   { "type": "multipleChoice", "question": "...", "options": [...], "answer": 1 }
+ *   { "type": "predictOutput", "question": "...", "code": "..." }
+ *   { "type": "fillInBlank", "question": "...", "code": "x := ___;", "answers": ["5"] }
+ *
+ * Predictions are checked against what the code prints when it runs, and
+ * filled-in code is run and its output compared with the output of the
+ * code filled with the "answers", or with "expectedOutput" if the quiz
+ * has one. Gaps are written as three or more underscores.
+ */
+
+import { compareOutput } from "./exercise-validator.ts";
+import type { ExecuteFunction } from "./content-verifier.ts";
+
+export type QuizType = "multipleChoice" | "predictOutput" | "fillInBlank";
+
+export interface Quiz {
+  type: QuizType;
+  /** Markdown */
+  question: string;
+  /** multipleChoice: the choices */
+  options?: string[];
+  /** multipleChoice: index of the right option */
+  answer?: number;
+  /** predictOutput and fillInBlank: the program */
+  code?: string;
+  /** fillInBlank: what goes into the gaps, in order */
+  answers?: string[];
+  /** fillInBlank: output of the filled-in program, instead of running the answers */
+  expectedOutput?: string;
+  /** Shown once the question is answered (Markdown) */
+  explanation?: string;
+}
+
+export interface QuizResult {
+  correct: boolean;
+  /** Why the learner's program did not run */
+  error?: string;
+  expectedOutput?: string;
+  actualOutput?: string;
+}
+
+const GAP = /_{3,}/g;
+
+/**
+ * Split code at its gaps
+ * @param {string} code
+ * @returns {string[]} The code around the gaps, one more part than gaps
+ */
+export function splitGaps(code: string) {
+  return code.split(GAP);
+}
+
+/**
+ * Put values into the gaps of code
+ * @param {string} code
+ * @param {string[]} values - One per gap; missing values leave the gap empty
+ * @returns {string}
+ */
+export function fillGaps(code: string, values: string[]) {
+  let index = 0;
+  return code.replace(GAP, () => values[index++] ?? "");
+}
+
+/**
+ * Check the answer to a multiple choice question
+ * @param {Quiz} quiz
+ * @param {number} choice - Index of the chosen option
+ * @returns {QuizResult}
+ */
+export function checkChoice(quiz: Quiz, choice: number): QuizResult {
+  return { correct: choice === quiz.answer };
+}
+
+/**
+ * Check a prediction of what the quiz's code prints
+ * @param {ExecuteFunction} executeFunc
+ * @param {Quiz} quiz
+ * @param {string} prediction
+ * @returns {Promise<QuizResult>}
+ * @throws {Error} If the quiz's code does not run
+ */
+export async function checkPrediction(
+  executeFunc: ExecuteFunction,
+  quiz: Quiz,
+  prediction: string,
+): Promise<QuizResult> {
+  const output = await run(executeFunc, quiz.code);
+  if (output.error !== undefined) {
+    throw new Error(`The quiz's code does not run: ${output.error}`);
+  }
+  const comparison = compareOutput(prediction, output.text);
+  return {
+    correct: comparison.success,
+    expectedOutput: output.text,
+    actualOutput: prediction,
+  };
+}
+
+/**
+ * Check code with filled-in gaps by running it
+ * @param {ExecuteFunction} executeFunc
+ * @param {Quiz} quiz
+ * @param {string[]} values - What the learner put into the gaps
+ * @returns {Promise<QuizResult>}
+ * @throws {Error} If the quiz's own answers do not run
+ */
+export async function checkGaps(
+  executeFunc: ExecuteFunction,
+  quiz: Quiz,
+  values: string[],
+): Promise<QuizResult> {
+  let expectedOutput = quiz.expectedOutput;
+  if (expectedOutput === undefined) {
+    const reference = await run(
+      executeFunc,
+      fillGaps(quiz.code, quiz.answers || []),
+    );
+    if (reference.error !== undefined) {
+      throw new Error(`The quiz's answers do not run: ${reference.error}`);
+    }
+    expectedOutput = reference.text;
+  }
+
+  const output = await run(executeFunc, fillGaps(quiz.code, values));
+  if (output.error !== undefined) {
+    return { correct: false, error: output.error, expectedOutput };
+  }
+  return {
+    correct: compareOutput(output.text, expectedOutput).success,
+    expectedOutput,
+    actualOutput: output.text,
+  };
+}
+
+/**
+ * Run code and get what it printed
+ * @returns {Promise<{text?: string, error?: string}>}
+ */
+async function run(executeFunc: ExecuteFunction, code: string) {
+  try {
+    const result = await executeFunc(code);
+    if (!result.success) {
+      return {
+        error:
+          result.errors?.[0]?.message ||
+          String(result.error || "Execution failed"),
+      };
+    }
+    return { text: result.output || "" };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
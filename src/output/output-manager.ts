@@ -9,6 +9,7 @@ import {
 } from "../core/executor.ts";
 
 let currentTab = "console";
+let pendingConsoleInput = null;
 
 /**
  * Initialize output panel functionality
@@ -29,7 +30,7 @@ export function initOutputPanels() {
 
 /**
  * Switch to a specific output tab
- * @param {string} tabName - The tab to switch to (console, compiler, graphics)
+ * @param {string} tabName - The tab to switch to (console, compiler, graphics, input, variables)
  */
 export function switchTab(tabName) {
   currentTab = tabName;
@@ -82,10 +83,106 @@ export function appendConsoleOutput(text) {
   showOutput("console");
 }
 
+/**
+ * Replace the console contents without switching tabs
+ * Used by the execution trace to show the output as of an earlier step.
+ * @param {Array<string>} chunks - Output chunks, as passed to appendConsoleOutput
+ */
+export function setConsoleOutput(chunks) {
+  const console = document.querySelector("#output-console .output-content");
+  if (!console) {
+    return;
+  }
+
+  console.innerHTML = "";
+  chunks.forEach((text) => {
+    const line = document.createElement("div");
+    line.textContent = text;
+    console.appendChild(line);
+  });
+  console.scrollTop = console.scrollHeight;
+}
+
+/**
+ * Show an inline input line in the console and wait for the user to submit it
+ * The submitted text is echoed into the transcript.
+ * @returns {Promise<string|null>} Submitted text, or null if cancelled
+ */
+export function requestConsoleInput() {
+  cancelConsoleInput();
+
+  const console = document.querySelector("#output-console .output-content");
+  if (!console) {
+    return Promise.resolve(null);
+  }
+
+  showOutput("console");
+
+  const line = document.createElement("div");
+  line.className = "console-input-line";
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = "console-input";
+  input.autocomplete = "off";
+  input.spellcheck = false;
+  input.setAttribute("aria-label", "Program input, press Enter to submit");
+
+  line.appendChild(input);
+  console.appendChild(line);
+  console.scrollTop = console.scrollHeight;
+  input.focus();
+
+  return new Promise((resolve) => {
+    pendingConsoleInput = { line, resolve };
+
+    input.addEventListener("keydown", (event) => {
+      if (event.key !== "Enter") {
+        return;
+      }
+      event.preventDefault();
+
+      const text = input.value;
+      pendingConsoleInput = null;
+      line.remove();
+
+      const echo = document.createElement("div");
+      echo.className = "console-echo";
+      echo.textContent = text;
+      console.appendChild(echo);
+      console.scrollTop = console.scrollHeight;
+
+      resolve(text);
+    });
+  });
+}
+
+/**
+ * Remove a pending console input line (e.g. when execution is stopped)
+ */
+export function cancelConsoleInput() {
+  if (pendingConsoleInput) {
+    const { line, resolve } = pendingConsoleInput;
+    pendingConsoleInput = null;
+    line.remove();
+    resolve(null);
+  }
+}
+
+/**
+ * Check if the console is waiting for user input
+ * @returns {boolean}
+ */
+export function isConsoleInputPending() {
+  return pendingConsoleInput !== null;
+}
+
 /**
  * Clear console output
  */
 export function clearConsoleOutput() {
+  cancelConsoleInput();
+
   const console = document.querySelector("#output-console .output-content");
   if (console) {
     console.innerHTML = "";
@@ -110,13 +207,13 @@ export function appendCompilerOutput(message, type = "info") {
       // Create clickable error message
       const lineSpan = document.createElement("span");
       lineSpan.className = "error-line-number";
-      lineSpan.textContent = `Line ${parsed.line}${parsed.column ? `:${parsed.column}` : ""}: `;
+      lineSpan.textContent = `${parsed.file ? `${parsed.file}, line` : "Line"} ${parsed.line}${parsed.column ? `:${parsed.column}` : ""}: `;
       lineSpan.style.cursor = "pointer";
       lineSpan.style.textDecoration = "underline";
       lineSpan.title = "Click to jump to line";
 
       lineSpan.addEventListener("click", () => {
-        highlightErrorInEditor(parsed.line, parsed.column);
+        highlightErrorInEditor(parsed.line, parsed.column, parsed.file);
       });
 
       line.appendChild(lineSpan);
@@ -150,6 +247,33 @@ export function clearCompilerOutput() {
   }
 }
 
+/**
+ * Get the scripted program input from the Input tab
+ * @returns {string|null} Input text, or null when the box is empty
+ */
+export function getProgramInput() {
+  const textarea = document.getElementById(
+    "program-input",
+  ) as HTMLTextAreaElement | null;
+  if (!textarea || textarea.value === "") {
+    return null;
+  }
+  return textarea.value;
+}
+
+/**
+ * Set the scripted program input in the Input tab
+ * @param {string} input - Input text, one line per ReadLn
+ */
+export function setProgramInput(input) {
+  const textarea = document.getElementById(
+    "program-input",
+  ) as HTMLTextAreaElement | null;
+  if (textarea) {
+    textarea.value = input || "";
+  }
+}
+
 /**
  * Show a specific output tab
  * @param {string} tabName
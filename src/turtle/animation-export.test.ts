@@ -0,0 +1,48 @@
+/**
+ * Tests for Animation Export
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  planFrames,
+  commandDelay,
+  FINAL_FRAME_DELAY,
+} from "./animation-export.ts";
+
+const forward = { name: "Forward", args: [10] };
+
+describe("Animation Export", () => {
+  it("should pace commands like the animation controller", () => {
+    expect(commandDelay(10)).toBe(10);
+    expect(commandDelay(1)).toBe(460);
+    expect(commandDelay(0)).toBe(0);
+  });
+
+  it("should sample the command timeline at the frame rate", () => {
+    // Speed 8: one command every 110 ms, sampled every 100 ms
+    const frames = planFrames([forward, forward, forward], 8, 10);
+    expect(frames).toEqual([
+      { commandCount: 0, delay: 100 },
+      { commandCount: 1, delay: 100 },
+      { commandCount: 2, delay: 100 },
+      { commandCount: 3, delay: 100 + FINAL_FRAME_DELAY },
+    ]);
+  });
+
+  it("should follow SetSpeed calls in the program", () => {
+    const frames = planFrames(
+      [{ name: "SetSpeed", args: [0] }, forward, forward, forward],
+      1,
+      10,
+    );
+    expect(frames).toEqual([{ commandCount: 4, delay: FINAL_FRAME_DELAY }]);
+  });
+
+  it("should lower the frame rate instead of exceeding the frame limit", () => {
+    const commands = Array.from({ length: 100 }, () => forward);
+    const frames = planFrames(commands, 10, 25, 20);
+    expect(frames.length).toBeLessThanOrEqual(21);
+    expect(frames[1].delay).toBe(50);
+    expect(frames[frames.length - 1].commandCount).toBe(100);
+  });
+});
@@ -0,0 +1,311 @@
+/**
+ * Animation Export
+ * Turns the recorded turtle commands of a run into an animated GIF or WebM
+ *
+ * The commands are replayed on an offscreen turtle engine with the timing of
+ * the animation controller: every command is followed by a pause that
+ * depends on the turtle speed (SetSpeed calls in the program change it).
+ * Frames are sampled from that timeline at the chosen frame rate.
+ */
+
+import {
+  TurtleEngine,
+  SPRITE_COLOR,
+  SPRITE_OUTLINE,
+  TURTLE_COLORS,
+} from "./turtle-engine.ts";
+import { createTurtleAPI } from "./turtle-api.ts";
+import type { TurtleCommand, TurtleRecording } from "./turtle-api.ts";
+import {
+  GifEncoder,
+  PaletteMapper,
+  buildPalette,
+  hexToRGB,
+} from "./gif-encoder.ts";
+
+// Longer animations get a lower frame rate instead of more frames
+export const MAX_FRAMES = 600;
+
+// How long the finished drawing stays on screen before the animation loops
+export const FINAL_FRAME_DELAY = 2000;
+
+// Colors of the turtle sprites, kept exact in GIF palettes
+const SPRITE_COLORS = [SPRITE_COLOR, SPRITE_OUTLINE, ...TURTLE_COLORS];
+
+export interface AnimationExportOptions {
+  format: "gif" | "webm";
+  /** Frames per second */
+  fps: number;
+  /** Output size relative to the canvas */
+  scale: number;
+  /** Draw the turtle sprite on every frame */
+  showTurtle: boolean;
+  /** Turtle speed at the start, 1 (slow) to 10 (fast), 0 = instant */
+  speed: number;
+  /** Called with the fraction of frames done */
+  onProgress?: (progress: number) => void;
+}
+
+/**
+ * One frame of the animation
+ */
+export interface FramePlan {
+  /** Number of commands drawn in this frame */
+  commandCount: number;
+  /** How long the frame is shown, in milliseconds */
+  delay: number;
+}
+
+/**
+ * Pause after a command at a turtle speed, as in AnimationController
+ * @param {number} speed - 0 (instant) to 10
+ * @returns {number} Milliseconds
+ */
+export function commandDelay(speed: number) {
+  return speed === 0 ? 0 : 510 - speed * 50;
+}
+
+/**
+ * Decide which commands each frame shows
+ * Frames that would show the same commands are merged into one longer frame.
+ * @param {Array<TurtleCommand>} commands - Recorded turtle commands
+ * @param {number} startSpeed - Turtle speed before the first command
+ * @param {number} fps - Frames per second
+ * @param {number} maxFrames - Frame limit; the frame rate drops to stay below
+ * @returns {Array<FramePlan>}
+ */
+export function planFrames(
+  commands: TurtleCommand[],
+  startSpeed: number,
+  fps: number,
+  maxFrames = MAX_FRAMES,
+): FramePlan[] {
+  // When each command appears on screen
+  const starts: number[] = [];
+  let speed = startSpeed;
+  let total = 0;
+  commands.forEach(({ name, args }) => {
+    starts.push(total);
+    if (name === "SetSpeed") {
+      speed = Math.max(0, Math.min(10, Number(args[0]) || 0));
+    }
+    total += commandDelay(speed);
+  });
+
+  const interval = Math.max(1000 / fps, total / maxFrames);
+  const frames: FramePlan[] = [];
+  const addFrame = (commandCount: number, delay: number) => {
+    const last = frames[frames.length - 1];
+    if (last && last.commandCount === commandCount) {
+      last.delay += delay;
+    } else {
+      frames.push({ commandCount, delay });
+    }
+  };
+
+  let drawn = 0;
+  for (let frame = 0; frame * interval < total; frame++) {
+    const time = frame * interval;
+    while (drawn < commands.length && starts[drawn] < time) {
+      drawn++;
+    }
+    addFrame(drawn, interval);
+  }
+  addFrame(commands.length, FINAL_FRAME_DELAY);
+
+  return frames;
+}
+
+/**
+ * Check whether the browser can record WebM video from a canvas
+ * @returns {boolean}
+ */
+export function isWebMSupported() {
+  return (
+    typeof MediaRecorder !== "undefined" &&
+    MediaRecorder.isTypeSupported("video/webm") &&
+    typeof HTMLCanvasElement !== "undefined" &&
+    "captureStream" in HTMLCanvasElement.prototype
+  );
+}
+
+/**
+ * Export a recording as an animation
+ * @param {TurtleRecording} recording - Commands from getTurtleRecording()
+ * @param {Object} size - Canvas size the commands were drawn at
+ * @param {AnimationExportOptions} options
+ * @returns {Promise<Blob>} GIF image or WebM video
+ */
+export async function exportAnimation(
+  recording: TurtleRecording,
+  size: { width: number; height: number },
+  options: AnimationExportOptions,
+) {
+  const frames = planFrames(recording.commands, options.speed, options.fps);
+  const replay = new FrameRenderer(recording, size, options);
+
+  if (options.format === "webm") {
+    return recordWebM(replay, frames, options);
+  }
+  return encodeGIF(replay, frames, options);
+}
+
+/**
+ * Replays recorded commands on an offscreen engine and draws frames
+ */
+class FrameRenderer {
+  recording: TurtleRecording;
+  engine: TurtleEngine;
+  api: ReturnType<typeof createTurtleAPI>;
+  frame: HTMLCanvasElement;
+  ctx: CanvasRenderingContext2D;
+  scale: number;
+  showTurtle: boolean;
+  drawn: number;
+
+  constructor(
+    recording: TurtleRecording,
+    size: { width: number; height: number },
+    options: AnimationExportOptions,
+  ) {
+    this.recording = recording;
+    this.scale = options.scale;
+    this.showTurtle = options.showTurtle;
+
+    const canvas = document.createElement("canvas");
+    canvas.width = size.width;
+    canvas.height = size.height;
+    this.engine = new TurtleEngine(canvas);
+    // The sprite is drawn on the frames, not into the drawing
+    this.engine.spriteEnabled = false;
+    this.api = createTurtleAPI(() => this.engine);
+
+    this.frame = document.createElement("canvas");
+    this.frame.width = Math.max(1, Math.round(size.width * this.scale));
+    this.frame.height = Math.max(1, Math.round(size.height * this.scale));
+    this.ctx = this.frame.getContext("2d") as CanvasRenderingContext2D;
+
+    this.rewind();
+  }
+
+  rewind() {
+    this.engine.setState(this.recording.start);
+    this.drawn = 0;
+  }
+
+  /**
+   * Draw the frame showing the first commandCount commands
+   * @param {number} commandCount - Commands to show
+   */
+  draw(commandCount: number) {
+    if (commandCount < this.drawn) {
+      this.rewind();
+    }
+    const { commands } = this.recording;
+    while (this.drawn < commandCount) {
+      const { name, args } = commands[this.drawn++];
+      if (this.api[name]) {
+        this.api[name](...args);
+      }
+    }
+
+    const { width, height } = this.frame;
+    this.ctx.drawImage(this.engine.canvas, 0, 0, width, height);
+    if (this.showTurtle) {
+      [this.engine, ...this.engine.turtles]
+        .filter((turtle) => turtle.visible)
+        .forEach((turtle) => turtle.drawSprite(this.ctx, this.scale));
+    }
+  }
+
+  pixels() {
+    const { width, height } = this.frame;
+    return this.ctx.getImageData(0, 0, width, height).data;
+  }
+}
+
+/**
+ * Encode the frames as a looping GIF
+ */
+async function encodeGIF(
+  replay: FrameRenderer,
+  frames: FramePlan[],
+  options: AnimationExportOptions,
+) {
+  // The palette comes from the first and the finished drawing
+  replay.draw(frames[0].commandCount);
+  const first = replay.pixels();
+  replay.draw(replay.recording.commands.length);
+  const last = replay.pixels();
+  const reserved = options.showTurtle ? SPRITE_COLORS.map(hexToRGB) : [];
+  const palette = buildPalette([first, last], reserved);
+
+  const mapper = new PaletteMapper(palette);
+  const encoder = new GifEncoder(
+    replay.frame.width,
+    replay.frame.height,
+    palette,
+  );
+
+  for (let i = 0; i < frames.length; i++) {
+    replay.draw(frames[i].commandCount);
+    encoder.addFrame(mapper.map(replay.pixels()), frames[i].delay);
+
+    // Keep the page responsive during long encodes
+    if (i % 10 === 9) {
+      options.onProgress?.((i + 1) / frames.length);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+  }
+  options.onProgress?.(1);
+
+  return new Blob([encoder.finish()], { type: "image/gif" });
+}
+
+/**
+ * Record the frames as WebM video
+ * MediaRecorder captures in real time, so this takes as long as the
+ * animation plays.
+ */
+async function recordWebM(
+  replay: FrameRenderer,
+  frames: FramePlan[],
+  options: AnimationExportOptions,
+) {
+  const stream = replay.frame.captureStream(options.fps);
+  const recorder = new MediaRecorder(stream, { mimeType: "video/webm" });
+  const chunks: Blob[] = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size > 0) {
+      chunks.push(e.data);
+    }
+  };
+  const stopped = new Promise((resolve) => {
+    recorder.onstop = resolve;
+  });
+
+  replay.draw(frames[0].commandCount);
+  recorder.start();
+
+  // Repaint at the frame rate, also while a frame is held, so the video
+  // gets frames for the whole duration
+  const interval = 1000 / options.fps;
+  const total = frames.reduce((sum, frame) => sum + frame.delay, 0);
+  let elapsed = 0;
+  for (const frame of frames) {
+    for (let shown = 0; shown < frame.delay; shown += interval) {
+      replay.draw(frame.commandCount);
+      await new Promise((resolve) =>
+        setTimeout(resolve, Math.min(interval, frame.delay - shown)),
+      );
+    }
+    elapsed += frame.delay;
+    options.onProgress?.(elapsed / total);
+  }
+
+  recorder.stop();
+  stream.getTracks().forEach((track) => track.stop());
+  await stopped;
+
+  return new Blob(chunks, { type: "video/webm" });
+}
@@ -0,0 +1,129 @@
+/**
+ * Tests for SVG export of turtle drawings
+ */
+
+import { describe, it, expect } from "vitest";
+import { shapesToSVG } from "./canvas-renderer.ts";
+
+const size = { width: 200, height: 100 };
+
+describe("shapesToSVG", () => {
+  it("should join connected lines with the same pen into one path", () => {
+    const svg = shapesToSVG(
+      [
+        {
+          name: "line",
+          args: { x1: 0, y1: 0, x2: 10, y2: 0, color: "red", width: 2 },
+        },
+        {
+          name: "line",
+          args: { x1: 10, y1: 0, x2: 10, y2: 10, color: "red", width: 2 },
+        },
+        {
+          name: "line",
+          args: { x1: 10, y1: 10, x2: 0, y2: 10, color: "blue", width: 2 },
+        },
+      ],
+      size,
+    );
+
+    expect(svg).toContain(
+      '<path d="M 0 0 L 10 0 L 10 10" fill="none" stroke="red" stroke-width="2"',
+    );
+    expect(svg).toContain('<path d="M 10 10 L 0 10" fill="none" stroke="blue"');
+    expect(svg).toContain('viewBox="0 0 200 100"');
+  });
+
+  it("should export circles, dots, fills and text", () => {
+    const svg = shapesToSVG(
+      [
+        {
+          name: "circle",
+          args: { cx: 50, cy: 50, r: 20, color: "#000", width: 1 },
+        },
+        { name: "dot", args: { cx: 5, cy: 5, r: 2.5, color: "green" } },
+        {
+          name: "fill",
+          args: {
+            points: [
+              { x: 0, y: 0 },
+              { x: 10, y: 0 },
+              { x: 0, y: 10 },
+            ],
+            color: "yellow",
+          },
+        },
+        {
+          name: "text",
+          args: {
+            x: 1,
+            y: 2,
+            text: "a<b",
+            font: "14px sans-serif",
+            color: "black",
+          },
+        },
+      ],
+      size,
+    );
+
+    expect(svg).toContain(
+      '<circle cx="50" cy="50" r="20" fill="none" stroke="#000" stroke-width="1"/>',
+    );
+    expect(svg).toContain('<circle cx="5" cy="5" r="2.5" fill="green"/>');
+    expect(svg).toContain('<polygon points="0,0 10,0 0,10" fill="yellow"/>');
+    expect(svg).toContain(
+      '<text x="1" y="2" fill="black" style="font: 14px sans-serif">a&lt;b</text>',
+    );
+  });
+
+  it("should draw arcs clockwise like the canvas", () => {
+    const quarter = shapesToSVG(
+      [
+        {
+          name: "arc",
+          args: {
+            cx: 0,
+            cy: 0,
+            r: 10,
+            startAngle: 0,
+            endAngle: Math.PI / 2,
+            color: "black",
+            width: 1,
+          },
+        },
+      ],
+      size,
+    );
+    expect(quarter).toContain('d="M 10 0 A 10 10 0 0 1 0 10"');
+
+    // A negative extent goes the long way round, as canvas arc() does
+    const reverse = shapesToSVG(
+      [
+        {
+          name: "arc",
+          args: {
+            cx: 0,
+            cy: 0,
+            r: 10,
+            startAngle: 0,
+            endAngle: -Math.PI / 2,
+            color: "black",
+            width: 1,
+          },
+        },
+      ],
+      size,
+    );
+    expect(reverse).toContain('d="M 10 0 A 10 10 0 1 1 0 -10"');
+  });
+
+  it("should only add a background when it is not white", () => {
+    expect(shapesToSVG([], { ...size, background: "#FFFFFF" })).not.toContain(
+      "<rect",
+    );
+    expect(shapesToSVG([], { ...size, background: "navy" })).toContain(
+      '<rect width="200" height="100" fill="navy"/>',
+    );
+  });
+});
@@ -90,26 +90,27 @@ export function exportAsPNG(canvas, filename = "turtle-drawing.png") {
 }
 
 /**
- * Export canvas as SVG
- * @param {HTMLCanvasElement} canvas
+ * Export the turtle drawing as SVG
+ * @param {Array<Object>} shapes - Shapes recorded by the turtle engine
+ *   (CommandRecorder entries: { name, args })
+ * @param {Object} options - Drawing size and background
  * @param {string} filename - Output filename
  */
-export function exportAsSVG(canvas, filename = "turtle-drawing.svg") {
-  // For SVG export, we'd need to track all drawing commands
-  // This is a simplified version that converts the canvas to an image in SVG
-  const dataURL = canvas.toDataURL("image/png");
-  const svg = `
-    <svg xmlns="http://www.w3.org/2000/svg"
-         xmlns:xlink="http://www.w3.org/1999/xlink"
-         width="${canvas.width}"
-         height="${canvas.height}">
-      <image width="${canvas.width}"
-             height="${canvas.height}"
-             xlink:href="${dataURL}"/>
-    </svg>
-  `;
-
-  const blob = new Blob([svg], { type: "image/svg+xml" });
+export function exportAsSVG(
+  shapes: RecordedShape[],
+  options: SVGOptions,
+  filename = "turtle-drawing.svg",
+) {
+  const svg = shapesToSVG(shapes, options);
+  downloadBlob(new Blob([svg], { type: "image/svg+xml" }), filename);
+}
+
+/**
+ * Offer a file for download
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested filename
+ */
+export function downloadBlob(blob: Blob, filename: string) {
   const url = URL.createObjectURL(blob);
   const link = document.createElement("a");
   link.href = url;
@@ -118,6 +119,182 @@ export function exportAsSVG(canvas, filename = "turtle-drawing.svg") {
   URL.revokeObjectURL(url);
 }
 
+/**
+ * A shape recorded by the turtle engine
+ */
+export interface RecordedShape {
+  /** line, circle, arc, dot, fill or text */
+  name: string;
+  args: {
+    x1?: number;
+    y1?: number;
+    x2?: number;
+    y2?: number;
+    cx?: number;
+    cy?: number;
+    r?: number;
+    startAngle?: number;
+    endAngle?: number;
+    x?: number;
+    y?: number;
+    points?: Array<{ x: number; y: number }>;
+    text?: string;
+    font?: string;
+    color?: string;
+    width?: number;
+  };
+}
+
+/**
+ * Options for shapesToSVG()
+ */
+export interface SVGOptions {
+  width: number;
+  height: number;
+  /** Background fill; omitted for white so cutters only see the drawing */
+  background?: string;
+}
+
+/**
+ * Convert recorded turtle shapes into an SVG document
+ * Consecutive lines with the same pen are joined into one path.
+ * @param {Array<Object>} shapes - Recorded shapes, in drawing order
+ * @param {Object} options - Drawing size and background
+ * @returns {string} SVG markup
+ */
+export function shapesToSVG(shapes: RecordedShape[], options: SVGOptions) {
+  const { width, height, background } = options;
+  const elements = [];
+
+  if (background && !/^(#fff(fff)?|white)$/i.test(background)) {
+    elements.push(
+      `<rect width="${width}" height="${height}" fill="${escapeXML(background)}"/>`,
+    );
+  }
+
+  // Path being built from connected lines
+  let path = null;
+  const flushPath = () => {
+    if (path) {
+      elements.push(
+        `<path d="${path.d}" ${strokeAttributes(path.color, path.width)} stroke-linecap="round" stroke-linejoin="round"/>`,
+      );
+      path = null;
+    }
+  };
+
+  shapes.forEach(({ name, args: a }) => {
+    if (name === "line") {
+      const from = `${num(a.x1)} ${num(a.y1)}`;
+      if (
+        path &&
+        path.end === from &&
+        path.color === a.color &&
+        path.width === a.width
+      ) {
+        path.d += ` L ${num(a.x2)} ${num(a.y2)}`;
+      } else {
+        flushPath();
+        path = {
+          d: `M ${from} L ${num(a.x2)} ${num(a.y2)}`,
+          color: a.color,
+          width: a.width,
+        };
+      }
+      path.end = `${num(a.x2)} ${num(a.y2)}`;
+      return;
+    }
+
+    flushPath();
+    switch (name) {
+      case "circle":
+        elements.push(
+          `<circle cx="${num(a.cx)}" cy="${num(a.cy)}" r="${num(a.r)}" ${strokeAttributes(a.color, a.width)}/>`,
+        );
+        break;
+
+      case "arc":
+        elements.push(arcToSVG(a));
+        break;
+
+      case "dot":
+        elements.push(
+          `<circle cx="${num(a.cx)}" cy="${num(a.cy)}" r="${num(a.r)}" fill="${escapeXML(a.color)}"/>`,
+        );
+        break;
+
+      case "fill": {
+        const points = a.points.map((p) => `${num(p.x)},${num(p.y)}`);
+        elements.push(
+          `<polygon points="${points.join(" ")}" fill="${escapeXML(a.color)}"/>`,
+        );
+        break;
+      }
+
+      case "text":
+        elements.push(
+          `<text x="${num(a.x)}" y="${num(a.y)}" fill="${escapeXML(a.color)}" style="font: ${escapeXML(a.font)}">${escapeXML(a.text)}</text>`,
+        );
+        break;
+    }
+  });
+  flushPath();
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    ...elements.map((element) => `  ${element}`),
+    "</svg>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Convert an arc to an SVG element
+ * Follows CanvasRenderingContext2D.arc() (clockwise): a negative extent
+ * sweeps the long way round, exactly as it appears on the canvas.
+ * @param {Object} a - Arc shape: cx, cy, r, startAngle, endAngle (radians)
+ * @returns {string}
+ */
+function arcToSVG(a) {
+  const fullCircle = 2 * Math.PI;
+  const delta = a.endAngle - a.startAngle;
+  const sweep =
+    delta >= fullCircle
+      ? fullCircle
+      : ((delta % fullCircle) + fullCircle) % fullCircle;
+
+  if (sweep >= fullCircle) {
+    return `<circle cx="${num(a.cx)}" cy="${num(a.cy)}" r="${num(a.r)}" ${strokeAttributes(a.color, a.width)}/>`;
+  }
+
+  const start = pointOnCircle(a, a.startAngle);
+  const end = pointOnCircle(a, a.startAngle + sweep);
+  const largeArc = sweep > Math.PI ? 1 : 0;
+  return `<path d="M ${start} A ${num(a.r)} ${num(a.r)} 0 ${largeArc} 1 ${end}" ${strokeAttributes(a.color, a.width)}/>`;
+}
+
+function pointOnCircle(a, angle) {
+  return `${num(a.cx + a.r * Math.cos(angle))} ${num(a.cy + a.r * Math.sin(angle))}`;
+}
+
+function strokeAttributes(color, width) {
+  return `fill="none" stroke="${escapeXML(color)}" stroke-width="${num(width)}"`;
+}
+
+// Round to 2 decimals; avoids "-0" and long float tails
+function num(value) {
+  const rounded = Math.round(Number(value) * 100) / 100;
+  return String(rounded === 0 ? 0 : rounded);
+}
+
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
 /**
  * Create an off-screen canvas copy
  * @param {HTMLCanvasElement} canvas
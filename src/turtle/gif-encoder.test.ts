@@ -0,0 +1,116 @@
+/**
+ * Tests for GIF Encoder
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  GifEncoder,
+  PaletteMapper,
+  buildPalette,
+  lzwEncode,
+} from "./gif-encoder.ts";
+
+/**
+ * Reference LZW decoder following the GIF89a specification
+ */
+function lzwDecode(data: Uint8Array, minCodeSize: number) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output: number[] = [];
+
+  let table: number[][] = [];
+  let codeSize = minCodeSize + 1;
+  let previous: number[] | null = null;
+  let bit = 0;
+
+  const readCode = () => {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++, bit++) {
+      code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+    }
+    return code;
+  };
+
+  for (;;) {
+    const code = readCode();
+    if (code === clearCode) {
+      table = [];
+      for (let i = 0; i < clearCode + 2; i++) table.push([i]);
+      codeSize = minCodeSize + 1;
+      previous = null;
+      continue;
+    }
+    if (code === endCode) {
+      return output;
+    }
+
+    let entry: number[];
+    if (code < table.length) {
+      entry = table[code];
+    } else {
+      entry = [...previous, previous[0]];
+    }
+    if (previous && table.length < 4096) {
+      table.push([...previous, entry[0]]);
+      if (table.length === 1 << codeSize && codeSize < 12) {
+        codeSize++;
+      }
+    }
+    output.push(...entry);
+    previous = entry;
+  }
+}
+
+describe("GIF Encoder", () => {
+  it("should round-trip LZW data, including table resets", () => {
+    // Pseudo-random indices fill the 4096-entry table several times
+    let seed = 1;
+    const indices = new Uint8Array(30000).map(() => {
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      return (seed >> 16) & 0xff;
+    });
+
+    expect(lzwDecode(lzwEncode(indices, 8), 8)).toEqual([...indices]);
+
+    const runs = new Uint8Array(5000).map((_, i) => (i >> 5) & 3);
+    expect(lzwDecode(lzwEncode(runs, 2), 2)).toEqual([...runs]);
+  });
+
+  it("should write a looping GIF89a with frame delays", () => {
+    const encoder = new GifEncoder(2, 1, [
+      [255, 255, 255],
+      [0, 0, 0],
+    ]);
+    encoder.addFrame(new Uint8Array([0, 1]), 250);
+    const gif = encoder.finish();
+
+    const text = (start: number, length: number) =>
+      String.fromCharCode(...gif.slice(start, start + length));
+    expect(text(0, 6)).toBe("GIF89a");
+    expect([gif[6], gif[7], gif[8], gif[9]]).toEqual([2, 0, 1, 0]);
+    // Global color table with two entries
+    expect(gif[10] & 0x87).toBe(0x80);
+    expect([...gif.slice(13, 19)]).toEqual([255, 255, 255, 0, 0, 0]);
+    expect(text(22, 11)).toBe("NETSCAPE2.0");
+    // Graphic control extension with a 25/100 s delay
+    expect([...gif.slice(38, 44)]).toEqual([0x21, 0xf9, 4, 0, 25, 0]);
+    expect(gif[gif.length - 1]).toBe(0x3b);
+  });
+
+  it("should build a palette of the most frequent colors", () => {
+    const pixels = new Uint8ClampedArray([
+      255, 255, 255, 255, 255, 255, 255, 255, 255, 0, 0, 255, 0, 0, 255, 255,
+    ]);
+    const palette = buildPalette([pixels], [[0, 170, 0]], 3);
+    expect(palette).toEqual([
+      [0, 170, 0],
+      [255, 255, 255],
+      [255, 0, 0],
+    ]);
+
+    const mapper = new PaletteMapper(palette);
+    expect([
+      ...mapper.map(new Uint8ClampedArray([250, 10, 5, 255, 0, 160, 0, 255])),
+    ]).toEqual([2, 0]);
+  });
+});
@@ -0,0 +1,337 @@
+/**
+ * GIF Encoder
+ * Writes animated GIF89a files from RGBA frames
+ *
+ * All frames share one global palette of up to 256 colors, built from
+ * sample frames with buildPalette(). Turtle drawings use few colors apart
+ * from anti-aliased edges, so a frequency-based palette works well.
+ */
+
+export type RGB = [number, number, number];
+
+// GIF LZW codes are at most 12 bits wide
+const MAX_CODE = 4096;
+
+/**
+ * Growable byte buffer
+ */
+class ByteWriter {
+  bytes: Uint8Array;
+  length: number;
+
+  constructor(capacity = 4096) {
+    this.bytes = new Uint8Array(capacity);
+    this.length = 0;
+  }
+
+  byte(value: number) {
+    if (this.length === this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.bytes[this.length++] = value & 0xff;
+  }
+
+  word(value: number) {
+    this.byte(value);
+    this.byte(value >> 8);
+  }
+
+  string(text: string) {
+    for (let i = 0; i < text.length; i++) {
+      this.byte(text.charCodeAt(i));
+    }
+  }
+
+  result() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/**
+ * Encodes frames of palette indices as an animated GIF
+ */
+export class GifEncoder {
+  width: number;
+  height: number;
+  palette: RGB[];
+  /** Bits per palette index (the table holds 2^bits colors) */
+  bits: number;
+  out: ByteWriter;
+  finished: boolean;
+
+  /**
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @param {Array<RGB>} palette - Up to 256 colors
+   * @param {number} loops - Times to repeat, 0 = forever
+   */
+  constructor(width: number, height: number, palette: RGB[], loops = 0) {
+    if (palette.length === 0 || palette.length > 256) {
+      throw new Error("A GIF palette needs 1 to 256 colors");
+    }
+
+    this.width = width;
+    this.height = height;
+    this.palette = palette;
+    this.bits = Math.max(1, Math.ceil(Math.log2(palette.length)));
+    this.out = new ByteWriter(width * height);
+    this.finished = false;
+
+    const out = this.out;
+    out.string("GIF89a");
+    out.word(width);
+    out.word(height);
+    // Global color table, 8 bits per primary
+    out.byte(0x80 | (7 << 4) | (this.bits - 1));
+    out.byte(0); // background color index
+    out.byte(0); // pixel aspect ratio
+
+    for (let i = 0; i < 1 << this.bits; i++) {
+      const [r, g, b] = palette[i] || [0, 0, 0];
+      out.byte(r);
+      out.byte(g);
+      out.byte(b);
+    }
+
+    // Netscape application extension: loop count
+    out.byte(0x21);
+    out.byte(0xff);
+    out.byte(11);
+    out.string("NETSCAPE2.0");
+    out.byte(3);
+    out.byte(1);
+    out.word(loops);
+    out.byte(0);
+  }
+
+  /**
+   * Add a frame
+   * @param {Uint8Array} indices - Palette index of every pixel, row by row
+   * @param {number} delay - How long to show the frame, in milliseconds
+   */
+  addFrame(indices: Uint8Array, delay: number) {
+    if (this.finished) {
+      throw new Error("GIF already finished");
+    }
+    if (indices.length !== this.width * this.height) {
+      throw new Error("Frame size does not match the image size");
+    }
+
+    const out = this.out;
+
+    // Graphic control extension: frame delay in hundredths of a second
+    out.byte(0x21);
+    out.byte(0xf9);
+    out.byte(4);
+    out.byte(0);
+    out.word(Math.max(0, Math.min(0xffff, Math.round(delay / 10))));
+    out.byte(0);
+    out.byte(0);
+
+    // Image descriptor covering the whole image, no local color table
+    out.byte(0x2c);
+    out.word(0);
+    out.word(0);
+    out.word(this.width);
+    out.word(this.height);
+    out.byte(0);
+
+    const minCodeSize = Math.max(2, this.bits);
+    out.byte(minCodeSize);
+    const data = lzwEncode(indices, minCodeSize);
+    for (let i = 0; i < data.length; i += 255) {
+      const block = data.subarray(i, i + 255);
+      out.byte(block.length);
+      block.forEach((value) => out.byte(value));
+    }
+    out.byte(0);
+  }
+
+  /**
+   * Write the trailer
+   * @returns {Uint8Array} The GIF file
+   */
+  finish() {
+    if (!this.finished) {
+      this.out.byte(0x3b);
+      this.finished = true;
+    }
+    return this.out.result();
+  }
+}
+
+/**
+ * Compress palette indices with GIF's variable-width LZW
+ * @param {Uint8Array} indices - Palette indices
+ * @param {number} minCodeSize - Initial code size (bits per index, min 2)
+ * @returns {Uint8Array} Packed codes, least significant bit first
+ */
+export function lzwEncode(indices: Uint8Array, minCodeSize: number) {
+  const out = new ByteWriter(Math.max(256, indices.length >> 1));
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map<number, number>();
+  let buffer = 0;
+  let bufferBits = 0;
+
+  const emit = (code: number) => {
+    buffer |= code << bufferBits;
+    bufferBits += codeSize;
+    while (bufferBits >= 8) {
+      out.byte(buffer);
+      buffer >>>= 8;
+      bufferBits -= 8;
+    }
+  };
+
+  emit(clearCode);
+  if (indices.length === 0) {
+    emit(endCode);
+    if (bufferBits > 0) out.byte(buffer);
+    return out.result();
+  }
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const index = indices[i];
+    const key = (prefix << 8) | index;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode === MAX_CODE) {
+      // Table full: start over
+      emit(clearCode);
+      table = new Map();
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) {
+        codeSize++;
+      }
+      table.set(key, nextCode++);
+    }
+    prefix = index;
+  }
+
+  emit(prefix);
+  emit(endCode);
+  if (bufferBits > 0) {
+    out.byte(buffer);
+  }
+  return out.result();
+}
+
+/**
+ * Pick up to maxColors colors for a set of images
+ * Colors are grouped with 5 bits per channel; the most frequent groups win.
+ * @param {Array<Uint8ClampedArray>} images - RGBA pixel data to sample
+ * @param {Array<RGB>} reserved - Colors that always get an entry
+ * @param {number} maxColors - Palette size limit
+ * @returns {Array<RGB>}
+ */
+export function buildPalette(
+  images: Uint8ClampedArray[],
+  reserved: RGB[] = [],
+  maxColors = 256,
+): RGB[] {
+  const counts = new Map<number, number[]>();
+  images.forEach((data) => {
+    for (let i = 0; i < data.length; i += 4) {
+      const key = colorKey(data[i], data[i + 1], data[i + 2]);
+      const entry = counts.get(key);
+      if (entry) {
+        entry[0]++;
+        entry[1] += data[i];
+        entry[2] += data[i + 1];
+        entry[3] += data[i + 2];
+      } else {
+        counts.set(key, [1, data[i], data[i + 1], data[i + 2]]);
+      }
+    }
+  });
+
+  const palette: RGB[] = reserved.slice(0, maxColors);
+  const taken = new Set(palette.map(([r, g, b]) => colorKey(r, g, b)));
+
+  [...counts.entries()]
+    .filter(([key]) => !taken.has(key))
+    .sort((a, b) => b[1][0] - a[1][0])
+    .slice(0, maxColors - palette.length)
+    .forEach(([, [count, r, g, b]]) => {
+      palette.push([
+        Math.round(r / count),
+        Math.round(g / count),
+        Math.round(b / count),
+      ]);
+    });
+
+  return palette.length > 0 ? palette : [[0, 0, 0]];
+}
+
+/**
+ * Maps RGBA pixels to the nearest palette entry
+ * Lookups are cached per 5-bit color group.
+ */
+export class PaletteMapper {
+  palette: RGB[];
+  cache: Int16Array;
+
+  constructor(palette: RGB[]) {
+    this.palette = palette;
+    this.cache = new Int16Array(1 << 15).fill(-1);
+  }
+
+  /**
+   * @param {Uint8ClampedArray} data - RGBA pixel data
+   * @returns {Uint8Array} Palette index of every pixel
+   */
+  map(data: Uint8ClampedArray) {
+    const indices = new Uint8Array(data.length >> 2);
+    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+      const key = colorKey(data[i], data[i + 1], data[i + 2]);
+      let index = this.cache[key];
+      if (index < 0) {
+        index = this.nearest(data[i], data[i + 1], data[i + 2]);
+        this.cache[key] = index;
+      }
+      indices[p] = index;
+    }
+    return indices;
+  }
+
+  nearest(r: number, g: number, b: number) {
+    let best = 0;
+    let bestDistance = Infinity;
+    this.palette.forEach(([pr, pg, pb], index) => {
+      const distance = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+      if (distance < bestDistance) {
+        best = index;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+}
+
+/**
+ * Parse a #RRGGBB color
+ * @param {string} hex - Color string
+ * @returns {RGB}
+ */
+export function hexToRGB(hex: string): RGB {
+  const value = parseInt(hex.replace("#", ""), 16) || 0;
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+function colorKey(r: number, g: number, b: number) {
+  return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+}
@@ -0,0 +1,245 @@
+/**
+ * Headless Turtle
+ * Runs turtle commands without a canvas and reports the resulting geometry
+ *
+ * A headless engine is a normal TurtleEngine whose drawing context ignores
+ * every call; what it draws is still recorded as shapes (see
+ * TurtleEngine.shapes). Exercise validation uses it to inspect drawings
+ * without touching the visible canvas.
+ */
+
+import { TurtleEngine } from "./turtle-engine.ts";
+import {
+  TurtleAPI,
+  createTurtleAPI,
+  isTurtleQuery,
+  type TurtleCommand,
+} from "./turtle-api.ts";
+
+// Size of the turtle canvas in App.tsx
+const DEFAULT_SIZE = 600;
+
+const noop = () => {};
+
+// Drawing context that draws nothing
+const HEADLESS_CONTEXT = {
+  save: noop,
+  restore: noop,
+  scale: noop,
+  translate: noop,
+  rotate: noop,
+  beginPath: noop,
+  closePath: noop,
+  moveTo: noop,
+  lineTo: noop,
+  arc: noop,
+  stroke: noop,
+  fill: noop,
+  fillRect: noop,
+  fillText: noop,
+};
+
+/**
+ * A point in program coordinates: (0, 0) is the center, y points up
+ */
+export interface Point {
+  x: number;
+  y: number;
+}
+
+/**
+ * State of one turtle after a run
+ */
+export interface TurtleSnapshot {
+  x: number;
+  y: number;
+  heading: number;
+  penDown: boolean;
+  penColor: string;
+  penWidth: number;
+  visible: boolean;
+}
+
+/**
+ * Everything a run drew, in program coordinates
+ */
+export interface TurtleGeometry {
+  width: number;
+  height: number;
+  segments: Array<{ from: Point; to: Point; color: string; width: number }>;
+  circles: Array<{ center: Point; radius: number; color: string }>;
+  /** Angles in radians, in canvas orientation (clockwise from east) */
+  arcs: Array<{
+    center: Point;
+    radius: number;
+    startAngle: number;
+    endAngle: number;
+    color: string;
+  }>;
+  dots: Array<{ center: Point; radius: number; color: string }>;
+  fills: Array<{ points: Point[]; color: string }>;
+  texts: Array<{ position: Point; text: string }>;
+  /** Final turtle states; index 0 is the default turtle */
+  turtles: TurtleSnapshot[];
+}
+
+/**
+ * Create a turtle engine that draws nothing
+ * @param {number} width - Canvas width the program expects
+ * @param {number} height - Canvas height the program expects
+ * @returns {TurtleEngine}
+ */
+export function createHeadlessTurtle(
+  width = DEFAULT_SIZE,
+  height = DEFAULT_SIZE,
+) {
+  const canvas = {
+    width,
+    height,
+    getContext: () => ({ ...HEADLESS_CONTEXT }),
+  } as unknown as HTMLCanvasElement;
+  return new TurtleEngine(canvas);
+}
+
+/**
+ * Replay turtle commands on a headless engine
+ * @param {Array<TurtleCommand>} commands - Turtle API calls ({ name, args })
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {TurtleGeometry}
+ */
+export function replayHeadless(
+  commands: TurtleCommand[],
+  width = DEFAULT_SIZE,
+  height = DEFAULT_SIZE,
+) {
+  const engine = createHeadlessTurtle(width, height);
+  const api = createTurtleAPI(() => engine);
+  commands.forEach(({ name, args }) => {
+    if (api[name]) {
+      api[name](...args);
+    }
+  });
+  return getGeometry(engine);
+}
+
+/**
+ * Run a program against a headless turtle
+ * While `run` is pending, the global turtle functions draw on a fresh
+ * headless engine instead of the canvas. The functions are globals of the
+ * page or, in the worker, of the worker.
+ * @param {Function} run - Starts the program, e.g. () => executeCode(code)
+ * @returns {Promise<Object>} The run's result, the geometry drawn and the
+ *   turtle commands issued
+ */
+export async function runHeadless<T>(run: () => Promise<T>) {
+  const engine = createHeadlessTurtle();
+  const api = createTurtleAPI(() => engine);
+  const commands: TurtleCommand[] = [];
+
+  const saved: Record<string, unknown> = {};
+  Object.keys(TurtleAPI).forEach((name) => {
+    saved[name] = globalThis[name];
+    globalThis[name] = isTurtleQuery(name)
+      ? api[name]
+      : (...args) => {
+          commands.push({ name, args });
+          return api[name](...args);
+        };
+  });
+
+  try {
+    const result = await run();
+    return { result, geometry: getGeometry(engine), commands };
+  } finally {
+    Object.keys(saved).forEach((name) => {
+      if (saved[name] === undefined) {
+        delete globalThis[name];
+      } else {
+        globalThis[name] = saved[name];
+      }
+    });
+  }
+}
+
+/**
+ * Read the geometry an engine has drawn
+ * @param {TurtleEngine} engine - Default turtle of the drawing
+ * @returns {TurtleGeometry}
+ */
+export function getGeometry(engine: TurtleEngine): TurtleGeometry {
+  const { width, height } = engine.canvas;
+  const toPoint = (x: number, y: number) => ({
+    x: x - width / 2,
+    y: height / 2 - y,
+  });
+
+  const geometry: TurtleGeometry = {
+    width,
+    height,
+    segments: [],
+    circles: [],
+    arcs: [],
+    dots: [],
+    fills: [],
+    texts: [],
+    turtles: [engine, ...engine.turtles].map((turtle) => ({
+      ...toPoint(turtle.x, turtle.y),
+      heading: turtle.heading,
+      penDown: turtle.penDown,
+      penColor: turtle.penColor,
+      penWidth: turtle.penWidth,
+      visible: turtle.visible,
+    })),
+  };
+
+  engine.shapes.getCommands().forEach(({ name, args }) => {
+    switch (name) {
+      case "line":
+        geometry.segments.push({
+          from: toPoint(args.x1, args.y1),
+          to: toPoint(args.x2, args.y2),
+          color: args.color,
+          width: args.width,
+        });
+        break;
+      case "circle":
+        geometry.circles.push({
+          center: toPoint(args.cx, args.cy),
+          radius: args.r,
+          color: args.color,
+        });
+        break;
+      case "arc":
+        geometry.arcs.push({
+          center: toPoint(args.cx, args.cy),
+          radius: args.r,
+          startAngle: args.startAngle,
+          endAngle: args.endAngle,
+          color: args.color,
+        });
+        break;
+      case "dot":
+        geometry.dots.push({
+          center: toPoint(args.cx, args.cy),
+          radius: args.r,
+          color: args.color,
+        });
+        break;
+      case "fill":
+        geometry.fills.push({
+          points: args.points.map((p) => toPoint(p.x, p.y)),
+          color: args.color,
+        });
+        break;
+      case "text":
+        geometry.texts.push({
+          position: toPoint(args.x, args.y),
+          text: args.text,
+        });
+        break;
+    }
+  });
+
+  return geometry;
+}
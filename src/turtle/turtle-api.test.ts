@@ -0,0 +1,89 @@
+/**
+ * Tests for the Turtle Graphics API
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import { createTurtleAPI, usesTurtleAPI } from "./turtle-api.ts";
+import { TurtleEngine, TURTLE_COLORS } from "./turtle-engine.ts";
+import { createHeadlessTurtle } from "./headless-turtle.ts";
+import { shapesToSVG } from "./canvas-renderer.ts";
+
+describe("Turtle API", () => {
+  let engine: TurtleEngine;
+  let api: ReturnType<typeof createTurtleAPI>;
+
+  beforeEach(() => {
+    engine = createHeadlessTurtle(200, 200);
+    api = createTurtleAPI(() => engine);
+  });
+
+  it("should give each new turtle its own handle and state", () => {
+    const a = api.NewTurtle() as number;
+    const b = api.NewTurtle() as number;
+    expect([a, b]).toEqual([1, 2]);
+
+    api.TurtleTurnRight(a, 90);
+    api.TurtleForward(a, 50);
+    api.TurtleForward(b, 30);
+    api.Forward(10);
+
+    expect([api.TurtleGetX(a), api.TurtleGetY(a)]).toEqual([50, 0]);
+    expect(api.TurtleGetY(b)).toBeCloseTo(30);
+    expect(api.GetY()).toBeCloseTo(10);
+    expect(api.TurtleGetY(0)).toBeCloseTo(10);
+    expect(engine.getTurtle(b).penColor).toBe(TURTLE_COLORS[1]);
+  });
+
+  it("should draw every turtle into the shared shapes", () => {
+    const t = api.NewTurtle();
+    api.TurtleSetPenColor(t, "red");
+    api.TurtleForward(t, 20);
+    api.Forward(20);
+
+    expect(engine.shapes.getCommands().map((s) => s.args.color)).toEqual([
+      "red",
+      "#000000",
+    ]);
+  });
+
+  it("should ignore unknown handles and drop turtles on Reset", () => {
+    expect(api.TurtleGetX(5)).toBe(0);
+    expect(() => api.TurtleForward(5, 10)).not.toThrow();
+
+    const t = api.NewTurtle() as number;
+    api.Reset();
+    expect(engine.getTurtle(t)).toBeNull();
+    expect(api.NewTurtle()).toBe(1);
+  });
+
+  it("should fill circles and arcs", () => {
+    api.BeginFill();
+    api.Circle(50);
+    api.EndFill();
+
+    const fill = engine.shapes.getCommands().find((s) => s.name === "fill");
+    const points = fill.args.points as Array<{ x: number; y: number }>;
+    const distances = points
+      .slice(1)
+      .map((p) => Math.hypot(p.x - engine.x, p.y - engine.y));
+    expect(distances.length).toBeGreaterThan(36);
+    distances.forEach((distance) => expect(distance).toBeCloseTo(50));
+    expect(
+      shapesToSVG(engine.shapes.getCommands(), { width: 200, height: 200 }),
+    ).toContain("<polygon");
+
+    api.BeginFill();
+    api.Arc(50, 90);
+    api.EndFill();
+    expect(
+      engine.shapes.getCommands().filter((s) => s.name === "fill"),
+    ).toHaveLength(2);
+  });
+
+  it("should find programs that call the turtle API", () => {
+    expect(usesTurtleAPI("forward(50);\nTurnLeft(90);")).toBe(true);
+    expect(usesTurtleAPI("var t := NewTurtle;")).toBe(true);
+    expect(usesTurtleAPI("// Forward(50)\nPrintLn('Forward');")).toBe(false);
+    expect(usesTurtleAPI("list.Clear;")).toBe(false);
+  });
+});
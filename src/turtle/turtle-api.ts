@@ -4,12 +4,37 @@
  */
 
 import { TurtleEngine } from "./turtle-engine.ts";
+import type { TurtleState } from "./turtle-engine.ts";
 import { AnimationController } from "./animation.ts";
 import { exportAsPNG, exportAsSVG, drawGrid } from "./canvas-renderer.ts";
+import { tokenize } from "../editor/dwscript-tokenizer.ts";
+
+// Programs issuing more commands keep drawing, but stop being recorded
+export const MAX_RECORDED_COMMANDS = 100000;
+
+/**
+ * One call to the turtle API
+ */
+export interface TurtleCommand {
+  name: string;
+  args: unknown[];
+}
+
+/**
+ * The turtle commands issued since the canvas was last cleared
+ */
+export interface TurtleRecording {
+  /** Turtle state when the canvas was cleared */
+  start: TurtleState;
+  commands: TurtleCommand[];
+  /** More than MAX_RECORDED_COMMANDS commands were issued */
+  truncated: boolean;
+}
 
 let turtleEngine: TurtleEngine | null = null;
 let animationController: AnimationController | null = null;
 let gridVisible = false;
+let recording: TurtleRecording | null = null;
 
 /**
  * Initialize turtle graphics system
@@ -18,6 +43,7 @@ let gridVisible = false;
 export function initTurtle(canvas: HTMLCanvasElement) {
   turtleEngine = new TurtleEngine(canvas);
   animationController = new AnimationController(turtleEngine);
+  restartRecording();
   return turtleEngine;
 }
 
@@ -37,145 +63,492 @@ export function getAnimationController(): AnimationController | null {
   return animationController;
 }
 
+// Per-turtle versions take the turtle handle as first argument and are named
+// "Turtle" plus the command name, e.g. TurtleForward(t, 50)
+const PER_TURTLE_NAMES = {
+  ShowTurtle: "TurtleShow",
+  HideTurtle: "TurtleHide",
+};
+
+type TurtleFunction = (...args: unknown[]) => unknown;
+
 /**
- * Create global turtle API for DWScript
- * These functions will be exposed to the DWScript runtime
+ * DWScript signature of a turtle API function
  */
-export const TurtleAPI = {
-  // Basic movement
-  Forward: (distance) => {
-    if (turtleEngine) turtleEngine.forward(Number(distance));
-  },
+export interface TurtleSignature {
+  name: string;
+  /** Parameters as "name: Type" */
+  parameters: string[];
+  /** Result type of functions; procedures have none */
+  result?: string;
+  documentation: string;
+}
 
-  Backward: (distance) => {
-    if (turtleEngine) turtleEngine.backward(Number(distance));
+// Signatures of the commands; per-turtle versions add the handle in front
+const SIGNATURES: Record<string, Omit<TurtleSignature, "name">> = {
+  Forward: {
+    parameters: ["distance: Float"],
+    documentation: "Moves the turtle forward by the given distance",
   },
-
-  TurnLeft: (angle) => {
-    if (turtleEngine) turtleEngine.turnLeft(Number(angle));
+  Backward: {
+    parameters: ["distance: Float"],
+    documentation: "Moves the turtle backward by the given distance",
   },
-
-  TurnRight: (angle) => {
-    if (turtleEngine) turtleEngine.turnRight(Number(angle));
+  TurnLeft: {
+    parameters: ["angle: Float"],
+    documentation: "Turns the turtle left by the given angle in degrees",
   },
-
-  SetHeading: (angle) => {
-    if (turtleEngine) turtleEngine.setHeading(Number(angle));
+  TurnRight: {
+    parameters: ["angle: Float"],
+    documentation: "Turns the turtle right by the given angle in degrees",
   },
-
-  // Pen control
-  PenUp: () => {
-    if (turtleEngine) turtleEngine.penUp();
+  SetHeading: {
+    parameters: ["angle: Float"],
+    documentation: "Points the turtle in a direction in degrees (0 = north)",
   },
-
-  PenDown: () => {
-    if (turtleEngine) turtleEngine.penDownCmd();
+  PenUp: {
+    parameters: [],
+    documentation: "Lifts the pen: the turtle moves without drawing",
   },
-
-  SetPenColor: (color) => {
-    if (turtleEngine) turtleEngine.setPenColor(String(color));
+  PenDown: {
+    parameters: [],
+    documentation: "Lowers the pen: the turtle draws as it moves",
   },
-
-  SetPenWidth: (width) => {
-    if (turtleEngine) turtleEngine.setPenWidth(Number(width));
+  SetPenColor: {
+    parameters: ["color: String"],
+    documentation: "Sets the pen color, e.g. 'red' or '#FF0000'",
   },
-
-  SetFillColor: (color) => {
-    if (turtleEngine) turtleEngine.setFillColor(String(color));
+  SetPenWidth: {
+    parameters: ["width: Float"],
+    documentation: "Sets the pen width in pixels",
   },
-
-  // Position and state
-  Home: () => {
-    if (turtleEngine) turtleEngine.home();
+  SetFillColor: {
+    parameters: ["color: String"],
+    documentation: "Sets the color used by EndFill",
   },
-
-  SetPosition: (x, y) => {
-    if (turtleEngine) turtleEngine.setPosition(Number(x), Number(y));
+  Home: {
+    parameters: [],
+    documentation: "Moves the turtle to the center and points it north",
   },
-
-  GetX: () => {
-    return turtleEngine ? turtleEngine.getX() : 0;
+  SetPosition: {
+    parameters: ["x: Float", "y: Float"],
+    documentation: "Moves the turtle to a position; (0, 0) is the center",
   },
-
-  GetY: () => {
-    return turtleEngine ? turtleEngine.getY() : 0;
+  GetX: {
+    parameters: [],
+    result: "Float",
+    documentation: "Returns the turtle's x position",
   },
-
-  GetHeading: () => {
-    return turtleEngine ? turtleEngine.getHeading() : 0;
+  GetY: {
+    parameters: [],
+    result: "Float",
+    documentation: "Returns the turtle's y position",
   },
-
-  // Drawing shapes
-  Circle: (radius) => {
-    if (turtleEngine) turtleEngine.circle(Number(radius));
+  GetHeading: {
+    parameters: [],
+    result: "Float",
+    documentation: "Returns the turtle's heading in degrees (0 = north)",
   },
-
-  Arc: (radius, extent) => {
-    if (turtleEngine) turtleEngine.arc(Number(radius), Number(extent));
+  Circle: {
+    parameters: ["radius: Float"],
+    documentation: "Draws a circle around the turtle",
   },
-
-  Dot: (size) => {
-    if (turtleEngine) turtleEngine.dot(size ? Number(size) : 5);
+  Arc: {
+    parameters: ["radius: Float", "extent: Float"],
+    documentation:
+      "Draws an arc of the given extent in degrees, turning as it goes",
   },
-
-  // Fill operations
-  BeginFill: () => {
-    if (turtleEngine) turtleEngine.beginFill();
+  Dot: {
+    parameters: ["size: Float = 5"],
+    documentation: "Draws a filled dot at the turtle's position",
   },
-
-  EndFill: () => {
-    if (turtleEngine) turtleEngine.endFill();
+  BeginFill: {
+    parameters: [],
+    documentation: "Starts recording the outline of a shape to fill",
   },
-
-  // Canvas control
-  Clear: () => {
-    if (turtleEngine) turtleEngine.clear();
+  EndFill: {
+    parameters: [],
+    documentation: "Fills the shape drawn since BeginFill",
   },
-
-  SetBackground: (color) => {
-    if (turtleEngine) turtleEngine.setBackgroundColor(String(color));
+  ShowTurtle: {
+    parameters: [],
+    documentation: "Shows the turtle sprite",
   },
-
-  // Turtle visibility
-  ShowTurtle: () => {
-    if (turtleEngine) {
-      turtleEngine.showTurtle();
-      turtleEngine.redraw();
-    }
+  HideTurtle: {
+    parameters: [],
+    documentation: "Hides the turtle sprite",
   },
-
-  HideTurtle: () => {
-    if (turtleEngine) turtleEngine.hideTurtle();
+  Write: {
+    parameters: ["text: String", "font: String = '14px sans-serif'"],
+    documentation: "Writes text on the canvas at the turtle's position",
   },
-
-  // Animation speed
-  SetSpeed: (speed) => {
-    if (turtleEngine) turtleEngine.setSpeed(Number(speed));
+  Clear: {
+    parameters: [],
+    documentation: "Clears the canvas",
   },
-
-  // Text
-  Write: (text, font) => {
-    if (turtleEngine) {
-      turtleEngine.write(String(text), font ? String(font) : undefined);
-    }
+  SetBackground: {
+    parameters: ["color: String"],
+    documentation: "Sets the canvas background color",
   },
-
-  // Utility functions
-  Reset: () => {
-    if (turtleEngine) turtleEngine.reset();
+  SetSpeed: {
+    parameters: ["speed: Integer"],
+    documentation:
+      "Sets the animation speed, 1 (slow) to 10 (fast), 0 = instant",
+  },
+  Reset: {
+    parameters: [],
+    documentation:
+      "Clears the canvas, resets the turtle and removes added turtles",
+  },
+  NewTurtle: {
+    parameters: [],
+    result: "Integer",
+    documentation:
+      "Adds a turtle in the center of the canvas and returns its handle",
   },
 };
 
+/**
+ * Create the commands that act on a single turtle
+ * @param {Function} getTurtle - Returns the turtle the commands move
+ * @returns {Object} Functions by DWScript name
+ */
+function createTurtleCommands(
+  getTurtle: () => TurtleEngine | null,
+): Record<string, TurtleFunction> {
+  return {
+    // Basic movement
+    Forward: (distance) => {
+      const turtle = getTurtle();
+      if (turtle) turtle.forward(Number(distance));
+    },
+
+    Backward: (distance) => {
+      const turtle = getTurtle();
+      if (turtle) turtle.backward(Number(distance));
+    },
+
+    TurnLeft: (angle) => {
+      const turtle = getTurtle();
+      if (turtle) turtle.turnLeft(Number(angle));
+    },
+
+    TurnRight: (angle) => {
+      const turtle = getTurtle();
+      if (turtle) turtle.turnRight(Number(angle));
+    },
+
+    SetHeading: (angle) => {
+      const turtle = getTurtle();
+      if (turtle) turtle.setHeading(Number(angle));
+    },
+
+    // Pen control
+    PenUp: () => {
+      const turtle = getTurtle();
+      if (turtle) turtle.penUp();
+    },
+
+    PenDown: () => {
+      const turtle = getTurtle();
+      if (turtle) turtle.penDownCmd();
+    },
+
+    SetPenColor: (color) => {
+      const turtle = getTurtle();
+      if (turtle) turtle.setPenColor(String(color));
+    },
+
+    SetPenWidth: (width) => {
+      const turtle = getTurtle();
+      if (turtle) turtle.setPenWidth(Number(width));
+    },
+
+    SetFillColor: (color) => {
+      const turtle = getTurtle();
+      if (turtle) turtle.setFillColor(String(color));
+    },
+
+    // Position and state
+    Home: () => {
+      const turtle = getTurtle();
+      if (turtle) turtle.home();
+    },
+
+    SetPosition: (x, y) => {
+      const turtle = getTurtle();
+      if (turtle) turtle.setPosition(Number(x), Number(y));
+    },
+
+    GetX: () => {
+      const turtle = getTurtle();
+      return turtle ? turtle.getX() : 0;
+    },
+
+    GetY: () => {
+      const turtle = getTurtle();
+      return turtle ? turtle.getY() : 0;
+    },
+
+    GetHeading: () => {
+      const turtle = getTurtle();
+      return turtle ? turtle.getHeading() : 0;
+    },
+
+    // Drawing shapes
+    Circle: (radius) => {
+      const turtle = getTurtle();
+      if (turtle) turtle.circle(Number(radius));
+    },
+
+    Arc: (radius, extent) => {
+      const turtle = getTurtle();
+      if (turtle) turtle.arc(Number(radius), Number(extent));
+    },
+
+    Dot: (size) => {
+      const turtle = getTurtle();
+      if (turtle) turtle.dot(size ? Number(size) : 5);
+    },
+
+    // Fill operations
+    BeginFill: () => {
+      const turtle = getTurtle();
+      if (turtle) turtle.beginFill();
+    },
+
+    EndFill: () => {
+      const turtle = getTurtle();
+      if (turtle) turtle.endFill();
+    },
+
+    // Turtle visibility
+    ShowTurtle: () => {
+      const turtle = getTurtle();
+      if (turtle) {
+        turtle.showTurtle();
+        turtle.redraw();
+      }
+    },
+
+    HideTurtle: () => {
+      const turtle = getTurtle();
+      if (turtle) turtle.hideTurtle();
+    },
+
+    // Text
+    Write: (text, font) => {
+      const turtle = getTurtle();
+      if (turtle) {
+        turtle.write(String(text), font ? String(font) : undefined);
+      }
+    },
+  };
+}
+
+/**
+ * Create the turtle API functions for DWScript
+ * The plain commands (Forward, TurnLeft, ...) move the default turtle.
+ * NewTurtle adds a turtle and returns its handle, which the per-turtle
+ * commands (TurtleForward(t, 50), ...) take as first argument.
+ * @param {Function} getEngine - Returns the engine the functions draw on
+ * @returns {Object} Functions by DWScript name
+ */
+export function createTurtleAPI(
+  getEngine: () => TurtleEngine | null,
+): Record<string, TurtleFunction> {
+  const commands = createTurtleCommands(getEngine);
+  const api: Record<string, TurtleFunction> = {
+    ...commands,
+
+    // Canvas control
+    Clear: () => {
+      const engine = getEngine();
+      if (engine) engine.clear();
+    },
+
+    SetBackground: (color) => {
+      const engine = getEngine();
+      if (engine) engine.setBackgroundColor(String(color));
+    },
+
+    // Animation speed
+    SetSpeed: (speed) => {
+      const engine = getEngine();
+      if (engine) engine.setSpeed(Number(speed));
+    },
+
+    // Utility functions
+    Reset: () => {
+      const engine = getEngine();
+      if (engine) engine.reset();
+    },
+
+    // Multiple turtles
+    NewTurtle: () => {
+      const engine = getEngine();
+      return engine ? engine.addTurtle() : 0;
+    },
+  };
+
+  // Commands of added turtles, created on first use
+  const turtleCommands = new WeakMap<
+    TurtleEngine,
+    Record<string, TurtleFunction>
+  >();
+  Object.keys(commands).forEach((name) => {
+    api[perTurtleName(name)] = (handle, ...args) => {
+      const turtle = getEngine()?.getTurtle(Number(handle));
+      if (!turtle) {
+        return isTurtleQuery(name) ? 0 : undefined;
+      }
+      if (!turtleCommands.has(turtle)) {
+        turtleCommands.set(
+          turtle,
+          createTurtleCommands(() => turtle),
+        );
+      }
+      return turtleCommands.get(turtle)[name](...args);
+    };
+  });
+
+  return api;
+}
+
+function perTurtleName(name: string) {
+  return PER_TURTLE_NAMES[name] || `Turtle${name}`;
+}
+
+/**
+ * Global turtle API for DWScript, drawing on the turtle canvas
+ * These functions will be exposed to the DWScript runtime
+ */
+export const TurtleAPI = createTurtleAPI(() => turtleEngine);
+
 /**
  * Install turtle API into global scope for DWScript
  */
 export function installTurtleAPI() {
   if (typeof window !== "undefined") {
-    // Make turtle functions available globally
-    Object.assign(window, TurtleAPI);
+    // Make turtle functions available globally, recording every call that
+    // changes the drawing so it can be exported as an animation
+    Object.keys(TurtleAPI).forEach((name) => {
+      const command = TurtleAPI[name];
+      window[name] = isTurtleQuery(name)
+        ? command
+        : (...args) => {
+            recordCommand(name, args);
+            return command(...args);
+          };
+    });
   }
 }
 
+/**
+ * Get the DWScript signatures of the turtle API functions
+ * @returns {Array<TurtleSignature>} One entry per TurtleAPI function
+ */
+export function getTurtleSignatures(): TurtleSignature[] {
+  const perTurtle = new Map(
+    Object.keys(SIGNATURES).map((name) => [perTurtleName(name), name]),
+  );
+
+  return Object.keys(TurtleAPI).flatMap((name) => {
+    if (SIGNATURES[name]) {
+      return [{ name, ...SIGNATURES[name] }];
+    }
+    const signature = SIGNATURES[perTurtle.get(name)];
+    if (!signature) {
+      return [];
+    }
+    return [
+      {
+        ...signature,
+        name,
+        parameters: ["turtle: Integer", ...signature.parameters],
+      },
+    ];
+  });
+}
+
+/**
+ * Check whether a turtle API function only reads state
+ * @param {string} name - Function name
+ * @returns {boolean}
+ */
+export function isTurtleQuery(name: string) {
+  return /^(Turtle)?Get[A-Z]/.test(name);
+}
+
+/**
+ * Check whether a program calls the turtle API
+ * Only the page has a turtle canvas, so such programs cannot draw when
+ * they run in the worker.
+ * @param {string} code - DWScript source
+ * @returns {boolean}
+ */
+export function usesTurtleAPI(code: string) {
+  const names = new Set(
+    Object.keys(TurtleAPI).map((name) => name.toLowerCase()),
+  );
+  return tokenize(code).some(
+    (token, index, tokens) =>
+      token.type === "identifier" &&
+      names.has(token.lower) &&
+      tokens[index - 1]?.value !== ".",
+  );
+}
+
+/**
+ * Get the turtle commands issued since the canvas was last cleared
+ * @returns {TurtleRecording|null}
+ */
+export function getTurtleRecording(): TurtleRecording | null {
+  return recording;
+}
+
+function recordCommand(name: string, args: unknown[]) {
+  if (!recording) return;
+  if (recording.commands.length >= MAX_RECORDED_COMMANDS) {
+    recording.truncated = true;
+    return;
+  }
+  recording.commands.push({ name, args });
+}
+
+// Start a new recording from the engine's current state
+function restartRecording() {
+  recording = turtleEngine
+    ? { start: turtleEngine.getState(), commands: [], truncated: false }
+    : null;
+}
+
+/**
+ * Redraw the canvas from a list of recorded turtle commands
+ * Starts from a reset turtle and plays the commands through the animation
+ * controller, e.g. to show an execution trace at an earlier step.
+ * @param {Array<Object>} commands - Turtle API calls ({ name, args })
+ * @param {string} background - Canvas background before the first command
+ */
+export function replayTurtleCommands(
+  commands: TurtleCommand[],
+  background?: string,
+) {
+  if (!turtleEngine || !animationController) return;
+
+  if (background) {
+    turtleEngine.backgroundColor = background;
+  }
+  turtleEngine.reset();
+  animationController.clear();
+  commands.forEach(({ name, args }) => {
+    if (TurtleAPI[name]) {
+      animationController.addCommand(TurtleAPI[name], args);
+    }
+  });
+  animationController.executeAll();
+}
+
 /**
  * Toggle grid visibility
  */
@@ -201,10 +574,8 @@ export function toggleGrid() {
     // Restore previous drawing
     ctx.putImageData(imageData, 0, 0);
 
-    // Redraw turtle if visible
-    if (turtleEngine.visible) {
-      turtleEngine.drawTurtle();
-    }
+    // Redraw the turtles
+    turtleEngine.redraw();
   }
   return gridVisible;
 }
@@ -226,11 +597,15 @@ export function exportCanvasPNG() {
 }
 
 /**
- * Export canvas as SVG
+ * Export the drawing as vector SVG
  */
 export function exportCanvasSVG() {
   if (turtleEngine && turtleEngine.canvas) {
-    exportAsSVG(turtleEngine.canvas);
+    exportAsSVG(turtleEngine.shapes.getCommands(), {
+      width: turtleEngine.canvas.width,
+      height: turtleEngine.canvas.height,
+      background: turtleEngine.backgroundColor,
+    });
   }
 }
 
@@ -240,6 +615,7 @@ export function exportCanvasSVG() {
 export function clearTurtle() {
   if (turtleEngine) {
     turtleEngine.clear();
+    restartRecording();
   }
 }
 
@@ -249,6 +625,7 @@ export function clearTurtle() {
 export function resetTurtle() {
   if (turtleEngine) {
     turtleEngine.reset();
+    restartRecording();
   }
 }
 
@@ -1,8 +1,52 @@
 /**
  * Turtle Graphics Engine
  * Core turtle state management and command processing
+ *
+ * Besides drawing on the canvas, every visible mark is recorded as a shape
+ * (line, arc, circle, dot, fill, text) so the drawing can be exported as
+ * vector graphics.
+ *
+ * An engine is the default turtle of its canvas. Programs can add more
+ * turtles with addTurtle(); they are engines sharing the canvas, the drawing
+ * context and the recorded shapes of the default turtle.
  */
 
+import { CommandRecorder } from "./animation.ts";
+
+// Sprite colors of the default turtle
+export const SPRITE_COLOR = "#00AA00";
+export const SPRITE_OUTLINE = "#006600";
+
+// Sprite (and initial pen) colors of added turtles, used in turn
+export const TURTLE_COLORS = [
+  "#D32F2F",
+  "#1976D2",
+  "#F57C00",
+  "#7B1FA2",
+  "#00838F",
+  "#5D4037",
+];
+const ADDED_TURTLE_OUTLINE = "#333333";
+
+// Angle between the points that outline a filled circle or arc
+const FILL_ARC_STEP = Math.PI / 36;
+
+/**
+ * Turtle and pen state, without the drawing itself
+ */
+export interface TurtleState {
+  x: number;
+  y: number;
+  heading: number;
+  penDown: boolean;
+  penColor: string;
+  penWidth: number;
+  fillColor: string;
+  visible: boolean;
+  speed: number;
+  backgroundColor: string;
+}
+
 export class TurtleEngine {
   canvas: HTMLCanvasElement;
   ctx: CanvasRenderingContext2D;
@@ -20,10 +64,23 @@ export class TurtleEngine {
   animationId: number | null;
   backgroundColor: string;
   history: any[];
+  shapes: CommandRecorder;
+  fillPoints: Array<{ x: number; y: number }> | null;
+  spriteEnabled: boolean;
+  spriteColor: string;
+  spriteOutline: string;
+  turtles: TurtleEngine[];
 
-  constructor(canvas: HTMLCanvasElement) {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on
+   * @param {TurtleEngine} owner - Default turtle, when creating an added
+   *   turtle on the same canvas (see addTurtle)
+   */
+  constructor(canvas: HTMLCanvasElement, owner?: TurtleEngine) {
     this.canvas = canvas;
-    this.ctx = (canvas.getContext("2d") as CanvasRenderingContext2D)!;
+    this.ctx = owner
+      ? owner.ctx
+      : (canvas.getContext("2d") as CanvasRenderingContext2D)!;
 
     // Turtle state
     this.x = canvas.width / 2;
@@ -47,13 +104,102 @@ export class TurtleEngine {
     // History for undo/redo
     this.history = [];
 
-    this.reset();
+    // Shapes drawn since the last clear, for SVG export
+    this.shapes = owner ? owner.shapes : new CommandRecorder();
+    if (!owner) {
+      this.shapes.startRecording();
+    }
+    this.fillPoints = null;
+
+    // Whether drawTurtle() paints the sprite onto the canvas; animation
+    // export turns this off and draws the sprite on each frame instead
+    this.spriteEnabled = owner ? owner.spriteEnabled : true;
+    this.spriteColor = SPRITE_COLOR;
+    this.spriteOutline = SPRITE_OUTLINE;
+
+    // Turtles added by the program (only on the default turtle)
+    this.turtles = [];
+
+    if (owner) {
+      this.resetState();
+    } else {
+      this.reset();
+    }
+  }
+
+  /**
+   * Add a turtle on the same canvas
+   * It starts in the center, heading north, with its own sprite color as
+   * pen color.
+   * @returns {number} Handle of the new turtle (the default turtle is 0)
+   */
+  addTurtle() {
+    const turtle = new TurtleEngine(this.canvas, this);
+    const color = TURTLE_COLORS[this.turtles.length % TURTLE_COLORS.length];
+    turtle.spriteColor = color;
+    turtle.spriteOutline = ADDED_TURTLE_OUTLINE;
+    turtle.penColor = color;
+    this.turtles.push(turtle);
+    turtle.drawTurtle();
+    return this.turtles.length;
+  }
+
+  /**
+   * Get a turtle by handle
+   * @param {number} handle - 0 for this turtle, or a handle from addTurtle()
+   * @returns {TurtleEngine|null}
+   */
+  getTurtle(handle: number) {
+    if (handle === 0) {
+      return this;
+    }
+    return this.turtles[handle - 1] || null;
+  }
+
+  /**
+   * Get the turtle and pen state
+   * @returns {TurtleState}
+   */
+  getState(): TurtleState {
+    return {
+      x: this.x,
+      y: this.y,
+      heading: this.heading,
+      penDown: this.penDown,
+      penColor: this.penColor,
+      penWidth: this.penWidth,
+      fillColor: this.fillColor,
+      visible: this.visible,
+      speed: this.speed,
+      backgroundColor: this.backgroundColor,
+    };
+  }
+
+  /**
+   * Restore a state from getState() on a cleared canvas
+   * @param {TurtleState} state
+   */
+  setState(state: TurtleState) {
+    Object.assign(this, state);
+    this.fillPoints = null;
+    this.turtles = [];
+    this.clear();
   }
 
   /**
    * Reset turtle to initial state
+   * Added turtles are removed.
    */
   reset() {
+    this.resetState();
+    this.turtles = [];
+    this.clear();
+  }
+
+  /**
+   * Reset position, heading and pen without touching the canvas
+   */
+  resetState() {
     this.x = this.canvas.width / 2;
     this.y = this.canvas.height / 2;
     this.heading = 0;
@@ -64,7 +210,7 @@ export class TurtleEngine {
     this.visible = true;
     this.commandQueue = [];
     this.history = [];
-    this.clear();
+    this.fillPoints = null;
   }
 
   /**
@@ -72,13 +218,12 @@ export class TurtleEngine {
    * @param {boolean} preserveBackground - Whether to preserve background color
    */
   clear(preserveBackground = true) {
+    this.shapes.clear();
     if (preserveBackground) {
       this.ctx.fillStyle = this.backgroundColor;
       this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
     }
-    if (this.visible) {
-      this.drawTurtle();
-    }
+    this.redraw();
   }
 
   /**
@@ -99,10 +244,19 @@ export class TurtleEngine {
       this.ctx.moveTo(this.x, this.y);
       this.ctx.lineTo(newX, newY);
       this.ctx.stroke();
+      this.shapes.record("line", {
+        x1: this.x,
+        y1: this.y,
+        x2: newX,
+        y2: newY,
+        color: this.penColor,
+        width: this.penWidth,
+      });
     }
 
     this.x = newX;
     this.y = newY;
+    this.addFillPoint();
   }
 
   /**
@@ -193,6 +347,7 @@ export class TurtleEngine {
     this.x = this.canvas.width / 2;
     this.y = this.canvas.height / 2;
     this.heading = 0;
+    this.addFillPoint();
   }
 
   /**
@@ -204,6 +359,7 @@ export class TurtleEngine {
     // Convert from center-based coordinates to canvas coordinates
     this.x = this.canvas.width / 2 + x;
     this.y = this.canvas.height / 2 - y;
+    this.addFillPoint();
   }
 
   /**
@@ -242,9 +398,17 @@ export class TurtleEngine {
     this.ctx.lineWidth = this.penWidth;
     this.ctx.beginPath();
     this.ctx.arc(centerX, centerY, Math.abs(radius), 0, 2 * Math.PI);
+    this.addFillArc(centerX, centerY, Math.abs(radius), 0, 2 * Math.PI);
 
     if (this.penDown) {
       this.ctx.stroke();
+      this.shapes.record("circle", {
+        cx: centerX,
+        cy: centerY,
+        r: Math.abs(radius),
+        color: this.penColor,
+        width: this.penWidth,
+      });
     }
   }
 
@@ -262,9 +426,19 @@ export class TurtleEngine {
     this.ctx.lineWidth = this.penWidth;
     this.ctx.beginPath();
     this.ctx.arc(this.x, this.y, Math.abs(radius), startAngle, endAngle);
+    this.addFillArc(this.x, this.y, Math.abs(radius), startAngle, endAngle);
 
     if (this.penDown) {
       this.ctx.stroke();
+      this.shapes.record("arc", {
+        cx: this.x,
+        cy: this.y,
+        r: Math.abs(radius),
+        startAngle,
+        endAngle,
+        color: this.penColor,
+        width: this.penWidth,
+      });
     }
 
     // Update position and heading
@@ -281,23 +455,75 @@ export class TurtleEngine {
     this.ctx.beginPath();
     this.ctx.arc(this.x, this.y, size / 2, 0, 2 * Math.PI);
     this.ctx.fill();
+    this.shapes.record("dot", {
+      cx: this.x,
+      cy: this.y,
+      r: size / 2,
+      color: this.penColor,
+    });
   }
 
   /**
    * Begin fill mode
+   * The turtle's positions until endFill() outline the filled shape.
    */
   beginFill() {
-    this.ctx.beginPath();
-    this.ctx.moveTo(this.x, this.y);
+    this.fillPoints = [{ x: this.x, y: this.y }];
   }
 
   /**
    * End fill mode and fill the shape
    */
   endFill() {
+    const points = this.fillPoints;
+    this.fillPoints = null;
+    if (!points || points.length < 3) {
+      return;
+    }
+
     this.ctx.fillStyle = this.fillColor;
+    this.ctx.beginPath();
+    this.ctx.moveTo(points[0].x, points[0].y);
+    points.slice(1).forEach((p) => this.ctx.lineTo(p.x, p.y));
     this.ctx.closePath();
     this.ctx.fill();
+    this.shapes.record("fill", { points, color: this.fillColor });
+  }
+
+  /**
+   * Add the current position to the shape being filled
+   */
+  addFillPoint() {
+    if (this.fillPoints) {
+      this.fillPoints.push({ x: this.x, y: this.y });
+    }
+  }
+
+  /**
+   * Add points along an arc to the shape being filled
+   * The arc is sampled every 5 degrees, so circles and arcs are filled as
+   * polygons, both on the canvas and in the SVG export.
+   * @param {number} cx - Center x
+   * @param {number} cy - Center y
+   * @param {number} radius
+   * @param {number} startAngle - In radians, as for ctx.arc()
+   * @param {number} endAngle - In radians
+   */
+  addFillArc(cx, cy, radius, startAngle, endAngle) {
+    if (!this.fillPoints) {
+      return;
+    }
+    const steps = Math.max(
+      1,
+      Math.ceil(Math.abs(endAngle - startAngle) / FILL_ARC_STEP),
+    );
+    for (let i = 0; i <= steps; i++) {
+      const angle = startAngle + ((endAngle - startAngle) * i) / steps;
+      this.fillPoints.push({
+        x: cx + radius * Math.cos(angle),
+        y: cy + radius * Math.sin(angle),
+      });
+    }
   }
 
   /**
@@ -326,18 +552,26 @@ export class TurtleEngine {
    * Draw the turtle on canvas
    */
   drawTurtle() {
-    if (!this.visible) return;
+    if (!this.visible || !this.spriteEnabled) return;
+    this.drawSprite(this.ctx);
+  }
 
-    const ctx = this.ctx;
+  /**
+   * Draw the turtle sprite at the turtle's position
+   * @param {CanvasRenderingContext2D} ctx - Context to draw on
+   * @param {number} scale - Scale from canvas to ctx coordinates
+   */
+  drawSprite(ctx: CanvasRenderingContext2D, scale = 1) {
     const size = 15;
 
     ctx.save();
+    ctx.scale(scale, scale);
     ctx.translate(this.x, this.y);
     ctx.rotate(((this.heading - 90) * Math.PI) / 180);
 
     // Draw turtle as a triangle
-    ctx.fillStyle = "#00AA00";
-    ctx.strokeStyle = "#006600";
+    ctx.fillStyle = this.spriteColor;
+    ctx.strokeStyle = this.spriteOutline;
     ctx.lineWidth = 2;
 
     ctx.beginPath();
@@ -353,11 +587,11 @@ export class TurtleEngine {
 
   /**
    * Redraw everything including turtle
+   * Draws the sprites of the added turtles too.
    */
   redraw() {
-    if (this.visible) {
-      this.drawTurtle();
-    }
+    this.drawTurtle();
+    this.turtles.forEach((turtle) => turtle.drawTurtle());
   }
 
   /**
@@ -369,5 +603,12 @@ export class TurtleEngine {
     this.ctx.font = font;
     this.ctx.fillStyle = this.penColor;
     this.ctx.fillText(text, this.x, this.y);
+    this.shapes.record("text", {
+      x: this.x,
+      y: this.y,
+      text,
+      font,
+      color: this.penColor,
+    });
   }
 }
@@ -0,0 +1,237 @@
+/**
+ * Animation Export Dialog
+ * Options for exporting the turtle drawing as an animated GIF or WebM
+ */
+
+import { getTurtle, getTurtleRecording } from "../turtle/turtle-api.ts";
+import {
+  exportAnimation,
+  isWebMSupported,
+} from "../turtle/animation-export.ts";
+import type { AnimationExportOptions } from "../turtle/animation-export.ts";
+import { downloadBlob } from "../turtle/canvas-renderer.ts";
+import { announceStatus } from "../utils/accessibility.ts";
+
+let modal: HTMLElement | null = null;
+let exporting = false;
+
+/**
+ * Show the export dialog
+ */
+export function showAnimationExportDialog() {
+  const engine = getTurtle();
+  const recording = getTurtleRecording();
+  if (!engine || !recording) {
+    return;
+  }
+
+  hideAnimationExportDialog();
+  modal = createModal(engine.canvas.width, engine.canvas.height);
+  document.body.appendChild(modal);
+
+  const speed = document.getElementById("turtle-speed") as HTMLInputElement;
+  getField("export-speed").value = speed ? speed.value : "5";
+
+  const count = recording.commands.length;
+  const summary = modal.querySelector(".export-summary");
+  summary.textContent =
+    count === 0
+      ? "Nothing drawn yet: run a program that uses turtle graphics first."
+      : `${count} turtle ${count === 1 ? "command" : "commands"} recorded` +
+        (recording.truncated ? " (the first ones of a longer run)." : ".");
+  (modal.querySelector("#export-start") as HTMLButtonElement).disabled =
+    count === 0;
+
+  setupListeners();
+  getField("export-format").focus();
+}
+
+/**
+ * Create the dialog markup
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+function createModal(width: number, height: number) {
+  const overlay = document.createElement("div");
+  overlay.className = "modal-overlay";
+  overlay.id = "animation-export-modal";
+  overlay.setAttribute("role", "dialog");
+  overlay.setAttribute("aria-labelledby", "animation-export-title");
+  overlay.setAttribute("aria-modal", "true");
+
+  const sizes = [1, 0.5, 1 / 3]
+    .map(
+      (scale) =>
+        `<option value="${scale}">${Math.round(width * scale)} × ${Math.round(height * scale)}</option>`,
+    )
+    .join("");
+  const webm = isWebMSupported()
+    ? `<option value="webm">WebM video</option>`
+    : `<option value="webm" disabled>WebM video (not supported by this browser)</option>`;
+
+  overlay.innerHTML = `
+    <div class="modal-content export-modal">
+      <div class="modal-header">
+        <h2 id="animation-export-title">Export Animation</h2>
+        <button class="modal-close" aria-label="Close export dialog" title="Close (Esc)">
+          <span aria-hidden="true">×</span>
+        </button>
+      </div>
+
+      <div class="modal-body export-body">
+        <p class="export-summary"></p>
+
+        <div class="settings-group">
+          <label for="export-format">Format</label>
+          <div class="setting-control">
+            <select id="export-format">
+              <option value="gif">Animated GIF</option>
+              ${webm}
+            </select>
+          </div>
+        </div>
+
+        <div class="settings-group">
+          <label for="export-size">Size</label>
+          <div class="setting-control">
+            <select id="export-size">${sizes}</select>
+          </div>
+        </div>
+
+        <div class="settings-group">
+          <label for="export-fps">
+            Frame Rate
+            <span class="setting-description">Frames per second</span>
+          </label>
+          <div class="setting-control">
+            <select id="export-fps">
+              <option value="5">5</option>
+              <option value="10" selected>10</option>
+              <option value="15">15</option>
+              <option value="25">25</option>
+            </select>
+          </div>
+        </div>
+
+        <div class="settings-group">
+          <label for="export-speed">
+            Turtle Speed
+            <span class="setting-description">SetSpeed calls in the program still apply</span>
+          </label>
+          <div class="setting-control">
+            <input type="range" id="export-speed" min="1" max="10" step="1">
+          </div>
+        </div>
+
+        <div class="settings-group">
+          <label for="export-show-turtle">
+            <input type="checkbox" id="export-show-turtle" checked>
+            Draw the turtle
+          </label>
+        </div>
+
+        <progress class="export-progress" max="1" value="0" hidden></progress>
+      </div>
+
+      <div class="modal-footer">
+        <button class="btn btn-secondary" id="export-cancel">Cancel</button>
+        <button class="btn btn-primary" id="export-start">Export</button>
+      </div>
+    </div>
+  `;
+
+  return overlay;
+}
+
+function setupListeners() {
+  modal
+    .querySelectorAll(".modal-close, #export-cancel")
+    .forEach((button) =>
+      button.addEventListener("click", hideAnimationExportDialog),
+    );
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) {
+      hideAnimationExportDialog();
+    }
+  });
+  document.addEventListener("keydown", handleEscapeKey);
+  modal.querySelector("#export-start").addEventListener("click", startExport);
+}
+
+/**
+ * Export with the chosen options and download the result
+ */
+async function startExport() {
+  const engine = getTurtle();
+  const recording = getTurtleRecording();
+  if (exporting || !modal || !engine || !recording) {
+    return;
+  }
+
+  const format = getField("export-format").value === "webm" ? "webm" : "gif";
+  const progress = modal.querySelector(
+    ".export-progress",
+  ) as HTMLProgressElement;
+  const options: AnimationExportOptions = {
+    format,
+    fps: Number(getField("export-fps").value),
+    scale: Number(getField("export-size").value),
+    showTurtle: getField("export-show-turtle").checked,
+    speed: Number(getField("export-speed").value),
+    onProgress: (value) => {
+      progress.value = value;
+    },
+  };
+
+  exporting = true;
+  progress.hidden = false;
+  modal
+    .querySelectorAll("select, input, #export-start")
+    .forEach((element) => element.setAttribute("disabled", ""));
+  announceStatus(
+    format === "webm"
+      ? "Recording video, this takes as long as the animation"
+      : "Encoding GIF",
+  );
+
+  try {
+    const blob = await exportAnimation(
+      recording,
+      { width: engine.canvas.width, height: engine.canvas.height },
+      options,
+    );
+    downloadBlob(blob, `turtle-drawing.${format}`);
+    announceStatus("Animation exported");
+    hideAnimationExportDialog();
+  } catch (error) {
+    console.error("Animation export failed:", error);
+    const summary = modal?.querySelector(".export-summary");
+    if (summary) {
+      summary.textContent = `Export failed: ${error.message}`;
+    }
+  } finally {
+    exporting = false;
+  }
+}
+
+/**
+ * Hide the export dialog
+ * A running export finishes and still downloads its file.
+ */
+function hideAnimationExportDialog() {
+  if (modal) {
+    modal.remove();
+    modal = null;
+  }
+  document.removeEventListener("keydown", handleEscapeKey);
+}
+
+function handleEscapeKey(e: KeyboardEvent) {
+  if (e.key === "Escape") {
+    hideAnimationExportDialog();
+  }
+}
+
+function getField(id: string) {
+  return modal.querySelector(`#${id}`) as HTMLInputElement;
+}
@@ -0,0 +1,580 @@
+/**
+ * Authoring Panel
+ * Writes lessons in the app instead of by hand in JSON
+ *
+ * A form edits a draft lesson (see lessons/lesson-authoring.ts), and every
+ * change checks the draft against the lesson schema and renders it with
+ * displayLesson as a live preview. The examples can be run against their
+ * expected output, and the draft downloads as a lesson file for
+ * content/lessons. The draft lives until the page is reloaded, so closing
+ * the dialog does not lose it.
+ */
+
+import { displayLesson } from "../lessons/lesson-ui.ts";
+import { loadAllLessons } from "../lessons/lesson-loader.ts";
+import {
+  LESSON_SCHEMA,
+  validateLesson,
+  type SchemaProblem,
+} from "../lessons/lesson-schema.ts";
+import {
+  formatFieldValue,
+  getPath,
+  lessonFileName,
+  lessonToJSON,
+  newContentItem,
+  newLesson,
+  parseFieldValue,
+  setPath,
+  type FieldKind,
+} from "../lessons/lesson-authoring.ts";
+import {
+  formatExampleResults,
+  runExamples,
+} from "../lessons/exercise-validator.ts";
+import { executeCode } from "../core/executor.ts";
+import { downloadBlob } from "../turtle/canvas-renderer.ts";
+import { announceStatus } from "../utils/accessibility.ts";
+
+// Wait this long after the last keystroke before updating the preview
+const PREVIEW_DELAY = 300;
+
+let modal: HTMLElement | null = null;
+let draft = null;
+let lessons = [];
+// Fields whose text could not be read, by path
+const fieldErrors = new Map<string, string>();
+let previewTimer: ReturnType<typeof setTimeout> | null = null;
+
+/**
+ * Show the authoring dialog
+ * @param {Object} lesson - Lesson to start from when there is no draft yet
+ */
+export async function showAuthoringPanel(lesson = null) {
+  hideAuthoringPanel();
+  if (!draft) {
+    draft = lesson ? structuredClone(lesson) : newLesson();
+  }
+  modal = createModal();
+  document.body.appendChild(modal);
+  setupListeners();
+  renderForm();
+  update();
+
+  lessons = await loadAllLessons();
+  const select = modal?.querySelector("#authoring-open");
+  lessons.forEach((item, index) => {
+    const option = document.createElement("option");
+    option.value = String(index);
+    option.textContent = item.title;
+    select?.appendChild(option);
+  });
+}
+
+/**
+ * Create the dialog markup
+ */
+function createModal() {
+  const overlay = document.createElement("div");
+  overlay.className = "modal-overlay";
+  overlay.id = "authoring-modal";
+  overlay.setAttribute("role", "dialog");
+  overlay.setAttribute("aria-labelledby", "authoring-title");
+  overlay.setAttribute("aria-modal", "true");
+
+  overlay.innerHTML = `
+    <div class="modal-content authoring-modal">
+      <div class="modal-header">
+        <h2 id="authoring-title">Lesson Authoring</h2>
+        <button class="modal-close" aria-label="Close lesson authoring" title="Close (Esc)">
+          <span aria-hidden="true">×</span>
+        </button>
+      </div>
+
+      <div class="authoring-toolbar">
+        <select id="authoring-open" aria-label="Start from">
+          <option value="">Start from…</option>
+          <option value="new">New lesson</option>
+        </select>
+        <button class="btn btn-secondary" id="authoring-import">Open File…</button>
+        <input type="file" id="authoring-file" accept=".json,application/json" hidden>
+        <span class="toolbar-spacer"></span>
+        <button class="btn btn-secondary" id="authoring-run">▶ Run Examples</button>
+        <button class="btn btn-primary" id="authoring-download">Download JSON</button>
+      </div>
+
+      <div class="modal-body authoring-body">
+        <form class="authoring-form" novalidate></form>
+        <div class="authoring-side">
+          <ul class="authoring-problems" aria-live="polite"></ul>
+          <div class="authoring-examples"></div>
+          <div class="lesson-content authoring-preview"></div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  return overlay;
+}
+
+function setupListeners() {
+  modal
+    .querySelector(".modal-close")
+    .addEventListener("click", hideAuthoringPanel);
+  document.addEventListener("keydown", handleEscapeKey);
+
+  const form = modal.querySelector(".authoring-form");
+  form.addEventListener("input", (e) => {
+    const field = e.target as HTMLInputElement;
+    if (field.dataset.path) {
+      readField(field);
+      schedulePreview();
+    }
+  });
+  form.addEventListener("click", (e) => {
+    const button = (e.target as HTMLElement).closest("button");
+    if (!button) {
+      return;
+    }
+    e.preventDefault();
+    if (button.dataset.add) {
+      addItem(button.dataset.add);
+    } else if (button.dataset.remove) {
+      removeItem(button.dataset.remove);
+    }
+  });
+
+  modal.querySelector("#authoring-open").addEventListener("change", (e) => {
+    const select = e.target as HTMLSelectElement;
+    const lesson =
+      select.value === "new" ? newLesson() : lessons[Number(select.value)];
+    select.value = "";
+    if (lesson && confirm("Replace the draft?")) {
+      startFrom(structuredClone(lesson));
+    }
+  });
+
+  const fileInput = modal.querySelector("#authoring-file") as HTMLInputElement;
+  modal
+    .querySelector("#authoring-import")
+    .addEventListener("click", () => fileInput.click());
+  fileInput.addEventListener("change", async () => {
+    const upload = fileInput.files?.[0];
+    fileInput.value = "";
+    if (!upload) {
+      return;
+    }
+    try {
+      const lesson = JSON.parse(await upload.text());
+      if (typeof lesson !== "object" || !lesson || Array.isArray(lesson)) {
+        throw new Error("it does not hold a lesson");
+      }
+      startFrom(lesson);
+      announceStatus(`${upload.name} opened`);
+    } catch (error) {
+      alert(`Cannot open ${upload.name}: ${error.message}`);
+    }
+  });
+
+  modal
+    .querySelector("#authoring-run")
+    .addEventListener("click", runDraftExamples);
+  modal
+    .querySelector("#authoring-download")
+    .addEventListener("click", downloadDraft);
+}
+
+/**
+ * Replace the draft
+ * @param {Object} lesson
+ */
+function startFrom(lesson) {
+  draft = lesson;
+  modal.querySelector(".authoring-examples").innerHTML = "";
+  renderForm();
+  update();
+}
+
+/**
+ * Render the form for the draft
+ * Fields get their values afterwards, so no text needs escaping.
+ */
+function renderForm() {
+  const form = modal?.querySelector(".authoring-form");
+  if (!form) {
+    return;
+  }
+  // Fields that could not be read show the draft's value again
+  fieldErrors.clear();
+  const { properties } = LESSON_SCHEMA;
+  const quizTypes =
+    properties.content.properties.quizzes.items.properties.type.enum;
+  const content = draft.content || {};
+
+  form.innerHTML = `
+    <fieldset>
+      <legend>Lesson</legend>
+      ${input("Id", "id")}
+      ${input("Title", "title")}
+      ${select("Category", "category", properties.category.enum)}
+      ${select("Difficulty", "difficulty", properties.difficulty.enum)}
+      ${input("Order", "order", "number")}
+      ${input("Estimated time (minutes)", "estimatedTime", "number")}
+      ${input("Description", "description")}
+      ${input("Tags (comma-separated)", "tags", "list")}
+      ${input("Prerequisites (lesson ids)", "prerequisites", "list")}
+      ${input("Related lessons (lesson ids)", "relatedLessons", "list")}
+    </fieldset>
+
+    <fieldset>
+      <legend>Introduction</legend>
+      ${textarea("Markdown", "content.introduction", "text", 6)}
+    </fieldset>
+
+    ${list("Concepts", "concepts", content.concepts, (path) => [
+      input("Title", `${path}.title`),
+      textarea("Description", `${path}.description`, "text", 2),
+    ])}
+
+    ${list("Examples", "examples", content.examples, (path) => [
+      input("Title", `${path}.title`),
+      textarea("Description", `${path}.description`, "text", 2),
+      textarea("Code", `${path}.code`, "text", 8, true),
+      textarea("Expected output", `${path}.expectedOutput`, "text", 3, true),
+    ])}
+
+    ${list("Exercises", "exercises", content.exercises, (path) => [
+      input("Title", `${path}.title`),
+      textarea("Description (Markdown)", `${path}.description`, "text", 3),
+      textarea("Starter code", `${path}.starterCode`, "text", 6, true),
+      textarea("Solution", `${path}.solution`, "text", 6, true),
+      textarea("Hints (one per line)", `${path}.hints`, "lines", 3),
+      textarea(
+        "Expected output (without tests)",
+        `${path}.expectedOutput`,
+        "text",
+        3,
+        true,
+      ),
+      textarea("Tests (JSON)", `${path}.tests`, "json", 4, true),
+      textarea("Graphics checks (JSON)", `${path}.graphics`, "json", 4, true),
+    ])}
+
+    ${list("Quizzes", "quizzes", content.quizzes, (path) => [
+      select("Type", `${path}.type`, quizTypes),
+      textarea("Question (Markdown)", `${path}.question`, "text", 2),
+      textarea(
+        "Options, for multiple choice (one per line)",
+        `${path}.options`,
+        "lines",
+        3,
+      ),
+      input(
+        "Right option, for multiple choice (0 is the first)",
+        `${path}.answer`,
+        "number",
+      ),
+      textarea(
+        "Code, with gaps written as ___ for fill in the blank",
+        `${path}.code`,
+        "text",
+        6,
+        true,
+      ),
+      textarea(
+        "Answers for the gaps (one per line)",
+        `${path}.answers`,
+        "lines",
+        2,
+        true,
+      ),
+      textarea(
+        "Expected output, for fill in the blank (instead of running the answers)",
+        `${path}.expectedOutput`,
+        "text",
+        2,
+        true,
+      ),
+      textarea("Explanation (Markdown)", `${path}.explanation`, "text", 2),
+    ])}
+
+    <fieldset>
+      <legend>Summary</legend>
+      ${textarea("Markdown", "content.summary", "text", 4)}
+      ${textarea("Next steps (Markdown)", "content.nextSteps", "text", 2)}
+    </fieldset>
+  `;
+
+  form.querySelectorAll<HTMLInputElement>("[data-path]").forEach((field) => {
+    field.value = formatFieldValue(
+      field.dataset.kind as FieldKind,
+      getPath(draft, field.dataset.path),
+    );
+  });
+}
+
+/**
+ * Markup of a text or number field
+ */
+function input(label: string, path: string, kind: FieldKind = "text") {
+  return `
+    <label class="authoring-field">
+      <span>${label}</span>
+      <input type="${kind === "number" ? "number" : "text"}" data-path="${path}" data-kind="${kind}">
+    </label>
+  `;
+}
+
+/**
+ * Markup of a multi-line field
+ */
+function textarea(
+  label: string,
+  path: string,
+  kind: FieldKind,
+  rows: number,
+  code = false,
+) {
+  return `
+    <label class="authoring-field">
+      <span>${label}</span>
+      <textarea rows="${rows}" data-path="${path}" data-kind="${kind}"${code ? ' class="code" spellcheck="false"' : ""}></textarea>
+    </label>
+  `;
+}
+
+/**
+ * Markup of a choice between the values of a schema enum
+ */
+function select(label: string, path: string, values: string[]) {
+  return `
+    <label class="authoring-field">
+      <span>${label}</span>
+      <select data-path="${path}" data-kind="text">
+        ${values.map((value) => `<option value="${value}">${value}</option>`).join("")}
+      </select>
+    </label>
+  `;
+}
+
+/**
+ * Markup of a list of the content, one fieldset per item
+ * @param {string} title - Heading of the list
+ * @param {string} name - Property of the content
+ * @param {Array} items - The items of the draft
+ * @param {Function} fields - Markup of the fields of the item at a path
+ */
+function list(
+  title: string,
+  name: string,
+  items: unknown[] | undefined,
+  fields: (path: string) => string[],
+) {
+  const markup = (Array.isArray(items) ? items : []).map((_, index) => {
+    const path = `content.${name}[${index}]`;
+    return `
+      <fieldset class="authoring-item">
+        <legend>${title.replace(/s$/, "")} ${index + 1}</legend>
+        ${fields(path).join("")}
+        <button class="btn btn-sm btn-secondary" data-remove="${path}">Remove</button>
+      </fieldset>
+    `;
+  });
+  return `
+    <fieldset>
+      <legend>${title}</legend>
+      ${markup.join("")}
+      <button class="btn btn-sm btn-secondary" data-add="${name}">+ Add</button>
+    </fieldset>
+  `;
+}
+
+/**
+ * Put the value of a field into the draft
+ * @param {HTMLInputElement} field
+ */
+function readField(field: HTMLInputElement) {
+  const { path, kind } = field.dataset;
+  try {
+    setPath(draft, path, parseFieldValue(kind as FieldKind, field.value));
+    fieldErrors.delete(path);
+  } catch (error) {
+    fieldErrors.set(path, `is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Add an item to a list of the content
+ * @param {string} name - Property of the content
+ */
+function addItem(name: string) {
+  const items = getPath(draft, `content.${name}`);
+  const index = Array.isArray(items) ? items.length : 0;
+  setPath(draft, `content.${name}[${index}]`, newContentItem(name));
+  renderForm();
+  update();
+  focusField(`content.${name}[${index}]`);
+}
+
+/**
+ * Remove an item from a list of the content
+ * @param {string} path - Path of the item
+ */
+function removeItem(path: string) {
+  const [, listPath, index] = path.match(/^(.*)\[(\d+)\]$/);
+  getPath(draft, listPath).splice(Number(index), 1);
+  renderForm();
+  update();
+}
+
+function schedulePreview() {
+  if (previewTimer) {
+    clearTimeout(previewTimer);
+  }
+  previewTimer = setTimeout(update, PREVIEW_DELAY);
+}
+
+/**
+ * Check the draft and update the preview
+ */
+function update() {
+  previewTimer = null;
+  if (!modal) {
+    return;
+  }
+
+  const problems: SchemaProblem[] = [
+    ...[...fieldErrors].map(([path, message]) => ({
+      path,
+      message,
+      severity: "error" as const,
+    })),
+    ...validateLesson(draft),
+  ];
+  renderProblems(problems);
+
+  const preview = modal.querySelector(".authoring-preview");
+  try {
+    displayLesson(draft, preview);
+  } catch (error) {
+    preview.textContent = `No preview until the errors are fixed (${error.message})`;
+  }
+}
+
+/**
+ * Render the list of problems; clicking one goes to its field
+ * @param {SchemaProblem[]} problems
+ */
+function renderProblems(problems: SchemaProblem[]) {
+  const problemList = modal.querySelector(".authoring-problems");
+  problemList.innerHTML = "";
+
+  if (problems.length === 0) {
+    const valid = document.createElement("li");
+    valid.className = "authoring-problem valid";
+    valid.textContent = "✓ The lesson matches the lesson schema";
+    problemList.appendChild(valid);
+    return;
+  }
+
+  problems.forEach((problem) => {
+    const item = document.createElement("li");
+    item.className = `authoring-problem ${problem.severity}`;
+    item.tabIndex = 0;
+    const path = document.createElement("code");
+    path.textContent = problem.path || "lesson";
+    item.append(
+      problem.severity === "error" ? "✗ " : "⚠ ",
+      path,
+      ` ${problem.message}`,
+    );
+    item.addEventListener("click", () => focusField(problem.path));
+    item.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        focusField(problem.path);
+      }
+    });
+    problemList.appendChild(item);
+  });
+}
+
+/**
+ * Focus the field of a path, or the closest one that contains it
+ * @param {string} path
+ */
+function focusField(path: string) {
+  const fields = Array.from(modal.querySelectorAll<HTMLElement>("[data-path]"));
+  const field =
+    fields.find((item) => item.dataset.path === path) ||
+    fields.find((item) => item.dataset.path.startsWith(path));
+  field?.focus();
+}
+
+/**
+ * Run the draft's examples and show which ones fail
+ */
+async function runDraftExamples() {
+  const button = modal.querySelector("#authoring-run") as HTMLButtonElement;
+  const results = modal.querySelector(".authoring-examples");
+  const examples = (draft.content?.examples || []).filter(
+    (example) => typeof example?.code === "string",
+  );
+
+  button.disabled = true;
+  results.innerHTML = "<p>Running the examples…</p>";
+  try {
+    const exampleResults = await runExamples(executeCode, examples);
+    if (modal) {
+      results.innerHTML = formatExampleResults(exampleResults);
+    }
+    announceStatus(
+      `${exampleResults.passedTests} of ${exampleResults.totalTests} examples work`,
+    );
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Download the draft as a lesson file
+ * A draft with errors downloads too, after a warning, so work is not lost.
+ */
+function downloadDraft() {
+  const errors =
+    fieldErrors.size +
+    validateLesson(draft).filter((problem) => problem.severity === "error")
+      .length;
+  if (
+    errors > 0 &&
+    !confirm(
+      `The lesson has ${errors} ${errors === 1 ? "error" : "errors"} and will not load. Download it anyway?`,
+    )
+  ) {
+    return;
+  }
+  downloadBlob(
+    new Blob([lessonToJSON(draft)], { type: "application/json" }),
+    lessonFileName(draft),
+  );
+}
+
+/**
+ * Hide the authoring dialog
+ */
+function hideAuthoringPanel() {
+  if (previewTimer) {
+    clearTimeout(previewTimer);
+    previewTimer = null;
+  }
+  if (modal) {
+    modal.remove();
+    modal = null;
+  }
+  document.removeEventListener("keydown", handleEscapeKey);
+}
+
+function handleEscapeKey(e: KeyboardEvent) {
+  if (e.key === "Escape") {
+    hideAuthoringPanel();
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * Debug Toolbar
+ * Shows debugger controls while a debug session is running
+ */
+
+import { announceStatus } from "../utils/accessibility.ts";
+
+const PAUSE_REASONS = {
+  breakpoint: "Breakpoint",
+  step: "Paused",
+  pause: "Paused",
+};
+
+/**
+ * Initialize the debug toolbar
+ * The toolbar markup lives in App.tsx; this keeps it in sync with the
+ * debugger's "debugger" events.
+ */
+export function initDebugToolbar() {
+  window.addEventListener("debugger", (e) => {
+    const event = e as CustomEvent<{
+      type: string;
+      line?: number;
+      reason?: string;
+      callStack?: Array<{ name: string; line: number }>;
+    }>;
+    const { type, line, reason, callStack } = event.detail;
+
+    switch (type) {
+      case "session-started":
+        setToolbarVisible(true);
+        setControlState("running");
+        setStatus("Running...");
+        break;
+
+      case "execution-paused": {
+        const frame = callStack && callStack[0];
+        const where =
+          frame && frame.name !== "(main)"
+            ? `line ${line} in ${frame.name}`
+            : `line ${line}`;
+        const message = `${PAUSE_REASONS[reason] || "Paused"} at ${where}`;
+        setControlState("paused");
+        setStatus(message);
+        announceStatus(message);
+        break;
+      }
+
+      case "execution-resumed":
+        setControlState("running");
+        setStatus("Running...");
+        break;
+
+      case "session-ended":
+        setToolbarVisible(false);
+        setControlState("idle");
+        break;
+    }
+  });
+}
+
+/**
+ * Show or hide the toolbar
+ * @param {boolean} visible
+ */
+function setToolbarVisible(visible) {
+  const toolbar = document.getElementById("debug-toolbar");
+  if (toolbar) {
+    toolbar.hidden = !visible;
+  }
+}
+
+/**
+ * Enable the buttons that apply to the current session state
+ * When idle, step into/over stay enabled so F10/F11 can start a session.
+ * @param {string} state - 'idle', 'running' or 'paused'
+ */
+function setControlState(state) {
+  const enabled = {
+    "btn-debug-continue": state === "paused",
+    "btn-debug-pause": state === "running",
+    "btn-debug-step-over": state !== "running",
+    "btn-debug-step-into": state !== "running",
+    "btn-debug-step-out": state === "paused",
+  };
+
+  Object.entries(enabled).forEach(([id, isEnabled]) => {
+    const button = document.getElementById(id) as HTMLButtonElement | null;
+    if (button) {
+      button.disabled = !isEnabled;
+    }
+  });
+}
+
+/**
+ * Update the toolbar status text
+ * @param {string} message
+ */
+function setStatus(message) {
+  const status = document.getElementById("debug-status");
+  if (status) {
+    status.textContent = message;
+  }
+}
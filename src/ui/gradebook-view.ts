@@ -0,0 +1,333 @@
+/**
+ * Gradebook View
+ * Lets a teacher load the files their students exported and shows the
+ * class in a table: lessons completed, time spent, scores and how far
+ * each student got with every exercise
+ *
+ * Files are dropped on the dialog or chosen with the file picker; the
+ * students stay loaded until the page is closed and are never stored.
+ * Clicking an exercise a student checked shows their code and runs it
+ * against the exercise again, in the worker and with a time limit, so
+ * neither a student's endless loop nor their drawing reaches the page.
+ */
+
+import { loadAllLessons } from "../lessons/lesson-loader.ts";
+import {
+  checkExercise,
+  exerciseColumns,
+  exerciseStatus,
+  gradebookCSV,
+  mergeStudents,
+  readStudentFile,
+  studentSummary,
+  type ExerciseColumn,
+  type GradebookExecute,
+  type StudentRecord,
+} from "../lessons/gradebook.ts";
+import { dayKey } from "../lessons/progress.ts";
+import { escapeHtml } from "../lessons/lesson-ui.ts";
+import { executeInWorker } from "../workers/worker-manager.ts";
+import { downloadBlob } from "../turtle/canvas-renderer.ts";
+import { announceStatus } from "../utils/accessibility.ts";
+
+// Time a student's program may run, in milliseconds
+const RERUN_TIMEOUT = 5000;
+
+const STATUS_LABELS = {
+  passed: "✓",
+  attempted: "✗",
+  open: "–",
+};
+
+let modal: HTMLElement | null = null;
+let students: StudentRecord[] = [];
+let lessons = [];
+let columns: ExerciseColumn[] = [];
+
+/**
+ * Show the gradebook
+ */
+export async function showGradebook() {
+  hideGradebook();
+  modal = createModal();
+  document.body.appendChild(modal);
+  setupListeners();
+
+  lessons = await loadAllLessons();
+  columns = exerciseColumns(lessons);
+  if (modal) {
+    renderTable();
+  }
+}
+
+/**
+ * Create the dialog markup
+ */
+function createModal() {
+  const overlay = document.createElement("div");
+  overlay.className = "modal-overlay";
+  overlay.id = "gradebook-modal";
+  overlay.setAttribute("role", "dialog");
+  overlay.setAttribute("aria-labelledby", "gradebook-title");
+  overlay.setAttribute("aria-modal", "true");
+
+  overlay.innerHTML = `
+    <div class="modal-content gradebook-modal">
+      <div class="modal-header">
+        <h2 id="gradebook-title">Gradebook</h2>
+        <button class="modal-close" aria-label="Close gradebook" title="Close (Esc)">
+          <span aria-hidden="true">×</span>
+        </button>
+      </div>
+
+      <div class="modal-body gradebook-body">
+        <div class="gradebook-drop" tabindex="0" role="button"
+             aria-label="Add exported files of students">
+          Drop the files your students exported here, or click to choose them.
+          <span class="setting-description">
+            Students export them from the profile dialog (👤) or the progress dashboard (📊).
+          </span>
+        </div>
+        <input type="file" id="gradebook-input" accept=".json,application/json" multiple hidden>
+        <ul class="gradebook-errors" role="alert"></ul>
+        <div class="gradebook-table"></div>
+        <div class="gradebook-detail" aria-live="polite"></div>
+      </div>
+
+      <div class="modal-footer">
+        <button class="btn btn-secondary" id="gradebook-clear">Clear</button>
+        <button class="btn btn-secondary" id="gradebook-export" title="Download the class table as CSV">
+          Export CSV
+        </button>
+        <button class="btn btn-primary" id="gradebook-close">Close</button>
+      </div>
+    </div>
+  `;
+
+  return overlay;
+}
+
+function setupListeners() {
+  modal
+    .querySelectorAll(".modal-close, #gradebook-close")
+    .forEach((button) => button.addEventListener("click", hideGradebook));
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) {
+      hideGradebook();
+    }
+  });
+  document.addEventListener("keydown", handleEscapeKey);
+
+  const drop = modal.querySelector(".gradebook-drop") as HTMLElement;
+  const input = modal.querySelector("#gradebook-input") as HTMLInputElement;
+  drop.addEventListener("click", () => input.click());
+  drop.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      input.click();
+    }
+  });
+  drop.addEventListener("dragover", (e) => {
+    e.preventDefault();
+    drop.classList.add("dragging");
+  });
+  drop.addEventListener("dragleave", () => drop.classList.remove("dragging"));
+  drop.addEventListener("drop", (e) => {
+    e.preventDefault();
+    drop.classList.remove("dragging");
+    addFiles(Array.from(e.dataTransfer?.files || []));
+  });
+  input.addEventListener("change", () => {
+    const files = Array.from(input.files || []);
+    input.value = "";
+    addFiles(files);
+  });
+
+  modal.querySelector("#gradebook-clear").addEventListener("click", () => {
+    students = [];
+    modal.querySelector(".gradebook-errors").innerHTML = "";
+    renderTable();
+  });
+  modal.querySelector("#gradebook-export").addEventListener("click", () => {
+    downloadBlob(
+      new Blob([gradebookCSV(students, lessons)], { type: "text/csv" }),
+      `gradebook-${dayKey()}.csv`,
+    );
+  });
+}
+
+/**
+ * Read exported files into the class
+ * @param {File[]} files
+ */
+async function addFiles(files: File[]) {
+  const records: StudentRecord[] = [];
+  const errors: string[] = [];
+  for (const file of files) {
+    try {
+      records.push(readStudentFile(file.name, await file.text()));
+    } catch (error) {
+      errors.push(`${file.name}: ${error.message}`);
+    }
+  }
+  if (!modal) {
+    return;
+  }
+
+  students = mergeStudents(students, records);
+  modal.querySelector(".gradebook-errors").innerHTML = errors
+    .map((error) => `<li>${escapeHtml(error)}</li>`)
+    .join("");
+  renderTable();
+  announceStatus(
+    `${records.length} ${records.length === 1 ? "file" : "files"} added` +
+      (errors.length > 0 ? `, ${errors.length} could not be read` : ""),
+  );
+}
+
+/**
+ * Render the class table
+ */
+function renderTable() {
+  const container = modal.querySelector(".gradebook-table");
+  (modal.querySelector("#gradebook-export") as HTMLButtonElement).disabled =
+    students.length === 0;
+  modal.querySelector(".gradebook-detail").innerHTML = "";
+
+  if (students.length === 0) {
+    container.innerHTML = `<p class="dashboard-empty">No students loaded yet.</p>`;
+    return;
+  }
+
+  container.innerHTML = `
+    <table>
+      <thead>
+        <tr>
+          <th scope="col">Student</th>
+          <th scope="col">Lessons</th>
+          <th scope="col">Time</th>
+          <th scope="col">Score</th>
+          ${columns
+            .map(
+              (column) => `
+            <th scope="col" class="grade-exercise"
+                title="${escapeHtml(`${column.lessonTitle}: ${column.exercise.title}`)}">
+              ${escapeHtml(column.lessonTitle)}<br>
+              <small>${escapeHtml(column.exercise.title)}</small>
+            </th>
+          `,
+            )
+            .join("")}
+        </tr>
+      </thead>
+      <tbody>
+        ${students.map((student, row) => renderRow(student, row)).join("")}
+      </tbody>
+    </table>
+  `;
+
+  container
+    .querySelectorAll(".grade-code")
+    .forEach((button: HTMLElement) =>
+      button.addEventListener("click", () =>
+        rerun(
+          students[Number(button.dataset.student)],
+          columns[Number(button.dataset.column)],
+        ),
+      ),
+    );
+}
+
+/**
+ * Markup of a student's row
+ * @param {StudentRecord} student
+ * @param {number} row - Index of the student
+ */
+function renderRow(student: StudentRecord, row: number) {
+  const summary = studentSummary(student, lessons);
+  return `
+    <tr>
+      <th scope="row" title="${escapeHtml(student.fileName)}${
+        student.exportedAt
+          ? `, exported ${escapeHtml(new Date(student.exportedAt).toLocaleString())}`
+          : ""
+      }">${escapeHtml(student.name)}</th>
+      <td>${summary.lessonsCompleted} / ${lessons.length}</td>
+      <td>${summary.minutes} min</td>
+      <td>${summary.averageScore === null ? "–" : `${summary.averageScore}%`}</td>
+      ${columns
+        .map((column, index) => {
+          const { status, code } = exerciseStatus(student, column);
+          const label = STATUS_LABELS[status];
+          return `<td class="grade-cell ${status}">${
+            code
+              ? `<button class="grade-code" data-student="${row}" data-column="${index}"
+                         aria-label="${escapeHtml(`${student.name}, ${column.exercise.title}: ${status}. Show the code and run it`)}">${label}</button>`
+              : `<span aria-label="${status}">${label}</span>`
+          }</td>`;
+        })
+        .join("")}
+    </tr>
+  `;
+}
+
+/**
+ * Show a student's code for an exercise and run it against the exercise
+ * @param {StudentRecord} student
+ * @param {ExerciseColumn} column
+ */
+async function rerun(student: StudentRecord, column: ExerciseColumn) {
+  const { code } = exerciseStatus(student, column);
+  const detail = modal.querySelector(".gradebook-detail");
+  detail.innerHTML = `
+    <h3>${escapeHtml(student.name)}: ${escapeHtml(column.lessonTitle)}, ${escapeHtml(column.exercise.title)}</h3>
+    <pre><code class="language-pascal">${escapeHtml(code)}</code></pre>
+    <div class="gradebook-result">Running…</div>
+    <button class="btn btn-secondary gradebook-rerun">▶ Run Again</button>
+  `;
+  detail
+    .querySelector(".gradebook-rerun")
+    .addEventListener("click", () => rerun(student, column));
+  detail.scrollIntoView({ behavior: "smooth", block: "nearest" });
+  const output = detail.querySelector(".gradebook-result");
+
+  let result;
+  try {
+    result = await checkExercise(runStudentCode, column.exercise, code);
+  } catch (error) {
+    result = { passed: false, message: error.message };
+  }
+  // Another run may have replaced this one meanwhile
+  if (output.isConnected) {
+    output.className = `gradebook-result ${result.passed ? "passed" : "failed"}`;
+    output.textContent = `${result.passed ? "✓ Passes" : "✗ Fails"}: ${result.message}`;
+  }
+}
+
+/**
+ * Run a student's code in the worker, against a headless turtle
+ * @type {GradebookExecute}
+ */
+const runStudentCode: GradebookExecute = (code, options = {}) =>
+  executeInWorker(code, {
+    input: options.input,
+    timeout: RERUN_TIMEOUT,
+    turtle: true,
+  });
+
+/**
+ * Hide the gradebook
+ */
+function hideGradebook() {
+  if (modal) {
+    modal.remove();
+    modal = null;
+  }
+  document.removeEventListener("keydown", handleEscapeKey);
+}
+
+function handleEscapeKey(e: KeyboardEvent) {
+  if (e.key === "Escape") {
+    hideGradebook();
+  }
+}
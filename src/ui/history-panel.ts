@@ -0,0 +1,430 @@
+/**
+ * History Panel
+ * Takes snapshots of the code and lets the student go back to them
+ *
+ * Snapshots of the editor's code are taken on every run, on every exercise
+ * check and a few minutes into a stretch of editing (see
+ * core/code-history.ts). The dialog lists the snapshots of the current
+ * lesson, playground or project file, shows each one as a diff against the
+ * editor, restores it with one click and bookmarks it under a name.
+ */
+
+import type * as Monaco from "monaco-editor";
+import {
+  getCode,
+  getEditor,
+  getMonaco,
+  setCode,
+} from "../editor/monaco-setup.ts";
+import { getProject } from "../editor/project-files.ts";
+import { getCurrentLesson } from "../lessons/lesson-ui.ts";
+import {
+  bookmarkSnapshot,
+  describeResult,
+  EDIT_SNAPSHOT_DELAY,
+  historyContext,
+  isHistoryAvailable,
+  listSnapshots,
+  saveSnapshot,
+  type Snapshot,
+  type SnapshotResult,
+  type SnapshotTrigger,
+} from "../core/code-history.ts";
+import { announceStatus } from "../utils/accessibility.ts";
+
+const TRIGGER_LABELS: Record<SnapshotTrigger, string> = {
+  run: "Run",
+  check: "Check",
+  edit: "Edited",
+  restore: "Before restore",
+};
+
+let modal: HTMLElement | null = null;
+let diffEditor: Monaco.editor.IStandaloneDiffEditor | null = null;
+let snapshots: Snapshot[] = [];
+let selected: Snapshot | null = null;
+
+// Pending snapshot of an editing stretch, and the history it belongs to
+let editTimer: ReturnType<typeof setTimeout> | null = null;
+let editContext: string | null = null;
+
+/**
+ * Initialize the code history
+ */
+export function initHistoryPanel() {
+  const button = document.getElementById("btn-history");
+  if (!isHistoryAvailable()) {
+    button?.setAttribute("hidden", "");
+    return;
+  }
+  button?.addEventListener("click", showHistoryPanel);
+
+  getEditor()?.onDidChangeModelContent(scheduleEditSnapshot);
+
+  window.addEventListener("exercisechecked", (e) => {
+    const { code, result } = (
+      e as CustomEvent<{ code: string; result: SnapshotResult }>
+    ).detail;
+    recordSnapshot("check", result, code);
+  });
+}
+
+/**
+ * Name of the history of the code in the editor
+ * @returns {string}
+ */
+function currentContext() {
+  return historyContext(
+    getCurrentLesson()?.id ?? null,
+    getProject()?.active ?? null,
+  );
+}
+
+/**
+ * Take a snapshot of the code
+ * @param {SnapshotTrigger} trigger - Why the snapshot is taken
+ * @param {SnapshotResult} result - Outcome of the run, if any
+ * @param {string} code - Code to keep; defaults to the editor's
+ * @returns {Promise<void>}
+ */
+export async function recordSnapshot(
+  trigger: SnapshotTrigger,
+  result?: SnapshotResult,
+  code = getCode(),
+) {
+  if (!isHistoryAvailable() || !code.trim()) {
+    return;
+  }
+  cancelEditSnapshot();
+  try {
+    await saveSnapshot({
+      context: currentContext(),
+      code,
+      time: Date.now(),
+      trigger,
+      ...(result ? { result } : {}),
+    });
+  } catch (error) {
+    console.error("Failed to save snapshot:", error);
+  }
+}
+
+/**
+ * Take a snapshot after a run
+ * Runs that did not start (another one was running, or the runtime was
+ * not ready) return a message instead of errors and are not recorded.
+ * @param {Object} result - Result of executeCode
+ */
+export function recordRun(result) {
+  if (!result || result.message) {
+    return;
+  }
+  recordSnapshot(
+    "run",
+    result.success
+      ? { success: true }
+      : {
+          success: false,
+          error: result.errors?.[0]?.message || result.error,
+        },
+  );
+}
+
+/**
+ * Take a snapshot a while into a stretch of editing
+ * Switching to another lesson or file in the meantime drops it.
+ */
+function scheduleEditSnapshot() {
+  if (editTimer) {
+    return;
+  }
+  editContext = currentContext();
+  editTimer = setTimeout(() => {
+    editTimer = null;
+    if (editContext === currentContext()) {
+      recordSnapshot("edit");
+    }
+  }, EDIT_SNAPSHOT_DELAY);
+}
+
+function cancelEditSnapshot() {
+  if (editTimer) {
+    clearTimeout(editTimer);
+    editTimer = null;
+  }
+}
+
+/**
+ * Show the history dialog
+ */
+export async function showHistoryPanel() {
+  const monaco = getMonaco();
+  if (!monaco) {
+    return;
+  }
+
+  hideHistoryPanel();
+  modal = createModal();
+  document.body.appendChild(modal);
+  setupListeners();
+
+  diffEditor = monaco.editor.createDiffEditor(
+    modal.querySelector(".history-diff") as HTMLElement,
+    {
+      readOnly: true,
+      originalEditable: false,
+      automaticLayout: true,
+      renderSideBySide: false,
+      minimap: { enabled: false },
+      scrollBeyondLastLine: false,
+    },
+  );
+
+  try {
+    snapshots = await listSnapshots(currentContext());
+  } catch (error) {
+    console.error("Failed to load history:", error);
+    snapshots = [];
+  }
+  renderList();
+  selectSnapshot(snapshots[0] || null);
+  (modal?.querySelector(".history-item") as HTMLElement)?.focus();
+}
+
+/**
+ * Create the dialog markup
+ */
+function createModal() {
+  const overlay = document.createElement("div");
+  overlay.className = "modal-overlay";
+  overlay.id = "history-modal";
+  overlay.setAttribute("role", "dialog");
+  overlay.setAttribute("aria-labelledby", "history-title");
+  overlay.setAttribute("aria-modal", "true");
+
+  overlay.innerHTML = `
+    <div class="modal-content history-modal">
+      <div class="modal-header">
+        <h2 id="history-title">Code History</h2>
+        <button class="modal-close" aria-label="Close history" title="Close (Esc)">
+          <span aria-hidden="true">×</span>
+        </button>
+      </div>
+
+      <div class="modal-body history-body">
+        <ul class="history-list" role="listbox" aria-label="Snapshots"></ul>
+        <div class="history-preview">
+          <p class="history-caption">Changes from the snapshot to the code in the editor</p>
+          <div class="history-diff"></div>
+        </div>
+      </div>
+
+      <div class="modal-footer">
+        <button class="btn btn-secondary" id="history-bookmark" disabled>☆ Bookmark</button>
+        <button class="btn btn-primary" id="history-restore" disabled>Restore</button>
+      </div>
+    </div>
+  `;
+
+  return overlay;
+}
+
+function setupListeners() {
+  modal
+    .querySelector(".modal-close")
+    .addEventListener("click", hideHistoryPanel);
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) {
+      hideHistoryPanel();
+    }
+  });
+  document.addEventListener("keydown", handleEscapeKey);
+  modal
+    .querySelector("#history-restore")
+    .addEventListener("click", restoreSelected);
+  modal
+    .querySelector("#history-bookmark")
+    .addEventListener("click", bookmarkSelected);
+}
+
+/**
+ * Render the list of snapshots, newest first
+ */
+function renderList() {
+  const list = modal?.querySelector(".history-list");
+  if (!list) {
+    return;
+  }
+  list.innerHTML = "";
+
+  if (snapshots.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "history-empty";
+    empty.textContent =
+      "No snapshots yet. They are taken when you run the code and while you edit it.";
+    list.appendChild(empty);
+    return;
+  }
+
+  snapshots.forEach((snapshot) => {
+    const item = document.createElement("li");
+    item.className = "history-item";
+    item.tabIndex = 0;
+    item.setAttribute("role", "option");
+    item.setAttribute("aria-selected", String(snapshot === selected));
+    item.classList.toggle("selected", snapshot === selected);
+
+    const result = snapshot.result;
+    const status = !result
+      ? ""
+      : !result.success
+        ? "failure"
+        : result.outputMatched === false
+          ? "mismatch"
+          : "success";
+
+    item.innerHTML = `
+      <div class="history-item-header">
+        <span class="history-time"></span>
+        <span class="history-trigger"></span>
+      </div>
+      <div class="history-bookmark"></div>
+      <div class="history-result ${status}"></div>
+    `;
+    item.querySelector(".history-time").textContent = new Date(
+      snapshot.time,
+    ).toLocaleString();
+    item.querySelector(".history-trigger").textContent =
+      TRIGGER_LABELS[snapshot.trigger];
+    item.querySelector(".history-bookmark").textContent = snapshot.bookmark
+      ? `★ ${snapshot.bookmark}`
+      : "";
+    item.querySelector(".history-result").textContent = describeResult(result);
+
+    item.addEventListener("click", () => selectSnapshot(snapshot));
+    item.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        restoreSelected();
+      } else if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        const next = item[
+          e.key === "ArrowDown"
+            ? "nextElementSibling"
+            : "previousElementSibling"
+        ] as HTMLElement | null;
+        next?.focus();
+        next?.click();
+      }
+    });
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Show a snapshot as a diff against the editor's code
+ * @param {Snapshot|null} snapshot
+ */
+function selectSnapshot(snapshot: Snapshot | null) {
+  selected = snapshot;
+  modal?.querySelectorAll(".history-item").forEach((item, index) => {
+    const isSelected = snapshots[index] === snapshot;
+    item.classList.toggle("selected", isSelected);
+    item.setAttribute("aria-selected", String(isSelected));
+  });
+
+  const restore = modal?.querySelector("#history-restore") as HTMLButtonElement;
+  const bookmark = modal?.querySelector(
+    "#history-bookmark",
+  ) as HTMLButtonElement;
+  if (restore) restore.disabled = !snapshot;
+  if (bookmark) {
+    bookmark.disabled = !snapshot;
+    bookmark.textContent = snapshot?.bookmark ? "★ Rename" : "☆ Bookmark";
+  }
+
+  const monaco = getMonaco();
+  if (!diffEditor || !monaco) {
+    return;
+  }
+  const previous = diffEditor.getModel();
+  diffEditor.setModel({
+    original: monaco.editor.createModel(snapshot?.code ?? "", "dwscript"),
+    modified: monaco.editor.createModel(getCode(), "dwscript"),
+  });
+  previous?.original.dispose();
+  previous?.modified.dispose();
+}
+
+/**
+ * Put the selected snapshot into the editor
+ * The code it replaces is kept as a snapshot first, so a restore can be
+ * undone from the history as well.
+ */
+async function restoreSelected() {
+  if (!selected) {
+    return;
+  }
+  const code = selected.code;
+  const time = new Date(selected.time).toLocaleString();
+  await recordSnapshot("restore");
+  setCode(code);
+  hideHistoryPanel();
+  announceStatus(`Restored the snapshot of ${time}`);
+}
+
+/**
+ * Bookmark the selected snapshot under a name
+ */
+async function bookmarkSelected() {
+  if (!selected) {
+    return;
+  }
+  const name = prompt(
+    "Bookmark name (leave empty to remove the bookmark):",
+    selected.bookmark || "",
+  );
+  if (name === null) {
+    return;
+  }
+  try {
+    await bookmarkSnapshot(selected.id, name);
+  } catch (error) {
+    console.error("Failed to bookmark snapshot:", error);
+    return;
+  }
+  if (name.trim()) {
+    selected.bookmark = name.trim();
+    announceStatus(`Bookmarked as ${selected.bookmark}`);
+  } else {
+    delete selected.bookmark;
+    announceStatus("Bookmark removed");
+  }
+  renderList();
+  selectSnapshot(selected);
+}
+
+/**
+ * Hide the history dialog
+ */
+function hideHistoryPanel() {
+  if (diffEditor) {
+    const model = diffEditor.getModel();
+    diffEditor.dispose();
+    model?.original.dispose();
+    model?.modified.dispose();
+    diffEditor = null;
+  }
+  if (modal) {
+    modal.remove();
+    modal = null;
+  }
+  snapshots = [];
+  selected = null;
+  document.removeEventListener("keydown", handleEscapeKey);
+}
+
+function handleEscapeKey(e: KeyboardEvent) {
+  if (e.key === "Escape") {
+    hideHistoryPanel();
+  }
+}
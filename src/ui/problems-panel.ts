@@ -0,0 +1,96 @@
+/**
+ * Problems Panel
+ * Lists the background compiler's diagnostics in the "Compiler" output tab;
+ * clicking an entry jumps to its location in the editor
+ */
+
+import type { Diagnostic } from "../core/compiler-diagnostics.ts";
+import { highlightErrorInEditor } from "../core/executor.ts";
+
+const SEVERITY_LABELS = {
+  error: "Error",
+  warning: "Warning",
+  hint: "Hint",
+};
+
+/**
+ * Initialize the Problems list
+ * The markup lives in App.tsx; this fills it from "diagnostics" events.
+ */
+export function initProblemsPanel() {
+  window.addEventListener("diagnostics", (e) => {
+    const { diagnostics } = (e as CustomEvent<{ diagnostics: Diagnostic[] }>)
+      .detail;
+    renderProblems(diagnostics);
+  });
+}
+
+/**
+ * Render the Problems list and the count on the Compiler tab
+ * @param {Array<Diagnostic>} diagnostics - Diagnostics of the last check
+ */
+export function renderProblems(diagnostics: Diagnostic[]) {
+  const container = document.getElementById("problems");
+  const list = document.getElementById("problems-list");
+  const count = document.getElementById("problems-count");
+  if (!container || !list) {
+    return;
+  }
+
+  list.innerHTML = "";
+  diagnostics.forEach((diagnostic) => {
+    list.appendChild(createProblemItem(diagnostic));
+  });
+  container.hidden = diagnostics.length === 0;
+
+  if (count) {
+    const errors = diagnostics.filter((d) => d.severity === "error").length;
+    count.textContent = String(diagnostics.length);
+    count.hidden = diagnostics.length === 0;
+    count.classList.toggle("has-errors", errors > 0);
+    count.title = `${errors} ${errors === 1 ? "error" : "errors"}, ${
+      diagnostics.length - errors
+    } other`;
+  }
+}
+
+/**
+ * Create the list entry for one diagnostic
+ * @param {Diagnostic} diagnostic
+ * @returns {HTMLLIElement}
+ */
+function createProblemItem(diagnostic: Diagnostic) {
+  const { severity, message, line, column, file } = diagnostic;
+
+  const item = document.createElement("li");
+  item.className = `problem problem-${severity}`;
+
+  const label = document.createElement("span");
+  label.className = "problem-severity";
+  label.textContent = SEVERITY_LABELS[severity];
+  item.appendChild(label);
+
+  const text = document.createElement("span");
+  text.className = "problem-message";
+  text.textContent = message;
+  item.appendChild(text);
+
+  if (line > 0) {
+    const location = document.createElement("span");
+    location.className = "problem-location";
+    location.textContent = `${file ? `${file}, ` : ""}Ln ${line}, Col ${column}`;
+    item.appendChild(location);
+
+    item.tabIndex = 0;
+    item.title = "Click to jump to this location";
+    const jump = () => highlightErrorInEditor(line, column, file);
+    item.addEventListener("click", jump);
+    item.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        jump();
+      }
+    });
+  }
+
+  return item;
+}
@@ -0,0 +1,289 @@
+/**
+ * Profile Dialog
+ * Switches, creates and deletes learner profiles, exports and imports the
+ * active one and logs out
+ *
+ * Profiles are kept by core/profiles.ts. Every change of the active
+ * profile reloads the page, so the app starts over with its data.
+ */
+
+import {
+  createProfile,
+  deleteProfile,
+  getActiveProfile,
+  listProfiles,
+  logout,
+  switchProfile,
+  takePickOnStart,
+  type Profile,
+} from "../core/profiles.ts";
+import { exportProfile, importProfile } from "../lessons/profile-export.ts";
+import { dayKey } from "../lessons/progress.ts";
+import { escapeHtml } from "../lessons/lesson-ui.ts";
+import { downloadBlob } from "../turtle/canvas-renderer.ts";
+
+let modal: HTMLElement | null = null;
+
+/**
+ * Show the active profile in the header, and the dialog after a logout
+ */
+export function initProfileSwitcher() {
+  const name = document.getElementById("profile-name");
+  if (name) {
+    name.textContent = getActiveProfile().name;
+  }
+  if (takePickOnStart()) {
+    showProfileDialog();
+  }
+}
+
+/**
+ * Show the profile dialog
+ */
+export function showProfileDialog() {
+  hideProfileDialog();
+  modal = createModal();
+  document.body.appendChild(modal);
+  setupListeners();
+  renderProfiles();
+}
+
+/**
+ * Create the dialog markup
+ */
+function createModal() {
+  const overlay = document.createElement("div");
+  overlay.className = "modal-overlay";
+  overlay.id = "profile-modal";
+  overlay.setAttribute("role", "dialog");
+  overlay.setAttribute("aria-labelledby", "profile-title");
+  overlay.setAttribute("aria-modal", "true");
+
+  overlay.innerHTML = `
+    <div class="modal-content profile-modal">
+      <div class="modal-header">
+        <h2 id="profile-title">Learner Profiles</h2>
+        <button class="modal-close" aria-label="Close profiles" title="Close (Esc)">
+          <span aria-hidden="true">×</span>
+        </button>
+      </div>
+
+      <div class="modal-body profile-body">
+        <p class="profile-current"></p>
+        <ul class="profile-list" aria-label="Profiles"></ul>
+        <p class="profile-error" role="alert"></p>
+
+        <form class="settings-group profile-create">
+          <label for="profile-new-name">New profile</label>
+          <div class="profile-row">
+            <input type="text" id="profile-new-name" placeholder="Name" maxlength="40" required>
+            <input type="password" id="profile-new-pin" placeholder="PIN (optional)"
+                   inputmode="numeric" pattern="[0-9]{4,8}" autocomplete="new-password"
+                   aria-label="PIN, 4 to 8 digits, optional">
+            <button type="submit" class="btn btn-secondary">Create</button>
+          </div>
+          <span class="setting-description">
+            A PIN keeps classmates out of your profile. It does not encrypt your data.
+          </span>
+        </form>
+      </div>
+
+      <div class="modal-footer">
+        <button class="btn btn-secondary" id="profile-export" title="Download the progress, settings and saved code of this profile">
+          Export Profile
+        </button>
+        <button class="btn btn-secondary" id="profile-import" title="Replace the data of this profile with an exported file">
+          Import Profile
+        </button>
+        <input type="file" id="profile-import-input" accept=".json,application/json" hidden>
+        <button class="btn btn-secondary" id="profile-logout">Log Out</button>
+        <button class="btn btn-primary" id="profile-close">Close</button>
+      </div>
+    </div>
+  `;
+
+  return overlay;
+}
+
+function setupListeners() {
+  modal
+    .querySelectorAll(".modal-close, #profile-close")
+    .forEach((button) => button.addEventListener("click", hideProfileDialog));
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) {
+      hideProfileDialog();
+    }
+  });
+  document.addEventListener("keydown", handleEscapeKey);
+
+  modal.querySelector(".profile-create").addEventListener("submit", (e) => {
+    e.preventDefault();
+    const name = getField("profile-new-name").value;
+    const pin = getField("profile-new-pin").value;
+    run(async () => {
+      const profile = await createProfile(name, pin);
+      await switchProfile(profile.id, pin);
+    });
+  });
+
+  modal.querySelector("#profile-export").addEventListener("click", () => {
+    const name = getActiveProfile().name.replace(/[^\w-]+/g, "-");
+    downloadBlob(
+      new Blob([exportProfile()], { type: "application/json" }),
+      `dwscript-primer-${name}-${dayKey()}.json`,
+    );
+  });
+
+  const importInput = getField("profile-import-input");
+  modal
+    .querySelector("#profile-import")
+    .addEventListener("click", () => importInput.click());
+  importInput.addEventListener("change", async () => {
+    const upload = importInput.files?.[0];
+    importInput.value = "";
+    if (
+      !upload ||
+      !confirm(
+        `Replace the progress, settings and saved code of "${getActiveProfile().name}" with ${upload.name}?`,
+      )
+    ) {
+      return;
+    }
+    const text = await upload.text();
+    run(async () => {
+      importProfile(text);
+    });
+  });
+
+  modal.querySelector("#profile-logout").addEventListener("click", () => {
+    const active = getActiveProfile();
+    if (
+      active.guest &&
+      !confirm("Log out? The progress and code of the guest are deleted.")
+    ) {
+      return;
+    }
+    run(logout);
+  });
+}
+
+/**
+ * Fill in the active profile and the list of profiles
+ */
+function renderProfiles() {
+  const active = getActiveProfile();
+  modal.querySelector(".profile-current").innerHTML = active.guest
+    ? "You are using the <strong>Guest</strong> profile. Its progress and code are deleted when you log out or switch profiles."
+    : `Signed in as <strong>${escapeHtml(active.name)}</strong>.`;
+
+  const list = modal.querySelector(".profile-list");
+  list.innerHTML = listProfiles()
+    .map(
+      (profile) => `
+      <li class="profile-item ${profile.id === active.id ? "active" : ""}" data-id="${escapeHtml(profile.id)}">
+        <span class="profile-item-name">
+          ${escapeHtml(profile.name)}
+          ${profile.pinHash ? `<span title="Protected by a PIN" aria-label="Protected by a PIN">🔒</span>` : ""}
+        </span>
+        ${
+          profile.id === active.id
+            ? `<span class="profile-badge">Current</span>`
+            : `
+          <button class="btn btn-secondary profile-switch">Switch</button>
+          ${profile.guest ? "" : `<button class="btn btn-secondary profile-delete" aria-label="Delete ${escapeHtml(profile.name)}">Delete</button>`}
+        `
+        }
+      </li>
+    `,
+    )
+    .join("");
+
+  list.querySelectorAll(".profile-item").forEach((item: HTMLElement) => {
+    const profile = listProfiles().find(
+      (entry) => entry.id === item.dataset.id,
+    );
+    item
+      .querySelector(".profile-switch")
+      ?.addEventListener("click", () =>
+        withPin(item, profile, (pin) => switchProfile(profile.id, pin)),
+      );
+    item.querySelector(".profile-delete")?.addEventListener("click", () => {
+      if (
+        confirm(
+          `Delete the profile "${profile.name}" with its progress and code?`,
+        )
+      ) {
+        withPin(item, profile, (pin) => deleteProfile(profile.id, pin));
+      }
+    });
+  });
+}
+
+/**
+ * Run a profile action, asking for the PIN first if the profile has one
+ * @param {HTMLElement} item - List item of the profile
+ * @param {Profile} profile
+ * @param {Function} action - Receives the PIN
+ */
+function withPin(
+  item: HTMLElement,
+  profile: Profile,
+  action: (pin: string) => Promise<void>,
+) {
+  if (!profile.pinHash) {
+    run(() => action(""));
+    return;
+  }
+
+  item.querySelector(".profile-pin")?.remove();
+  const form = document.createElement("form");
+  form.className = "profile-pin profile-row";
+  form.innerHTML = `
+    <input type="password" inputmode="numeric" autocomplete="off"
+           aria-label="PIN of ${escapeHtml(profile.name)}" placeholder="PIN">
+    <button type="submit" class="btn btn-primary">OK</button>
+  `;
+  item.appendChild(form);
+  const input = form.querySelector("input");
+  input.focus();
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    run(() => action(input.value));
+  });
+}
+
+/**
+ * Run a profile action and reload the page, or show why it failed
+ * @param {Function} action
+ */
+async function run(action: () => Promise<void>) {
+  const error = modal.querySelector(".profile-error");
+  error.textContent = "";
+  try {
+    await action();
+    window.location.reload();
+  } catch (failure) {
+    error.textContent = failure.message;
+  }
+}
+
+/**
+ * Hide the profile dialog
+ */
+function hideProfileDialog() {
+  if (modal) {
+    modal.remove();
+    modal = null;
+  }
+  document.removeEventListener("keydown", handleEscapeKey);
+}
+
+function handleEscapeKey(e: KeyboardEvent) {
+  if (e.key === "Escape") {
+    hideProfileDialog();
+  }
+}
+
+function getField(id: string) {
+  return modal.querySelector(`#${id}`) as HTMLInputElement;
+}
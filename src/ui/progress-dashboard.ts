@@ -0,0 +1,344 @@
+/**
+ * Progress Dashboard
+ * Shows the learner's progress: completion per category, time per lesson,
+ * a calendar of the days with activity, the score trend and achievements
+ *
+ * Everything comes from the progress stored in the browser (see
+ * lessons/progress.ts); the export button downloads it as JSON.
+ */
+
+import { getCategories, loadAllLessons } from "../lessons/lesson-loader.ts";
+import { dayKey, exportProgress, getProgress } from "../lessons/progress.ts";
+import { loadAchievements } from "../lessons/achievements.ts";
+import {
+  calendarWeeks,
+  categoryCompletion,
+  currentStreak,
+  lessonTimes,
+  longestStreak,
+  scoreTrend,
+} from "../lessons/progress-stats.ts";
+import { downloadBlob } from "../turtle/canvas-renderer.ts";
+import { escapeHtml } from "../lessons/lesson-ui.ts";
+
+// Lessons listed under time spent
+const MAX_TIME_ROWS = 10;
+
+// Size of the score trend chart, in SVG units
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 120;
+
+let modal: HTMLElement | null = null;
+
+/**
+ * Show the progress dashboard
+ */
+export async function showProgressDashboard() {
+  hideProgressDashboard();
+  modal = createModal();
+  document.body.appendChild(modal);
+  setupListeners();
+
+  const [lessons, categories, achievements] = await Promise.all([
+    loadAllLessons(),
+    getCategories(),
+    loadAchievements(),
+  ]);
+  if (!modal) {
+    return;
+  }
+  const progress = getProgress();
+  const activity = progress.activity || {};
+  const earned = progress.achievements || {};
+  const completed = lessons.filter(
+    (lesson) => progress.lessons[lesson.id]?.completed,
+  ).length;
+  const trend = scoreTrend(progress);
+
+  modal.querySelector(".dashboard-body").innerHTML = `
+    <div class="dashboard-cards">
+      ${card("Lessons completed", `${completed} / ${lessons.length}`)}
+      ${card("Time spent", formatMinutes(progress.totalTime || 0))}
+      ${card(
+        "Current streak",
+        formatDays(currentStreak(activity)),
+        `Longest: ${formatDays(longestStreak(activity))}`,
+      )}
+      ${card(
+        "Average score",
+        trend.length > 0 ? `${trend[trend.length - 1].average}%` : "–",
+      )}
+      ${card(
+        "Achievements",
+        `${achievements.filter((item) => earned[item.id]).length} / ${achievements.length}`,
+      )}
+    </div>
+
+    <section class="dashboard-section">
+      <h3>Completion by Category</h3>
+      ${categoryCompletion(lessons, progress)
+        .map((entry) =>
+          bar(
+            categories[entry.category]?.displayName || entry.category,
+            entry.completed / entry.total,
+            `${entry.completed} / ${entry.total}`,
+          ),
+        )
+        .join("")}
+    </section>
+
+    <section class="dashboard-section">
+      <h3>Activity</h3>
+      ${renderCalendar(activity)}
+    </section>
+
+    <section class="dashboard-section">
+      <h3>Score Trend</h3>
+      ${renderTrend(trend)}
+    </section>
+
+    <section class="dashboard-section">
+      <h3>Time per Lesson</h3>
+      ${renderTimes(lessons, progress)}
+    </section>
+
+    <section class="dashboard-section">
+      <h3>Achievements</h3>
+      <div class="achievement-grid">
+        ${achievements
+          .map(
+            (achievement) => `
+          <div class="achievement ${earned[achievement.id] ? "earned" : ""}"
+               title="${escapeHtml(achievement.description)}">
+            <span class="achievement-icon" aria-hidden="true">${achievement.icon || "🏆"}</span>
+            <strong>${escapeHtml(achievement.title)}</strong>
+            <span class="achievement-description">${escapeHtml(achievement.description)}</span>
+            <span class="achievement-date">${
+              earned[achievement.id]
+                ? `Earned ${new Date(earned[achievement.id]).toLocaleDateString()}`
+                : "Not earned yet"
+            }</span>
+          </div>
+        `,
+          )
+          .join("")}
+      </div>
+    </section>
+  `;
+}
+
+/**
+ * Create the dialog markup
+ */
+function createModal() {
+  const overlay = document.createElement("div");
+  overlay.className = "modal-overlay";
+  overlay.id = "progress-modal";
+  overlay.setAttribute("role", "dialog");
+  overlay.setAttribute("aria-labelledby", "progress-title");
+  overlay.setAttribute("aria-modal", "true");
+
+  overlay.innerHTML = `
+    <div class="modal-content dashboard-modal">
+      <div class="modal-header">
+        <h2 id="progress-title">Your Progress</h2>
+        <button class="modal-close" aria-label="Close progress dashboard" title="Close (Esc)">
+          <span aria-hidden="true">×</span>
+        </button>
+      </div>
+
+      <div class="modal-body dashboard-body">
+        <p>Loading your progress…</p>
+      </div>
+
+      <div class="modal-footer">
+        <button class="btn btn-secondary" id="progress-export" title="Download your progress, activity and achievements as JSON">
+          Export Progress
+        </button>
+        <button class="btn btn-primary" id="progress-close">Close</button>
+      </div>
+    </div>
+  `;
+
+  return overlay;
+}
+
+function setupListeners() {
+  modal
+    .querySelectorAll(".modal-close, #progress-close")
+    .forEach((button) =>
+      button.addEventListener("click", hideProgressDashboard),
+    );
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) {
+      hideProgressDashboard();
+    }
+  });
+  document.addEventListener("keydown", handleEscapeKey);
+
+  modal.querySelector("#progress-export").addEventListener("click", () => {
+    downloadBlob(
+      new Blob([exportProgress()], { type: "application/json" }),
+      `dwscript-primer-progress-${dayKey()}.json`,
+    );
+  });
+}
+
+/**
+ * Markup of a figure at the top of the dashboard
+ */
+function card(label: string, value: string, note = "") {
+  return `
+    <div class="dashboard-card">
+      <span class="dashboard-value">${value}</span>
+      <span class="dashboard-label">${label}</span>
+      ${note ? `<span class="dashboard-note">${note}</span>` : ""}
+    </div>
+  `;
+}
+
+/**
+ * Markup of a labelled bar
+ * @param {string} label
+ * @param {number} fraction - Filled part, 0 to 1
+ * @param {string} value - Text after the bar
+ */
+function bar(label: string, fraction: number, value: string) {
+  const percent = Math.round(Math.min(Math.max(fraction, 0), 1) * 100);
+  return `
+    <div class="dashboard-row">
+      <span class="dashboard-row-label">${escapeHtml(label)}</span>
+      <div class="dashboard-bar" role="img" aria-label="${percent}%">
+        <span style="width: ${percent}%"></span>
+      </div>
+      <span class="dashboard-row-value">${value}</span>
+    </div>
+  `;
+}
+
+/**
+ * Markup of the activity calendar: one column per week, one cell per day
+ * @param {Object<string, number>} activity - Activity per day
+ */
+function renderCalendar(activity) {
+  const weeks = calendarWeeks(activity);
+  const max = Math.max(1, ...Object.values(activity).map(Number));
+  const level = (count: number) =>
+    count === 0 ? 0 : Math.min(4, Math.ceil((count / max) * 4));
+
+  return `
+    <div class="streak-calendar" role="img" aria-label="Days with activity in the last ${weeks.length} weeks">
+      ${weeks
+        .map(
+          (week) => `
+        <div class="streak-week">
+          ${week
+            .map((day) =>
+              day.count === null
+                ? `<span class="streak-day future"></span>`
+                : `<span class="streak-day level-${level(day.count)}" title="${day.day}: ${day.count ? "active" : "no activity"}"></span>`,
+            )
+            .join("")}
+        </div>
+      `,
+        )
+        .join("")}
+    </div>
+  `;
+}
+
+/**
+ * Markup of the score trend: the scores as dots, the running average as
+ * a line
+ * @param {Array} trend - From scoreTrend
+ */
+function renderTrend(trend) {
+  if (trend.length === 0) {
+    return `<p class="dashboard-empty">Complete lessons with a quiz to see your scores here.</p>`;
+  }
+
+  const x = (index: number) =>
+    trend.length === 1
+      ? CHART_WIDTH / 2
+      : 10 + (index * (CHART_WIDTH - 20)) / (trend.length - 1);
+  const y = (score: number) =>
+    CHART_HEIGHT - 10 - (score * (CHART_HEIGHT - 20)) / 100;
+
+  return `
+    <svg class="score-trend" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}"
+         role="img" aria-label="Average score ${trend[trend.length - 1].average}%">
+      <line class="score-axis" x1="0" y1="${y(0)}" x2="${CHART_WIDTH}" y2="${y(0)}"></line>
+      <line class="score-axis" x1="0" y1="${y(100)}" x2="${CHART_WIDTH}" y2="${y(100)}"></line>
+      <polyline class="score-average" points="${trend
+        .map((entry, index) => `${x(index)},${y(entry.average)}`)
+        .join(" ")}"></polyline>
+      ${trend
+        .map(
+          (entry, index) => `
+        <circle class="score-point" cx="${x(index)}" cy="${y(entry.score)}" r="3">
+          <title>${escapeHtml(entry.lessonId)}: ${entry.score}%</title>
+        </circle>
+      `,
+        )
+        .join("")}
+    </svg>
+  `;
+}
+
+/**
+ * Markup of the time spent per lesson
+ * @param {Array} lessons - All lessons
+ * @param {Object} progress - Progress from getProgress()
+ */
+function renderTimes(lessons, progress) {
+  const times = lessonTimes(lessons, progress);
+  if (times.length === 0) {
+    return `<p class="dashboard-empty">Time is counted while a lesson is open.</p>`;
+  }
+  const max = times[0].minutes;
+  return times
+    .slice(0, MAX_TIME_ROWS)
+    .map((entry) =>
+      bar(
+        entry.lesson.title,
+        entry.minutes / max,
+        formatMinutes(entry.minutes),
+      ),
+    )
+    .join("");
+}
+
+/**
+ * Format a time like "1 h 5 min"
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatMinutes(minutes: number) {
+  const hours = Math.floor(minutes / 60);
+  const rest = Math.round(minutes % 60);
+  return hours > 0 ? `${hours} h ${rest} min` : `${rest} min`;
+}
+
+/**
+ * Format a number of days like "1 day" or "3 days"
+ */
+function formatDays(days: number) {
+  return `${days} ${days === 1 ? "day" : "days"}`;
+}
+
+/**
+ * Hide the progress dashboard
+ */
+function hideProgressDashboard() {
+  if (modal) {
+    modal.remove();
+    modal = null;
+  }
+  document.removeEventListener("keydown", handleEscapeKey);
+}
+
+function handleEscapeKey(e: KeyboardEvent) {
+  if (e.key === "Escape") {
+    hideProgressDashboard();
+  }
+}
@@ -0,0 +1,233 @@
+/**
+ * Project Panel
+ * File tree and editor tabs of project mode
+ *
+ * The markup lives in App.tsx; this fills the tree and the tabs from
+ * "projectchange" events and wires up the project buttons.
+ */
+
+import {
+  addUnit,
+  closeFile,
+  closeProject,
+  deleteFile,
+  exportProject,
+  getProject,
+  importProject,
+  isProjectMode,
+  openFile,
+  openProject,
+  renameFile,
+  type Project,
+  type ProjectResult,
+} from "../editor/project-files.ts";
+import { announceStatus } from "../utils/accessibility.ts";
+
+/**
+ * Initialize the project panel
+ */
+export function initProjectPanel() {
+  document
+    .getElementById("btn-project")
+    ?.addEventListener("click", toggleProjectMode);
+
+  document.getElementById("btn-project-add")?.addEventListener("click", () => {
+    const name = prompt("Name of the new unit:", "MyUnit");
+    if (name !== null) {
+      report(addUnit(name), `Unit ${name.trim()} added`);
+    }
+  });
+
+  document
+    .getElementById("btn-project-export")
+    ?.addEventListener("click", exportProject);
+
+  const importInput = document.getElementById(
+    "project-import-input",
+  ) as HTMLInputElement | null;
+  document
+    .getElementById("btn-project-import")
+    ?.addEventListener("click", () => importInput?.click());
+  importInput?.addEventListener("change", async () => {
+    const upload = importInput.files?.[0];
+    importInput.value = "";
+    if (!upload) {
+      return;
+    }
+    if (
+      /\.zip$/i.test(upload.name) &&
+      !confirm("Replace the files of the current project?")
+    ) {
+      return;
+    }
+    report(await importProject(upload), `${upload.name} imported`);
+  });
+
+  window.addEventListener("projectchange", (e) => {
+    const { project } = (e as CustomEvent<{ project: Project | null }>).detail;
+    renderProject(project);
+  });
+
+  renderProject(getProject());
+}
+
+/**
+ * Switch project mode on or off
+ */
+function toggleProjectMode() {
+  if (isProjectMode()) {
+    closeProject();
+    announceStatus("Project closed");
+  } else {
+    openProject();
+    announceStatus("Project opened");
+  }
+}
+
+/**
+ * Show the outcome of a project action in the status bar
+ * @param {ProjectResult} result
+ * @param {string} message - Message on success
+ */
+function report(result: ProjectResult, message: string) {
+  const text = result.success ? message : result.error;
+  const status = document.getElementById("status-message");
+  if (status) {
+    status.textContent = text;
+  }
+  announceStatus(text);
+}
+
+/**
+ * Render the file tree and the tabs
+ * @param {Project|null} project - null outside project mode
+ */
+function renderProject(project: Project | null) {
+  const bar = document.getElementById("project-bar");
+  const tree = document.getElementById("project-tree");
+  const button = document.getElementById("btn-project");
+  if (bar) bar.hidden = !project;
+  if (tree) tree.hidden = !project;
+  if (button) {
+    button.classList.toggle("active", Boolean(project));
+    button.setAttribute("aria-pressed", String(Boolean(project)));
+  }
+  if (!project) {
+    return;
+  }
+
+  const title = document.getElementById("project-name");
+  if (title) {
+    title.textContent = project.name;
+  }
+  renderTree(project);
+  renderTabs(project);
+}
+
+/**
+ * Render the list of files
+ * @param {Project} project
+ */
+function renderTree(project: Project) {
+  const list = document.getElementById("project-file-list");
+  if (!list) {
+    return;
+  }
+  list.innerHTML = "";
+
+  const sorted = [...project.files].sort((a, b) =>
+    a.name === project.main
+      ? -1
+      : b.name === project.main
+        ? 1
+        : a.name.localeCompare(b.name),
+  );
+  sorted.forEach(({ name }) => {
+    const item = document.createElement("li");
+    item.className = "project-file";
+    item.classList.toggle("active", name === project.active);
+
+    const open = document.createElement("button");
+    open.className = "project-file-name";
+    open.textContent = name;
+    open.title =
+      name === project.main ? `${name} (main program)` : `Open ${name}`;
+    open.addEventListener("click", () => openFile(name));
+    item.appendChild(open);
+
+    if (name === project.main) {
+      const badge = document.createElement("span");
+      badge.className = "project-file-main";
+      badge.textContent = "main";
+      item.appendChild(badge);
+    }
+
+    const rename = document.createElement("button");
+    rename.className = "project-file-action";
+    rename.textContent = "✎";
+    rename.title = `Rename ${name}`;
+    rename.setAttribute("aria-label", `Rename ${name}`);
+    rename.addEventListener("click", () => {
+      const newName = prompt(`Rename ${name} to:`, name);
+      if (newName !== null && newName !== name) {
+        report(renameFile(name, newName), `Renamed to ${newName.trim()}`);
+      }
+    });
+    item.appendChild(rename);
+
+    if (name !== project.main) {
+      const remove = document.createElement("button");
+      remove.className = "project-file-action";
+      remove.textContent = "✕";
+      remove.title = `Delete ${name}`;
+      remove.setAttribute("aria-label", `Delete ${name}`);
+      remove.addEventListener("click", () => {
+        if (confirm(`Delete ${name}?`)) {
+          report(deleteFile(name), `${name} deleted`);
+        }
+      });
+      item.appendChild(remove);
+    }
+
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Render the tabs of the open files
+ * @param {Project} project
+ */
+function renderTabs(project: Project) {
+  const tabs = document.getElementById("project-tabs");
+  if (!tabs) {
+    return;
+  }
+  tabs.innerHTML = "";
+
+  project.open.forEach((name) => {
+    const active = name === project.active;
+    const tab = document.createElement("div");
+    tab.className = "project-tab";
+    tab.classList.toggle("active", active);
+
+    const label = document.createElement("button");
+    label.className = "project-tab-label";
+    label.textContent = name;
+    label.setAttribute("role", "tab");
+    label.setAttribute("aria-selected", String(active));
+    label.addEventListener("click", () => openFile(name));
+    tab.appendChild(label);
+
+    if (project.open.length > 1) {
+      const close = document.createElement("button");
+      close.className = "project-tab-close";
+      close.textContent = "×";
+      close.title = `Close ${name}`;
+      close.setAttribute("aria-label", `Close ${name}`);
+      close.addEventListener("click", () => closeFile(name));
+      tab.appendChild(close);
+    }
+
+    tabs.appendChild(tab);
+  });
+}
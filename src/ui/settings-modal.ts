@@ -5,10 +5,22 @@
 
 import { getState, setValue, updateState } from "../core/state-manager.ts";
 import { getEditor } from "../editor/monaco-setup.ts";
+import { DEFAULT_FORMAT_OPTIONS } from "../editor/formatter.ts";
 import * as monaco from "monaco-editor";
 
 let modal: HTMLElement | null = null;
 
+// Formatter settings: control id -> formatter option
+const FORMAT_SETTINGS = {
+  "setting-keyword-case": "keywordCase",
+  "setting-begin-style": "beginStyle",
+  "setting-max-line-length": "maxLineLength",
+  "setting-space-operators": "spaceAroundOperators",
+  "setting-space-assignment": "spaceAroundAssignment",
+  "setting-align-var": "alignVarBlocks",
+  "setting-wrap-parameters": "wrapParameters",
+};
+
 /**
  * Show settings modal
  */
@@ -52,6 +64,7 @@ function createModal() {
       <div class="modal-body">
         <div class="settings-tabs">
           <button class="settings-tab active" data-tab="editor">Editor</button>
+          <button class="settings-tab" data-tab="lessons">Lessons</button>
           <button class="settings-tab" data-tab="accessibility">Accessibility</button>
           <button class="settings-tab" data-tab="shortcuts">Keyboard Shortcuts</button>
           <button class="settings-tab" data-tab="about">About</button>
@@ -104,6 +117,95 @@ function createModal() {
                 </label>
               </div>
             </div>
+
+            <div class="settings-section">
+              <h3>Code Formatting</h3>
+
+              <div class="settings-group">
+                <label for="setting-keyword-case">
+                  Keyword Case
+                  <span class="setting-description">How Format Code writes begin, end, if, ...</span>
+                </label>
+                <div class="setting-control">
+                  <select id="setting-keyword-case">
+                    <option value="lower">lowercase</option>
+                    <option value="upper">UPPERCASE</option>
+                    <option value="preserve">Keep as written</option>
+                  </select>
+                </div>
+              </div>
+
+              <div class="settings-group">
+                <label for="setting-begin-style">
+                  Begin Placement
+                  <span class="setting-description">Where begin goes after then, do and else</span>
+                </label>
+                <div class="setting-control">
+                  <select id="setting-begin-style">
+                    <option value="preserve">Keep as written</option>
+                    <option value="sameLine">Same line (then begin)</option>
+                    <option value="newLine">Own line</option>
+                  </select>
+                </div>
+              </div>
+
+              <div class="settings-group">
+                <label for="setting-max-line-length">
+                  Maximum Line Length
+                  <span class="setting-description">Longer parameter lists are wrapped</span>
+                </label>
+                <div class="setting-control">
+                  <input type="number" id="setting-max-line-length" min="40" max="200" step="10">
+                </div>
+              </div>
+
+              <div class="settings-group">
+                <label for="setting-space-operators">
+                  <input type="checkbox" id="setting-space-operators">
+                  Spaces Around Operators
+                  <span class="setting-description">a + b instead of a+b</span>
+                </label>
+              </div>
+
+              <div class="settings-group">
+                <label for="setting-space-assignment">
+                  <input type="checkbox" id="setting-space-assignment">
+                  Spaces Around :=
+                  <span class="setting-description">x := 1 instead of x:=1</span>
+                </label>
+              </div>
+
+              <div class="settings-group">
+                <label for="setting-align-var">
+                  <input type="checkbox" id="setting-align-var">
+                  Align var Blocks
+                  <span class="setting-description">Line up the types of consecutive variables</span>
+                </label>
+              </div>
+
+              <div class="settings-group">
+                <label for="setting-wrap-parameters">
+                  <input type="checkbox" id="setting-wrap-parameters">
+                  Wrap Long Parameter Lists
+                  <span class="setting-description">Break lists that exceed the maximum line length</span>
+                </label>
+              </div>
+            </div>
+          </div>
+
+          <!-- Lesson Settings -->
+          <div class="settings-panel" data-panel="lessons">
+            <div class="settings-section">
+              <h3>Learning Path</h3>
+
+              <div class="settings-group">
+                <label for="setting-lesson-locking">
+                  <input type="checkbox" id="setting-lesson-locking" checked>
+                  Lock Lessons Until Their Prerequisites Are Completed
+                  <span class="setting-description">Teachers can turn this off to open any lesson; unfinished prerequisites are still marked</span>
+                </label>
+              </div>
+            </div>
           </div>
 
           <!-- Accessibility Settings -->
@@ -291,6 +393,26 @@ function populateSettings(state) {
     wordWrapInput.checked = state.preferences?.wordWrap || false;
   }
 
+  // Formatter settings
+  const formatStyle = { ...DEFAULT_FORMAT_OPTIONS, ...state.formatStyle };
+  Object.entries(FORMAT_SETTINGS).forEach(([id, key]) => {
+    // Selects share the value property
+    const input = document.getElementById(id) as HTMLInputElement | null;
+    if (input?.type === "checkbox") {
+      input.checked = !!formatStyle[key];
+    } else if (input) {
+      input.value = String(formatStyle[key]);
+    }
+  });
+
+  // Lesson settings
+  const lessonLockingInput = document.getElementById(
+    "setting-lesson-locking",
+  ) as HTMLInputElement | null;
+  if (lessonLockingInput) {
+    lessonLockingInput.checked = state.lessonLocking !== false;
+  }
+
   // Accessibility settings
   const highContrastInput = document.getElementById(
     "setting-high-contrast",
@@ -399,6 +521,32 @@ function setupSettingsListeners() {
     applyWordWrap(!!target?.checked);
   });
 
+  // Formatter settings
+  Object.entries(FORMAT_SETTINGS).forEach(([id, key]) => {
+    const input = document.getElementById(id) as HTMLInputElement | null;
+    input?.addEventListener("change", () => {
+      if (input.type === "checkbox") {
+        applyFormatStyle(key, input.checked);
+      } else if (input.type === "number") {
+        const length = parseInt(input.value, 10);
+        if (length > 0) {
+          applyFormatStyle(key, length);
+        }
+      } else {
+        applyFormatStyle(key, input.value);
+      }
+    });
+  });
+
+  // Lesson locking
+  const lessonLockingInput = document.getElementById(
+    "setting-lesson-locking",
+  ) as HTMLInputElement | null;
+  lessonLockingInput?.addEventListener("change", (e) => {
+    const target = e.target as HTMLInputElement | null;
+    setValue("lessonLocking", !!target?.checked);
+  });
+
   // High contrast
   const highContrastInput = document.getElementById(
     "setting-high-contrast",
@@ -513,6 +661,18 @@ function applyTabSize(tabSize) {
   });
 }
 
+/**
+ * Apply a formatter setting; Format Code picks it up on its next run
+ */
+function applyFormatStyle(key, value) {
+  updateState({
+    formatStyle: {
+      ...getState().formatStyle,
+      [key]: value,
+    },
+  });
+}
+
 /**
  * Apply minimap setting
  */
@@ -606,8 +766,10 @@ function resetSettings() {
   applyHighContrast(false);
   applyColorBlindMode("none");
   applyAnimations(true);
+  setValue("formatStyle", {});
   setValue("announceOutput", true);
   setValue("announceErrors", true);
+  setValue("lessonLocking", true);
 
   // Update UI
   const state = getState();
@@ -0,0 +1,169 @@
+/**
+ * Share Dialog
+ * Shows the share link of the code, its QR code and the HTML to embed it
+ */
+
+import {
+  copyToClipboard,
+  createEmbedCode,
+  generateQRCode,
+  MAX_SAFE_URL_LENGTH,
+} from "../utils/url-sharing.ts";
+import { announceStatus } from "../utils/accessibility.ts";
+
+let modal: HTMLElement | null = null;
+
+/**
+ * Show the share dialog
+ * @param {string} code - The shared code
+ * @param {string} url - Its share link
+ */
+export async function showShareDialog(code: string, url: string) {
+  hideShareDialog();
+  modal = createModal();
+  document.body.appendChild(modal);
+
+  getField("share-url").value = url;
+  const size = modal.querySelector(".share-size");
+  size.textContent =
+    url.length > MAX_SAFE_URL_LENGTH
+      ? `${url.length} characters: some apps may cut off a link this long.`
+      : `${url.length} characters`;
+  size.classList.toggle("warning", url.length > MAX_SAFE_URL_LENGTH);
+
+  const qr = modal.querySelector(".share-qr") as HTMLElement;
+  try {
+    const image = document.createElement("img");
+    image.src = await generateQRCode(url);
+    image.alt = "QR code of the link";
+    qr.appendChild(image);
+  } catch {
+    qr.textContent = "The link is too long for a QR code.";
+  }
+
+  const updateEmbed = () => {
+    getField("share-embed").value = createEmbedCode(code, {
+      readOnly: getField("share-readonly").checked,
+      autorun: getField("share-autorun").checked,
+    });
+  };
+  updateEmbed();
+
+  setupListeners(updateEmbed);
+  getField("share-url").select();
+}
+
+/**
+ * Create the dialog markup
+ */
+function createModal() {
+  const overlay = document.createElement("div");
+  overlay.className = "modal-overlay";
+  overlay.id = "share-modal";
+  overlay.setAttribute("role", "dialog");
+  overlay.setAttribute("aria-labelledby", "share-title");
+  overlay.setAttribute("aria-modal", "true");
+
+  overlay.innerHTML = `
+    <div class="modal-content share-modal">
+      <div class="modal-header">
+        <h2 id="share-title">Share Code</h2>
+        <button class="modal-close" aria-label="Close share dialog" title="Close (Esc)">
+          <span aria-hidden="true">×</span>
+        </button>
+      </div>
+
+      <div class="modal-body share-body">
+        <div class="settings-group">
+          <label for="share-url">Link</label>
+          <div class="share-row">
+            <input type="text" id="share-url" readonly>
+            <button class="btn btn-secondary" id="share-copy-url">Copy</button>
+          </div>
+          <span class="setting-description share-size"></span>
+        </div>
+
+        <div class="share-qr"></div>
+
+        <div class="settings-group">
+          <label for="share-embed">
+            Embed in a web page
+            <span class="setting-description">Shows the editor, a Run button and the output</span>
+          </label>
+          <div class="share-options">
+            <label><input type="checkbox" id="share-readonly"> Read-only</label>
+            <label><input type="checkbox" id="share-autorun"> Run automatically</label>
+          </div>
+          <div class="share-row">
+            <textarea id="share-embed" rows="3" readonly spellcheck="false"></textarea>
+            <button class="btn btn-secondary" id="share-copy-embed">Copy</button>
+          </div>
+        </div>
+      </div>
+
+      <div class="modal-footer">
+        <button class="btn btn-primary" id="share-done">Done</button>
+      </div>
+    </div>
+  `;
+
+  return overlay;
+}
+
+/**
+ * @param {Function} updateEmbed - Rebuilds the embed code from the options
+ */
+function setupListeners(updateEmbed: () => void) {
+  modal
+    .querySelectorAll(".modal-close, #share-done")
+    .forEach((button) => button.addEventListener("click", hideShareDialog));
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) {
+      hideShareDialog();
+    }
+  });
+  document.addEventListener("keydown", handleEscapeKey);
+
+  ["share-readonly", "share-autorun"].forEach((id) =>
+    getField(id).addEventListener("change", updateEmbed),
+  );
+  modal
+    .querySelector("#share-copy-url")
+    .addEventListener("click", () => copyField("share-url", "Link copied"));
+  modal
+    .querySelector("#share-copy-embed")
+    .addEventListener("click", () =>
+      copyField("share-embed", "Embed code copied"),
+    );
+}
+
+/**
+ * Copy the value of a field to the clipboard
+ * @param {string} id - Field id
+ * @param {string} message - Announced on success
+ */
+async function copyField(id: string, message: string) {
+  const success = await copyToClipboard(getField(id).value);
+  announceStatus(success ? message : "Failed to copy");
+}
+
+/**
+ * Hide the share dialog
+ */
+function hideShareDialog() {
+  if (modal) {
+    modal.remove();
+    modal = null;
+  }
+  document.removeEventListener("keydown", handleEscapeKey);
+}
+
+function handleEscapeKey(e: KeyboardEvent) {
+  if (e.key === "Escape") {
+    hideShareDialog();
+  }
+}
+
+function getField(id: string) {
+  return modal.querySelector(`#${id}`) as HTMLInputElement;
+}
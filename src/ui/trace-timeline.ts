@@ -0,0 +1,156 @@
+/**
+ * Execution Trace Timeline
+ * A slider under the editor for scrubbing through a traced run
+ *
+ * Moving the slider highlights the line of the selected step and shows the
+ * console and the turtle canvas as they were right after that line ran.
+ */
+
+import type { ExecutionTrace } from "../core/trace-recorder.ts";
+import { setConsoleOutput } from "../output/output-manager.ts";
+import { replayTurtleCommands } from "../turtle/turtle-api.ts";
+import { announceStatus } from "../utils/accessibility.ts";
+
+let currentTrace: ExecutionTrace | null = null;
+let pendingFrame: number | null = null;
+
+/**
+ * Initialize the timeline
+ * The markup lives in App.tsx; traces arrive as "executiontrace" events.
+ */
+export function initTraceTimeline() {
+  const slider = getSlider();
+  if (!slider) {
+    return;
+  }
+
+  window.addEventListener("executiontrace", (e) => {
+    const { trace } = (e as CustomEvent<{ trace: ExecutionTrace }>).detail;
+    openTimeline(trace);
+  });
+
+  // A new run makes the recorded trace stale
+  window.addEventListener("executionstate", (e) => {
+    const { executing } = (e as CustomEvent<{ executing: boolean }>).detail;
+    if (executing) {
+      closeTimeline(false);
+    }
+  });
+
+  // Replaying can be slow for long runs; draw at most once per frame
+  slider.addEventListener("input", () => {
+    if (pendingFrame === null) {
+      pendingFrame = requestAnimationFrame(() => {
+        pendingFrame = null;
+        showStep(Number(slider.value));
+      });
+    }
+  });
+
+  document
+    .getElementById("btn-trace-back")
+    ?.addEventListener("click", () => moveBy(-1));
+  document
+    .getElementById("btn-trace-forward")
+    ?.addEventListener("click", () => moveBy(1));
+  document
+    .getElementById("btn-trace-close")
+    ?.addEventListener("click", () => closeTimeline(true));
+}
+
+/**
+ * Show the timeline for a trace, positioned at the last step
+ * @param {ExecutionTrace} trace - Recorded run
+ */
+function openTimeline(trace: ExecutionTrace) {
+  const timeline = document.getElementById("trace-timeline");
+  const slider = getSlider();
+  if (!timeline || !slider || !trace || trace.steps.length === 0) {
+    return;
+  }
+
+  currentTrace = trace;
+  slider.max = String(trace.steps.length - 1);
+  slider.value = slider.max;
+  timeline.hidden = false;
+
+  const message = trace.truncated
+    ? `Trace recorded (first ${trace.steps.length} steps)`
+    : `Trace recorded: ${trace.steps.length} steps`;
+  announceStatus(message);
+  showStep(trace.steps.length - 1);
+}
+
+/**
+ * Hide the timeline and its line highlight
+ * @param {boolean} showFinalState - Leave the console and canvas showing
+ *   the complete run (not needed when a new run clears them anyway)
+ */
+function closeTimeline(showFinalState: boolean) {
+  const timeline = document.getElementById("trace-timeline");
+  if (!currentTrace || !timeline) {
+    return;
+  }
+
+  if (showFinalState) {
+    showStep(currentTrace.steps.length - 1);
+  }
+  currentTrace = null;
+  timeline.hidden = true;
+  window.dispatchEvent(
+    new CustomEvent("tracestep", { detail: { line: null } }),
+  );
+}
+
+/**
+ * Move the slider by a number of steps
+ * @param {number} delta - Steps to move (negative goes back)
+ */
+function moveBy(delta: number) {
+  const slider = getSlider();
+  if (!currentTrace || !slider) {
+    return;
+  }
+
+  const index = Math.max(
+    0,
+    Math.min(currentTrace.steps.length - 1, Number(slider.value) + delta),
+  );
+  slider.value = String(index);
+  showStep(index);
+}
+
+function getSlider() {
+  return document.getElementById("trace-slider") as HTMLInputElement | null;
+}
+
+/**
+ * Show the program state right after a step
+ * @param {number} index - Step index
+ */
+function showStep(index: number) {
+  if (!currentTrace) {
+    return;
+  }
+
+  const { steps, output, turtleCommands, background } = currentTrace;
+  const step = steps[index];
+  if (!step) {
+    return;
+  }
+
+  window.dispatchEvent(
+    new CustomEvent("tracestep", { detail: { line: step.line, index } }),
+  );
+  setConsoleOutput(output.slice(0, step.outputCount));
+  replayTurtleCommands(turtleCommands.slice(0, step.turtleCount), background);
+
+  const where =
+    step.routine === "(main)"
+      ? `line ${step.line}`
+      : `line ${step.line} in ${step.routine} (depth ${step.depth})`;
+  const status = document.getElementById("trace-status");
+  if (status) {
+    status.textContent = `Step ${index + 1} of ${steps.length}: ${where}`;
+  }
+}
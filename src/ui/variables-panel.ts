@@ -0,0 +1,293 @@
+/**
+ * Variables Panel
+ * Shows the variables of a paused (or finished) debug session and the
+ * watch expressions in the "Variables" output tab
+ */
+
+import type { DebugVariableValue } from "../core/instrumentation.ts";
+import {
+  getVariables,
+  getWatches,
+  addWatch,
+  removeWatch,
+  evaluateExpression,
+} from "../core/debugger.ts";
+
+// Paths of expanded tree nodes, kept while stepping so the tree stays open
+const expandedPaths = new Set<string>();
+
+/**
+ * Initialize the variables panel
+ * The panel markup lives in App.tsx; this fills it from "debugger" events.
+ */
+export function initVariablesPanel() {
+  const form = document.getElementById("watch-form");
+  const input = document.getElementById("watch-input") as HTMLInputElement;
+
+  if (form && input) {
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      if (addWatch(input.value).success) {
+        input.value = "";
+      }
+    });
+  }
+
+  window.addEventListener("debugger", (e) => {
+    const { type } = (e as CustomEvent<{ type: string }>).detail;
+    if (type === "variables-updated") {
+      renderVariables();
+      renderWatches();
+    } else if (type === "watches-changed") {
+      renderWatches();
+    }
+  });
+
+  renderWatches();
+}
+
+/**
+ * Render the locals and globals trees
+ */
+function renderVariables() {
+  const container = document.getElementById("variables-tree");
+  if (!container) {
+    return;
+  }
+
+  const variables = getVariables();
+  container.innerHTML = "";
+
+  if (variables.length === 0) {
+    const empty = document.createElement("p");
+    empty.className = "variables-empty";
+    empty.textContent = "No variables in scope";
+    container.appendChild(empty);
+    return;
+  }
+
+  [
+    { scope: "local", title: "Locals" },
+    { scope: "global", title: "Globals" },
+  ].forEach(({ scope, title }) => {
+    const inScope = variables.filter((v) => v.scope === scope);
+    if (inScope.length === 0) {
+      return;
+    }
+
+    const heading = document.createElement("h4");
+    heading.className = "variables-heading";
+    heading.textContent = title;
+    container.appendChild(heading);
+
+    const list = document.createElement("ul");
+    list.className = "variables-list";
+    inScope.forEach((variable: DebugVariableValue) => {
+      list.appendChild(
+        createNode(
+          variable.name,
+          variable.type,
+          variable.value,
+          `${scope}/${variable.name}`,
+        ),
+      );
+    });
+    container.appendChild(list);
+  });
+}
+
+/**
+ * Render the watch list, evaluating every expression
+ */
+function renderWatches() {
+  const container = document.getElementById("watch-list");
+  if (!container) {
+    return;
+  }
+
+  container.innerHTML = "";
+  const hasValues = getVariables().length > 0;
+  const list = document.createElement("ul");
+  list.className = "variables-list";
+
+  getWatches().forEach((expression, index) => {
+    let item;
+    const result = hasValues ? evaluateExpression(expression) : null;
+    if (result && result.success) {
+      item = createNode(
+        expression,
+        result.type,
+        result.value,
+        `watch/${expression}`,
+      );
+    } else {
+      item = document.createElement("li");
+      item.className = "variable-node";
+      const row = createRow(expression, "", null);
+      row.querySelector(".variable-value").textContent = result
+        ? result.message
+        : "not available";
+      row.classList.add("watch-error");
+      item.appendChild(row);
+    }
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "watch-remove";
+    remove.textContent = "×";
+    remove.title = `Remove watch "${expression}"`;
+    remove.addEventListener("click", () => removeWatch(index));
+    item.querySelector(".variable-row").appendChild(remove);
+
+    list.appendChild(item);
+  });
+
+  container.appendChild(list);
+}
+
+/**
+ * Create a tree node for a value
+ * Records, arrays and sets become expandable <details> elements.
+ * @param {string} name - Variable, field or index label
+ * @param {string} type - Declared type, or "" when unknown
+ * @param {*} value - Value from the debugger
+ * @param {string} path - Unique path, used to remember expanded nodes
+ * @returns {HTMLLIElement}
+ */
+function createNode(name, type, value, path) {
+  const item = document.createElement("li");
+  item.className = "variable-node";
+
+  const children = getChildren(type, value);
+  if (!children) {
+    item.appendChild(createRow(name, type, value));
+    return item;
+  }
+
+  const details = document.createElement("details");
+  details.open = expandedPaths.has(path);
+  details.addEventListener("toggle", () => {
+    if (details.open) {
+      expandedPaths.add(path);
+    } else {
+      expandedPaths.delete(path);
+    }
+  });
+
+  const summary = document.createElement("summary");
+  summary.appendChild(createRow(name, type, value));
+  details.appendChild(summary);
+
+  const list = document.createElement("ul");
+  list.className = "variables-list";
+  children.forEach((child) => {
+    list.appendChild(
+      createNode(child.name, child.type, child.value, `${path}/${child.name}`),
+    );
+  });
+  details.appendChild(list);
+
+  item.appendChild(details);
+  return item;
+}
+
+/**
+ * Create the "name: Type = value" row of a node
+ * @param {string} name - Label
+ * @param {string} type - Declared type, or ""
+ * @param {*} value - Value
+ * @returns {HTMLDivElement}
+ */
+function createRow(name, type, value) {
+  const row = document.createElement("div");
+  row.className = "variable-row";
+
+  const nameSpan = document.createElement("span");
+  nameSpan.className = "variable-name";
+  nameSpan.textContent = name;
+  row.appendChild(nameSpan);
+
+  if (type) {
+    const typeSpan = document.createElement("span");
+    typeSpan.className = "variable-type";
+    typeSpan.textContent = `: ${type}`;
+    row.appendChild(typeSpan);
+  }
+
+  const valueSpan = document.createElement("span");
+  valueSpan.className = "variable-value";
+  valueSpan.textContent = formatValue(type, value);
+  row.appendChild(valueSpan);
+
+  return row;
+}
+
+/**
+ * Children of a structured value, or null for scalars
+ * Array elements are labelled from the declared low bound (array[1..5]).
+ * @param {string} type - Declared type, or ""
+ * @param {*} value - Value
+ * @returns {Array<Object>|null} Child name, type and value
+ */
+function getChildren(type = "", value) {
+  if (Array.isArray(value)) {
+    if (isSetType(type)) {
+      return value.map((item, i) => ({ name: `#${i}`, type: "", value: item }));
+    }
+    const bounds = /^array\s*\[\s*(-?\d+)\s*\.\./i.exec(type);
+    const low = bounds ? parseInt(bounds[1], 10) : 0;
+    const elementType = type.replace(/^array\s*(\[[^\]]*\])?\s*of\s+/i, "");
+    return value.map((item, i) => ({
+      name: `[${i + low}]`,
+      type: elementType === type ? "" : elementType,
+      value: item,
+    }));
+  }
+  if (value && typeof value === "object") {
+    return Object.keys(value).map((key) => ({
+      name: key,
+      type: "",
+      value: value[key],
+    }));
+  }
+  return null;
+}
+
+/**
+ * Format a value the way Pascal code would write it
+ * @param {string} type - Declared type, or ""
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function formatValue(type = "", value) {
+  if (value === null || value === undefined) {
+    return " = nil";
+  }
+  if (Array.isArray(value)) {
+    if (isSetType(type)) {
+      return ` = [${value.map((item) => formatScalar(item)).join(", ")}]`;
+    }
+    return ` (${value.length} ${value.length === 1 ? "element" : "elements"})`;
+  }
+  if (typeof value === "object") {
+    return "";
+  }
+  return ` = ${formatScalar(value)}`;
+}
+
+function formatScalar(value) {
+  if (typeof value === "string") {
+    return `'${value.replace(/'/g, "''")}'`;
+  }
+  if (typeof value === "boolean") {
+    return value ? "True" : "False";
+  }
+  if (value && typeof value === "object") {
+    return "...";
+  }
+  return String(value);
+}
+
+function isSetType(type) {
+  return /^set\s+of\b/i.test(type);
+}
@@ -0,0 +1,66 @@
+/**
+ * Tests for DEFLATE compression
+ */
+
+import { describe, it, expect } from "vitest";
+import { deflateRawSync, inflateRawSync } from "node:zlib";
+import { deflateRaw, inflateRaw } from "./deflate.ts";
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const program = `program Shapes;
+
+procedure Square(size: Integer);
+var i: Integer;
+begin
+  for i := 1 to 4 do
+  begin
+    Forward(size);
+    TurnRight(90);
+  end;
+end;
+
+begin
+  Square(50);
+  Square(100);
+  PrintLn('Done');
+end.
+`.repeat(20);
+
+describe("Deflate", () => {
+  it("compresses repeated text and reads it back", () => {
+    const data = encoder.encode(program);
+    const compressed = deflateRaw(data);
+
+    expect(compressed.length).toBeLessThan(data.length / 10);
+    expect(decoder.decode(inflateRaw(compressed))).toBe(program);
+    // Other tools read it, too
+    expect(decoder.decode(inflateRawSync(compressed))).toBe(program);
+  });
+
+  it("handles empty input and every byte value", () => {
+    expect(inflateRaw(deflateRaw(new Uint8Array())).length).toBe(0);
+
+    const bytes = Array.from({ length: 1000 }, (_, i) => (i * 37) % 256);
+    expect(Array.from(inflateRaw(deflateRaw(new Uint8Array(bytes))))).toEqual(
+      bytes,
+    );
+  });
+
+  it("reads dynamic and stored blocks written by zlib", () => {
+    const data = encoder.encode(program);
+    const dynamic = new Uint8Array(deflateRawSync(data));
+    const stored = new Uint8Array(deflateRawSync(data, { level: 0 }));
+    expect(decoder.decode(inflateRaw(dynamic))).toBe(program);
+    expect(decoder.decode(inflateRaw(stored))).toBe(program);
+  });
+
+  it("rejects damaged data", () => {
+    const compressed = deflateRaw(encoder.encode(program));
+    expect(() => inflateRaw(compressed.subarray(0, 10))).toThrow(
+      "ends unexpectedly",
+    );
+    expect(() => inflateRaw(new Uint8Array([0xff]))).toThrow();
+  });
+});
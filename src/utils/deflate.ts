@@ -0,0 +1,443 @@
+/**
+ * Deflate
+ * Compresses and decompresses raw DEFLATE data (RFC 1951) synchronously
+ *
+ * Share links are built while the page runs, so the code is compressed
+ * here instead of with the asynchronous CompressionStream. The compressor
+ * finds repeats with a hash chain and writes a single block with the fixed
+ * Huffman codes, which suits the few kilobytes of a program. The
+ * decompressor reads every kind of block, so data from other tools works,
+ * too.
+ */
+
+const WINDOW_SIZE = 32768;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+// Candidates tried per position; more finds longer matches, but slower
+const MAX_CHAIN = 64;
+const HASH_BITS = 15;
+
+// Base values and extra bits of the length codes 257..285
+const LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67,
+  83, 99, 115, 131, 163, 195, 227, 258,
+];
+const LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5,
+  5, 5, 0,
+];
+// Base values and extra bits of the distance codes 0..29
+const DISTANCE_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769,
+  1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577,
+];
+const DISTANCE_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11,
+  11, 12, 12, 13, 13,
+];
+// Order in which the code lengths of the code length alphabet are stored
+const CODE_LENGTH_ORDER = [
+  16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15,
+];
+
+/**
+ * Writes bits least significant first, as DEFLATE packs them
+ */
+class BitWriter {
+  private bytes: number[] = [];
+  private current = 0;
+  private count = 0;
+
+  /**
+   * Write a value of some bits, least significant bit first
+   * @param {number} value
+   * @param {number} bits
+   */
+  write(value: number, bits: number) {
+    for (let i = 0; i < bits; i++) {
+      this.current |= ((value >>> i) & 1) << this.count;
+      if (++this.count === 8) {
+        this.bytes.push(this.current);
+        this.current = 0;
+        this.count = 0;
+      }
+    }
+  }
+
+  /**
+   * Write a Huffman code, most significant bit first
+   * @param {number} code
+   * @param {number} bits
+   */
+  writeCode(code: number, bits: number) {
+    for (let i = bits - 1; i >= 0; i--) {
+      this.write((code >>> i) & 1, 1);
+    }
+  }
+
+  finish() {
+    if (this.count > 0) {
+      this.bytes.push(this.current);
+    }
+    return new Uint8Array(this.bytes);
+  }
+}
+
+/**
+ * Write a literal or length symbol with the fixed Huffman code
+ * @param {BitWriter} out
+ * @param {number} symbol - 0..287
+ */
+function writeFixedSymbol(out: BitWriter, symbol: number) {
+  if (symbol < 144) {
+    out.writeCode(0x30 + symbol, 8);
+  } else if (symbol < 256) {
+    out.writeCode(0x190 + symbol - 144, 9);
+  } else if (symbol < 280) {
+    out.writeCode(symbol - 256, 7);
+  } else {
+    out.writeCode(0xc0 + symbol - 280, 8);
+  }
+}
+
+/**
+ * Index of the last base that is not larger than a value
+ * @param {Array<number>} bases - Ascending base values
+ * @param {number} value
+ * @returns {number}
+ */
+function findBase(bases: number[], value: number) {
+  let index = bases.length - 1;
+  while (bases[index] > value) {
+    index--;
+  }
+  return index;
+}
+
+/**
+ * Compress data to a raw DEFLATE stream
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+export function deflateRaw(data: Uint8Array) {
+  const out = new BitWriter();
+  out.write(1, 1); // last block
+  out.write(1, 2); // fixed Huffman codes
+
+  const head = new Int32Array(1 << HASH_BITS).fill(-1);
+  const previous = new Int32Array(WINDOW_SIZE);
+  const hashAt = (pos: number) =>
+    ((data[pos] << 10) ^ (data[pos + 1] << 5) ^ data[pos + 2]) &
+    ((1 << HASH_BITS) - 1);
+  const insert = (pos: number) => {
+    if (pos + MIN_MATCH <= data.length) {
+      const hash = hashAt(pos);
+      previous[pos % WINDOW_SIZE] = head[hash];
+      head[hash] = pos;
+    }
+  };
+
+  let pos = 0;
+  while (pos < data.length) {
+    let bestLength = 0;
+    let bestDistance = 0;
+    if (pos + MIN_MATCH <= data.length) {
+      const limit = Math.min(MAX_MATCH, data.length - pos);
+      let candidate = head[hashAt(pos)];
+      for (
+        let chain = 0;
+        candidate >= 0 && pos - candidate <= WINDOW_SIZE && chain < MAX_CHAIN;
+        chain++
+      ) {
+        let length = 0;
+        while (
+          length < limit &&
+          data[candidate + length] === data[pos + length]
+        ) {
+          length++;
+        }
+        if (length > bestLength) {
+          bestLength = length;
+          bestDistance = pos - candidate;
+          if (length === limit) {
+            break;
+          }
+        }
+        const next = previous[candidate % WINDOW_SIZE];
+        // Older entries of the ring buffer have been overwritten
+        candidate = next < candidate ? next : -1;
+      }
+    }
+
+    if (bestLength >= MIN_MATCH) {
+      const lengthIndex = findBase(LENGTH_BASE, bestLength);
+      writeFixedSymbol(out, 257 + lengthIndex);
+      out.write(
+        bestLength - LENGTH_BASE[lengthIndex],
+        LENGTH_EXTRA[lengthIndex],
+      );
+      const distanceIndex = findBase(DISTANCE_BASE, bestDistance);
+      out.writeCode(distanceIndex, 5);
+      out.write(
+        bestDistance - DISTANCE_BASE[distanceIndex],
+        DISTANCE_EXTRA[distanceIndex],
+      );
+      for (let i = 0; i < bestLength; i++) {
+        insert(pos + i);
+      }
+      pos += bestLength;
+    } else {
+      writeFixedSymbol(out, data[pos]);
+      insert(pos);
+      pos++;
+    }
+  }
+
+  writeFixedSymbol(out, 256); // end of block
+  return out.finish();
+}
+
+/**
+ * Canonical Huffman code for decoding
+ */
+interface HuffmanTable {
+  /** Number of codes of each length */
+  counts: Uint16Array;
+  /** Symbols ordered by code */
+  symbols: Uint16Array;
+}
+
+/**
+ * Build a decoding table from code lengths
+ * @param {ArrayLike<number>} lengths - Code length of each symbol, 0 if unused
+ * @returns {HuffmanTable}
+ */
+function buildTable(lengths: ArrayLike<number>): HuffmanTable {
+  const counts = new Uint16Array(16);
+  for (let i = 0; i < lengths.length; i++) {
+    counts[lengths[i]]++;
+  }
+  counts[0] = 0;
+  const offsets = new Uint16Array(16);
+  for (let bits = 1; bits < 16; bits++) {
+    offsets[bits] = offsets[bits - 1] + counts[bits - 1];
+  }
+  const symbols = new Uint16Array(lengths.length);
+  for (let i = 0; i < lengths.length; i++) {
+    if (lengths[i]) {
+      symbols[offsets[lengths[i]]++] = i;
+    }
+  }
+  return { counts, symbols };
+}
+
+let fixedTables: { literals: HuffmanTable; distances: HuffmanTable } | null =
+  null;
+
+function getFixedTables() {
+  if (!fixedTables) {
+    const lengths = new Uint8Array(288);
+    lengths.fill(8, 0, 144);
+    lengths.fill(9, 144, 256);
+    lengths.fill(7, 256, 280);
+    lengths.fill(8, 280, 288);
+    fixedTables = {
+      literals: buildTable(lengths),
+      distances: buildTable(new Uint8Array(30).fill(5)),
+    };
+  }
+  return fixedTables;
+}
+
+/**
+ * Reads bits least significant first
+ */
+class BitReader {
+  private pos = 0;
+  private bit = 0;
+
+  constructor(private data: Uint8Array) {}
+
+  read(bits: number) {
+    let value = 0;
+    for (let i = 0; i < bits; i++) {
+      if (this.pos >= this.data.length) {
+        throw new Error("Compressed data ends unexpectedly");
+      }
+      value |= ((this.data[this.pos] >>> this.bit) & 1) << i;
+      if (++this.bit === 8) {
+        this.bit = 0;
+        this.pos++;
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Read a symbol of a Huffman code
+   * @param {HuffmanTable} table
+   * @returns {number}
+   */
+  decode(table: HuffmanTable) {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let bits = 1; bits < 16; bits++) {
+      code |= this.read(1);
+      const count = table.counts[bits];
+      if (code - first < count) {
+        return table.symbols[index + code - first];
+      }
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error("Invalid Huffman code in compressed data");
+  }
+
+  /**
+   * Skip to the next byte boundary and read bytes
+   * @param {number} length
+   * @returns {Uint8Array}
+   */
+  readBytes(length: number) {
+    if (this.bit > 0) {
+      this.bit = 0;
+      this.pos++;
+    }
+    if (this.pos + length > this.data.length) {
+      throw new Error("Compressed data ends unexpectedly");
+    }
+    const bytes = this.data.subarray(this.pos, this.pos + length);
+    this.pos += length;
+    return bytes;
+  }
+}
+
+/**
+ * Read the Huffman codes of a block with dynamic codes
+ * @param {BitReader} input
+ * @returns {Object} { literals, distances }
+ */
+function readDynamicTables(input: BitReader) {
+  const literalCount = input.read(5) + 257;
+  const distanceCount = input.read(5) + 1;
+  const codeLengthCount = input.read(4) + 4;
+
+  const codeLengthLengths = new Uint8Array(19);
+  for (let i = 0; i < codeLengthCount; i++) {
+    codeLengthLengths[CODE_LENGTH_ORDER[i]] = input.read(3);
+  }
+  const codeLengths = buildTable(codeLengthLengths);
+
+  const lengths = new Uint8Array(literalCount + distanceCount);
+  let i = 0;
+  while (i < lengths.length) {
+    const symbol = input.decode(codeLengths);
+    if (symbol < 16) {
+      lengths[i++] = symbol;
+      continue;
+    }
+    let repeat: number;
+    let value = 0;
+    if (symbol === 16) {
+      if (i === 0) {
+        throw new Error("Invalid code lengths in compressed data");
+      }
+      value = lengths[i - 1];
+      repeat = 3 + input.read(2);
+    } else if (symbol === 17) {
+      repeat = 3 + input.read(3);
+    } else {
+      repeat = 11 + input.read(7);
+    }
+    if (i + repeat > lengths.length) {
+      throw new Error("Invalid code lengths in compressed data");
+    }
+    lengths.fill(value, i, i + repeat);
+    i += repeat;
+  }
+
+  return {
+    literals: buildTable(lengths.subarray(0, literalCount)),
+    distances: buildTable(lengths.subarray(literalCount)),
+  };
+}
+
+/**
+ * Decompress a raw DEFLATE stream
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ * @throws {Error} If the data is damaged
+ */
+export function inflateRaw(data: Uint8Array) {
+  const input = new BitReader(data);
+  let out = new Uint8Array(Math.max(1024, data.length * 4));
+  let size = 0;
+  const ensure = (extra: number) => {
+    if (size + extra > out.length) {
+      const grown = new Uint8Array(Math.max(out.length * 2, size + extra));
+      grown.set(out.subarray(0, size));
+      out = grown;
+    }
+  };
+
+  let last = false;
+  while (!last) {
+    last = input.read(1) === 1;
+    const type = input.read(2);
+
+    if (type === 0) {
+      const header = input.readBytes(4);
+      const length = header[0] | (header[1] << 8);
+      if ((length ^ 0xffff) !== (header[2] | (header[3] << 8))) {
+        throw new Error("Damaged stored block in compressed data");
+      }
+      ensure(length);
+      out.set(input.readBytes(length), size);
+      size += length;
+      continue;
+    }
+    if (type === 3) {
+      throw new Error("Invalid block type in compressed data");
+    }
+
+    const { literals, distances } =
+      type === 1 ? getFixedTables() : readDynamicTables(input);
+    for (;;) {
+      const symbol = input.decode(literals);
+      if (symbol < 256) {
+        ensure(1);
+        out[size++] = symbol;
+        continue;
+      }
+      if (symbol === 256) {
+        break;
+      }
+      const lengthIndex = symbol - 257;
+      if (lengthIndex >= LENGTH_BASE.length) {
+        throw new Error("Invalid length in compressed data");
+      }
+      const length =
+        LENGTH_BASE[lengthIndex] + input.read(LENGTH_EXTRA[lengthIndex]);
+      const distanceIndex = input.decode(distances);
+      if (distanceIndex >= DISTANCE_BASE.length) {
+        throw new Error("Invalid distance in compressed data");
+      }
+      const distance =
+        DISTANCE_BASE[distanceIndex] +
+        input.read(DISTANCE_EXTRA[distanceIndex]);
+      if (distance > size) {
+        throw new Error("Invalid distance in compressed data");
+      }
+      ensure(length);
+      // Byte by byte: a match may overlap the bytes it produces
+      for (let i = 0; i < length; i++) {
+        out[size] = out[size - distance];
+        size++;
+      }
+    }
+  }
+
+  return out.slice(0, size);
+}
@@ -0,0 +1,99 @@
+/**
+ * Offline Support
+ * Registers the service worker and reports its state in the status bar
+ *
+ * Once the service worker has cached the app, the runtime and the lessons
+ * (see workers/service-worker.ts), the status bar says so. A new version
+ * of the app waits until the student reloads through the "update
+ * available" button, so a lesson in progress is not swapped out under them.
+ *
+ * The service worker is only built for production; during development the
+ * files come straight from the dev server.
+ */
+
+import { announceStatus } from "./accessibility.ts";
+
+// Set once the student clicked the update button
+let updateAccepted = false;
+let reloading = false;
+
+/**
+ * Register the service worker
+ * @returns {Promise<void>}
+ */
+export async function initOffline() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) {
+    return;
+  }
+
+  let registration: ServiceWorkerRegistration;
+  try {
+    registration = await navigator.serviceWorker.register(
+      `${import.meta.env.BASE_URL}sw.js`,
+    );
+  } catch (error) {
+    console.error("Service worker registration failed:", error);
+    return;
+  }
+
+  if (registration.active) {
+    showOfflineReady();
+  }
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    showUpdatePrompt(registration.waiting);
+  }
+
+  registration.addEventListener("updatefound", () => {
+    const worker = registration.installing;
+    worker?.addEventListener("statechange", () => {
+      if (worker.state !== "installed") {
+        return;
+      }
+      if (navigator.serviceWorker.controller) {
+        // An older version controls the page
+        showUpdatePrompt(worker);
+      } else {
+        showOfflineReady();
+        announceStatus("Ready to work offline");
+      }
+    });
+  });
+
+  // The new version the student asked for took over: load the page from
+  // it. The first service worker also takes over (clients.claim()), which
+  // needs no reload.
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (updateAccepted && !reloading) {
+      reloading = true;
+      window.location.reload();
+    }
+  });
+}
+
+/**
+ * Show that the app works without a network
+ */
+function showOfflineReady() {
+  const indicator = document.getElementById("offline-status");
+  if (indicator) {
+    indicator.hidden = false;
+  }
+}
+
+/**
+ * Offer to switch to a new version of the app
+ * @param {ServiceWorker} worker - The waiting service worker
+ */
+function showUpdatePrompt(worker: ServiceWorker) {
+  const button = document.getElementById("btn-update");
+  if (!button) {
+    return;
+  }
+  button.hidden = false;
+  button.onclick = () => {
+    button.setAttribute("disabled", "");
+    updateAccepted = true;
+    worker.postMessage({ type: "skipWaiting" });
+  };
+  announceStatus("A new version is available. Reload to update.");
+}
@@ -0,0 +1,89 @@
+/**
+ * Tests for QR codes
+ */
+
+import { describe, it, expect } from "vitest";
+import { encodeQR, qrToSVG, reedSolomonRemainder } from "./qr-code.ts";
+
+/**
+ * Read the 15 format bits next to the top left finder pattern
+ */
+function readFormatBits(modules: boolean[][]) {
+  const positions: Array<[number, number]> = [
+    [8, 0],
+    [8, 1],
+    [8, 2],
+    [8, 3],
+    [8, 4],
+    [8, 5],
+    [8, 7],
+    [8, 8],
+    [7, 8],
+    [5, 8],
+    [4, 8],
+    [3, 8],
+    [2, 8],
+    [1, 8],
+    [0, 8],
+  ];
+  return positions.reduce(
+    (bits, [x, y], i) => bits | (Number(modules[y][x]) << i),
+    0,
+  );
+}
+
+describe("QR codes", () => {
+  it("computes Reed-Solomon error correction", () => {
+    // Version 1-M example of the standard's tutorial literature
+    const data = [
+      32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17,
+    ];
+    expect(reedSolomonRemainder(data, 10)).toEqual([
+      196, 35, 39, 119, 235, 215, 231, 226, 93, 23,
+    ]);
+  });
+
+  it("picks the smallest version that holds the text", () => {
+    expect(encodeQR("example.org").size).toBe(21);
+    expect(encodeQR("https://example.org").size).toBe(25);
+    const long = encodeQR("x".repeat(500));
+    expect(long.version).toBe(17);
+    expect(long.size).toBe(85);
+    expect(() => encodeQR("x".repeat(3000))).toThrow("too long");
+  });
+
+  it("draws finder patterns and valid format information", () => {
+    const { modules, size } = encodeQR("DWScript Primer", "Q");
+
+    // The finder pattern: a dark ring, a light ring, a dark 3×3 center
+    expect(modules[0].slice(0, 7)).toEqual(Array(7).fill(true));
+    expect(modules[1].slice(0, 7)).toEqual([
+      true,
+      false,
+      false,
+      false,
+      false,
+      false,
+      true,
+    ]);
+    expect(modules[3][3] && modules[0][size - 1] && modules[size - 1][0]).toBe(
+      true,
+    );
+
+    const bits = readFormatBits(modules) ^ 0x5412;
+    let remainder = bits;
+    for (let i = 14; i >= 10; i--) {
+      if ((remainder >>> i) & 1) {
+        remainder ^= 0x537 << (i - 10);
+      }
+    }
+    expect(remainder).toBe(0);
+    expect(bits >>> 13).toBe(3); // level Q
+  });
+
+  it("draws the code as SVG with a quiet zone", () => {
+    const svg = qrToSVG(encodeQR("Hi"));
+    expect(svg).toContain('viewBox="0 0 29 29"');
+    expect(svg).toContain("M4,4h1v1h-1z");
+  });
+});
@@ -0,0 +1,572 @@
+/**
+ * QR Codes
+ * Encodes text as a QR code (ISO/IEC 18004) and draws it as SVG
+ *
+ * Share links are turned into QR codes in the browser, so no link is sent
+ * to an outside service. Text is stored in byte mode as UTF-8, in the
+ * smallest version (size) that holds it, with the mask that scores best
+ * against the standard's penalty rules.
+ */
+
+/** Error correction level: share more of the code for error correction */
+export type ErrorCorrection = "L" | "M" | "Q" | "H";
+
+export interface QRCode {
+  version: number;
+  /** Modules per side */
+  size: number;
+  /** Dark modules, indexed [y][x] */
+  modules: boolean[][];
+}
+
+const FORMAT_BITS: Record<ErrorCorrection, number> = { L: 1, M: 0, Q: 3, H: 2 };
+const LEVEL_INDEX: Record<ErrorCorrection, number> = { L: 0, M: 1, Q: 2, H: 3 };
+
+// Error correction codewords per block, by level and version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [
+  [
+    -1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30,
+    28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+    30, 30, 30,
+  ],
+  [
+    -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26,
+    26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+    28, 28, 28,
+  ],
+  [
+    -1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28,
+    26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+    30, 30, 30,
+  ],
+  [
+    -1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28,
+    26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+    30, 30, 30,
+  ],
+];
+
+// Error correction blocks, by level and version (index 0 unused)
+const ERROR_CORRECTION_BLOCKS = [
+  [
+    -1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10,
+    12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25,
+  ],
+  [
+    -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17,
+    17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49,
+  ],
+  [
+    -1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23,
+    23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68,
+  ],
+  [
+    -1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25,
+    25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77,
+    81,
+  ],
+];
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+// Weights of the penalty rules used to pick the mask
+const PENALTY_RUN = 3;
+const PENALTY_BLOCK = 3;
+const PENALTY_FINDER = 40;
+const PENALTY_BALANCE = 10;
+
+/**
+ * Multiply in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function gfMultiply(x: number, y: number) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/**
+ * Reed-Solomon error correction codewords of a block
+ * @param {Array<number>} data - Data codewords
+ * @param {number} degree - Number of error correction codewords
+ * @returns {Array<number>}
+ */
+export function reedSolomonRemainder(data: number[], degree: number) {
+  // Coefficients of the generator polynomial, highest power first
+  const divisor = new Array(degree).fill(0);
+  divisor[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      divisor[j] = gfMultiply(divisor[j], root);
+      if (j + 1 < degree) {
+        divisor[j] ^= divisor[j + 1];
+      }
+    }
+    root = gfMultiply(root, 0x02);
+  }
+
+  const result = new Array(degree).fill(0);
+  data.forEach((byte) => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return result;
+}
+
+/**
+ * Modules available for data and error correction in a version
+ * @param {number} version
+ * @returns {number}
+ */
+function rawDataModules(version: number) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignments = Math.floor(version / 7) + 2;
+    result -= (25 * alignments - 10) * alignments - 55;
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+  return result;
+}
+
+/**
+ * Data codewords a version holds at an error correction level
+ * @param {number} version
+ * @param {ErrorCorrection} level
+ * @returns {number}
+ */
+function dataCodewords(version: number, level: ErrorCorrection) {
+  const index = LEVEL_INDEX[level];
+  return (
+    Math.floor(rawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[index][version] *
+      ERROR_CORRECTION_BLOCKS[index][version]
+  );
+}
+
+/**
+ * Centers of the alignment patterns along each axis
+ * @param {number} version
+ * @returns {Array<number>}
+ */
+function alignmentPositions(version: number) {
+  if (version === 1) {
+    return [];
+  }
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const positions = [6];
+  for (let pos = version * 4 + 10; positions.length < count; pos -= step) {
+    positions.splice(1, 0, pos);
+  }
+  return positions;
+}
+
+/**
+ * Split the data into blocks, add error correction and interleave them
+ * @param {Array<number>} data - Data codewords
+ * @param {number} version
+ * @param {ErrorCorrection} level
+ * @returns {Array<number>} All codewords in the order they are placed
+ */
+function addErrorCorrection(
+  data: number[],
+  version: number,
+  level: ErrorCorrection,
+) {
+  const index = LEVEL_INDEX[level];
+  const blockCount = ERROR_CORRECTION_BLOCKS[index][version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[index][version];
+  const rawCodewords = Math.floor(rawDataModules(version) / 8);
+  const shortBlocks = blockCount - (rawCodewords % blockCount);
+  const shortLength = Math.floor(rawCodewords / blockCount);
+
+  const blocks: number[][] = [];
+  let offset = 0;
+  for (let i = 0; i < blockCount; i++) {
+    const length = shortLength - eccLength + (i < shortBlocks ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    const ecc = reedSolomonRemainder(block, eccLength);
+    if (i < shortBlocks) {
+      block.push(0); // placeholder, skipped when interleaving
+    }
+    blocks.push(block.concat(ecc));
+  }
+
+  const result: number[] = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortLength - eccLength || j >= shortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+/**
+ * Matrix of a QR code under construction
+ */
+class QRMatrix {
+  readonly size: number;
+  readonly modules: boolean[][];
+  // Modules of finder, timing and alignment patterns and format information
+  private readonly reserved: boolean[][];
+
+  constructor(readonly version: number) {
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () =>
+      new Array(this.size).fill(false),
+    );
+    this.reserved = Array.from({ length: this.size }, () =>
+      new Array(this.size).fill(false),
+    );
+  }
+
+  private setFunction(x: number, y: number, dark: boolean) {
+    this.modules[y][x] = dark;
+    this.reserved[y][x] = true;
+  }
+
+  /**
+   * Draw the patterns every code of this version has
+   */
+  drawFunctionPatterns() {
+    const { size } = this;
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    this.drawFinder(3, 3);
+    this.drawFinder(size - 4, 3);
+    this.drawFinder(3, size - 4);
+
+    const positions = alignmentPositions(this.version);
+    const last = positions.length - 1;
+    positions.forEach((y, i) => {
+      positions.forEach((x, j) => {
+        // The corners with finder patterns have no alignment pattern
+        if (
+          !(
+            (i === 0 && j === 0) ||
+            (i === 0 && j === last) ||
+            (i === last && j === 0)
+          )
+        ) {
+          this.drawAlignment(x, y);
+        }
+      });
+    });
+
+    // Reserve the format areas; the bits are drawn once the mask is known
+    this.drawFormatBits("L", 0);
+    this.drawVersion();
+  }
+
+  private drawFinder(cx: number, cy: number) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < this.size && y >= 0 && y < this.size) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          this.setFunction(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  }
+
+  private drawAlignment(cx: number, cy: number) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunction(
+          cx + dx,
+          cy + dy,
+          Math.max(Math.abs(dx), Math.abs(dy)) !== 1,
+        );
+      }
+    }
+  }
+
+  /**
+   * Draw the error correction level and the mask, twice
+   * @param {ErrorCorrection} level
+   * @param {number} mask
+   */
+  drawFormatBits(level: ErrorCorrection, mask: number) {
+    const data = (FORMAT_BITS[level] << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = (i: number) => ((bits >>> i) & 1) !== 0;
+    const { size } = this;
+
+    // Next to the top left finder
+    for (let i = 0; i <= 5; i++) {
+      this.setFunction(8, i, bit(i));
+    }
+    this.setFunction(8, 7, bit(6));
+    this.setFunction(8, 8, bit(7));
+    this.setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) {
+      this.setFunction(14 - i, 8, bit(i));
+    }
+
+    // Next to the other two finders
+    for (let i = 0; i < 8; i++) {
+      this.setFunction(size - 1 - i, 8, bit(i));
+    }
+    for (let i = 8; i < 15; i++) {
+      this.setFunction(8, size - 15 + i, bit(i));
+    }
+    this.setFunction(8, size - 8, true);
+  }
+
+  private drawVersion() {
+    if (this.version < 7) {
+      return;
+    }
+    let remainder = this.version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (this.version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunction(a, b, dark);
+      this.setFunction(b, a, dark);
+    }
+  }
+
+  /**
+   * Place the codewords in the zigzag order of the standard
+   * @param {Array<number>} codewords
+   */
+  drawCodewords(codewords: number[]) {
+    const { size } = this;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) {
+        right = 5; // skip the vertical timing pattern
+      }
+      const upward = ((right + 1) & 2) === 0;
+      for (let vertical = 0; vertical < size; vertical++) {
+        const y = upward ? size - 1 - vertical : vertical;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          if (!this.reserved[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] =
+              ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Flip the data modules selected by a mask; applying it twice undoes it
+   * @param {number} mask - 0..7
+   */
+  applyMask(mask: number) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && maskSelects(mask, x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  /**
+   * Penalty of the current modules; lower is easier to scan
+   * @returns {number}
+   */
+  penalty() {
+    const { size, modules } = this;
+    let result = 0;
+
+    // Runs of five or more modules of one color, and finder-like patterns
+    const finderLike = /(?:^|0000)1011101|1011101(?:0000|$)/g;
+    const scoreLine = (line: boolean[]) => {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) {
+            result += PENALTY_RUN + run - 5;
+          }
+          run = 1;
+        }
+      }
+      const text = line.map((dark) => (dark ? "1" : "0")).join("");
+      result += (text.match(finderLike)?.length ?? 0) * PENALTY_FINDER;
+    };
+    for (let y = 0; y < size; y++) {
+      scoreLine(modules[y]);
+    }
+    for (let x = 0; x < size; x++) {
+      scoreLine(modules.map((row) => row[x]));
+    }
+
+    // 2×2 blocks of one color
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) {
+          dark++;
+        }
+        if (
+          x + 1 < size &&
+          y + 1 < size &&
+          modules[y][x] === modules[y][x + 1] &&
+          modules[y][x] === modules[y + 1][x] &&
+          modules[y][x] === modules[y + 1][x + 1]
+        ) {
+          result += PENALTY_BLOCK;
+        }
+      }
+    }
+
+    // Balance of dark and light modules
+    const total = size * size;
+    const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+    return result + k * PENALTY_BALANCE;
+  }
+}
+
+/**
+ * Whether a mask flips the module at (x, y)
+ * @param {number} mask
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+function maskSelects(mask: number, x: number, y: number) {
+  switch (mask) {
+    case 0:
+      return (x + y) % 2 === 0;
+    case 1:
+      return y % 2 === 0;
+    case 2:
+      return x % 3 === 0;
+    case 3:
+      return (x + y) % 3 === 0;
+    case 4:
+      return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+    case 5:
+      return ((x * y) % 2) + ((x * y) % 3) === 0;
+    case 6:
+      return (((x * y) % 2) + ((x * y) % 3)) % 2 === 0;
+    default:
+      return (((x + y) % 2) + ((x * y) % 3)) % 2 === 0;
+  }
+}
+
+/**
+ * Encode text as a QR code
+ * @param {string} text
+ * @param {ErrorCorrection} level - Error correction level
+ * @returns {QRCode}
+ * @throws {Error} If the text does not fit into the largest QR code
+ */
+export function encodeQR(text: string, level: ErrorCorrection = "M"): QRCode {
+  const bytes = new TextEncoder().encode(text);
+
+  // Byte mode: mode indicator, character count, the bytes
+  let version = MIN_VERSION;
+  const countBits = (v: number) => (v <= 9 ? 8 : 16);
+  while (
+    4 + countBits(version) + bytes.length * 8 >
+    dataCodewords(version, level) * 8
+  ) {
+    if (++version > MAX_VERSION) {
+      throw new Error("Text is too long for a QR code");
+    }
+  }
+
+  const bits: number[] = [];
+  const append = (value: number, length: number) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push((value >>> i) & 1);
+    }
+  };
+  append(0b0100, 4);
+  append(bytes.length, countBits(version));
+  bytes.forEach((byte) => append(byte, 8));
+
+  // Terminator, then padding to whole bytes and to the capacity
+  const capacity = dataCodewords(version, level) * 8;
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const data: number[] = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(parseInt(bits.slice(i, i + 8).join(""), 2));
+  }
+
+  const matrix = new QRMatrix(version);
+  matrix.drawFunctionPatterns();
+  matrix.drawCodewords(addErrorCorrection(data, version, level));
+
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    matrix.applyMask(mask);
+    matrix.drawFormatBits(level, mask);
+    const penalty = matrix.penalty();
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    matrix.applyMask(mask);
+  }
+  matrix.applyMask(bestMask);
+  matrix.drawFormatBits(level, bestMask);
+
+  return { version, size: matrix.size, modules: matrix.modules };
+}
+
+/**
+ * Draw a QR code as an SVG image
+ * @param {QRCode} qr
+ * @param {number} border - Light modules around the code; 4 by the standard
+ * @returns {string} SVG markup
+ */
+export function qrToSVG(qr: QRCode, border = 4) {
+  const extent = qr.size + border * 2;
+  const path: string[] = [];
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) {
+        path.push(`M${x + border},${y + border}h1v1h-1z`);
+      }
+    });
+  });
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${extent} ${extent}" shape-rendering="crispEdges">` +
+    `<rect width="100%" height="100%" fill="#ffffff"/>` +
+    `<path d="${path.join("")}" fill="#000000"/></svg>`
+  );
+}
@@ -2,12 +2,21 @@
  * Tests for URL Sharing Utilities
  */
 
-import { describe, it, expect } from "vitest";
+import { describe, it, expect, afterEach } from "vitest";
 import {
   encodeCode,
   decodeCode,
   compressCode,
   decompressCode,
+  encodeShareCode,
+  decodeShareCode,
+  createShareURL,
+  createEmbedCode,
+  getEmbedOptions,
+  loadFromURL,
+  parseSharePayload,
+  COMPRESSED_PREFIX,
+  SHARE_VERSION,
 } from "./url-sharing.ts";
 
 describe("URL Sharing Utilities", () => {
@@ -91,6 +100,105 @@ line 3`;
       const decompressed = decompressCode(compressed);
 
       expect(decompressed).toBe(code);
+      expect(compressed.length).toBeLessThan(code.length / 10);
+    });
+
+    it("should return an empty string for damaged data", () => {
+      expect(decompressCode("not-deflate")).toBe("");
+    });
+  });
+
+  describe("share links", () => {
+    afterEach(() => {
+      window.history.replaceState({}, "", "/");
+    });
+
+    it("should compress long programs and keep short ones plain", () => {
+      const long = "PrintLn('Hello');\n".repeat(30);
+      const encoded = encodeShareCode(long);
+      expect(encoded.startsWith(COMPRESSED_PREFIX)).toBe(true);
+      expect(decodeShareCode(encoded)).toBe(long);
+
+      expect(encodeShareCode("x")).toBe(encodeCode("x"));
+    });
+
+    it("should still open links in the old format", () => {
+      const code = "program Old;\nbegin\n  PrintLn('Hi');\nend.";
+      expect(decodeShareCode(encodeCode(code))).toBe(code);
+    });
+
+    it("should not carry embed options into share links", () => {
+      window.history.replaceState({}, "", "/?embed=1&readonly=1&code=abc");
+      const url = new URL(createShareURL("PrintLn('Hi');"));
+      expect(url.searchParams.has("embed")).toBe(false);
+      expect(url.searchParams.has("readonly")).toBe(false);
+    });
+
+    it("should carry the run settings and project files", () => {
+      const options = {
+        title: "Shapes",
+        input: "3\n4",
+        turtleSpeed: 8,
+        timeout: 5000,
+        tab: "graphics",
+        main: "Main.dws",
+        files: [{ name: "Shapes.pas", content: "unit Shapes;" }],
+      };
+      const url = new URL(createShareURL("uses Shapes;", options));
+      expect(url.searchParams.has("code")).toBe(false);
+
+      window.history.replaceState({}, "", url.search);
+      expect(loadFromURL()).toEqual({
+        v: SHARE_VERSION,
+        code: "uses Shapes;",
+        ...options,
+      });
+    });
+
+    it("should open links of version 1", () => {
+      const code = "PrintLn('Hi');";
+      window.history.replaceState(
+        {},
+        "",
+        `/?code=${encodeCode(code)}&lesson=intro&title=Hi`,
+      );
+      expect(loadFromURL()).toEqual({
+        v: 1,
+        code,
+        lessonId: "intro",
+        title: "Hi",
+      });
+    });
+
+    it("should drop settings of the wrong type", () => {
+      expect(parseSharePayload("not json")).toBeNull();
+      expect(parseSharePayload('{"v":2}')).toBeNull();
+      expect(
+        parseSharePayload(
+          JSON.stringify({
+            v: 3,
+            code: "x",
+            input: 42,
+            turtleSpeed: 99,
+            tab: "secret",
+            files: [{ name: "A.pas", content: "unit A;" }],
+            future: true,
+          }),
+        ),
+      ).toEqual({ v: 3, code: "x", turtleSpeed: 10 });
+    });
+
+    it("should read embed options and build embed code", () => {
+      expect(getEmbedOptions()).toBeNull();
+
+      window.history.replaceState({}, "", "/?embed=1&autorun=1");
+      expect(getEmbedOptions()).toEqual({ readOnly: false, autorun: true });
+
+      const html = createEmbedCode("PrintLn('Hi');", {
+        readOnly: true,
+        autorun: false,
+      });
+      expect(html).toMatch(/^<iframe src="[^"]+&amp;embed=1&amp;readonly=1"/);
     });
   });
 });
@@ -1,8 +1,94 @@
 /**
  * URL Sharing Utilities
  * Handles encoding/decoding code snippets for URL sharing
+ *
+ * Links carry a SharePayload, as JSON, in the "share" parameter: the code
+ * and everything else needed to repeat its run. The text is compressed
+ * and the format marked with a version prefix ("z1." for DEFLATE); short
+ * payloads that do not get smaller by compressing are stored as plain
+ * base64. Links of version 1 carried only the code, in the "code"
+ * parameter, with the title and lesson in parameters of their own; they
+ * still open.
  */
 
+import { deflateRaw, inflateRaw } from "./deflate.ts";
+import { encodeQR, qrToSVG } from "./qr-code.ts";
+import type { ProjectFile } from "../core/project-linker.ts";
+
+// Prefix of compressed code; "." never occurs in URL-safe base64
+export const COMPRESSED_PREFIX = "z1.";
+
+// Links longer than this may be cut off by chat programs and mail clients
+export const MAX_SAFE_URL_LENGTH = 2000;
+
+// Version of the SharePayload format written by this version of the app
+export const SHARE_VERSION = 2;
+
+// Parameters that are not carried over from the current page into a link
+const SHARE_PARAMS = ["share", "code", "title", "embed", "readonly", "autorun"];
+
+// Output tabs a link can open
+const OUTPUT_TABS = ["console", "compiler", "graphics", "input", "variables"];
+
+/**
+ * What a link carries
+ * Everything but the version and the code is optional; a link leaves out
+ * what was not set when it was created.
+ */
+export interface SharePayload {
+  v: number;
+  /** The program, or the main file of a project */
+  code: string;
+  title?: string;
+  lessonId?: string;
+  /** Program input of the Input tab, one line per ReadLn */
+  input?: string;
+  /** Turtle speed, 1 (slow) to 10 (fast) */
+  turtleSpeed?: number;
+  /** Execution timeout in milliseconds; 0 runs without a timeout */
+  timeout?: number;
+  /** Output tab that was open */
+  tab?: string;
+  /** Name of the main file of a project */
+  main?: string;
+  /** The other files of a project */
+  files?: ProjectFile[];
+}
+
+export type ShareOptions = Omit<SharePayload, "v" | "code">;
+
+/**
+ * Convert bytes to URL-safe base64 without padding
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64URL(bytes: Uint8Array) {
+  // In chunks: spreading a large array overflows the call stack
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=/g, "");
+}
+
+/**
+ * Convert URL-safe base64, with or without padding, to bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64URL(text: string) {
+  let base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  while (base64.length % 4) {
+    base64 += "=";
+  }
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
 /**
  * Encode code to base64 for URL sharing
  * @param {string} code - The code to encode
@@ -10,15 +96,7 @@
  */
 export function encodeCode(code) {
   try {
-    // Use TextEncoder for proper UTF-8 encoding
-    const encoder = new TextEncoder();
-    const data = encoder.encode(code);
-
-    // Convert to base64
-    const base64 = btoa(String.fromCharCode(...data));
-
-    // Make URL-safe by replacing characters
-    return base64.replace(/\+/g, "-").replace(/\//g, "_").replace(/=/g, "");
+    return toBase64URL(new TextEncoder().encode(code));
   } catch (error) {
     console.error("Failed to encode code:", error);
     return "";
@@ -32,83 +110,181 @@ export function encodeCode(code) {
  */
 export function decodeCode(encoded) {
   try {
-    // Restore base64 characters
-    let base64 = encoded.replace(/-/g, "+").replace(/_/g, "/");
-
-    // Add padding if needed
-    while (base64.length % 4) {
-      base64 += "=";
-    }
-
-    // Decode from base64
-    const binary = atob(base64);
-
-    // Convert to Uint8Array and decode UTF-8
-    const bytes = new Uint8Array(binary.length);
-    for (let i = 0; i < binary.length; i++) {
-      bytes[i] = binary.charCodeAt(i);
-    }
-
-    const decoder = new TextDecoder();
-    return decoder.decode(bytes);
+    return new TextDecoder().decode(fromBase64URL(encoded));
   } catch (error) {
     console.error("Failed to decode code:", error);
     return "";
   }
 }
 
+/**
+ * Encode code for the "code" parameter of a link
+ * @param {string} code
+ * @returns {string} The compressed or the plain format, whichever is shorter
+ */
+export function encodeShareCode(code: string) {
+  const plain = encodeCode(code);
+  const compressed = COMPRESSED_PREFIX + compressCode(code);
+  return compressed.length < plain.length ? compressed : plain;
+}
+
+/**
+ * Decode the "code" parameter of a link, in any format
+ * @param {string} value
+ * @returns {string} The code, or "" if it cannot be read
+ */
+export function decodeShareCode(value: string) {
+  return value.startsWith(COMPRESSED_PREFIX)
+    ? decompressCode(value.slice(COMPRESSED_PREFIX.length))
+    : decodeCode(value);
+}
+
 /**
  * Create a shareable URL for the current code
  * @param {string} code - The code to share
- * @param {Object} options - Additional options
- * @param {string} options.lessonId - Optional lesson ID
- * @param {string} options.title - Optional title
+ * @param {ShareOptions} options - What else the link carries
  * @returns {string} Shareable URL
  */
-export function createShareURL(
-  code: string,
-  options: { lessonId?: string; title?: string } = {},
-) {
+export function createShareURL(code: string, options: ShareOptions = {}) {
   const url = new URL(window.location.href);
-  url.searchParams.delete("code"); // Remove existing code param
+  SHARE_PARAMS.forEach((param) => url.searchParams.delete(param));
 
-  if (code && code.trim()) {
-    const encoded = encodeCode(code);
-    url.searchParams.set("code", encoded);
+  if ((code && code.trim()) || options.files?.length) {
+    const payload: SharePayload = { v: SHARE_VERSION, code, ...options };
+    url.searchParams.set("share", encodeShareCode(JSON.stringify(payload)));
   }
 
   if (options.lessonId) {
     url.searchParams.set("lesson", options.lessonId);
   }
 
-  if (options.title) {
-    url.searchParams.set("title", options.title);
+  return url.toString();
+}
+
+/**
+ * Read a payload, keeping only the fields that have the expected types
+ * Payloads of later versions are read as far as this version knows them.
+ * @param {string} json
+ * @returns {SharePayload|null} null if there is no code to read
+ */
+export function parseSharePayload(json: string): SharePayload | null {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    return null;
+  }
+  if (!data || typeof data.code !== "string") {
+    return null;
   }
 
-  return url.toString();
+  const payload: SharePayload = {
+    v: typeof data.v === "number" ? data.v : SHARE_VERSION,
+    code: data.code,
+  };
+  ["title", "lessonId", "input", "main"].forEach((key) => {
+    if (typeof data[key] === "string") {
+      payload[key] = data[key];
+    }
+  });
+  if (typeof data.turtleSpeed === "number") {
+    payload.turtleSpeed = Math.min(Math.max(data.turtleSpeed, 1), 10);
+  }
+  if (typeof data.timeout === "number" && data.timeout >= 0) {
+    payload.timeout = data.timeout;
+  }
+  if (OUTPUT_TABS.includes(data.tab)) {
+    payload.tab = data.tab;
+  }
+  if (payload.main && Array.isArray(data.files)) {
+    payload.files = data.files.filter(
+      (file) =>
+        typeof file?.name === "string" && typeof file.content === "string",
+    );
+  }
+  return payload;
 }
 
 /**
- * Load code from URL parameters
- * @returns {Object|null} Object with code and metadata, or null if no code in URL
+ * Load the shared code and its settings from URL parameters
+ * @returns {SharePayload|null} null if there is no code in the URL
  */
-export function loadFromURL() {
+export function loadFromURL(): SharePayload | null {
   const params = new URLSearchParams(window.location.search);
-  const encoded = params.get("code");
+  const shared = params.get("share");
+  if (shared) {
+    return parseSharePayload(decodeShareCode(shared));
+  }
 
+  // Version 1
+  const encoded = params.get("code");
   if (!encoded) {
     return null;
   }
+  return {
+    v: 1,
+    code: decodeShareCode(encoded),
+    lessonId: params.get("lesson") || undefined,
+    title: params.get("title") || undefined,
+  };
+}
 
-  const code = decodeCode(encoded);
+/**
+ * Options of a page opened in embed mode
+ * @typedef {Object} EmbedOptions
+ * @property {boolean} readOnly - The code cannot be edited
+ * @property {boolean} autorun - The code runs as soon as the page is ready
+ */
+export interface EmbedOptions {
+  readOnly: boolean;
+  autorun: boolean;
+}
 
+/**
+ * Read the embed options of the current page
+ * @returns {EmbedOptions|null} null unless the page was opened with ?embed=1
+ */
+export function getEmbedOptions(): EmbedOptions | null {
+  const params = new URLSearchParams(window.location.search);
+  if (params.get("embed") !== "1") {
+    return null;
+  }
   return {
-    code,
-    lessonId: params.get("lesson") || null,
-    title: params.get("title") || null,
+    readOnly: params.get("readonly") === "1",
+    autorun: params.get("autorun") === "1",
   };
 }
 
+/**
+ * Create the URL of a page that embeds the code
+ * @param {string} code - The code to embed
+ * @param {EmbedOptions} options
+ * @returns {string}
+ */
+export function createEmbedURL(code: string, options: EmbedOptions) {
+  const url = new URL(createShareURL(code));
+  url.searchParams.delete("lesson");
+  url.searchParams.set("embed", "1");
+  if (options.readOnly) {
+    url.searchParams.set("readonly", "1");
+  }
+  if (options.autorun) {
+    url.searchParams.set("autorun", "1");
+  }
+  return url.toString();
+}
+
+/**
+ * Create the HTML to embed the code in another page
+ * @param {string} code - The code to embed
+ * @param {EmbedOptions} options
+ * @returns {string} An iframe element
+ */
+export function createEmbedCode(code: string, options: EmbedOptions) {
+  const src = createEmbedURL(code, options).replace(/&/g, "&amp;");
+  return `<iframe src="${src}" width="100%" height="450" style="border: 1px solid #d0d0d0; border-radius: 8px" title="DWScript program" loading="lazy"></iframe>`;
+}
+
 /**
  * Copy text to clipboard
  * @param {string} text - Text to copy
@@ -140,33 +316,31 @@ export async function copyToClipboard(text) {
 /**
  * Share code and copy URL to clipboard
  * @param {string} code - Code to share
- * @param {Object} options - Share options
+ * @param {ShareOptions} options - What else the link carries
  * @returns {Promise<Object>} Result with url and success status
  */
-export async function shareCode(
-  code: string,
-  options: { lessonId?: string; title?: string } = {},
-) {
+export async function shareCode(code: string, options: ShareOptions = {}) {
   const url = createShareURL(code, options);
   const success = await copyToClipboard(url);
 
-  return {
-    url,
-    success,
-    message: success ? "Link copied to clipboard!" : "Failed to copy link",
-  };
+  let message = success ? "Link copied to clipboard!" : "Failed to copy link";
+  if (success && url.length > MAX_SAFE_URL_LENGTH) {
+    message = `Link copied, but it is long (${url.length} characters) and some apps may cut it off`;
+  }
+
+  return { url, success, message };
 }
 
 /**
  * Generate QR code data URL for sharing
+ * The code is generated locally; the URL is not sent anywhere.
  * @param {string} url - URL to encode in QR code
- * @returns {Promise<string>} Data URL of QR code image
+ * @returns {Promise<string>} Data URL of an SVG image of the QR code
+ * @throws {Error} If the URL is too long for a QR code
  */
 export async function generateQRCode(url) {
-  // This is a placeholder - would need a QR code library
-  // For now, just return a link to a QR code generator service
-  const qrServiceURL = `https://api.qrserver.com/v1/create-qr-code/?size=200x200&data=${encodeURIComponent(url)}`;
-  return qrServiceURL;
+  const svg = qrToSVG(encodeQR(url, "L"));
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
 }
 
 /**
@@ -184,27 +358,31 @@ export function updateURLWithoutReload(code, options = {}) {
  */
 export function clearCodeFromURL() {
   const url = new URL(window.location.href);
+  url.searchParams.delete("share");
   url.searchParams.delete("code");
   url.searchParams.delete("title");
   window.history.replaceState({}, "", url);
 }
 
 /**
- * Compress code using LZ compression (for very long code snippets)
- * This is more efficient for large code blocks
+ * Compress code with DEFLATE (for very long code snippets)
  * @param {string} code - Code to compress
- * @returns {string} Compressed and encoded code
+ * @returns {string} Compressed code as URL-safe base64
  */
 export function compressCode(code) {
-  // Simple compression - in production, could use pako or similar
-  return encodeCode(code);
+  return toBase64URL(deflateRaw(new TextEncoder().encode(code)));
 }
 
 /**
  * Decompress code
  * @param {string} compressed - Compressed code
- * @returns {string} Decompressed code
+ * @returns {string} Decompressed code, or "" if it is damaged
  */
 export function decompressCode(compressed) {
-  return decodeCode(compressed);
+  try {
+    return new TextDecoder().decode(inflateRaw(fromBase64URL(compressed)));
+  } catch (error) {
+    console.error("Failed to decompress code:", error);
+    return "";
+  }
 }
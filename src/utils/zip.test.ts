@@ -0,0 +1,43 @@
+/**
+ * Tests for zip archives
+ */
+
+import { describe, it, expect } from "vitest";
+import { createZip, readZip, crc32 } from "./zip.ts";
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+describe("Zip", () => {
+  it("computes CRC-32 checksums", () => {
+    expect(crc32(encoder.encode("123456789"))).toBe(0xcbf43926);
+    expect(crc32(new Uint8Array())).toBe(0);
+  });
+
+  it("reads back the files it writes", async () => {
+    const zip = createZip(
+      [
+        { name: "Main.dws", data: encoder.encode("program Main;\nend.") },
+        { name: "units/Größe.pas", data: encoder.encode("unit Größe;") },
+        { name: "empty.txt", data: new Uint8Array() },
+      ],
+      new Date(2024, 4, 17, 12, 30),
+    );
+    expect(decoder.decode(zip.subarray(0, 2))).toBe("PK");
+
+    const entries = await readZip(zip);
+    expect(
+      entries.map(({ name, data }) => [name, decoder.decode(data)]),
+    ).toEqual([
+      ["Main.dws", "program Main;\nend."],
+      ["units/Größe.pas", "unit Größe;"],
+      ["empty.txt", ""],
+    ]);
+  });
+
+  it("rejects other files", async () => {
+    await expect(readZip(encoder.encode("program Main;"))).rejects.toThrow(
+      "Not a zip file",
+    );
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Zip Archives
+ * Writes and reads the zip files projects are exported to and imported from
+ *
+ * Written archives store their files uncompressed; source files are small
+ * and this keeps the writer simple. Reading also accepts deflated entries,
+ * as written by other zip tools, through the browser's DecompressionStream.
+ */
+
+export interface ZipEntry {
+  /** Path inside the archive, with "/" as separator */
+  name: string;
+  data: Uint8Array;
+}
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_DIRECTORY = 0x06054b50;
+
+// Bit 11 of the flags: names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+let crcTable: Uint32Array | null = null;
+
+/**
+ * CRC-32 of some bytes, as zip files use it
+ * @param {Uint8Array} data
+ * @returns {number}
+ */
+export function crc32(data: Uint8Array) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Date and time in the MS-DOS format of zip headers
+ * @param {Date} date
+ * @returns {Array<number>} [time, date]
+ */
+function dosDateTime(date: Date) {
+  const time =
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2);
+  const day =
+    ((Math.max(1980, date.getFullYear()) - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate();
+  return [time, day];
+}
+
+/**
+ * Write a zip archive
+ * @param {Array<ZipEntry>} entries - Files to store
+ * @param {Date} date - Modification date of the files
+ * @returns {Uint8Array} The archive
+ */
+export function createZip(entries: ZipEntry[], date = new Date()) {
+  const encoder = new TextEncoder();
+  const [time, day] = dosDateTime(date);
+  const files = entries.map((entry) => ({
+    name: encoder.encode(entry.name),
+    data: entry.data,
+    crc: crc32(entry.data),
+    offset: 0,
+  }));
+
+  const localSize = files.reduce(
+    (size, file) => size + 30 + file.name.length + file.data.length,
+    0,
+  );
+  const centralSize = files.reduce(
+    (size, file) => size + 46 + file.name.length,
+    0,
+  );
+  const bytes = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(bytes.buffer);
+  let pos = 0;
+
+  // Fields shared by local and central headers, from "version needed"
+  const writeCommon = (file: (typeof files)[number]) => {
+    view.setUint16(pos, 20, true);
+    view.setUint16(pos + 2, UTF8_FLAG, true);
+    view.setUint16(pos + 4, 0, true); // stored
+    view.setUint16(pos + 6, time, true);
+    view.setUint16(pos + 8, day, true);
+    view.setUint32(pos + 10, file.crc, true);
+    view.setUint32(pos + 14, file.data.length, true);
+    view.setUint32(pos + 18, file.data.length, true);
+    view.setUint16(pos + 22, file.name.length, true);
+    view.setUint16(pos + 24, 0, true); // extra field length
+    pos += 26;
+  };
+
+  files.forEach((file) => {
+    file.offset = pos;
+    view.setUint32(pos, LOCAL_HEADER, true);
+    pos += 4;
+    writeCommon(file);
+    bytes.set(file.name, pos);
+    pos += file.name.length;
+    bytes.set(file.data, pos);
+    pos += file.data.length;
+  });
+
+  const directoryStart = pos;
+  files.forEach((file) => {
+    view.setUint32(pos, CENTRAL_HEADER, true);
+    view.setUint16(pos + 4, 20, true); // version made by
+    pos += 6;
+    writeCommon(file);
+    // Comment length, disk number, internal and external attributes
+    pos += 10;
+    view.setUint32(pos, file.offset, true);
+    pos += 4;
+    bytes.set(file.name, pos);
+    pos += file.name.length;
+  });
+
+  view.setUint32(pos, END_OF_DIRECTORY, true);
+  view.setUint16(pos + 8, files.length, true);
+  view.setUint16(pos + 10, files.length, true);
+  view.setUint32(pos + 12, pos - directoryStart, true);
+  view.setUint32(pos + 16, directoryStart, true);
+  return bytes;
+}
+
+/**
+ * Inflate raw deflate data
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflate(data: Uint8Array) {
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("This browser cannot read compressed zip files");
+  }
+  const stream = new Response(data.slice()).body.pipeThrough(
+    new DecompressionStream("deflate-raw"),
+  );
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read the files of a zip archive
+ * Directories are skipped.
+ * @param {Uint8Array} bytes - The archive
+ * @returns {Promise<Array<ZipEntry>>}
+ * @throws {Error} If the data is no zip archive or uses an unsupported
+ *   compression method
+ */
+export async function readZip(bytes: Uint8Array) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // The end of directory record is followed by a comment of up to 64 KB
+  let end = -1;
+  for (let i = bytes.length - 22; i >= 0 && i >= bytes.length - 65557; i--) {
+    if (view.getUint32(i, true) === END_OF_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new Error("Not a zip file");
+  }
+
+  const count = view.getUint16(end + 10, true);
+  const decoder = new TextDecoder();
+  const entries: ZipEntry[] = [];
+  let pos = view.getUint32(end + 16, true);
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(pos, true) !== CENTRAL_HEADER) {
+      throw new Error("Damaged zip file");
+    }
+    const method = view.getUint16(pos + 10, true);
+    const compressedSize = view.getUint32(pos + 20, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const offset = view.getUint32(pos + 42, true);
+    const name = decoder.decode(
+      bytes.subarray(pos + 46, pos + 46 + nameLength),
+    );
+    pos += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) {
+      continue;
+    }
+    const dataStart =
+      offset +
+      30 +
+      view.getUint16(offset + 26, true) +
+      view.getUint16(offset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      entries.push({ name, data: data.slice() });
+    } else if (method === 8) {
+      entries.push({ name, data: await inflate(data) });
+    } else {
+      throw new Error(`${name} uses an unsupported compression method`);
+    }
+  }
+  return entries;
+}
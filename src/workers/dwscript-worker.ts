@@ -6,18 +6,51 @@
  * - Loads and initializes the WASM module
  * - Executes DWScript code without blocking the main thread
  * - Streams output back to the main thread
+ * - Blocks on ReadLn until the main thread answers (see sync-channel.ts)
+ * - Pauses instrumented programs for the debugger (see instrumentation.ts)
+ * - Runs turtle programs against a headless turtle when asked to, and
+ *   returns the turtle commands they issued
  * - Can be terminated to stop long-running code
  */
 
+import { InputQueue } from "../core/input-queue.ts";
+import { syncRequest, takeSyncInterrupt } from "./sync-channel.ts";
+import {
+  DEBUG_HOOKS,
+  type DebugVariableValue,
+} from "../core/instrumentation.ts";
+import { runHeadless } from "../turtle/headless-turtle.ts";
+
 let dwsAPI = null;
 let isInitialized = false;
 let executionTimeoutId = null;
+let inputQueue: InputQueue | null = null;
+let syncChannel: SharedArrayBuffer | null = null;
+
+// ID of the execute or run request being served; echoed on every message
+// of the run so the main thread routes it to that request only
+let runMessageId: number | null = null;
+
+// Active debug session, set when running instrumented code
+let debugSession: {
+  breakpoints: Set<number>;
+  stepMode: string;
+  stepDepth: number;
+  callStack: Array<{ name: string; line: number }>;
+  // Decision made by __DebugWants for the statement about to run
+  pending: { line: number; reason: string | null } | null;
+  variables: DebugVariableValue[];
+} | null = null;
+
+// Limits for variable values sent to the inspector
+const MAX_VALUE_DEPTH = 4;
+const MAX_VALUE_ITEMS = 100;
 
 /**
  * Message handler for communication with main thread
  */
 self.onmessage = async function (event) {
-  const { type, data } = event.data;
+  const { type, data, messageId } = event.data;
 
   try {
     switch (type) {
@@ -26,15 +59,15 @@ self.onmessage = async function (event) {
         break;
 
       case "execute":
-        await executeCode(data);
+        await executeCode(data, messageId);
         break;
 
       case "compile":
-        await compileCode(data);
+        await compileCode(data, messageId);
         break;
 
       case "run":
-        await runProgram(data);
+        await runProgram(data, messageId);
         break;
 
       case "dispose":
@@ -54,6 +87,7 @@ self.onmessage = async function (event) {
         message: error.message,
         stack: error.stack,
       },
+      messageId,
     });
   }
 };
@@ -99,6 +133,7 @@ async function initializeWASM(config) {
         self.postMessage({
           type: "output",
           output: text,
+          messageId: runMessageId,
         });
       },
       onError: (error) => {
@@ -110,12 +145,10 @@ async function initializeWASM(config) {
             line: error.line || 0,
             column: error.column || 0,
           },
+          messageId: runMessageId,
         });
       },
-      onInput: () => {
-        // Input not supported in worker context
-        return "";
-      },
+      onInput: () => readInput(),
     });
 
     isInitialized = true;
@@ -138,14 +171,19 @@ async function initializeWASM(config) {
 /**
  * Execute DWScript code (compile + run)
  * @param {Object} params - Execution parameters
+ * @param {number} messageId - ID of the request, echoed on its messages
  */
-async function executeCode(params) {
+async function executeCode(params, messageId) {
   if (!isInitialized || !dwsAPI) {
     throw new Error("DWScript not initialized");
   }
 
-  const { code, timeout } = params;
+  const { code, timeout, input, syncBuffer, debug, turtle } = params;
   const startTime = performance.now();
+  inputQueue = new InputQueue(input);
+  syncChannel = syncBuffer || null;
+  runMessageId = messageId;
+  startDebugSession(debug);
 
   // Set up timeout if specified
   if (timeout && timeout > 0) {
@@ -153,6 +191,7 @@ async function executeCode(params) {
       self.postMessage({
         type: "timeout",
         message: "Execution timed out",
+        messageId,
       });
       // In a real scenario, we'd need to terminate execution
       // For now, we just notify
@@ -160,7 +199,10 @@ async function executeCode(params) {
   }
 
   try {
-    const result = dwsAPI.eval(code);
+    const run = turtle
+      ? await runHeadless(async () => dwsAPI.eval(code))
+      : { result: dwsAPI.eval(code), commands: undefined };
+    const { result } = run;
     const executionTime = performance.now() - startTime;
 
     // Clear timeout
@@ -179,7 +221,9 @@ async function executeCode(params) {
         warnings: result.warnings || [],
         executionTime: executionTime,
         wasmExecutionTime: result.executionTime || 0,
+        turtleCommands: run.commands,
       },
+      messageId,
     });
   } catch (error) {
     // Clear timeout
@@ -205,15 +249,24 @@ async function executeCode(params) {
         executionTime: performance.now() - startTime,
         wasmExecutionTime: 0,
       },
+      messageId,
     });
+  } finally {
+    inputQueue = null;
+    syncChannel = null;
+    runMessageId = null;
+    debugSession = null;
   }
 }
 
 /**
  * Compile code without executing
+ * The result carries all compiler errors and warnings; the request's
+ * messageId is echoed so it cannot be mistaken for the result of a run.
  * @param {Object} params - Compilation parameters
+ * @param {number} messageId - ID of the request
  */
-async function compileCode(params) {
+async function compileCode(params, messageId) {
   if (!isInitialized || !dwsAPI) {
     throw new Error("DWScript not initialized");
   }
@@ -225,22 +278,29 @@ async function compileCode(params) {
     const program = dwsAPI.compile(code, cacheKey);
     const compilationTime = performance.now() - startTime;
 
+    const errors = program.errors || (program.error ? [program.error] : []);
+
     self.postMessage({
       type: "compile-result",
       result: {
         success: program.success,
-        programId: program.programId,
+        programId: program.programId ?? program.id,
+        errors: errors.map(normalizeError),
+        warnings: program.warnings || [],
         compilationTime: compilationTime,
       },
+      messageId,
     });
   } catch (error) {
     self.postMessage({
       type: "compile-result",
       result: {
         success: false,
-        error: normalizeError(error),
+        errors: [normalizeError(error)],
+        warnings: [],
         compilationTime: performance.now() - startTime,
       },
+      messageId,
     });
   }
 }
@@ -248,14 +308,18 @@ async function compileCode(params) {
 /**
  * Run a previously compiled program
  * @param {Object} params - Run parameters
+ * @param {number} messageId - ID of the request, echoed on its messages
  */
-async function runProgram(params) {
+async function runProgram(params, messageId) {
   if (!isInitialized || !dwsAPI) {
     throw new Error("DWScript not initialized");
   }
 
-  const { programRef, timeout } = params;
+  const { programRef, timeout, input, syncBuffer } = params;
   const startTime = performance.now();
+  inputQueue = new InputQueue(input);
+  syncChannel = syncBuffer || null;
+  runMessageId = messageId;
 
   // Set up timeout if specified
   if (timeout && timeout > 0) {
@@ -263,6 +327,7 @@ async function runProgram(params) {
       self.postMessage({
         type: "timeout",
         message: "Execution timed out",
+        messageId,
       });
     }, timeout);
   }
@@ -287,6 +352,7 @@ async function runProgram(params) {
         executionTime: executionTime,
         wasmExecutionTime: result.executionTime || 0,
       },
+      messageId,
     });
   } catch (error) {
     // Clear timeout
@@ -312,10 +378,274 @@ async function runProgram(params) {
         executionTime: performance.now() - startTime,
         wasmExecutionTime: 0,
       },
+      messageId,
     });
+  } finally {
+    inputQueue = null;
+    syncChannel = null;
+    runMessageId = null;
+    debugSession = null;
   }
 }
 
+/**
+ * Answer a ReadLn request from the runtime
+ * Scripted input is consumed first; without it, the worker asks the main
+ * thread and blocks until the user has typed a line.
+ * @returns {string} Next input line, or "" when no input is available
+ */
+function readInput() {
+  if (inputQueue && inputQueue.isScripted()) {
+    const line = inputQueue.next();
+    return line === null ? "" : line;
+  }
+
+  if (syncChannel) {
+    return syncRequest(syncChannel, () => {
+      self.postMessage({ type: "input-request", messageId: runMessageId });
+    });
+  }
+
+  return "";
+}
+
+/**
+ * Start a debug session for instrumented code
+ * @param {Object} debug - Debug options (breakpoints, stepMode), or null
+ */
+function startDebugSession(debug) {
+  if (!debug || !syncChannel) {
+    debugSession = null;
+    return;
+  }
+
+  debugSession = {
+    breakpoints: new Set(debug.breakpoints || []),
+    stepMode: debug.stepMode || "continue",
+    stepDepth: 1,
+    callStack: [{ name: "(main)", line: 0 }],
+    pending: null,
+    variables: [],
+  };
+}
+
+/**
+ * Host function called by instrumented code before a statement that has
+ * variables in scope: decides now whether to pause, so the values are only
+ * collected when the debugger will show them
+ * @param {number} line - Source line of the statement (0 at program end)
+ * @returns {boolean} Whether the script should report its variables
+ */
+function debugWants(line) {
+  if (!debugSession) {
+    return false;
+  }
+
+  line = Number(line);
+  debugSession.variables = [];
+  if (line === 0) {
+    return true; // final snapshot
+  }
+
+  const { callStack } = debugSession;
+  callStack[callStack.length - 1].line = line;
+
+  const reason = getPauseReason(line, callStack.length);
+  debugSession.pending = { line, reason };
+  return reason !== null;
+}
+
+/**
+ * Host function called by instrumented code with one variable's value
+ * @param {string} name - Variable name
+ * @param {string} type - Declared type, or "" when inferred
+ * @param {string} scope - 'local' or 'global'
+ * @param {*} value - Current value
+ */
+function debugVariable(name, type, scope, value) {
+  if (debugSession) {
+    debugSession.variables.push({
+      name: String(name),
+      type: String(type),
+      scope: scope === "local" ? "local" : "global",
+      value: toDebugValue(value, 0),
+    });
+  }
+}
+
+/**
+ * Host function called by instrumented code when the program finishes
+ */
+function debugFinish() {
+  if (debugSession) {
+    self.postMessage({
+      type: "debug-snapshot",
+      variables: debugSession.variables,
+      messageId: runMessageId,
+    });
+  }
+}
+
+/**
+ * Convert a script value into plain data that can be posted to the page
+ * Large or deeply nested values are truncated.
+ * @param {*} value - Value received from the script
+ * @param {number} depth - Nesting depth
+ * @returns {*} Numbers, strings, booleans, null, arrays and plain objects
+ */
+function toDebugValue(value, depth) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value === "bigint") {
+    return Number(value);
+  }
+  if (typeof value === "function") {
+    return "<function>";
+  }
+  if (typeof value !== "object") {
+    return value;
+  }
+  if (depth >= MAX_VALUE_DEPTH) {
+    return "...";
+  }
+
+  if (value instanceof Map) {
+    value = Object.fromEntries(value);
+  } else if (value instanceof Set || ArrayBuffer.isView(value)) {
+    value = Array.from(value as Iterable<unknown>);
+  }
+
+  if (Array.isArray(value)) {
+    const items = value
+      .slice(0, MAX_VALUE_ITEMS)
+      .map((item) => toDebugValue(item, depth + 1));
+    if (value.length > MAX_VALUE_ITEMS) {
+      items.push(`... ${value.length - MAX_VALUE_ITEMS} more`);
+    }
+    return items;
+  }
+
+  const fields = {};
+  Object.keys(value)
+    .slice(0, MAX_VALUE_ITEMS)
+    .forEach((key) => {
+      fields[key] = toDebugValue(value[key], depth + 1);
+    });
+  return fields;
+}
+
+/**
+ * Host function called by instrumented code before each statement
+ * @param {number} line - Source line of the statement
+ */
+function debugStep(line) {
+  if (!debugSession) {
+    return;
+  }
+
+  line = Number(line);
+  const { callStack, pending } = debugSession;
+  debugSession.pending = null;
+
+  let reason;
+  if (pending && pending.line === line) {
+    reason = pending.reason;
+  } else {
+    callStack[callStack.length - 1].line = line;
+    debugSession.variables = [];
+    reason = getPauseReason(line, callStack.length);
+  }
+
+  if (reason) {
+    pauseAt(line, reason);
+  }
+}
+
+/**
+ * Decide whether execution should pause before a statement
+ * @param {number} line - Source line of the statement
+ * @param {number} depth - Current call depth
+ * @returns {string|null} Pause reason, or null to keep running
+ */
+function getPauseReason(line, depth) {
+  const { breakpoints, stepMode, stepDepth } = debugSession;
+
+  if (takeSyncInterrupt(syncChannel)) {
+    return "pause";
+  }
+  if (breakpoints.has(line)) {
+    return "breakpoint";
+  }
+  if (
+    stepMode === "into" ||
+    (stepMode === "over" && depth <= stepDepth) ||
+    (stepMode === "out" && depth < stepDepth)
+  ) {
+    return "step";
+  }
+  return null;
+}
+
+/**
+ * Block until the main thread tells the debugger how to continue
+ * @param {number} line - Line execution is paused at
+ * @param {string} reason - Why execution paused
+ */
+function pauseAt(line, reason) {
+  const { callStack } = debugSession;
+
+  const answer = syncRequest(syncChannel, () => {
+    self.postMessage({
+      type: "debug-paused",
+      pause: {
+        line,
+        reason,
+        callStack: callStack.map((frame) => ({ ...frame })).reverse(),
+        variables: debugSession.variables,
+      },
+      messageId: runMessageId,
+    });
+  });
+
+  const { action, breakpoints } = JSON.parse(answer || "{}");
+  if (breakpoints) {
+    debugSession.breakpoints = new Set(breakpoints);
+  }
+  debugSession.stepMode = action || "continue";
+  debugSession.stepDepth = callStack.length;
+}
+
+/**
+ * Host function called by instrumented code when a routine is entered
+ * @param {string} name - Routine name
+ * @param {number} line - Line of the routine header
+ */
+function debugEnter(name, line) {
+  if (debugSession) {
+    debugSession.callStack.push({ name: String(name), line: Number(line) });
+  }
+}
+
+/**
+ * Host function called by instrumented code when a routine is left
+ */
+function debugLeave() {
+  if (debugSession && debugSession.callStack.length > 1) {
+    debugSession.callStack.pop();
+  }
+}
+
+// Debug hooks are looked up by name from the script, like the turtle API
+Object.assign(self, {
+  [DEBUG_HOOKS.step]: debugStep,
+  [DEBUG_HOOKS.wants]: debugWants,
+  [DEBUG_HOOKS.variable]: debugVariable,
+  [DEBUG_HOOKS.enter]: debugEnter,
+  [DEBUG_HOOKS.leave]: debugLeave,
+  [DEBUG_HOOKS.finish]: debugFinish,
+});
+
 /**
  * Dispose of API resources
  */
@@ -353,6 +683,7 @@ function normalizeError(error) {
     message: error.message || String(error),
     line: error.line || 0,
     column: error.column || 0,
+    endColumn: error.endColumn || null,
     source: error.source || null,
     details: error.details || null,
   };
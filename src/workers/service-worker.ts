@@ -0,0 +1,119 @@
+/**
+ * Service Worker
+ * Keeps the app, the WASM runtime and the course content available offline
+ *
+ * The build (see precacheManifest in vite.config.ts) replaces
+ * self.__PRECACHE_MANIFEST with the files to cache and a version computed
+ * from their contents. Each version gets its own cache, so changed lessons
+ * or a new runtime are picked up as a whole; the caches of older versions
+ * are deleted once the new worker takes over.
+ *
+ * A new version waits until the page asks it to take over (the "update
+ * available" prompt, see utils/offline.ts) instead of replacing the files
+ * of a page that is still running.
+ */
+
+interface PrecacheManifest {
+  version: string;
+  /** Paths relative to the scope of the worker */
+  files: string[];
+}
+
+declare const self: ServiceWorkerGlobalScope & {
+  __PRECACHE_MANIFEST: PrecacheManifest;
+};
+
+const manifest = self.__PRECACHE_MANIFEST;
+const CACHE_PREFIX = "dwscript-primer-";
+const CACHE_NAME = `${CACHE_PREFIX}${manifest.version}`;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) =>
+        cache.addAll(
+          manifest.files.map(
+            (file) => new URL(file, self.registration.scope).href,
+          ),
+        ),
+      ),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter(
+              (name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME,
+            )
+            .map((name) => caches.delete(name)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "skipWaiting") {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (
+    url.origin !== self.location.origin ||
+    (request.method !== "GET" && request.method !== "HEAD")
+  ) {
+    return;
+  }
+  event.respondWith(respond(request));
+});
+
+/**
+ * Answer a request from the cache, falling back to the network
+ * Page loads get the cached app shell when the network is gone; HEAD
+ * requests (the WASM loader checks for wasm_exec.js this way) are answered
+ * from the cached GET response.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function respond(request: Request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, {
+    ignoreSearch: true,
+    ignoreMethod: request.method === "HEAD",
+  });
+  if (cached) {
+    return request.method === "HEAD"
+      ? new Response(null, {
+          status: cached.status,
+          statusText: cached.statusText,
+          headers: cached.headers,
+        })
+      : cached;
+  }
+
+  try {
+    return await fetch(request);
+  } catch (error) {
+    if (request.mode === "navigate") {
+      const shell = await cache.match(
+        new URL("index.html", self.registration.scope),
+      );
+      if (shell) {
+        return shell;
+      }
+    }
+    throw error;
+  }
+}
+
+// Makes this file a module, so the declaration of self above stays local
+export {};
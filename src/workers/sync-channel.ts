@@ -0,0 +1,119 @@
+/**
+ * Synchronous Worker Channel
+ * Lets the worker block on an answer from the main thread while a program runs
+ *
+ * The DWScript runtime calls back into JavaScript synchronously (e.g. for
+ * ReadLn), so the worker cannot await a regular message. Instead it posts a
+ * request, then sleeps on a SharedArrayBuffer with Atomics.wait until the
+ * main thread writes the answer and wakes it up.
+ *
+ * Buffer layout:
+ * - Int32 [0]: state (0 = waiting, 1 = answer ready)
+ * - Int32 [1]: answer length in bytes
+ * - Int32 [2]: interrupt flag, polled by the worker (e.g. debugger pause)
+ * - Bytes [12..]: UTF-8 encoded answer
+ */
+
+const HEADER_BYTES = 12;
+const STATE_WAITING = 0;
+const STATE_READY = 1;
+
+// Default payload capacity (64 KB)
+const DEFAULT_CAPACITY = 64 * 1024;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Check if synchronous channels can be used in this context
+ * Requires SharedArrayBuffer, which browsers only expose to
+ * cross-origin isolated pages (COOP/COEP headers)
+ * @returns {boolean}
+ */
+export function isSyncChannelSupported() {
+  if (
+    typeof SharedArrayBuffer === "undefined" ||
+    typeof Atomics === "undefined"
+  ) {
+    return false;
+  }
+  return self.crossOriginIsolated !== false;
+}
+
+/**
+ * Create the shared buffer backing a channel
+ * @param {number} capacity - Maximum answer size in bytes
+ * @returns {SharedArrayBuffer|null} Shared buffer, or null if unsupported
+ */
+export function createSyncChannel(capacity = DEFAULT_CAPACITY) {
+  if (!isSyncChannelSupported()) {
+    return null;
+  }
+  return new SharedArrayBuffer(HEADER_BYTES + capacity);
+}
+
+/**
+ * Answer a pending request (main thread side)
+ * Text longer than the channel capacity is truncated.
+ * @param {SharedArrayBuffer} buffer - Channel buffer
+ * @param {string} text - Answer to deliver to the worker
+ */
+export function sendSyncResponse(buffer: SharedArrayBuffer, text: string) {
+  const header = new Int32Array(buffer, 0, 3);
+  const payload = new Uint8Array(buffer, HEADER_BYTES);
+
+  let bytes = encoder.encode(text || "");
+  if (bytes.length > payload.length) {
+    bytes = bytes.subarray(0, payload.length);
+  }
+
+  payload.set(bytes);
+  Atomics.store(header, 1, bytes.length);
+  Atomics.store(header, 0, STATE_READY);
+  Atomics.notify(header, 0);
+}
+
+/**
+ * Send a request and block until it is answered (worker side)
+ * @param {SharedArrayBuffer} buffer - Channel buffer
+ * @param {Function} post - Posts the request message to the main thread
+ * @returns {string} Answer written by sendSyncResponse()
+ */
+export function syncRequest(buffer: SharedArrayBuffer, post: () => void) {
+  const header = new Int32Array(buffer, 0, 3);
+  const payload = new Uint8Array(buffer, HEADER_BYTES);
+
+  // Reset before posting so an early answer cannot be lost
+  Atomics.store(header, 0, STATE_WAITING);
+  post();
+
+  while (Atomics.load(header, 0) === STATE_WAITING) {
+    Atomics.wait(header, 0, STATE_WAITING);
+  }
+
+  const length = Atomics.load(header, 1);
+  Atomics.store(header, 0, STATE_WAITING);
+
+  // Copy out of shared memory; TextDecoder rejects shared views
+  return decoder.decode(payload.slice(0, length));
+}
+
+/**
+ * Ask the worker to interrupt what it is doing (main thread side)
+ * The worker notices the flag the next time it polls takeSyncInterrupt().
+ * @param {SharedArrayBuffer} buffer - Channel buffer
+ */
+export function raiseSyncInterrupt(buffer: SharedArrayBuffer) {
+  const header = new Int32Array(buffer, 0, 3);
+  Atomics.store(header, 2, 1);
+}
+
+/**
+ * Check and clear the interrupt flag (worker side)
+ * @param {SharedArrayBuffer} buffer - Channel buffer
+ * @returns {boolean} True if an interrupt was requested
+ */
+export function takeSyncInterrupt(buffer: SharedArrayBuffer) {
+  const header = new Int32Array(buffer, 0, 3);
+  return Atomics.exchange(header, 2, 0) === 1;
+}
@@ -0,0 +1,169 @@
+/**
+ * Tests for the worker manager's message routing
+ * The worker is replaced by a fake that records requests and lets the
+ * tests post its replies.
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from "vitest";
+import { disposeWorker, executeInWorker } from "./worker-manager.ts";
+import {
+  continueExecution,
+  endDebugSession,
+  handleDebugPause,
+  isExecutionPaused,
+  startDebugSession,
+} from "../core/debugger.ts";
+
+class FakeWorker {
+  static current: FakeWorker | null = null;
+  onmessage: ((event: { data: Record<string, unknown> }) => void) | null = null;
+  onerror = null;
+  requests: Array<Record<string, unknown>> = [];
+
+  constructor() {
+    FakeWorker.current = this;
+  }
+
+  postMessage(message: Record<string, unknown>) {
+    this.requests.push(message);
+    if (message.type === "init") {
+      setTimeout(() => this.reply({ type: "ready", version: {} }));
+    }
+  }
+
+  reply(data: Record<string, unknown>) {
+    this.onmessage?.({ data });
+  }
+
+  terminated = false;
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+/**
+ * The execute requests posted so far
+ */
+function executeRequests() {
+  return (FakeWorker.current?.requests || []).filter(
+    (request) => request.type === "execute",
+  ) as Array<{ messageId: number; data: { syncBuffer: SharedArrayBuffer } }>;
+}
+
+/**
+ * The next execute request, once it has been posted
+ * @param {number} posted - Execute requests before it
+ */
+async function nextExecute(posted: number) {
+  await vi.waitFor(() => expect(executeRequests()).toHaveLength(posted + 1));
+  return executeRequests()[posted];
+}
+
+/**
+ * The answer the main thread wrote to a sync channel, or null
+ */
+function syncAnswer(buffer: SharedArrayBuffer) {
+  const header = new Int32Array(buffer, 0, 3);
+  if (Atomics.load(header, 0) !== 1) {
+    return null;
+  }
+  const bytes = new Uint8Array(buffer, 12, Atomics.load(header, 1)).slice();
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+describe("Worker manager", () => {
+  beforeAll(() => {
+    vi.stubGlobal("Worker", FakeWorker);
+  });
+
+  afterAll(() => {
+    disposeWorker();
+    vi.unstubAllGlobals();
+  });
+
+  it("hands each run only its own messages", async () => {
+    const first = { onOutput: vi.fn(), onInputRequest: vi.fn(() => "") };
+    const firstRun = executeInWorker("PrintLn('a');", first);
+    const firstRequest = await nextExecute(0);
+    FakeWorker.current.reply({
+      type: "output",
+      output: "a\n",
+      messageId: firstRequest.messageId,
+    });
+    FakeWorker.current.reply({
+      type: "result",
+      result: { success: true },
+      messageId: firstRequest.messageId,
+    });
+    expect(await firstRun).toMatchObject({ output: "a\n" });
+
+    const second = { onOutput: vi.fn(), onInputRequest: vi.fn(() => "b") };
+    const secondRun = executeInWorker("PrintLn(ReadLn);", second);
+    const secondRequest = await nextExecute(1);
+    FakeWorker.current.reply({
+      type: "input-request",
+      messageId: secondRequest.messageId,
+    });
+    FakeWorker.current.reply({
+      type: "output",
+      output: "b\n",
+      messageId: secondRequest.messageId,
+    });
+    FakeWorker.current.reply({
+      type: "result",
+      result: { success: true },
+      messageId: secondRequest.messageId,
+    });
+
+    expect(await secondRun).toMatchObject({ output: "b\n" });
+    expect(first.onOutput).toHaveBeenCalledTimes(1);
+    expect(first.onInputRequest).not.toHaveBeenCalled();
+    expect(second.onOutput).toHaveBeenCalledTimes(1);
+    expect(second.onInputRequest).toHaveBeenCalledTimes(1);
+  });
+
+  it("resumes the second of two debug sessions in its own worker run", async () => {
+    for (let session = 1; session <= 2; session++) {
+      const posted = executeRequests().length;
+      const debug = startDebugSession("var x := 1;\nPrintLn(x);", "into");
+      const run = executeInWorker(debug.code, {
+        debug: debug.debug,
+        onDebugPause: handleDebugPause,
+      });
+      const request = await nextExecute(posted);
+      const { syncBuffer } = request.data;
+
+      FakeWorker.current.reply({
+        type: "debug-paused",
+        pause: { line: 1, reason: "step", callStack: [], variables: [] },
+        messageId: request.messageId,
+      });
+      expect(isExecutionPaused()).toBe(true);
+
+      expect(continueExecution().success).toBe(true);
+      await vi.waitFor(() =>
+        expect(syncAnswer(syncBuffer)).toMatchObject({ action: "continue" }),
+      );
+
+      FakeWorker.current.reply({
+        type: "result",
+        result: { success: true, output: "1\n" },
+        messageId: request.messageId,
+      });
+      await run;
+      endDebugSession();
+    }
+  });
+
+  it("stops a run that does not return in time", async () => {
+    const posted = executeRequests().length;
+    const stuck = FakeWorker.current;
+    const run = executeInWorker("while True do;", { timeout: 20 });
+    await nextExecute(posted);
+
+    await expect(run).rejects.toThrow("Execution timeout");
+    expect(stuck.terminated).toBe(true);
+    expect(FakeWorker.current).not.toBe(stuck);
+  });
+});
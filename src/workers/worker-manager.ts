@@ -3,11 +3,21 @@
  * Manages Web Worker lifecycle and communication for non-blocking code execution
  */
 
+import type { ProgramInput } from "../core/input-queue.ts";
+import type { DebugVariableValue } from "../core/instrumentation.ts";
+import type { TurtleCommand } from "../turtle/turtle-api.ts";
+import {
+  createSyncChannel,
+  sendSyncResponse,
+  raiseSyncInterrupt,
+} from "./sync-channel.ts";
+
 let worker = null;
 let isWorkerReady = false;
 let workerInitPromise = null;
 let messageHandlers = new Map();
 let messageIdCounter = 0;
+let activeSyncBuffer = null;
 
 // Configuration
 const WORKER_CONFIG = {
@@ -80,12 +90,46 @@ export async function initWorker() {
  * Execute code in the worker
  * @param {string} code - DWScript code to execute
  * @param {Object} options - Execution options
- * @returns {Promise<Object>} Execution result
+ * @param {Function} options.onInputRequest - Called when the program reads
+ *   input without scripted input left; resolves to the line to deliver
+ *   (requires SharedArrayBuffer, otherwise ReadLn receives "")
+ * @param {Object} options.debug - Debug session options for instrumented
+ *   code ({ breakpoints, stepMode }); requires options.onDebugPause
+ * @param {Function} options.onDebugPause - Called when the debugger pauses;
+ *   resolves to { action, breakpoints } telling the worker how to continue
+ * @param {Function} options.onDebugSnapshot - Receives the variables in
+ *   scope when a debugged program finishes
+ * @param {boolean} options.turtle - Run against a headless turtle; the
+ *   result's turtleCommands lists the turtle calls of the program
+ * @returns {Promise<Object>} Execution result. A program that waits for
+ *   nobody and runs longer than the timeout is stopped by restarting the
+ *   worker, since it keeps the worker from noticing the timeout itself.
  */
 export async function executeInWorker(
   code: string,
-  options: { onOutput?: (text: string) => void; onError?: (error: any) => void; timeout?: number } = {},
-) {
+  options: {
+    onOutput?: (text: string) => void;
+    onError?: (error: any) => void;
+    onInputRequest?: () => Promise<string | null> | string | null;
+    onDebugPause?: (pause: {
+      line: number;
+      reason: string;
+      callStack: Array<{ name: string; line: number }>;
+      variables?: DebugVariableValue[];
+    }) => Promise<{ action: string; breakpoints?: number[] }>;
+    onDebugSnapshot?: (variables: DebugVariableValue[]) => void;
+    debug?: { breakpoints: number[]; stepMode: string };
+    timeout?: number;
+    input?: ProgramInput;
+    turtle?: boolean;
+  } = {},
+): Promise<{
+  success: boolean;
+  output?: string;
+  errors?: Array<{ message: string }>;
+  turtleCommands?: TurtleCommand[];
+  [key: string]: unknown;
+}> {
   if (!isWorkerReady) {
     await initWorker();
   }
@@ -93,67 +137,116 @@ export async function executeInWorker(
   return new Promise((resolve, reject) => {
     const messageId = messageIdCounter++;
     let outputBuffer = "";
-
-    // Create handler for this execution
-    const handler = {
-      onOutput: options.onOutput || null,
-      onError: options.onError || null,
-      resolve,
-      reject,
-    };
-
-    messageHandlers.set(messageId, handler);
-
-    // Set up result handler
-    const resultHandler = (event) => {
+    const syncBuffer =
+      options.onInputRequest || options.onDebugPause
+        ? createSyncChannel()
+        : null;
+    activeSyncBuffer = syncBuffer;
+
+    // The worker echoes the messageId on every message of the run, so
+    // handleWorkerMessage hands this execution its own messages only
+    const onMessage = (event) => {
       const { type, result, output, error } = event.data;
 
-      if (type === "output" && handler.onOutput) {
-        handler.onOutput(output);
+      if (type === "output" && options.onOutput) {
+        options.onOutput(output);
         outputBuffer += output;
-      } else if (type === "runtime-error" && handler.onError) {
-        handler.onError(error);
+      } else if (type === "runtime-error" && options.onError) {
+        options.onError(error);
+      } else if (type === "input-request" && syncBuffer) {
+        answerSyncRequest(syncBuffer, options.onInputRequest);
+      } else if (type === "debug-paused" && syncBuffer) {
+        answerSyncRequest(syncBuffer, async () =>
+          JSON.stringify(await options.onDebugPause(event.data.pause)),
+        );
+      } else if (type === "debug-snapshot" && options.onDebugSnapshot) {
+        options.onDebugSnapshot(event.data.variables);
       } else if (type === "result") {
-        messageHandlers.delete(messageId);
+        finish();
         resolve({
           ...result,
           output: outputBuffer || result.output,
         });
       } else if (type === "timeout") {
-        messageHandlers.delete(messageId);
+        finish();
         reject(new Error("Execution timeout"));
       } else if (type === "error") {
-        messageHandlers.delete(messageId);
-        reject(new Error(error.message || error));
+        finish();
+        reject(new Error(error?.message || error));
       }
     };
 
-    // Store original handler and set up temporary one
-    const originalOnMessage = worker.onmessage;
-    worker.onmessage = (event) => {
-      resultHandler(event);
-      if (originalOnMessage) {
-        originalOnMessage(event);
+    const timeout = options.timeout || WORKER_CONFIG.defaultTimeout;
+    // Runs that may wait for the user (ReadLn, the debugger) are not cut off
+    const timer = syncBuffer
+      ? null
+      : setTimeout(() => {
+          finish();
+          reject(new Error("Execution timeout"));
+          stopWorkerExecution();
+        }, timeout);
+
+    const finish = () => {
+      clearTimeout(timer);
+      messageHandlers.delete(messageId);
+      if (activeSyncBuffer === syncBuffer) {
+        activeSyncBuffer = null;
       }
     };
 
+    messageHandlers.set(messageId, { onMessage, resolve, reject });
+
     // Send execution request
     worker.postMessage({
       type: "execute",
       data: {
         code,
-        timeout: options.timeout || WORKER_CONFIG.defaultTimeout,
+        timeout,
+        input: options.input,
+        syncBuffer,
+        debug: syncBuffer ? options.debug : undefined,
+        turtle: options.turtle,
       },
       messageId,
     });
   });
 }
 
+/**
+ * Produce the answer to a blocking worker request and wake the worker
+ * @param {SharedArrayBuffer} syncBuffer - Channel the worker is blocked on
+ * @param {Function} getAnswer - Provides the answer text
+ */
+async function answerSyncRequest(syncBuffer, getAnswer) {
+  let text = "";
+  try {
+    text = (await getAnswer()) ?? "";
+  } catch (error) {
+    console.error("Worker request failed:", error);
+  }
+  sendSyncResponse(syncBuffer, text);
+}
+
+/**
+ * Interrupt the running program at its next instrumented statement
+ * Only has an effect on debug sessions; other code never polls the flag.
+ * @returns {boolean} True if a running execution was signalled
+ */
+export function interruptWorkerExecution() {
+  if (!activeSyncBuffer) {
+    return false;
+  }
+  raiseSyncInterrupt(activeSyncBuffer);
+  return true;
+}
+
 /**
  * Compile code in the worker
+ * The worker echoes the messageId, so handleWorkerMessage routes the reply
+ * and compiles can run alongside an execution's message handling.
  * @param {string} code - DWScript code to compile
  * @param {string} cacheKey - Optional cache key
- * @returns {Promise<Object>} Compilation result
+ * @returns {Promise<Object>} Compilation result ({ success, errors, warnings })
  */
 export async function compileInWorker(code, cacheKey = null) {
   if (!isWorkerReady) {
@@ -163,34 +256,7 @@ export async function compileInWorker(code, cacheKey = null) {
   return new Promise((resolve, reject) => {
     const messageId = messageIdCounter++;
 
-    const handler = {
-      resolve,
-      reject,
-    };
-
-    messageHandlers.set(messageId, handler);
-
-    // Set up result handler
-    const resultHandler = (event) => {
-      const { type, result, error } = event.data;
-
-      if (type === "compile-result") {
-        messageHandlers.delete(messageId);
-        resolve(result);
-      } else if (type === "error") {
-        messageHandlers.delete(messageId);
-        reject(new Error(error.message || error));
-      }
-    };
-
-    // Store original handler and set up temporary one
-    const originalOnMessage = worker.onmessage;
-    worker.onmessage = (event) => {
-      resultHandler(event);
-      if (originalOnMessage) {
-        originalOnMessage(event);
-      }
-    };
+    messageHandlers.set(messageId, { resolve, reject });
 
     // Send compilation request
     worker.postMessage({
@@ -215,6 +281,7 @@ export async function stopWorkerExecution() {
   worker = null;
   isWorkerReady = false;
   workerInitPromise = null;
+  activeSyncBuffer = null;
 
   // Reject all pending handlers
   for (const [_id, handler] of messageHandlers.entries()) {
@@ -241,6 +308,12 @@ function handleWorkerMessage(event) {
   if (messageId !== undefined && messageHandlers.has(messageId)) {
     const handler = messageHandlers.get(messageId);
 
+    // Executions handle all messages of their run themselves
+    if (handler.onMessage) {
+      handler.onMessage(event);
+      return;
+    }
+
     switch (type) {
       case "output":
         if (handler.onOutput) {
@@ -1,6 +1,81 @@
 import { defineConfig } from 'vitest/config';
+import type { Plugin } from 'vite';
 import react from '@vitejs/plugin-react';
 import { viteStaticCopy } from 'vite-plugin-static-copy';
+import { createHash } from 'node:crypto';
+import { readdirSync, readFileSync, statSync } from 'node:fs';
+import { join, relative } from 'node:path';
+
+// Directories copied into the build as they are, relative to the build
+// output (see the static copy targets below)
+const STATIC_DIRS = { content: 'content', wasm: 'wasm', public: '.' };
+
+/**
+ * List the files below a directory
+ * @param {string} dir
+ * @returns {Array<string>} Paths relative to dir, with "/" as separator
+ */
+function listFiles(dir: string): string[] {
+  let files: string[] = [];
+  try {
+    readdirSync(dir).forEach((name) => {
+      const path = join(dir, name);
+      files = statSync(path).isDirectory()
+        ? files.concat(listFiles(path).map((file) => `${name}/${file}`))
+        : files.concat(name);
+    });
+  } catch {
+    // A missing directory (wasm/ before the runtime is built) has no files
+  }
+  return files;
+}
+
+/**
+ * Fill in the precache manifest of the service worker
+ * Lists every file of the build and derives the cache version from their
+ * names and contents, so any change to the app, the runtime or a lesson
+ * makes installed copies update.
+ */
+function precacheManifest(): Plugin {
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_options, bundle) {
+      const hash = createHash('sha256');
+      const files: string[] = [];
+      Object.values(bundle).forEach((output) => {
+        if (output.fileName === 'sw.js' || output.fileName.endsWith('.map')) {
+          return;
+        }
+        files.push(output.fileName);
+        hash.update(output.type === 'chunk' ? output.code : output.source);
+      });
+      Object.entries(STATIC_DIRS).forEach(([dir, dest]) => {
+        listFiles(dir)
+          .filter((file) => !/(^|\/)(README\.md|\.gitkeep)$/.test(file))
+          .forEach((file) => {
+            const path = relative('.', join(dest, file)).replace(/\\/g, '/');
+            files.push(path);
+            hash.update(path);
+            hash.update(readFileSync(join(dir, file)));
+          });
+      });
+
+      const worker = bundle['sw.js'];
+      if (worker?.type === 'chunk') {
+        const manifest = {
+          version: hash.digest('hex').slice(0, 12),
+          files: files.sort(),
+        };
+        worker.code = worker.code.replace(
+          'self.__PRECACHE_MANIFEST',
+          JSON.stringify(manifest)
+        );
+      }
+    }
+  };
+}
 
 export default defineConfig({
   base: process.env.VITE_BASE_PATH || '/',
@@ -13,9 +88,13 @@ export default defineConfig({
     chunkSizeWarningLimit: 3500,
     rollupOptions: {
       input: {
-        main: './index.html'
+        main: './index.html',
+        sw: './src/workers/service-worker.ts'
       },
       output: {
+        // The service worker has to keep its name and sit at the root
+        entryFileNames: (chunk) =>
+          chunk.name === 'sw' ? 'sw.js' : 'assets/[name]-[hash].js',
         manualChunks: {
           'monaco-editor': ['monaco-editor']
         }
@@ -41,9 +120,14 @@ export default defineConfig({
         {
           src: 'wasm/*',
           dest: 'wasm'
+        },
+        {
+          src: 'content',
+          dest: '.'
         }
       ]
-    })
+    }),
+    precacheManifest()
   ],
   resolve: {
     alias: {